@@ -3,6 +3,8 @@ module.exports = {
   testEnvironment: 'node',
   roots: ['<rootDir>/src', '<rootDir>/tests'],
   testMatch: ['**/__tests__/**/*.ts', '**/?(*.)+(spec|test).ts'],
+  // dist/ must be built before the CLI suites run (see the pretest script)
+  globalSetup: '<rootDir>/tests/global-setup.ts',
   collectCoverageFrom: [
     'src/**/*.ts',
     '!src/**/*.d.ts',
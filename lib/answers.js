@@ -0,0 +1,224 @@
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+
+// How each wizard question is named in errors and in answers files
+const ANSWER_LABELS = {
+  userType: 'role',
+  additionalRoles: 'role',
+  goals: 'goal',
+  tools: 'tool',
+  experience: 'experience level',
+  proceed: 'confirmation'
+};
+
+// Keys accepted in answers files, mapped to question names
+const ANSWER_KEYS = {
+  role: 'userType',
+  userType: 'userType',
+  goals: 'goals',
+  tools: 'tools',
+  experience: 'experience',
+  proceed: 'proceed',
+  // Follow-up answers per tool, e.g. integrations.github.org
+  integrations: 'integrations',
+  // Not questions: choices for conflicts between composed roles, and when
+  // scheduled automations run (see lib/schedule.js)
+  resolve: 'resolve',
+  timezone: 'timezone',
+  working_days: 'workingDays',
+  workingDays: 'workingDays'
+};
+
+async function loadAnswersFile(answersPath) {
+  let content;
+  try {
+    content = await fs.readFile(answersPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read answers file ${answersPath}: ${error.message}`);
+  }
+  
+  let data;
+  try {
+    // JSON is valid YAML, so one parser covers both formats
+    data = yaml.load(content) || {};
+  } catch (error) {
+    throw new Error(`Invalid answers file ${answersPath}: ${error.message}`);
+  }
+  
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`Invalid answers file ${answersPath}: expected a mapping of question names to answers`);
+  }
+  
+  return normalizeAnswers(data, path.basename(answersPath));
+}
+
+// Answers-file keys to question names; `source` names the file (or profile) in errors
+function normalizeAnswers(data, source) {
+  const answers = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (!ANSWER_KEYS[key]) {
+      throw new Error(`Unknown key "${key}" in ${source}. Expected one of: role, goals, tools, experience, proceed, integrations, resolve, timezone, working_days`);
+    }
+    answers[ANSWER_KEYS[key]] = value;
+  }
+  
+  return answers;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => String(item).trim()).filter(Boolean);
+  }
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Question names such as integrations.github.org are paths into the answers
+function getPath(object, name) {
+  return name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+function setPath(object, name, value) {
+  const keys = name.split('.');
+  let target = object;
+  for (const key of keys.slice(0, -1)) {
+    if (!target[key] || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function choiceValues(question, answers) {
+  const choices = typeof question.choices === 'function' ? question.choices(answers) : question.choices;
+  return choices.map(choice => (typeof choice === 'object' ? choice.value : choice));
+}
+
+function validateAnswer(question, value, answers) {
+  const label = ANSWER_LABELS[question.name] || question.name;
+  const role = answers.userType && !question.followUp ? ` for ${answers.userType}` : '';
+  let answer;
+  
+  switch (question.type) {
+    case 'confirm':
+      if (typeof value !== 'boolean') {
+        throw new Error(`Invalid ${label} "${value}": expected true or false`);
+      }
+      answer = value;
+      break;
+      
+    case 'input':
+      answer = question.multiple ? toList(value) : String(value).trim();
+      break;
+      
+    case 'checkbox': {
+      answer = toList(value);
+      const valid = choiceValues(question, answers);
+      const unknown = answer.filter(item => !valid.includes(item));
+      if (unknown.length) {
+        throw new Error(`Unknown ${label}${unknown.length > 1 ? 's' : ''} ${unknown.map(item => `"${item}"`).join(', ')}${role}. Valid choices: ${valid.join(', ')}`);
+      }
+      break;
+    }
+      
+    default: {
+      answer = String(value).trim();
+      const valid = choiceValues(question, answers);
+      if (!valid.includes(answer)) {
+        throw new Error(`Unknown ${label} "${answer}"${role}. Valid choices: ${valid.join(', ')}`);
+      }
+    }
+  }
+  
+  if (question.validate) {
+    const result = question.validate(answer);
+    if (result !== true) {
+      throw new Error(`Invalid ${label}: ${result}`);
+    }
+  }
+  
+  return answer;
+}
+
+function defaultAnswer(question, answers) {
+  const value = typeof question.default === 'function' ? question.default(answers) : question.default;
+  if (question.multiple) {
+    return toList(value === undefined ? [] : value);
+  }
+  return value === undefined ? '' : value;
+}
+
+/**
+ * Validate pre-supplied answers against the wizard questions, in question
+ * order so role-specific choices see the role. Returns the validated answers
+ * and the questions that still need to be asked. Questions whose `when`
+ * rules them out are skipped; with useDefaults, unanswered follow-up
+ * questions take their default instead of being asked. An answer whose
+ * choices depend on an earlier question that is still unanswered (goals
+ * without a role) is not checked yet: its question is returned as
+ * `deferred`, with the answer as its default.
+ */
+function resolveAnswers(questions, provided, initialAnswers = {}, { useDefaults = false } = {}) {
+  const answers = { ...initialAnswers };
+  const missing = [];
+  
+  for (const question of questions) {
+    // `when` can only be decided once every earlier question is answered
+    if (question.when && !missing.length && !question.when(answers)) {
+      continue;
+    }
+    
+    const value = getPath(provided, question.name);
+    if (value !== undefined && missing.length && typeof question.choices === 'function') {
+      missing.push({ ...question, default: question.type === 'checkbox' ? toList(value) : value, deferred: true });
+    } else if (value !== undefined) {
+      setPath(answers, question.name, validateAnswer(question, value, answers));
+    } else if (question.followUp && useDefaults && !missing.length) {
+      setPath(answers, question.name, defaultAnswer(question, answers));
+    } else {
+      missing.push(question);
+    }
+  }
+  
+  return { answers, missing };
+}
+
+// Follow-up answers (integrations.<tool>.<name>) that no question asks for
+function unknownFollowUps(provided, questions) {
+  const names = new Set(questions.filter(question => question.followUp).map(question => question.name));
+  const unknown = [];
+  for (const [tool, values] of Object.entries(provided || {})) {
+    for (const name of Object.keys(values && typeof values === 'object' ? values : { '': values })) {
+      if (!names.has(`integrations.${tool}.${name}`)) {
+        unknown.push(name ? `integrations.${tool}.${name}` : `integrations.${tool}`);
+      }
+    }
+  }
+  return unknown;
+}
+
+/**
+ * Normalise conflict resolutions for composed roles into a name -> choice
+ * map. Accepts a map (answers file) or `name=choice` strings (--resolve).
+ */
+function parseResolutions(value) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(Object.entries(value).map(([name, choice]) => [name, String(choice)]));
+  }
+  
+  const resolutions = {};
+  for (const pair of toList(value)) {
+    const match = pair.match(/^([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid resolution "${pair}": expected <name>=<choice>, e.g. morning_brief=engineer`);
+    }
+    resolutions[match[1].trim()] = match[2].trim();
+  }
+  return resolutions;
+}
+
+module.exports = { loadAnswersFile, normalizeAnswers, resolveAnswers, unknownFollowUps, parseResolutions, toList, ANSWER_LABELS };
@@ -0,0 +1,167 @@
+// `superclaw brief`: rebuilds the workspace's morning-brief.md from local,
+// offline sources. The `includes` of the role's morning brief automation
+// pick the collectors (see lib/collectors/), and the workspace's brief.yaml
+// says where each one reads from:
+//
+//   calendar: ~/calendars            # an .ics file or a folder of them
+//   repos: [~/code/app, ~/code/api]  # git repositories
+//   todo: todo.md                    # a Markdown/text list, or a folder
+//   metrics: metrics                 # a .csv file or a folder of them
+//
+// Relative paths are read from the workspace. A source that is not there
+// is reported in the brief instead of failing the run.
+
+const path = require('path');
+const fs = require('fs-extra');
+const yaml = require('js-yaml');
+const { listRuns } = require('./manifest');
+const { loadRoleTemplates } = require('./templates');
+const { goalLabel } = require('./questions');
+const { toList } = require('./answers');
+const { scheduleSettings } = require('./schedule');
+const { loadCollectors, selectCollectors } = require('./collectors');
+const { resolveSourcePath, localDate } = require('./collectors/common');
+
+const BRIEF_FILE = 'morning-brief.md';
+const SOURCES_FILE = 'brief.yaml';
+
+async function readBriefSources(workspacePath) {
+  const file = path.join(workspacePath, SOURCES_FILE);
+  if (!await fs.pathExists(file)) {
+    return {};
+  }
+  
+  let sources;
+  try {
+    sources = yaml.load(await fs.readFile(file, 'utf8')) || {};
+  } catch (error) {
+    throw new Error(`Invalid ${file}: ${error.message}`);
+  }
+  if (typeof sources !== 'object' || Array.isArray(sources)) {
+    throw new Error(`Invalid ${file}: expected a mapping of sources to paths, e.g. "calendar: ~/calendars"`);
+  }
+  return sources;
+}
+
+/**
+ * The roles, goals and timezone of the workspace's latest wizard run (or
+ * the --role given) and the includes of its morning brief automations.
+ */
+async function briefProfile(workspacePath, options = {}) {
+  const [latest] = (await listRuns(workspacePath)).filter(run => !run.undoneAt);
+  if (!options.role && !latest) {
+    throw new Error(`No wizard run found in ${workspacePath}. Run \`superclaw wizard\` first, or pass --role`);
+  }
+  
+  const answers = options.role ? {} : latest.answers;
+  const roles = options.role ? toList(options.role) : answers.roles || [answers.role];
+  const { template } = await loadRoleTemplates(roles, {
+    templatePath: options.role ? null : latest.template.path,
+    resolutions: answers.resolve || {},
+    goals: answers.goals || [],
+    experience: answers.experience || null,
+    home: options.home,
+    cwd: options.cwd
+  });
+  
+  // morning_brief, founder's morning_metrics_brief, or a per-role copy such as engineer_morning_brief
+  const includes = [...new Set(Object.entries(template.automations || {})
+    .filter(([id]) => id.includes('brief'))
+    .flatMap(([, automation]) => automation.includes || []))];
+  return { roles, goals: answers.goals || [], timezone: answers.timezone, includes };
+}
+
+// Run one collector; a crash is reported like a missing source
+async function runCollector({ collector, includes }, context) {
+  const base = { id: collector.id, title: collector.title, includes, empty: collector.empty || 'Nothing to report' };
+  try {
+    const result = await collector.collect(context);
+    return { ...base, items: result.items || [], missing: result.missing || [], error: null };
+  } catch (error) {
+    return { ...base, items: [], missing: [], error: error.message };
+  }
+}
+
+function renderBrief(brief) {
+  const heading = new Intl.DateTimeFormat('en-US', { weekday: 'long', timeZone: 'UTC' }).format(new Date(`${brief.date}T00:00:00Z`));
+  const priorities = brief.goals.length ?
+    brief.goals.map(goal => `- Work on: ${goalLabel(goal, brief.roles)}`) :
+    ['- General productivity tasks'];
+  const problems = brief.sections.flatMap(section => [
+    ...section.missing.map(message => `- **${section.title}**: ${message}. Set \`${section.source}:\` in ${SOURCES_FILE} to where the data is`),
+    ...(section.error ? [`- **${section.title}**: collecting failed: ${section.error}`] : [])
+  ]);
+  
+  const lines = [
+    `# Morning Brief - ${heading} ${brief.date}`,
+    '',
+    `*Built by \`superclaw brief\` from local sources for your ${brief.roles.join(' + ')} workflows*`,
+    '',
+    '## 🎯 Today\'s Priorities',
+    '',
+    ...priorities
+  ];
+  for (const section of brief.sections) {
+    const unavailable = section.missing.length || section.error;
+    lines.push('', `## ${section.title}`, '');
+    if (section.items.length) {
+      lines.push(...section.items.map(item => `- ${item}`));
+    } else {
+      lines.push(unavailable ? '*Source missing - see ⚠️ Missing Sources below*' : `*${section.empty}*`);
+    }
+  }
+  if (problems.length) {
+    lines.push('', '## ⚠️ Missing Sources', '', ...problems);
+  }
+  if (brief.uncovered.length) {
+    lines.push('', '## 🔌 Not Collected Offline', '', `No local source covers: ${brief.uncovered.join(', ')}`);
+  }
+  lines.push('', '---', '', `*Generated ${brief.generatedAt} (${brief.timezone})*`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Collect the brief. Options: workspacePath, role, date (YYYY-MM-DD),
+ * timezone, sources (overriding brief.yaml), now, home, cwd. Returns
+ * { date, timezone, roles, sections, uncovered, markdown }.
+ */
+async function buildBrief(options = {}) {
+  const { workspacePath, now = new Date() } = options;
+  const profile = await briefProfile(workspacePath, options);
+  const { timezone } = scheduleSettings({ timezone: options.timezone || profile.timezone });
+  if (options.date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(options.date)) {
+    throw new Error(`Invalid date "${options.date}". Use YYYY-MM-DD`);
+  }
+  const date = options.date || localDate(now, timezone);
+  
+  // Flags (options.sources) win over brief.yaml
+  const overrides = Object.entries(options.sources || {}).filter(([, value]) => value !== undefined);
+  const configured = { ...await readBriefSources(workspacePath), ...Object.fromEntries(overrides) };
+  
+  const { selected, uncovered } = selectCollectors(profile.includes, await loadCollectors(options));
+  const sections = [];
+  for (const entry of selected) {
+    const source = configured[entry.collector.source] !== undefined ? configured[entry.collector.source] : entry.collector.defaultSource;
+    const paths = [].concat(source || []).map(item => resolveSourcePath(item, workspacePath));
+    const section = await runCollector(entry, { paths, date, timezone, workspacePath });
+    sections.push({ ...section, source: entry.collector.source });
+  }
+  
+  const brief = { date, timezone, roles: profile.roles, goals: profile.goals, sections, uncovered, generatedAt: now.toISOString() };
+  return { ...brief, markdown: renderBrief(brief) };
+}
+
+/**
+ * Build the brief and write it to the workspace's morning-brief.md (unless
+ * dryRun). Returns the brief plus { path, written }.
+ */
+async function writeBrief({ dryRun = false, ...options } = {}) {
+  const brief = await buildBrief(options);
+  const briefPath = path.join(options.workspacePath, BRIEF_FILE);
+  if (!dryRun) {
+    await fs.outputFile(briefPath, brief.markdown);
+  }
+  return { ...brief, path: briefPath, written: !dryRun };
+}
+
+module.exports = { BRIEF_FILE, SOURCES_FILE, readBriefSources, buildBrief, writeBrief };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// Calendar: the day's events from .ics exports, for the schedule overview.
+// Timed events are shown in the brief's timezone. Daily, weekly, monthly
+// and yearly RRULEs (INTERVAL, BYDAY, UNTIL, EXDATE) are expanded; COUNT
+// is not, so such a series is shown until its UNTIL, if any.
+
+const fs = require('fs-extra');
+const { sourceFiles, localDate, localTime, zonedTime, daysBetween, addDays, weekday } = require('./common');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Continuation lines start with a space or tab
+function unfold(text) {
+  return text.replace(/\r?\n[ \t]/g, '');
+}
+
+function unescape(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+function parseParams(text) {
+  return Object.fromEntries(text.split(';').filter(Boolean).map(param => {
+    const [key, ...value] = param.split('=');
+    return [key.toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+  }));
+}
+
+// VEVENT properties as { NAME: { params, value } }; nested components such as VALARM are skipped
+function parseEvents(text) {
+  const events = [];
+  let event = null;
+  let depth = 0;
+  
+  for (const line of unfold(text).split(/\r?\n/)) {
+    if (line === 'BEGIN:VEVENT') {
+      event = { EXDATE: [] };
+      depth = 0;
+    } else if (line === 'END:VEVENT') {
+      if (event) {
+        events.push(event);
+      }
+      event = null;
+    } else if (event && line.startsWith('BEGIN:')) {
+      depth++;
+    } else if (event && line.startsWith('END:')) {
+      depth--;
+    } else if (event && depth === 0) {
+      const match = line.match(/^([A-Za-z-]+)((?:;[^:]*)?):(.*)$/);
+      if (!match) {
+        continue;
+      }
+      const name = match[1].toUpperCase();
+      const property = { params: parseParams(match[2]), value: match[3] };
+      if (name === 'EXDATE') {
+        event.EXDATE.push(property);
+      } else {
+        event[name] = property;
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * A DTSTART/DTEND/UNTIL value: { date } for all-day values, { date, instant }
+ * otherwise. UTC (Z), TZID and floating times (read in `timezone`) are supported.
+ */
+function parseTime(property, timezone) {
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    throw new Error(`Unreadable date "${property.value}"`);
+  }
+  const [, year, month, day, hour, minute, second = '00', utc] = match;
+  if (hour === undefined || property.params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}` };
+  }
+  
+  const fields = [year, month, day, hour, minute, second].map(Number);
+  let instant;
+  if (utc) {
+    instant = new Date(Date.UTC(fields[0], fields[1] - 1, ...fields.slice(2)));
+  } else {
+    try {
+      instant = zonedTime(...fields, property.params.TZID || timezone);
+    } catch {
+      // Non-IANA TZIDs (e.g. Windows names) are read in the brief's timezone
+      instant = zonedTime(...fields, timezone);
+    }
+  }
+  return { date: localDate(instant, timezone), instant };
+}
+
+function parseRule(value) {
+  return Object.fromEntries(value.split(';').map(part => part.split('=')).map(([key, rule]) => [key.toUpperCase(), rule]));
+}
+
+// Whether a recurring series (first on `first`) has an occurrence on `date`
+function recursOn(rule, first, date) {
+  const interval = Number(rule.INTERVAL) || 1;
+  const days = daysBetween(first, date);
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(day => day.slice(-2)) : null;
+  
+  switch (rule.FREQ) {
+    case 'DAILY':
+      return days % interval === 0;
+    case 'WEEKLY':
+      return (byDay || [WEEKDAYS[weekday(first)]]).includes(WEEKDAYS[weekday(date)]) &&
+        Math.floor((days + weekday(first)) / 7) % interval === 0;
+    case 'MONTHLY': {
+      const months = (Number(date.slice(0, 4)) - Number(first.slice(0, 4))) * 12 + Number(date.slice(5, 7)) - Number(first.slice(5, 7));
+      return date.slice(8) === first.slice(8) && months % interval === 0;
+    }
+    case 'YEARLY':
+      return date.slice(5) === first.slice(5) && (Number(date.slice(0, 4)) - Number(first.slice(0, 4))) % interval === 0;
+    default:
+      return days === 0;
+  }
+}
+
+function occursOn(event, date, timezone) {
+  const start = parseTime(event.DTSTART, timezone);
+  // DTEND is exclusive: an all-day event ending on the 20th is over on the 19th
+  const last = event.DTEND ? parseTime(event.DTEND, timezone) : null;
+  const end = !last ? start.date : last.instant ? localDate(new Date(last.instant.getTime() - 1), timezone) : addDays(last.date, -1);
+  const lastDate = daysBetween(start.date, end) > 0 ? end : start.date;
+  const span = daysBetween(start.date, lastDate);
+  
+  if (!event.RRULE) {
+    return daysBetween(start.date, date) >= 0 && daysBetween(date, lastDate) >= 0;
+  }
+  
+  const rule = parseRule(event.RRULE.value);
+  if (rule.UNTIL && daysBetween(parseTime({ params: {}, value: rule.UNTIL }, timezone).date, date) > 0) {
+    return false;
+  }
+  const excluded = event.EXDATE.flatMap(property => property.value.split(',')
+    .map(value => parseTime({ ...property, value }, timezone).date));
+  // A multi-day occurrence that started up to `span` days earlier still covers `date`
+  for (let back = 0; back <= span; back++) {
+    const day = addDays(date, -back);
+    if (daysBetween(start.date, day) >= 0 && recursOn(rule, start.date, day) && !excluded.includes(day)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function describeEvent(event, timezone) {
+  const title = event.SUMMARY ? unescape(event.SUMMARY.value) : '(no title)';
+  const location = event.LOCATION && unescape(event.LOCATION.value) ? ` · ${unescape(event.LOCATION.value)}` : '';
+  const start = parseTime(event.DTSTART, timezone);
+  if (!start.instant) {
+    return { sort: '', text: `**All day** ${title}${location}` };
+  }
+  
+  const end = event.DTEND && parseTime(event.DTEND, timezone);
+  const range = end && end.instant ? `${localTime(start.instant, timezone)}–${localTime(end.instant, timezone)}` : localTime(start.instant, timezone);
+  return { sort: localTime(start.instant, timezone), text: `**${range}** ${title}${location}` };
+}
+
+module.exports = {
+  id: 'calendar',
+  title: '📅 Schedule Overview',
+  source: 'calendar',
+  defaultSource: 'calendar',
+  always: true,
+  matches: ['calendar', 'schedule', 'meeting'],
+  empty: 'No events today',
+  collect: async ({ paths, date, timezone }) => {
+    const { files, missing } = await sourceFiles(paths, ['.ics']);
+    const events = [];
+    for (const file of files) {
+      for (const event of parseEvents(await fs.readFile(file, 'utf8'))) {
+        if (event.DTSTART && (!event.STATUS || event.STATUS.value !== 'CANCELLED') && occursOn(event, date, timezone)) {
+          events.push(describeEvent(event, timezone));
+        }
+      }
+    }
+  
+    events.sort((a, b) => a.sort.localeCompare(b.sort));
+    return { items: events.map(event => event.text), missing };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,105 @@
+// Helpers the brief's collectors share: finding their source files and
+// working with calendar dates (YYYY-MM-DD) in the brief's timezone.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * The files with one of `extensions` at each source path (a file, or a
+ * folder whose matching files are read). Paths that do not exist or hold no
+ * such files are returned as `missing` messages instead of throwing.
+ */
+async function sourceFiles(paths, extensions) {
+  const files = [];
+  const missing = [];
+  
+  for (const source of paths) {
+    if (!await fs.pathExists(source)) {
+      missing.push(`${source} does not exist`);
+      continue;
+    }
+    if ((await fs.stat(source)).isFile()) {
+      files.push(source);
+      continue;
+    }
+    const found = (await fs.readdir(source))
+      .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+      .sort()
+      .map(name => path.join(source, name));
+    if (!found.length) {
+      missing.push(`No ${extensions.join('/')} files in ${source}`);
+    }
+    files.push(...found);
+  }
+  return { files, missing };
+}
+
+// ~/notes -> /home/me/notes; relative paths are resolved against `base`
+function resolveSourcePath(source, base) {
+  const expanded = String(source).replace(/^~(?=$|[\\/])/, os.homedir());
+  return path.resolve(base, expanded);
+}
+
+// The calendar date of an instant in a timezone, as YYYY-MM-DD
+function localDate(instant, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(instant);
+}
+
+// The wall-clock time of an instant in a timezone, as HH:MM
+function localTime(instant, timezone) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .format(instant);
+}
+
+// How far a timezone is ahead of UTC at an instant, in milliseconds
+function timezoneOffset(instant, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(part => [part.type, Number(part.value)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant a wall-clock time in a timezone refers to
+function zonedTime(year, month, day, hour, minute, second, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const first = guess - timezoneOffset(guess, timezone);
+  // Around a DST change the offset at the result can differ from the guess's
+  return new Date(guess - timezoneOffset(first, timezone));
+}
+
+// Days from one YYYY-MM-DD date to another (negative when `to` is earlier)
+function daysBetween(from, to) {
+  const utc = date => Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10)));
+  return Math.round((utc(to) - utc(from)) / 86400000);
+}
+
+// A YYYY-MM-DD date moved by some days
+function addDays(date, days) {
+  const moved = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)) - 1, Number(date.slice(8, 10)) + days));
+  return moved.toISOString().slice(0, 10);
+}
+
+// 0 for Sunday to 6 for Saturday
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+module.exports = {
+  sourceFiles,
+  resolveSourcePath,
+  localDate,
+  localTime,
+  zonedTime,
+  daysBetween,
+  addDays,
+  weekday
+};
\ No newline at end of file
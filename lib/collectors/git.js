@@ -0,0 +1,80 @@
+// Git: activity in local repositories since the start of the previous day,
+// plus the current branch and uncommitted changes. Runs `git` directly
+// with a timeout; nothing is fetched.
+
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { addDays, zonedTime } = require('./common');
+
+const GIT_TIMEOUT_MS = 10000;
+const MAX_COMMITS = 5;
+
+function git(repo, args) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', repo, ...args], { timeout: GIT_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(String(stdout));
+    });
+  });
+}
+
+// Midnight at the start of a YYYY-MM-DD date in a timezone
+function startOf(date, timezone) {
+  const [year, month, day] = date.split('-').map(Number);
+  return zonedTime(year, month, day, 0, 0, 0, timezone);
+}
+
+async function repoActivity(repo, { date, timezone }) {
+  const since = startOf(addDays(date, -1), timezone).toISOString();
+  const until = startOf(addDays(date, 1), timezone).toISOString();
+  const [branch, log, status] = await Promise.all([
+    git(repo, ['rev-parse', '--abbrev-ref', 'HEAD']).catch(() => 'no commits yet'),
+    git(repo, ['log', `--since=${since}`, `--until=${until}`, '--pretty=format:%h%x09%an%x09%s']).catch(() => ''),
+    git(repo, ['status', '--porcelain'])
+  ]);
+  
+  const commits = log.split('\n').filter(Boolean).map(line => line.split('\t'));
+  const changed = status.split('\n').filter(Boolean).length;
+  const summary = [
+    `${commits.length} ${commits.length === 1 ? 'commit' : 'commits'} since yesterday`,
+    ...(changed ? [`${changed} uncommitted ${changed === 1 ? 'change' : 'changes'}`] : [])
+  ];
+  const shown = commits.slice(0, MAX_COMMITS).map(([hash, author, subject]) => `\n  - \`${hash}\` ${subject} (${author})`);
+  const more = commits.length > MAX_COMMITS ? [`\n  - …and ${commits.length - MAX_COMMITS} more`] : [];
+  return `**${path.basename(repo)}** on ${branch.trim()}: ${summary.join(', ')}${shown.join('')}${more.join('')}`;
+}
+
+module.exports = {
+  id: 'git',
+  title: '💻 Code Activity',
+  source: 'repos',
+  defaultSource: [],
+  matches: ['pr_', 'pull request', 'github', 'ci_cd', 'commit', 'code', 'repo'],
+  empty: 'No repositories to report on',
+  collect: async ({ paths, date, timezone }) => {
+    if (!paths.length) {
+      return { items: [], missing: ['No git repositories configured'] };
+    }
+  
+    const items = [];
+    const missing = [];
+    for (const repo of paths) {
+      if (!await fs.pathExists(repo)) {
+        missing.push(`${repo} does not exist`);
+        continue;
+      }
+      try {
+        await git(repo, ['rev-parse', '--is-inside-work-tree']);
+      } catch {
+        missing.push(`${repo} is not a git repository`);
+        continue;
+      }
+      items.push(await repoActivity(repo, { date, timezone }));
+    }
+    return { items, missing };
+  }
+};
\ No newline at end of file
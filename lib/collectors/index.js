@@ -0,0 +1,123 @@
+// Collector registry: one module per local data source `superclaw brief`
+// reads. A collector declares where its data lives and which morning brief
+// `includes` it covers, and turns the data into lines for its section:
+//
+//   module.exports = {
+//     id: 'tickets',                      // unique name
+//     title: '🎫 Open Tickets',            // the brief section it fills
+//     source: 'tickets',                  // key in the workspace's brief.yaml naming its files
+//     defaultSource: 'tickets.json',      // used when brief.yaml does not say (relative to the workspace)
+//     matches: ['ticket', 'support'],     // runs when an include contains one of these words
+//     always: false,                      // optional, run whatever the role includes
+//     empty: 'No open tickets',           // optional, shown when it finds nothing
+//     collect: async ({ paths, date, timezone, workspacePath }) => ({ items: [...], missing: [...] })
+//   };
+//
+// `paths` are the configured sources, resolved to absolute paths. `items`
+// are Markdown lines; `missing` explains sources that are not there, which
+// the brief reports instead of failing.
+//
+// Third-party collectors are .js files (or directories with an index.js)
+// in ~/.superclaw/collectors, and shadow built-ins with the same id. Like
+// integration plugins, they are never loaded from the project directory.
+
+const path = require('path');
+const fs = require('fs-extra');
+const { superclawHome } = require('../registry');
+
+const BUILTIN_COLLECTORS = [
+  require('./calendar'),
+  require('./git'),
+  require('./todo'),
+  require('./metrics')
+].map(collector => ({ ...collector, origin: 'builtin' }));
+
+function pluginDirs(options = {}) {
+  return [
+    { origin: 'user', dir: path.join(options.home || superclawHome(), 'collectors') }
+  ];
+}
+
+// Problems with a collector module, as messages
+function checkCollector(collector) {
+  if (!collector || typeof collector !== 'object') {
+    return ['must export an object'];
+  }
+  
+  const errors = [];
+  for (const field of ['id', 'title', 'source']) {
+    if (typeof collector[field] !== 'string' || !collector[field]) {
+      errors.push(`${field}: must be a non-empty string`);
+    }
+  }
+  if (!Array.isArray(collector.matches) || !collector.matches.every(word => typeof word === 'string')) {
+    errors.push('matches: must be a list of strings');
+  }
+  if (typeof collector.collect !== 'function') {
+    errors.push('collect: must be an async function returning { items, missing }');
+  }
+  return errors;
+}
+
+function loadPlugin(file, origin) {
+  let collector;
+  try {
+    collector = require(file);
+  } catch (error) {
+    throw new Error(`Cannot load collector plugin ${file}: ${error.message}`);
+  }
+  
+  const errors = checkCollector(collector);
+  if (errors.length) {
+    throw new Error(`Invalid collector plugin ${file}: ${errors.join('; ')}`);
+  }
+  return { ...collector, origin, path: file };
+}
+
+async function scanPlugins(origin, dir) {
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+  
+  const plugins = [];
+  for (const entry of (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+    const file = path.join(dir, entry.name);
+    if (entry.isFile() && entry.name.endsWith('.js')) {
+      plugins.push(loadPlugin(file, origin));
+    } else if (entry.isDirectory() && await fs.pathExists(path.join(file, 'index.js'))) {
+      plugins.push(loadPlugin(path.join(file, 'index.js'), origin));
+    }
+  }
+  return plugins;
+}
+
+/**
+ * Every available collector: the built-in ones, then plugins from the user
+ * directory. A plugin replaces a collector with the same id.
+ */
+async function loadCollectors(options = {}) {
+  const byId = new Map(BUILTIN_COLLECTORS.map(collector => [collector.id, collector]));
+  
+  for (const { origin, dir } of pluginDirs(options)) {
+    for (const plugin of await scanPlugins(origin, dir)) {
+      byId.set(plugin.id, plugin);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * The collectors a morning brief's includes call for, each with the
+ * includes it covers, and the includes no collector covers.
+ */
+function selectCollectors(includes, collectors) {
+  const covers = (collector, include) => collector.matches.some(word => include.toLowerCase().includes(word.toLowerCase()));
+  
+  const selected = collectors
+    .map(collector => ({ collector, includes: includes.filter(include => covers(collector, include)) }))
+    .filter(entry => entry.collector.always || entry.includes.length);
+  const uncovered = includes.filter(include => !collectors.some(collector => covers(collector, include)));
+  return { selected, uncovered };
+}
+
+module.exports = { BUILTIN_COLLECTORS, checkCollector, loadCollectors, selectCollectors };
\ No newline at end of file
@@ -0,0 +1,109 @@
+// Metrics: the latest row of CSV exports, compared with the row before.
+// The first row holds the column names; a `date` (or day/week/month/period)
+// column orders the rows, otherwise file order is used. Rows dated after
+// the brief are ignored. Each numeric column is reported with its change.
+
+const path = require('path');
+const fs = require('fs-extra');
+const { sourceFiles } = require('./common');
+
+const DATE_COLUMNS = ['date', 'day', 'week', 'month', 'period'];
+
+// RFC 4180 fields: commas and quotes inside "quoted" fields, "" for a quote
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// 12,400 / $1,200.50 / 3.5% -> numbers; anything else is not a metric
+function toNumber(value) {
+  const cleaned = String(value).trim().replace(/^[$€£]/, '').replace(/,/g, '').replace(/%$/, '');
+  return cleaned !== '' && Number.isFinite(Number(cleaned)) ? Number(cleaned) : null;
+}
+
+function formatChange(current, previous) {
+  if (previous === null || previous === 0) {
+    return '';
+  }
+  const change = ((current - previous) / Math.abs(previous)) * 100;
+  return ` (${change >= 0 ? '+' : '−'}${Math.abs(change).toFixed(1)}%)`;
+}
+
+function summarise(file, text, date) {
+  const [header, ...rows] = parseCsv(text);
+  const name = path.basename(file);
+  if (!header || !rows.length) {
+    return `**${name}**: no rows yet`;
+  }
+  
+  const dateColumn = header.findIndex(column => DATE_COLUMNS.includes(column.trim().toLowerCase()));
+  const ordered = dateColumn === -1 ? rows :
+    rows.filter(row => (row[dateColumn] || '').trim() <= date)
+      .sort((a, b) => a[dateColumn].trim().localeCompare(b[dateColumn].trim()));
+  if (!ordered.length) {
+    return `**${name}**: no rows up to ${date}`;
+  }
+  
+  const [latest, previous] = [ordered[ordered.length - 1], ordered[ordered.length - 2] || null];
+  const values = header.map((column, index) => ({ column: column.trim(), value: toNumber(latest[index] || '') }))
+    .filter((entry, index) => index !== dateColumn && entry.value !== null)
+    .map(entry => {
+      const before = previous ? toNumber(previous[header.findIndex(column => column.trim() === entry.column)] || '') : null;
+      return `${entry.column} ${entry.value.toLocaleString('en-US')}${formatChange(entry.value, before)}`;
+    });
+  const when = dateColumn === -1 ? '' : ` (${latest[dateColumn].trim()})`;
+  return `**${name}**${when}: ${values.length ? values.join(', ') : 'no numeric columns'}`;
+}
+
+module.exports = {
+  id: 'metrics',
+  title: '📊 Key Metrics',
+  source: 'metrics',
+  defaultSource: 'metrics',
+  matches: ['metric', 'revenue', 'growth', 'mrr', 'kpi', 'engagement', 'analytics', 'performance', 'runway', 'burn'],
+  empty: 'No metrics yet',
+  collect: async ({ paths, date }) => {
+    const { files, missing } = await sourceFiles(paths, ['.csv']);
+    const items = [];
+    for (const file of files) {
+      items.push(summarise(file, await fs.readFile(file, 'utf8'), date));
+    }
+    return { items, missing };
+  }
+};
\ No newline at end of file
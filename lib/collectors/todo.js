@@ -0,0 +1,64 @@
+// Todo: open items from a Markdown or plain-text list, such as
+//   - [ ] Essay draft (due 2026-10-21)
+//   - Problem set 3 2026-10-19
+// Items ticked off ([x]) are skipped. The first YYYY-MM-DD on a line is its
+// due date; overdue items and those due within a week come first.
+
+const fs = require('fs-extra');
+const { sourceFiles, daysBetween, weekday } = require('./common');
+
+const DUE_WITHIN_DAYS = 7;
+const MAX_UNDATED = 5;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ITEM = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.+)$/;
+const DUE = /\(?\b(?:due:?\s*)?(\d{4}-\d{2}-\d{2})\b\)?/i;
+
+function parseTodos(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.match(ITEM))
+    .filter(match => match && (match[1] || ' ') === ' ')
+    .map(match => {
+      const due = match[2].match(DUE);
+      return {
+        text: (due ? match[2].replace(due[0], '') : match[2]).replace(/\s{2,}/g, ' ').trim(),
+        due: due ? due[1] : null
+      };
+    });
+}
+
+function describeDue(todo, date) {
+  const days = daysBetween(date, todo.due);
+  if (days < 0) {
+    return `⚠️ **Overdue** since ${todo.due} (${-days} ${days === -1 ? 'day' : 'days'}): ${todo.text}`;
+  }
+  if (days === 0) {
+    return `📌 **Due today**: ${todo.text}`;
+  }
+  return `🗓 **Due ${DAY_NAMES[weekday(todo.due)]} ${todo.due}** (in ${days} ${days === 1 ? 'day' : 'days'}): ${todo.text}`;
+}
+
+module.exports = {
+  id: 'todo',
+  title: '✅ Deadlines & Tasks',
+  source: 'todo',
+  defaultSource: 'todo.md',
+  matches: ['deadline', 'assignment', 'todo', 'task', 'homework', 'exam'],
+  empty: 'Nothing due this week',
+  collect: async ({ paths, date }) => {
+    const { files, missing } = await sourceFiles(paths, ['.md', '.txt']);
+    const todos = [];
+    for (const file of files) {
+      todos.push(...parseTodos(await fs.readFile(file, 'utf8')));
+    }
+  
+    const dated = todos.filter(todo => todo.due && daysBetween(date, todo.due) <= DUE_WITHIN_DAYS)
+      .sort((a, b) => a.due.localeCompare(b.due));
+    const undated = todos.filter(todo => !todo.due);
+    const items = [
+      ...dated.map(todo => describeDue(todo, date)),
+      ...undated.slice(0, MAX_UNDATED).map(todo => `Open: ${todo.text}`),
+      ...(undated.length > MAX_UNDATED ? [`…and ${undated.length - MAX_UNDATED} more open items`] : [])
+    ];
+    return { items, missing };
+  }
+};
\ No newline at end of file
@@ -0,0 +1,201 @@
+// Template inheritance (`extends:`) and multi-role composition.
+//
+// Inheritance merge rules, child over parent:
+// - maps (automations, skill entries, extra data) are deep-merged and a
+//   `null` value removes the inherited key
+// - skills given as lists are unioned; mixing a list with `entries` keeps entries
+// - workflows are appended, a child workflow with the same name replaces the parent's
+// - files are appended too, a child file with the same path replaces the parent's
+// - items the child removes also drop out of the inherited goal_map
+// - other values (lists, strings) replace the parent's
+
+const { forgetRemovedItems } = require('./goals');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isDeepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => isDeepEqual(item, b[index]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isDeepEqual(a[key], b[key]));
+  }
+  return false;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepMerge(base, override) {
+  const result = clone(base) || {};
+  
+  for (const [key, value] of Object.entries(override)) {
+    if (value === null) {
+      delete result[key];
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else {
+      result[key] = clone(value);
+    }
+  }
+  
+  return result;
+}
+
+function skillEntries(skills) {
+  if (!Array.isArray(skills)) {
+    return skills.entries;
+  }
+  return Object.fromEntries(skills.map(skill => [skill, { enabled: true }]));
+}
+
+function mergeSkills(base, override) {
+  if (base === undefined) {
+    return clone(override);
+  }
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return [...new Set([...base, ...override])];
+  }
+  return { entries: deepMerge(skillEntries(base), skillEntries(override)) };
+}
+
+// Append items, replacing those whose key (workflow name, file path) matches
+function appendNamed(base, override, key) {
+  const items = clone(base);
+  
+  for (const item of override) {
+    const index = items.findIndex(entry => entry[key] === item[key]);
+    if (index === -1) {
+      items.push(clone(item));
+    } else {
+      items[index] = clone(item);
+    }
+  }
+  
+  return items;
+}
+
+// Apply a child template (which declared `extends:`) on top of its parent
+function extendTemplate(parent, child) {
+  const { extends: _parent, skills, workflows, files, ...rest } = child;
+  const merged = deepMerge(parent, rest);
+  
+  if (skills !== undefined) {
+    merged.skills = mergeSkills(parent.skills, skills);
+  }
+  if (workflows !== undefined) {
+    merged.workflows = appendNamed(parent.workflows || [], workflows, 'name');
+  }
+  if (files !== undefined) {
+    merged.files = appendNamed(parent.files || [], files, 'path');
+  }
+  if (merged.goal_map && typeof merged.goal_map === 'object') {
+    merged.goal_map = forgetRemovedItems(parent, merged);
+  }
+  
+  return merged;
+}
+
+/**
+ * Collect same-named items from several roles. Identical definitions are
+ * de-duplicated; differing ones are a conflict that needs a resolution:
+ * a role name (use that role's version) or, where allowed, `both` (keep
+ * each, renamed per role).
+ */
+function combineNamed(kind, items, resolutions, { allowBoth, rename }) {
+  const byName = new Map();
+  for (const item of items) {
+    if (!byName.has(item.name)) {
+      byName.set(item.name, []);
+    }
+    byName.get(item.name).push(item);
+  }
+  
+  const combined = [];
+  const conflicts = [];
+  
+  for (const [name, defined] of byName) {
+    const distinct = defined.filter((item, index) => defined.findIndex(other => isDeepEqual(other.value, item.value)) === index);
+    if (distinct.length === 1) {
+      combined.push({ name, value: distinct[0].value });
+      continue;
+    }
+    
+    const id = `${kind}.${name}`;
+    const roles = distinct.map(item => item.role);
+    const options = allowBoth ? [...roles, 'both'] : roles;
+    const choice = resolutions[id] !== undefined ? resolutions[id] : resolutions[name];
+    
+    if (choice === undefined) {
+      conflicts.push({ id, roles, options });
+    } else if (!options.includes(choice)) {
+      throw new Error(`Invalid resolution "${choice}" for ${id}. Expected one of: ${options.join(', ')}`);
+    } else if (choice === 'both') {
+      distinct.forEach(item => combined.push({ name: rename(name, item.role), value: item.value }));
+    } else {
+      combined.push({ name, value: distinct.find(item => item.role === choice).value });
+    }
+  }
+  
+  return { combined, conflicts };
+}
+
+/**
+ * Compose the templates of several roles into one. The first role is the
+ * primary: for extra data (persona, goals, ...) its values win when roles
+ * disagree. Skills, automations, workflows and files that differ between roles
+ * are returned as conflicts unless `resolutions` (id or name -> choice)
+ * settles them.
+ */
+function composeTemplates(entries, resolutions = {}) {
+  if (entries.length === 1) {
+    return { template: entries[0].template, conflicts: [] };
+  }
+  
+  const anyEntries = entries.some(({ template }) => !Array.isArray(template.skills));
+  const skills = combineNamed('skills', entries.flatMap(({ role, template }) =>
+    (anyEntries ?
+      Object.entries(skillEntries(template.skills)).map(([name, value]) => ({ role, name, value })) :
+      template.skills.map(name => ({ role, name, value: true })))
+  ), resolutions, { allowBoth: false });
+  
+  const automations = combineNamed('automations', entries.flatMap(({ role, template }) =>
+    Object.entries(template.automations).map(([name, value]) => ({ role, name, value }))
+  ), resolutions, { allowBoth: true, rename: (name, role) => `${name}_${role}` });
+  
+  const workflows = combineNamed('workflows', entries.flatMap(({ role, template }) =>
+    (template.workflows || []).map(value => ({ role, name: value.name, value }))
+  ), resolutions, { allowBoth: true, rename: (name, role) => `${name} (${role})` });
+  
+  const files = combineNamed('files', entries.flatMap(({ role, template }) =>
+    (template.files || []).map(value => ({ role, name: value.path, value }))
+  ), resolutions, { allowBoth: false });
+  
+  // Extra data: later roles only fill in what earlier ones left out
+  const template = entries.slice().reverse().reduce((merged, { template: next }) => deepMerge(merged, next), {});
+  
+  template.name = entries.map(({ template: next }) => next.name).join(' + ');
+  template.description = entries.map(({ template: next }) => next.description).join('; ');
+  template.skills = anyEntries ?
+    { entries: Object.fromEntries(skills.combined.map(({ name, value }) => [name, value])) } :
+    skills.combined.map(({ name }) => name);
+  template.automations = Object.fromEntries(automations.combined.map(({ name, value }) => [name, value]));
+  template.workflows = workflows.combined.map(({ name, value }) => ({ ...value, name }));
+  if (files.combined.length) {
+    template.files = files.combined.map(({ value }) => value);
+  }
+  
+  return {
+    template,
+    conflicts: [...skills.conflicts, ...automations.conflicts, ...workflows.conflicts, ...files.conflicts]
+  };
+}
+
+module.exports = { extendTemplate, composeTemplates, deepMerge, isDeepEqual };
\ No newline at end of file
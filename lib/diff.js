@@ -0,0 +1,91 @@
+// Line-based diffing for workspace previews (no external diff dependency).
+
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+// Longest-common-subsequence edit script between two line arrays.
+// Workspace files are small, so the O(n*m) table is fine.
+function diffLines(oldLines, newLines) {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = oldLines[i] === newLines[j] ?
+        table[i + 1][j + 1] + 1 :
+        Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: ' ', line: oldLines[i], oldIndex: i++, newIndex: j++ });
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+    } else {
+      ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+    }
+  }
+  while (i < n) {
+    ops.push({ type: '-', line: oldLines[i], oldIndex: i++, newIndex: j });
+  }
+  while (j < m) {
+    ops.push({ type: '+', line: newLines[j], oldIndex: i, newIndex: j++ });
+  }
+  
+  return ops;
+}
+
+/**
+ * Unified diff between two texts, or '' when they are identical.
+ */
+function unifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index !== -1);
+  if (!changed.length) {
+    return '';
+  }
+  
+  // Group changes whose context windows touch into hunks
+  const hunks = [];
+  for (const index of changed) {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  }
+  
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (const { start, end } of hunks) {
+    const slice = ops.slice(start, end + 1);
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    const oldStart = oldCount ? slice[0].oldIndex + 1 : slice[0].oldIndex;
+    const newStart = newCount ? slice[0].newIndex + 1 : slice[0].newIndex;
+    
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach(op => output.push(`${op.type}${op.line}`));
+  }
+  
+  return output.join('\n') + '\n';
+}
+
+module.exports = { diffLines, splitLines, unifiedDiff };
@@ -0,0 +1,217 @@
+// `superclaw doctor`: checks that this machine and the workspace are ready
+// for OpenClaw. Each check returns { status: 'pass' | 'warn' | 'fail',
+// message, fix } and the report fails when any check fails.
+//
+// The OpenClaw probe is injectable: `openclawBin` points at the binary to
+// run (a fake one in tests) and `probe` replaces the lookup altogether.
+// The probe only runs `<binary> --version` with a timeout, never npx.
+
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { readOpenClawConfig, openclawConfigPath } = require('./openclaw');
+const { listRuns } = require('./manifest');
+const { describeTemplates, checkTemplateFile } = require('./templates');
+
+const MIN_NODE_MAJOR = 16;
+const PROBE_TIMEOUT_MS = 5000;
+const WORKSPACE_FILES = ['AGENTS.md', 'HEARTBEAT.md'];
+const SKILLS_SNIPPET = 'openclaw-skills-config.json';
+
+function pass(message) {
+  return { status: 'pass', message, fix: null };
+}
+
+function warn(message, fix) {
+  return { status: 'warn', message, fix };
+}
+
+function fail(message, fix) {
+  return { status: 'fail', message, fix };
+}
+
+// The first `openclaw` on PATH, without spawning a shell
+async function findOnPath(name, env = process.env) {
+  const extensions = process.platform === 'win32' ? (env.PATHEXT || '.EXE;.CMD').split(';') : [''];
+  for (const dir of (env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const extension of extensions) {
+      const candidate = path.join(dir, name + extension);
+      try {
+        await fs.access(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch {
+        // Not here
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the OpenClaw binary and read its version: { found, path, version,
+ * error }. `bin` skips the PATH lookup.
+ */
+async function probeOpenClaw({ bin = null, timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+  const binary = bin || await findOnPath('openclaw');
+  if (!binary) {
+    return { found: false, path: null, version: null, error: null };
+  }
+  
+  return new Promise(resolve => {
+    execFile(binary, ['--version'], { timeout: timeoutMs }, (error, stdout) => {
+      if (error) {
+        const reason = error.killed ? `timed out after ${timeoutMs}ms` : error.code === 'ENOENT' ? 'not found' : error.message.split('\n')[0];
+        resolve({ found: error.code !== 'ENOENT', path: binary, version: null, error: reason });
+        return;
+      }
+      const match = String(stdout).match(/\d+\.\d+(\.\d+)?([-.\w]*)?/);
+      resolve({ found: true, path: binary, version: match ? match[0] : null, error: null });
+    });
+  });
+}
+
+function checkNode({ nodeVersion = process.version }) {
+  const major = Number(nodeVersion.replace(/^v/, '').split('.')[0]);
+  if (!(major >= MIN_NODE_MAJOR)) {
+    return fail(`Node.js ${nodeVersion} is too old: ${MIN_NODE_MAJOR}+ is required`, `Install Node.js ${MIN_NODE_MAJOR} or later (https://nodejs.org)`);
+  }
+  return pass(`Node.js ${nodeVersion}`);
+}
+
+async function checkOpenClaw(context) {
+  const probe = await context.probe();
+  if (!probe.found) {
+    return fail('OpenClaw is not installed (no `openclaw` on PATH)', 'npm install -g openclaw@latest');
+  }
+  if (probe.error) {
+    return fail(`${probe.path} --version failed: ${probe.error}`, 'Reinstall OpenClaw: npm install -g openclaw@latest');
+  }
+  if (!probe.version) {
+    return warn(`OpenClaw at ${probe.path} did not report a version`, 'Update OpenClaw: npm install -g openclaw@latest');
+  }
+  return pass(`OpenClaw ${probe.version} (${probe.path})`);
+}
+
+async function checkWorkspace({ workspacePath }) {
+  if (!await fs.pathExists(workspacePath)) {
+    return fail(`Workspace ${workspacePath} does not exist`, 'Run `superclaw wizard` to create it');
+  }
+  if (!(await fs.stat(workspacePath)).isDirectory()) {
+    return fail(`Workspace ${workspacePath} is not a directory`, 'Move the file away and run `superclaw wizard`');
+  }
+  try {
+    await fs.access(workspacePath, fs.constants.W_OK);
+  } catch {
+    return fail(`Workspace ${workspacePath} is not writable`, `Fix its permissions: chmod u+w ${workspacePath}`);
+  }
+  return pass(`Workspace ${workspacePath} is writable`);
+}
+
+async function checkWorkspaceFiles({ workspacePath }) {
+  const missing = [];
+  for (const file of WORKSPACE_FILES) {
+    if (!await fs.pathExists(path.join(workspacePath, file))) {
+      missing.push(file);
+    }
+  }
+  if (missing.length) {
+    return fail(`Missing ${missing.join(' and ')} in ${workspacePath}`, 'Run `superclaw wizard` to generate them');
+  }
+  return pass(`${WORKSPACE_FILES.join(' and ')} present`);
+}
+
+async function checkOpenClawConfig(context) {
+  const configPath = openclawConfigPath(context);
+  try {
+    const { content } = await readOpenClawConfig(configPath);
+    if (content === null) {
+      return warn(`No OpenClaw config at ${configPath}`, 'Run `openclaw onboard`, or `superclaw wizard --apply` to create it with your skills');
+    }
+  } catch (error) {
+    return fail(error.message, `Fix the syntax in ${configPath}, or restore it with \`superclaw skills revert\``);
+  }
+  return pass(`OpenClaw config ${configPath} parses`);
+}
+
+// The skills the workspace's role needs, from the snippet the wizard wrote
+async function checkSkills(context) {
+  const snippetPath = path.join(context.workspacePath, SKILLS_SNIPPET);
+  if (!await fs.pathExists(snippetPath)) {
+    return warn(`No ${SKILLS_SNIPPET} in the workspace, so the role's skills are unknown`, 'Run `superclaw wizard` to generate it');
+  }
+  
+  let wanted;
+  let config;
+  try {
+    wanted = Object.keys((await fs.readJson(snippetPath)).skills.entries);
+    ({ config } = await readOpenClawConfig(openclawConfigPath(context)));
+  } catch (error) {
+    return fail(`Cannot compare skills: ${error.message}`, 'Re-run `superclaw wizard` to regenerate the skills config');
+  }
+  
+  const entries = (config.skills && config.skills.entries) || {};
+  const disabled = wanted.filter(skill => !entries[skill] || entries[skill].enabled === false);
+  if (disabled.length) {
+    return fail(`Skills not enabled in the OpenClaw config: ${disabled.join(', ')}`, 'Run `superclaw wizard --apply` to enable them');
+  }
+  return pass(`All ${wanted.length} role skills enabled (${wanted.join(', ')})`);
+}
+
+// User and project templates, plus the roles and template path of the latest wizard run
+async function checkTemplates(context) {
+  const [latest] = await listRuns(context.workspacePath);
+  const roles = latest ? latest.answers.roles || [latest.answers.role] : [];
+  
+  const templates = (await describeTemplates({ home: context.home, cwd: context.cwd }))
+    .filter(entry => entry.source !== 'builtin' || roles.includes(entry.role));
+  const checks = templates.map(entry => ({ label: entry.role, path: entry.path, errors: entry.errors }));
+  if (latest && latest.template.path) {
+    const check = await checkTemplateFile(latest.template.path).catch(error => ({ errors: [{ message: error.message }] }));
+    checks.push({ label: latest.template.path, path: latest.template.path, errors: check.errors });
+  }
+  
+  const invalid = checks.filter(entry => entry.errors.length);
+  if (invalid.length) {
+    return fail(`Invalid templates: ${invalid.map(entry => `${entry.label} (${entry.errors.length} problems)`).join(', ')}`,
+      invalid.map(entry => `superclaw template validate ${entry.path}`).join('; '));
+  }
+  return pass(checks.length ? `${checks.length} templates valid` : 'No custom templates to check');
+}
+
+const CHECKS = [
+  { id: 'node', title: 'Node.js version', run: checkNode },
+  { id: 'openclaw', title: 'OpenClaw binary', run: checkOpenClaw },
+  { id: 'workspace', title: 'Workspace', run: checkWorkspace },
+  { id: 'workspace-files', title: 'AGENTS.md and HEARTBEAT.md', run: checkWorkspaceFiles },
+  { id: 'openclaw-config', title: 'OpenClaw config', run: checkOpenClawConfig },
+  { id: 'skills', title: 'Role skills', run: checkSkills },
+  { id: 'templates', title: 'Templates', run: checkTemplates }
+];
+
+/**
+ * Run every check. Options: workspacePath, configPath, home, cwd,
+ * openclawBin or probe, nodeVersion. Returns { ok, checks, summary }.
+ */
+async function runDoctor(options = {}) {
+  const context = {
+    ...options,
+    probe: options.probe || (() => probeOpenClaw({ bin: options.openclawBin }))
+  };
+  
+  const checks = [];
+  for (const check of CHECKS) {
+    let result;
+    try {
+      result = await check.run(context);
+    } catch (error) {
+      result = fail(`Check crashed: ${error.message}`, 'Report this with the output of `superclaw doctor --json`');
+    }
+    checks.push({ id: check.id, title: check.title, ...result });
+  }
+  
+  const summary = { pass: 0, warn: 0, fail: 0 };
+  checks.forEach(check => summary[check.status]++);
+  return { ok: summary.fail === 0, checks, summary };
+}
+
+module.exports = { CHECKS, MIN_NODE_MAJOR, probeOpenClaw, checkNode, checkOpenClaw, runDoctor };
\ No newline at end of file
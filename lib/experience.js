@@ -0,0 +1,70 @@
+// Experience levels: the wizard's experience answer shapes the workspace.
+//
+// - beginner: only the few highest-priority automations, confirm-before-act
+//   guardrails in AGENTS.md and an onboarding guide with a staged rollout
+// - intermediate: the template as it is
+// - advanced: every automation, skill and workflow whatever the chosen
+//   goals, the raw workflow definitions in workflows/ and customization
+//   hooks
+//
+// Templates can declare per-level overrides, merged like `extends:` (a null
+// value removes an automation or skill for that level):
+//
+//   experience:
+//     beginner:
+//       automations:
+//         competitive_intelligence: null
+//         morning_metrics_brief:
+//           includes: ['Revenue and runway only']
+
+const { extendTemplate } = require('./compose');
+
+const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const BEGINNER_AUTOMATIONS = 3;
+// Levels whose workspaces are not pruned to the chosen goals
+const COMPLETE_LEVELS = ['advanced'];
+
+// One role's template with its overrides for the level applied
+function withExperience(template, level) {
+  const { experience: levels, ...rest } = template;
+  const overrides = levels && levels[level];
+  return overrides ? extendTemplate(rest, overrides) : rest;
+}
+
+// The level, when its workspaces keep the items no chosen goal names
+function goalKeepLevel(level) {
+  return COMPLETE_LEVELS.includes(level) ? level : null;
+}
+
+function priorityRank(automation) {
+  const rank = PRIORITIES.indexOf(String(automation.priority || 'medium').toLowerCase());
+  return rank === -1 ? PRIORITIES.indexOf('medium') : rank;
+}
+
+/**
+ * Trim the composed template for the level: beginners keep the
+ * BEGINNER_AUTOMATIONS highest-priority automations (in template order
+ * among equals). The inclusion records of the others are marked as
+ * skipped for the level.
+ */
+function limitForExperience(template, inclusions, level) {
+  const names = Object.keys(template.automations || {});
+  if (level !== 'beginner' || names.length <= BEGINNER_AUTOMATIONS) {
+    return { template, inclusions };
+  }
+  
+  const kept = new Set(names
+    .map((name, index) => ({ name, index, rank: priorityRank(template.automations[name]) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .slice(0, BEGINNER_AUTOMATIONS)
+    .map(entry => entry.name));
+  
+  const automations = Object.fromEntries(Object.entries(template.automations).filter(([name]) => kept.has(name)));
+  const deferred = inclusions.map(entry => (entry.kind === 'automation' && entry.included && !kept.has(entry.name) ?
+    { ...entry, included: false, experience: level } :
+    entry));
+  return { template: { ...template, automations }, inclusions: deferred };
+}
+
+module.exports = { EXPERIENCE_LEVELS, BEGINNER_AUTOMATIONS, withExperience, goalKeepLevel, limitForExperience };
\ No newline at end of file
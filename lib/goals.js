@@ -0,0 +1,122 @@
+// Goal-driven templates. A template's `goal_map` ties the goals offered by
+// the wizard's goals question to the automations, skills and workflows that
+// serve them:
+//
+//   goal_map:
+//     investors:
+//       label: Generate investor updates     # optional, shown in the goals question
+//       checked: false                       # optional, pre-selected in the question
+//       automations: [investor_update_automation]
+//       skills: [notion]
+//       workflows: [Investor Update Generation]
+//
+// An item that goals name is only configured when one of those goals is
+// chosen; items no goal names are always configured.
+
+const KINDS = { automations: 'automation', skills: 'skill', workflows: 'workflow' };
+
+function itemNames(template, kind) {
+  if (kind === 'automations') {
+    return Object.keys(template.automations || {});
+  }
+  if (kind === 'skills') {
+    if (!template.skills) {
+      return [];
+    }
+    return Array.isArray(template.skills) ? template.skills : Object.keys(template.skills.entries || {});
+  }
+  return (template.workflows || []).map(workflow => workflow.name);
+}
+
+function keepItems(template, kind, keep) {
+  if (kind === 'automations') {
+    return Object.fromEntries(Object.entries(template.automations).filter(([name]) => keep.has(name)));
+  }
+  if (kind === 'skills') {
+    return Array.isArray(template.skills) ?
+      template.skills.filter(name => keep.has(name)) :
+      { ...template.skills, entries: Object.fromEntries(Object.entries(template.skills.entries).filter(([name]) => keep.has(name))) };
+  }
+  return template.workflows.filter(workflow => keep.has(workflow.name));
+}
+
+/**
+ * Prune one role's template to the chosen goals. Returns the pruned
+ * template and an inclusion record per automation, skill and workflow:
+ * { kind, name, role, included, goals (that name it), chosen (of those) }.
+ * With keepLevel (an experience level that gets every item), nothing is
+ * pruned and the records of items no chosen goal names carry the level.
+ */
+function applyGoals(template, goals = [], role = null, { keepLevel = null } = {}) {
+  const goalMap = template.goal_map || {};
+  const pruned = { ...template };
+  const inclusions = [];
+  
+  for (const [kind, label] of Object.entries(KINDS)) {
+    if (kind === 'workflows' && !template.workflows) {
+      continue;
+    }
+  
+    const keep = new Set();
+    for (const name of itemNames(template, kind)) {
+      const servedBy = Object.keys(goalMap).filter(goal => (goalMap[goal][kind] || []).includes(name));
+      const chosen = servedBy.filter(goal => goals.includes(goal));
+      const served = !servedBy.length || chosen.length > 0;
+      const included = served || Boolean(keepLevel);
+  
+      inclusions.push({ kind: label, name, role, included, goals: servedBy, chosen, ...(served ? {} : { experience: keepLevel }) });
+      if (included) {
+        keep.add(name);
+      }
+    }
+    pruned[kind] = keepItems(template, kind, keep);
+  }
+  
+  return { template: pruned, inclusions };
+}
+
+/**
+ * Drop the items an extending template removed from the goal_map it
+ * inherited, so `oss_contribution_tracker: null` also leaves its goal.
+ */
+function forgetRemovedItems(parent, merged) {
+  const goalMap = {};
+  for (const [goal, mapping] of Object.entries(merged.goal_map)) {
+    if (!mapping || typeof mapping !== 'object') {
+      goalMap[goal] = mapping;
+      continue;
+    }
+    goalMap[goal] = { ...mapping };
+    for (const kind of Object.keys(KINDS)) {
+      if (!Array.isArray(mapping[kind])) {
+        continue;
+      }
+      const remaining = new Set(itemNames(merged, kind));
+      const inherited = new Set(itemNames(parent, kind));
+      goalMap[goal][kind] = mapping[kind].filter(name => remaining.has(name) || !inherited.has(name));
+    }
+  }
+  return goalMap;
+}
+
+// Why an item was (or was not) configured, for dry runs
+function describeInclusion(inclusion) {
+  if (!inclusion.included && inclusion.experience) {
+    return `skipped: ${inclusion.experience} workspaces start with only the highest-priority automations`;
+  }
+  if (!inclusion.included) {
+    return `skipped: only for goal ${inclusion.goals.join(' or ')}`;
+  }
+  if (inclusion.experience) {
+    return `${inclusion.experience} workspaces get every item (goal ${inclusion.goals.join(' or ')} not chosen)`;
+  }
+  if (inclusion.tools && inclusion.tools.length) {
+    return `required by tool ${inclusion.tools.join(', ')}`;
+  }
+  if (!inclusion.goals.length) {
+    return 'always included (not tied to a goal)';
+  }
+  return `for goal ${inclusion.chosen.join(', ')}`;
+}
+
+module.exports = { applyGoals, forgetRemovedItems, describeInclusion };
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Web and product analytics for metrics briefs and performance reports
+module.exports = {
+  tool: 'analytics',
+  label: '📊 Analytics (Google Analytics)',
+  providers: ['google_analytics', 'plausible', 'mixpanel'],
+  features: ['traffic', 'conversions', 'trend_alerts'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
@@ -0,0 +1,21 @@
+// Calendar: meetings, availability and prep notes
+module.exports = {
+  tool: 'calendar',
+  label: '📅 Calendar (Google/Outlook)',
+  providers: ['google', 'outlook'],
+  features: ['scheduling', 'meeting_prep', 'availability'],
+  skills: [],
+  questions: [
+    {
+      type: 'list',
+      name: 'provider',
+      message: '📅 Which calendar do you use?',
+      choices: [
+        { name: 'Google Calendar', value: 'google' },
+        { name: 'Outlook Calendar', value: 'outlook' }
+      ],
+      default: 'google'
+    }
+  ],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Career tracking: job boards, applications and networking
+module.exports = {
+  tool: 'career',
+  label: '💼 Career (LinkedIn/Job Boards)',
+  providers: ['linkedin', 'job_boards'],
+  features: ['job_alerts', 'application_tracking', 'networking'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
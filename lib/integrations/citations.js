@@ -0,0 +1,10 @@
+// Reference management for papers and theses
+module.exports = {
+  tool: 'citations',
+  label: '📖 Citation Management (Zotero)',
+  providers: ['zotero', 'mendeley'],
+  features: ['bibliography', 'citation_formatting', 'library_sync'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
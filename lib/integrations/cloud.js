@@ -0,0 +1,10 @@
+// Cloud services: costs, incidents and deployments
+module.exports = {
+  tool: 'cloud',
+  label: '☁️ Cloud Services (AWS/GCP)',
+  providers: ['aws', 'gcp', 'azure'],
+  features: ['cost_alerts', 'incident_alerts', 'deployments'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
@@ -0,0 +1,10 @@
+// Design tools for thumbnails, graphics and brand assets
+module.exports = {
+  tool: 'design',
+  label: '🎥 Content Tools (Canva/Figma)',
+  providers: ['canva', 'figma'],
+  features: ['asset_library', 'thumbnails', 'brand_kit'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
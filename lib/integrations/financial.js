@@ -0,0 +1,11 @@
+// Revenue and banking data for metrics, runway and investor updates
+module.exports = {
+  tool: 'financial',
+  key: 'finance',
+  label: '💰 Financial (Stripe/Banking)',
+  providers: ['stripe', 'bank'],
+  features: ['revenue', 'burn_rate', 'runway'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
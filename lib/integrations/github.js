@@ -0,0 +1,39 @@
+// GitHub: pull requests, issues and repository activity
+const repoList = repos => repos.join(', ');
+
+module.exports = {
+  tool: 'github',
+  label: '💻 GitHub',
+  providers: ['github'],
+  features: ['pr_reviews', 'issue_tracking', 'repo_analytics'],
+  skills: ['github'],
+  questions: [
+    {
+      type: 'input',
+      name: 'org',
+      message: '💻 Which GitHub organization or user should be watched? (blank to skip)',
+      default: ''
+    },
+    {
+      type: 'input',
+      name: 'repos',
+      message: '💻 Which repositories? (comma-separated, owner/repo or names in the organization, blank for all)',
+      multiple: true,
+      default: ''
+    }
+  ],
+  configure: ({ features, org = '', repos = [] }) => {
+    if (!org && !repos.length) {
+      return { features };
+    }
+    // Repositories can be given as `api` (in the org) or as `owner/api`
+    const qualified = repos.map(repo => (repo.includes('/') || !org ? repo : `${org}/${repo}`));
+    return { features, ...(org ? { org } : {}), repos: qualified.length ? qualified : [`${org}/*`] };
+  },
+  includes: ({ repos = [] }) => (repos.length ? {
+    morning_brief: [`Pull requests awaiting review in ${repoList(repos)}`],
+    code_review_assistant: [`Review pull requests in ${repoList(repos)}`],
+    oss_contribution_tracker: [`Contributions to ${repoList(repos)}`],
+    team_pulse_check: [`Review turnaround in ${repoList(repos)}`]
+  } : {})
+};
\ No newline at end of file
@@ -0,0 +1,22 @@
+// Email: the inbox the morning brief and scheduling automations read
+module.exports = {
+  tool: 'gmail',
+  key: 'email',
+  label: '📧 Email (Gmail/Outlook)',
+  providers: ['gmail', 'outlook'],
+  features: ['automation', 'smart_inbox', 'scheduling'],
+  skills: [],
+  questions: [
+    {
+      type: 'list',
+      name: 'provider',
+      message: '📧 Which email provider do you use?',
+      choices: [
+        { name: 'Gmail', value: 'gmail' },
+        { name: 'Outlook', value: 'outlook' }
+      ],
+      default: 'gmail'
+    }
+  ],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
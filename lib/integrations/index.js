@@ -0,0 +1,299 @@
+// Integration registry: one module per tool the wizard's tools question
+// offers. A module declares its provider options, features, the OpenClaw
+// skills it needs, follow-up questions and the config it emits:
+//
+//   module.exports = {
+//     tool: 'pagerduty',                  // the tools answer value
+//     key: 'paging',                      // optional key in config.integrations (default: tool)
+//     label: '📟 PagerDuty',               // shown in the tools question
+//     roles: ['engineer'],                // optional, roles it is offered to (default: all)
+//     providers: ['pagerduty'],           // the first is the default
+//     features: ['incidents', 'on_call'],
+//     skills: [],                         // OpenClaw skills enabled when the tool is chosen,
+//                                         // or a map of provider -> skills
+//     questions: [                        // follow-ups, asked when the tool is chosen
+//       { type: 'input', name: 'service', message: 'Which service?', default: '' }
+//     ],
+//     configure: ({ provider, features, service }) => ({ provider, features, service }),
+//     includes: ({ service }) => ({ morning_brief: [`Open incidents on ${service}`] })
+//   };
+//
+// Follow-ups are inquirer questions; `multiple: true` makes an input a
+// comma-separated list and `when` receives the tool's answers so far.
+// configure gets the follow-up answers plus the default provider and the
+// features. includes (optional) gets the emitted config and returns lines
+// to add to the `includes` of the named automations.
+//
+// Third-party integrations are .js files (or directories with an index.js)
+// in ~/.superclaw/integrations, and shadow built-ins with the same tool.
+// Plugins are code, so they are never loaded from the project directory:
+// running the wizard in a checkout must not run that checkout's files.
+
+const path = require('path');
+const fs = require('fs-extra');
+const { superclawHome } = require('../registry');
+const { toList } = require('../answers');
+
+const BUILTIN_INTEGRATIONS = [
+  require('./gmail'),
+  require('./calendar'),
+  require('./slack'),
+  require('./github'),
+  require('./project_mgmt'),
+  require('./analytics'),
+  require('./financial'),
+  require('./cloud'),
+  require('./social'),
+  require('./design'),
+  require('./monetization'),
+  require('./research'),
+  require('./citations'),
+  require('./career')
+].map(integration => ({ ...integration, source: 'builtin' }));
+
+// The tools each built-in role offers, and which are pre-selected
+const ROLE_TOOLS = {
+  founder: { tools: ['gmail', 'calendar', 'slack', 'analytics', 'financial', 'project_mgmt'], checked: ['slack', 'project_mgmt'] },
+  engineer: { tools: ['gmail', 'calendar', 'github', 'slack', 'project_mgmt', 'cloud'], checked: ['github'] },
+  creator: { tools: ['gmail', 'calendar', 'social', 'analytics', 'design', 'monetization'], checked: ['social', 'analytics'] },
+  student: { tools: ['gmail', 'calendar', 'research', 'citations', 'github', 'career'], checked: ['research'] }
+};
+const DEFAULT_TOOLS = { tools: ['gmail', 'calendar'], checked: [] };
+
+const QUESTION_TYPES = ['input', 'list', 'checkbox', 'confirm'];
+
+function pluginDirs(options = {}) {
+  return [
+    { source: 'user', dir: path.join(options.home || superclawHome(), 'integrations') }
+  ];
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isSkillMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isStringList);
+}
+
+// Problems with an integration module, as messages
+function checkIntegration(integration) {
+  const errors = [];
+  if (!integration || typeof integration !== 'object') {
+    return ['must export an object'];
+  }
+  
+  if (typeof integration.tool !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(integration.tool)) {
+    errors.push('tool: must be a lowercase name such as "pagerduty"');
+  }
+  for (const field of ['key', 'label']) {
+    if (integration[field] !== undefined && typeof integration[field] !== 'string') {
+      errors.push(`${field}: must be a string`);
+    }
+  }
+  for (const field of ['providers', 'features', 'skills', 'roles']) {
+    if (integration[field] !== undefined && !isStringList(integration[field]) && !(field === 'skills' && isSkillMap(integration[field]))) {
+      errors.push(`${field}: must be a list of strings${field === 'skills' ? ' or a map of provider to skills' : ''}`);
+    }
+  }
+  if (integration.questions !== undefined && !Array.isArray(integration.questions)) {
+    errors.push('questions: must be a list');
+  }
+  (Array.isArray(integration.questions) ? integration.questions : []).forEach((question, index) => {
+    if (!question || typeof question.name !== 'string' || !/^[A-Za-z_][\w-]*$/.test(question.name)) {
+      errors.push(`questions.${index}.name: must be a name without dots`);
+    } else if (!QUESTION_TYPES.includes(question.type)) {
+      errors.push(`questions.${index}.type: must be one of ${QUESTION_TYPES.join(', ')}`);
+    }
+  });
+  if (typeof integration.configure !== 'function') {
+    errors.push('configure: must be a function returning the integration config');
+  }
+  if (integration.includes !== undefined && typeof integration.includes !== 'function') {
+    errors.push('includes: must be a function returning automation includes');
+  }
+  return errors;
+}
+
+function loadPlugin(file, source) {
+  let integration;
+  try {
+    integration = require(file);
+  } catch (error) {
+    throw new Error(`Cannot load integration plugin ${file}: ${error.message}`);
+  }
+  
+  const errors = checkIntegration(integration);
+  if (errors.length) {
+    throw new Error(`Invalid integration plugin ${file}: ${errors.join('; ')}`);
+  }
+  return { providers: [], features: [], skills: [], questions: [], ...integration, source, path: file };
+}
+
+async function scanPlugins(source, dir) {
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+  
+  const plugins = [];
+  for (const entry of (await fs.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name))) {
+    const file = path.join(dir, entry.name);
+    if (entry.isFile() && entry.name.endsWith('.js')) {
+      plugins.push(loadPlugin(file, source));
+    } else if (entry.isDirectory() && await fs.pathExists(path.join(file, 'index.js'))) {
+      plugins.push(loadPlugin(path.join(file, 'index.js'), source));
+    }
+  }
+  return plugins;
+}
+
+/**
+ * Every available integration: the built-in ones, then plugins from the
+ * user directory. A plugin replaces an integration with the same tool.
+ */
+async function loadIntegrations(options = {}) {
+  const byTool = new Map(BUILTIN_INTEGRATIONS.map(integration => [integration.tool, integration]));
+  
+  for (const { source, dir } of pluginDirs(options)) {
+    for (const plugin of await scanPlugins(source, dir)) {
+      byTool.set(plugin.tool, plugin);
+    }
+  }
+  return [...byTool.values()];
+}
+
+// Tool choices for one role: its built-in tools, then plugins offered to it
+function toolChoices(role, integrations = BUILTIN_INTEGRATIONS) {
+  const byTool = new Map(integrations.map(integration => [integration.tool, integration]));
+  const choices = [];
+  
+  const { tools, checked } = ROLE_TOOLS[role] || DEFAULT_TOOLS;
+  
+  for (const tool of tools.filter(name => byTool.has(name))) {
+    const choice = { name: byTool.get(tool).label || tool, value: tool };
+    choices.push(checked.includes(tool) ? { ...choice, checked: true } : choice);
+  }
+  for (const integration of integrations) {
+    const offered = !integration.roles || integration.roles.includes(role);
+    if (integration.source !== 'builtin' && offered && !choices.some(choice => choice.value === integration.tool)) {
+      choices.push({ name: integration.label || integration.tool, value: integration.tool });
+    }
+  }
+  return choices;
+}
+
+/**
+ * The follow-up questions of every integration, named
+ * integrations.<tool>.<name> and only asked when the tool is chosen.
+ */
+function followUpQuestions(integrations = BUILTIN_INTEGRATIONS) {
+  return integrations.flatMap(integration => (integration.questions || []).map(question => ({
+    ...question,
+    name: `integrations.${integration.tool}.${question.name}`,
+    followUp: true,
+    when: answers => (answers.tools || []).includes(integration.tool) &&
+      (!question.when || question.when((answers.integrations || {})[integration.tool] || {})),
+    ...(question.multiple ? { filter: toList } : {})
+  })));
+}
+
+function findIntegration(tool, integrations) {
+  const integration = integrations.find(entry => entry.tool === tool);
+  if (!integration) {
+    throw new Error(`Unknown tool "${tool}": no integration provides it. Known tools: ${integrations.map(entry => entry.tool).join(', ')}`);
+  }
+  return integration;
+}
+
+/**
+ * The integrations config for the chosen tools, keyed by each
+ * integration's key, from the follow-up answers per tool. Unknown tools
+ * are an error.
+ */
+function configureIntegrations(tools, integrations = BUILTIN_INTEGRATIONS, followUps = {}) {
+  const configured = {};
+  
+  for (const tool of tools) {
+    const integration = findIntegration(tool, integrations);
+    const answers = { provider: integration.providers[0] || null, features: integration.features, ...followUps[tool] };
+    configured[integration.key || integration.tool] = integration.configure(answers);
+  }
+  return configured;
+}
+
+/**
+ * Add what the chosen tools' follow-up answers name (repos, channels...)
+ * to the `includes` of the automations they feed. Automations the
+ * template does not define are left alone.
+ */
+function addIntegrationIncludes(template, configured, tools, integrations = BUILTIN_INTEGRATIONS) {
+  const automations = { ...template.automations };
+  
+  for (const tool of tools) {
+    const integration = findIntegration(tool, integrations);
+    if (!integration.includes) {
+      continue;
+    }
+    for (const [id, lines] of Object.entries(integration.includes(configured[integration.key || integration.tool]) || {})) {
+      if (automations[id]) {
+        automations[id] = { ...automations[id], includes: [...(automations[id].includes || []), ...lines] };
+      }
+    }
+  }
+  return { ...template, automations };
+}
+
+// The skills one integration needs for the provider it was configured with
+function integrationSkills(integration, config = {}) {
+  const skills = integration.skills || [];
+  if (Array.isArray(skills)) {
+    return skills;
+  }
+  return skills[config.provider || integration.providers[0]] || [];
+}
+
+/**
+ * Enable the OpenClaw skills the chosen tools need, for the providers in
+ * their configured integrations. Returns the template with those skills
+ * added and the inclusion records (see lib/goals.js) updated to say which
+ * tools required them.
+ */
+function requireIntegrationSkills(template, inclusions, tools, integrations = BUILTIN_INTEGRATIONS, configured = {}) {
+  const requiredBy = new Map();
+  for (const tool of tools) {
+    const integration = findIntegration(tool, integrations);
+    for (const skill of integrationSkills(integration, configured[integration.key || integration.tool])) {
+      requiredBy.set(skill, [...(requiredBy.get(skill) || []), tool]);
+    }
+  }
+  if (!requiredBy.size) {
+    return { template, inclusions };
+  }
+  
+  const present = Array.isArray(template.skills) ? template.skills : Object.keys(template.skills.entries || {});
+  const missing = [...requiredBy.keys()].filter(skill => !present.includes(skill));
+  const skills = Array.isArray(template.skills) ?
+    [...template.skills, ...missing] :
+    { ...template.skills, entries: { ...template.skills.entries, ...Object.fromEntries(missing.map(skill => [skill, { enabled: true }])) } };
+  
+  const updated = inclusions.filter(entry => !(entry.kind === 'skill' && requiredBy.has(entry.name) && !entry.included));
+  for (const [skill, byTools] of requiredBy) {
+    const existing = updated.find(entry => entry.kind === 'skill' && entry.name === skill);
+    if (!existing) {
+      const pruned = inclusions.find(entry => entry.kind === 'skill' && entry.name === skill);
+      updated.push({ kind: 'skill', name: skill, role: pruned ? pruned.role : null, included: true, goals: pruned ? pruned.goals : [], chosen: [], tools: byTools });
+    }
+  }
+  return { template: { ...template, skills }, inclusions: updated };
+}
+
+module.exports = {
+  BUILTIN_INTEGRATIONS,
+  loadIntegrations,
+  checkIntegration,
+  toolChoices,
+  followUpQuestions,
+  configureIntegrations,
+  addIntegrationIncludes,
+  requireIntegrationSkills
+};
\ No newline at end of file
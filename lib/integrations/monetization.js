@@ -0,0 +1,10 @@
+// Creator revenue: ad share, memberships and sponsorships
+module.exports = {
+  tool: 'monetization',
+  label: '💰 Monetization (YouTube/Patreon)',
+  providers: ['youtube', 'patreon'],
+  features: ['revenue_tracking', 'member_updates', 'sponsorships'],
+  skills: [],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
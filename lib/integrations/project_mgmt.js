@@ -0,0 +1,24 @@
+// Project management: roadmaps, tickets and status updates
+module.exports = {
+  tool: 'project_mgmt',
+  key: 'projects',
+  label: '📋 Project Management (Notion/Linear/Jira/Trello)',
+  providers: ['notion', 'linear', 'jira', 'trello'],
+  features: ['task_tracking', 'status_updates', 'roadmap'],
+  skills: ['notion'],
+  questions: [
+    {
+      type: 'list',
+      name: 'provider',
+      message: '📋 Which project management tool do you use?',
+      choices: [
+        { name: 'Notion', value: 'notion' },
+        { name: 'Linear', value: 'linear' },
+        { name: 'Jira', value: 'jira' },
+        { name: 'Trello', value: 'trello' }
+      ],
+      default: 'notion'
+    }
+  ],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
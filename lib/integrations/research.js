@@ -0,0 +1,10 @@
+// Research notes: papers, reading lists and literature reviews
+module.exports = {
+  tool: 'research',
+  label: '📚 Research Tools (Notion/Obsidian)',
+  providers: ['notion', 'obsidian'],
+  features: ['paper_notes', 'reading_list', 'literature_review'],
+  skills: ['notion'],
+  questions: [],
+  configure: ({ provider, features }) => ({ provider, features })
+};
\ No newline at end of file
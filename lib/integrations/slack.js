@@ -0,0 +1,38 @@
+// Team chat: pulse checks, mentions and async coordination
+const channelList = channels => channels.map(channel => `#${channel}`).join(', ');
+
+module.exports = {
+  tool: 'slack',
+  key: 'chat',
+  label: '💬 Team Chat (Slack/Discord)',
+  providers: ['slack', 'discord'],
+  features: ['team_pulse', 'mentions', 'channel_digest'],
+  skills: { slack: ['slack'], discord: ['discord'] },
+  questions: [
+    {
+      type: 'list',
+      name: 'provider',
+      message: '💬 Which team chat do you use?',
+      choices: [
+        { name: 'Slack', value: 'slack' },
+        { name: 'Discord', value: 'discord' }
+      ],
+      default: 'slack'
+    },
+    {
+      type: 'input',
+      name: 'channels',
+      message: '💬 Which channels count as "team pulse"? (comma-separated, blank to skip)',
+      multiple: true,
+      default: ''
+    }
+  ],
+  configure: ({ provider, features, channels = [] }) => {
+    const names = channels.map(channel => channel.replace(/^#/, ''));
+    return names.length ? { provider, features, channels: names } : { provider, features };
+  },
+  includes: ({ channels = [] }) => (channels.length ? {
+    team_pulse_check: [`Team pulse from ${channelList(channels)}`],
+    morning_brief: [`Unanswered mentions in ${channelList(channels)}`]
+  } : {})
+};
\ No newline at end of file
@@ -0,0 +1,11 @@
+// Social media: scheduling, engagement and mentions
+module.exports = {
+  tool: 'social',
+  label: '📱 Social Media (LinkedIn/Twitter/Instagram)',
+  providers: ['linkedin', 'twitter', 'instagram'],
+  features: ['content_scheduling', 'analytics', 'engagement'],
+  skills: [],
+  questions: [],
+  // Several platforms are used at once, so there is no single provider
+  configure: ({ features }) => ({ platforms: ['linkedin', 'twitter'], features })
+};
\ No newline at end of file
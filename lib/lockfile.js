@@ -0,0 +1,96 @@
+// Workspace lockfile: pins the version and checksum of every template that
+// produced a workspace, so a later wizard run cannot silently regenerate it
+// from a different template version.
+
+const path = require('path');
+const fs = require('fs-extra');
+const { findTemplate, pathTemplate } = require('./registry');
+const { parseTemplate } = require('./templates');
+const { hashDirectory, readInstalled } = require('./packages');
+
+const LOCKFILE = 'superclaw-lock.json';
+const LOCKFILE_VERSION = 1;
+
+async function lockEntry(entry, installed) {
+  const dir = (await fs.stat(entry.path)).isDirectory() ? entry.path : path.dirname(entry.path);
+  const { template } = parseTemplate(await fs.readFile(path.join(dir, 'config.yaml'), 'utf8'));
+  const version = template && template.version !== undefined ? String(template.version) : null;
+  
+  const locked = { source: entry.source, version, checksum: await hashDirectory(dir) };
+  if (entry.source === 'path') {
+    locked.path = dir;
+  }
+  // Installed packages also record where they came from, to reinstall the pinned version
+  const pkg = entry.source === 'user' && installed[entry.role];
+  if (pkg) {
+    locked.resolved = pkg.source;
+    locked.commit = pkg.commit;
+  }
+  return locked;
+}
+
+/**
+ * Lock the templates behind the given roles. templatePath replaces the
+ * primary role's registry template, as in loadRoleTemplates.
+ */
+async function lockTemplates(roles, { templatePath = null, ...options } = {}) {
+  const installed = await readInstalled(options);
+  const templates = {};
+  
+  for (const [index, role] of roles.entries()) {
+    const entry = index === 0 && templatePath ?
+      { ...await pathTemplate(templatePath), role } :
+      await findTemplate(role, options);
+    if (entry) {
+      templates[role] = await lockEntry(entry, installed);
+    }
+  }
+  return { lockfileVersion: LOCKFILE_VERSION, templates };
+}
+
+function renderLockfile(lock) {
+  return `${JSON.stringify(lock, null, 2)}\n`;
+}
+
+async function readLockfile(workspacePath) {
+  const file = path.join(workspacePath, LOCKFILE);
+  return await fs.pathExists(file) ? fs.readJson(file) : null;
+}
+
+/**
+ * Roles pinned by the workspace's lockfile whose template has changed
+ * since. Roles that are new to the workspace are not mismatches.
+ */
+function findLockMismatches(pinned, lock) {
+  if (!pinned || !pinned.templates) {
+    return [];
+  }
+  
+  return Object.entries(lock.templates)
+    .filter(([role, current]) => pinned.templates[role] && pinned.templates[role].checksum !== current.checksum)
+    .map(([role, current]) => ({ role, pinned: pinned.templates[role], current }));
+}
+
+function describeLocked(locked) {
+  return `${locked.version ? `v${locked.version}` : 'unversioned'} (${locked.checksum.slice(0, 12)})`;
+}
+
+// Why the wizard refuses to regenerate a workspace from changed templates
+function lockMismatchError(mismatches) {
+  const pins = mismatches.map(({ role, pinned, current }) =>
+    `${role} is pinned at ${describeLocked(pinned)} but the ${current.source} template is now ${describeLocked(current)}`);
+  const reinstall = mismatches.filter(({ pinned }) => pinned.resolved)
+    .map(({ role, pinned }) => `\`superclaw template add ${pinned.resolved} --name ${role} --force\``);
+  
+  return new Error(`${LOCKFILE}: ${pins.join('; ')}. Re-run with --update-lock to regenerate from the current templates` +
+    (reinstall.length ? `, or reinstall the pinned version with ${reinstall.join(' and ')}` : ''));
+}
+
+module.exports = {
+  LOCKFILE,
+  lockTemplates,
+  renderLockfile,
+  readLockfile,
+  findLockMismatches,
+  lockMismatchError
+};
\ No newline at end of file
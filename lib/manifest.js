@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+
+const MANIFEST_VERSION = 1;
+
+// Run manifests live next to the backups they point at
+const RUNS_DIR = path.join('.superclaw', 'runs');
+
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+async function hashFile(filePath) {
+  return await fs.pathExists(filePath) ? hashContent(await fs.readFile(filePath)) : null;
+}
+
+/**
+ * Start recording a wizard run. Every file the run writes is added with
+ * recordFile, every directory it creates with recordDirectory.
+ */
+function createRun(config, { workspacePath, answers = {}, templatePath = null }) {
+  return {
+    version: MANIFEST_VERSION,
+    runId: (config.created || new Date().toISOString()).replace(/[:.]/g, '-'),
+    createdAt: config.created,
+    workspacePath,
+    template: { role: config.user.type, path: templatePath, name: config.template.name || null },
+    answers: {
+      role: answers.userType,
+      roles: config.user.roles || [config.user.type],
+      resolve: answers.resolve || {},
+      goals: answers.goals || [],
+      tools: answers.tools || [],
+      integrations: answers.integrations || {},
+      experience: answers.experience,
+      timezone: answers.timezone,
+      workingDays: answers.workingDays
+    },
+    files: [],
+    directories: [],
+    undoneAt: null
+  };
+}
+
+// previous is the file content before the run (null if the file was created)
+function recordFile(run, relPath, { previous, content, backup = null }) {
+  let action = 'updated';
+  if (previous === null) {
+    action = 'created';
+  } else if (previous === content) {
+    action = 'unchanged';
+  }
+  
+  run.files.push({
+    path: relPath,
+    action,
+    hash: hashContent(content),
+    previousHash: previous === null ? null : hashContent(previous),
+    backup
+  });
+}
+
+// Create dir (relative to the workspace) and its missing parents, remembering
+// which ones did not exist so undo can remove them again
+async function recordDirectory(run, relDir) {
+  const missing = [];
+  for (let dir = relDir; dir && dir !== '.'; dir = path.dirname(dir)) {
+    if (await fs.pathExists(path.join(run.workspacePath, dir))) {
+      break;
+    }
+    missing.unshift(dir);
+  }
+  
+  await fs.ensureDir(path.join(run.workspacePath, relDir));
+  run.directories.push(...missing.filter(dir => !run.directories.includes(dir)));
+}
+
+function manifestPath(workspacePath, runId) {
+  return path.join(workspacePath, RUNS_DIR, `${runId}.json`);
+}
+
+async function saveRun(run) {
+  await fs.outputFile(manifestPath(run.workspacePath, run.runId), JSON.stringify(run, null, 2) + '\n');
+  return manifestPath(run.workspacePath, run.runId);
+}
+
+// Past runs in the workspace, newest first
+async function listRuns(workspacePath) {
+  const dir = path.join(workspacePath, RUNS_DIR);
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+  
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json'));
+  const runs = await Promise.all(names.map(name => fs.readJson(path.join(dir, name))));
+  return runs.sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+// Files the run created or overwrote whose content has changed since
+async function findModifiedFiles(workspacePath, run) {
+  const modified = [];
+  for (const file of run.files.filter(entry => entry.action !== 'unchanged')) {
+    const current = await hashFile(path.join(workspacePath, file.path));
+    if (current !== file.hash) {
+      modified.push({ path: file.path, deleted: current === null });
+    }
+  }
+  return modified;
+}
+
+/**
+ * Put the workspace back the way it was before a run: created files and
+ * directories are removed, overwritten files restored from their backups.
+ * Defaults to the latest run that has not been undone. Runs must be undone
+ * newest first, and files changed since the run block the undo unless
+ * force is set.
+ */
+async function undoRun(workspacePath, runId, { force = false } = {}) {
+  const runs = await listRuns(workspacePath);
+  const active = runs.filter(run => !run.undoneAt);
+  
+  if (!runs.length) {
+    throw new Error(`No wizard runs recorded in ${workspacePath}`);
+  }
+  
+  const run = runId ? runs.find(entry => entry.runId === runId) : active[0];
+  if (!run) {
+    throw new Error(runId ? `Unknown run "${runId}". See \`superclaw wizard history\`` : 'Every recorded run has already been undone');
+  }
+  if (run.undoneAt) {
+    throw new Error(`Run ${run.runId} was already undone at ${run.undoneAt}`);
+  }
+  
+  const newer = active.filter(entry => entry.runId > run.runId);
+  if (newer.length) {
+    throw new Error(`Undo newer runs first: ${newer.map(entry => entry.runId).join(', ')}`);
+  }
+  
+  const modified = await findModifiedFiles(workspacePath, run);
+  if (modified.length && !force) {
+    const error = new Error(
+      `Files changed since run ${run.runId}: ${modified.map(file => file.path).join(', ')}. ` +
+      'Re-run with --force to discard those changes'
+    );
+    error.modified = modified;
+    throw error;
+  }
+  
+  const restored = [];
+  const removed = [];
+  
+  for (const file of [...run.files].reverse()) {
+    const filePath = path.join(workspacePath, file.path);
+    
+    if (file.action === 'created') {
+      await fs.remove(filePath);
+      removed.push(file.path);
+    } else if (file.action === 'updated') {
+      const backupPath = path.join(workspacePath, file.backup);
+      if (!await fs.pathExists(backupPath)) {
+        throw new Error(`Backup of ${file.path} is missing: ${file.backup}`);
+      }
+      await fs.copy(backupPath, filePath);
+      restored.push(file.path);
+    }
+  }
+  
+  for (const dir of [...run.directories].reverse()) {
+    const dirPath = path.join(workspacePath, dir);
+    if (await fs.pathExists(dirPath) && !(await fs.readdir(dirPath)).length) {
+      await fs.remove(dirPath);
+    }
+  }
+  
+  run.undoneAt = new Date().toISOString();
+  await saveRun({ ...run, workspacePath });
+  
+  return { run, restored, removed, modified };
+}
+
+module.exports = {
+  hashContent,
+  createRun,
+  recordFile,
+  recordDirectory,
+  saveRun,
+  listRuns,
+  findModifiedFiles,
+  undoRun
+};
\ No newline at end of file
@@ -0,0 +1,169 @@
+const { diffLines, splitLines } = require('./diff');
+
+// Generated content lives between these markers. Anything outside them is
+// user-owned and survives regeneration untouched.
+const MANAGED_START = '<!-- superclaw:managed:start (regenerated by superclaw wizard - edit outside this block to keep changes) -->';
+const MANAGED_END = '<!-- superclaw:managed:end -->';
+const MANAGED_START_PATTERN = /^<!-- superclaw:managed:start\b.*-->$/;
+
+function joinLines(lines) {
+  return lines.length ? lines.join('\n') + '\n' : '';
+}
+
+function wrapManaged(content) {
+  return `${MANAGED_START}\n${content.replace(/\n*$/, '\n')}${MANAGED_END}\n`;
+}
+
+/**
+ * Split a file into the text before, inside and after its managed region.
+ * Returns null when the file has no (complete) managed region.
+ */
+function splitManagedRegion(content) {
+  const lines = splitLines(content);
+  const start = lines.findIndex(line => MANAGED_START_PATTERN.test(line));
+  const end = lines.indexOf(MANAGED_END, start + 1);
+  
+  if (start === -1 || end === -1) {
+    return null;
+  }
+  
+  return {
+    before: joinLines(lines.slice(0, start)),
+    region: joinLines(lines.slice(start + 1, end)),
+    after: joinLines(lines.slice(end + 1))
+  };
+}
+
+// Map base line index -> other line index for lines the LCS keeps
+function matchedLines(baseLines, otherLines) {
+  const matches = new Map();
+  for (const op of diffLines(baseLines, otherLines)) {
+    if (op.type === ' ') {
+      matches.set(op.oldIndex, op.newIndex);
+    }
+  }
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Three-way merge of line-based texts. Changes made on only one side are
+ * taken; overlapping changes that differ are returned as conflicts.
+ */
+function diff3Merge(baseText, oursText, theirsText) {
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const oursMatches = matchedLines(base, ours);
+  const theirsMatches = matchedLines(base, theirs);
+  
+  const chunks = [];
+  let i = 0;
+  let a = 0;
+  let b = 0;
+  
+  for (;;) {
+    // Next base line kept unchanged by both sides is a stable sync point
+    let j = i;
+    while (j < base.length && !(oursMatches.has(j) && theirsMatches.has(j))) {
+      j++;
+    }
+    
+    const synced = j < base.length;
+    const aEnd = synced ? oursMatches.get(j) : ours.length;
+    const bEnd = synced ? theirsMatches.get(j) : theirs.length;
+    const baseChunk = base.slice(i, j);
+    const oursChunk = ours.slice(a, aEnd);
+    const theirsChunk = theirs.slice(b, bEnd);
+    
+    if (sameLines(oursChunk, baseChunk) || sameLines(oursChunk, theirsChunk)) {
+      chunks.push({ lines: theirsChunk });
+    } else if (sameLines(theirsChunk, baseChunk)) {
+      chunks.push({ lines: oursChunk });
+    } else {
+      chunks.push({ conflict: { base: baseChunk, ours: oursChunk, theirs: theirsChunk } });
+    }
+    
+    if (!synced) {
+      break;
+    }
+    chunks.push({ lines: [base[j]] });
+    i = j + 1;
+    a = aEnd + 1;
+    b = bEnd + 1;
+  }
+  
+  const conflicts = chunks.filter(chunk => chunk.conflict).map(chunk => chunk.conflict);
+  const text = joinLines(chunks.flatMap(chunk => (chunk.conflict ? [
+    '<<<<<<< your edits',
+    ...chunk.conflict.ours,
+    '=======',
+    ...chunk.conflict.theirs,
+    '>>>>>>> regenerated'
+  ] : chunk.lines)));
+  
+  return { text, conflicts };
+}
+
+/**
+ * Work out the new content of a managed file.
+ *
+ * - current: the file on disk (null if missing)
+ * - generated: freshly generated content for the managed region
+ * - base: the region content from the previous run (null if unknown)
+ *
+ * status is one of created, unchanged, updated, merged or conflict. On
+ * conflict `content` is the current file unchanged and `conflictText` holds
+ * the region with conflict markers for the user to resolve.
+ */
+function mergeManagedContent(current, generated, base) {
+  if (current === null) {
+    return { status: 'created', content: wrapManaged(generated), conflicts: [] };
+  }
+  
+  let parts = splitManagedRegion(current);
+  if (!parts) {
+    // No markers: a file we generated before markers existed is replaced,
+    // anything else is user-authored and kept below the managed block
+    parts = current === base || current === generated ?
+      { before: '', region: current, after: '' } :
+      { before: '', region: base || '', after: current.trim() ? `\n${current}` : '' };
+  }
+  
+  let region = generated;
+  let status = 'updated';
+  let conflicts = [];
+  
+  if (parts.region !== generated && base !== null && parts.region !== base) {
+    // The managed region itself was edited: merge against the last generated version
+    const merged = diff3Merge(base, parts.region, generated);
+    if (merged.conflicts.length) {
+      return {
+        status: 'conflict',
+        content: current,
+        conflicts: merged.conflicts,
+        conflictText: parts.before + wrapManaged(merged.text) + parts.after
+      };
+    }
+    region = merged.text;
+    status = 'merged';
+  }
+  
+  const content = parts.before + wrapManaged(region) + parts.after;
+  if (content === current) {
+    status = 'unchanged';
+  }
+  return { status, content, conflicts };
+}
+
+module.exports = {
+  MANAGED_START,
+  MANAGED_END,
+  wrapManaged,
+  splitManagedRegion,
+  diff3Merge,
+  mergeManagedContent
+};
\ No newline at end of file
@@ -0,0 +1,181 @@
+// The OpenClaw config, ~/.openclaw/openclaw.json. `superclaw wizard --apply`
+// merges the role's skills into it instead of leaving a snippet to paste:
+// - the file is read as JSON5, since OpenClaw accepts comments and trailing commas
+// - skills.entries are deep-merged, so keys the user set survive unless the role sets them too
+// - before writing, the previous content is saved to ~/.superclaw/backups/openclaw/
+// `superclaw skills revert` restores the latest backup.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const JSON5 = require('json5');
+const { superclawHome } = require('./registry');
+const { deepMerge, isDeepEqual } = require('./compose');
+
+function openclawConfigPath(options = {}) {
+  return options.configPath || path.join(os.homedir(), '.openclaw', 'openclaw.json');
+}
+
+// Like FileUtils.writeFileAtomic (src/lib/shared/utils.ts): the data goes to
+// a sibling temp file that is renamed into place, so a crash or a full disk
+// never leaves a truncated config or backup
+async function writeFileAtomic(filePath, data) {
+  await fs.ensureDir(path.dirname(filePath));
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  
+  try {
+    const handle = await fs.promises.open(tmpPath, 'w');
+    try {
+      await handle.writeFile(data, 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.remove(tmpPath);
+    throw error;
+  }
+}
+
+function backupsDir(options = {}) {
+  return path.join(options.home || superclawHome(), 'backups', 'openclaw');
+}
+
+async function readOpenClawConfig(configPath) {
+  if (!await fs.pathExists(configPath)) {
+    return { content: null, config: {} };
+  }
+  
+  const content = await fs.readFile(configPath, 'utf8');
+  let config;
+  try {
+    config = content.trim() ? JSON5.parse(content) : {};
+  } catch (error) {
+    throw new Error(`Cannot parse ${configPath}: ${error.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Cannot apply skills to ${configPath}: expected an object at the top level`);
+  }
+  return { content, config };
+}
+
+// Settings as dotted keys, so nested skill config diffs key by key
+function flatten(value, prefix = '') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { [prefix]: value };
+  }
+  return Object.assign({}, ...Object.entries(value).map(([key, item]) => flatten(item, prefix ? `${prefix}.${key}` : key)));
+}
+
+/**
+ * What merging changes for each of the role's skills: `added` (no entry
+ * before), `enabled` (was disabled), `changed` (other keys differ) or
+ * `unchanged`, with the keys that differ as { key, from, to }.
+ */
+function diffSkills(before, after, skills) {
+  const entries = config => (config.skills && config.skills.entries) || {};
+  
+  return skills.map(skill => {
+    const previous = entries(before)[skill];
+    const next = entries(after)[skill];
+    if (previous === undefined) {
+      return { skill, change: 'added', keys: Object.entries(flatten(next)).map(([key, to]) => ({ key, from: undefined, to })) };
+    }
+  
+    const old = flatten(previous);
+    const keys = Object.entries(flatten(next))
+      .filter(([key, to]) => !isDeepEqual(old[key], to))
+      .map(([key, to]) => ({ key, from: old[key], to }));
+    const change = !keys.length ? 'unchanged' : previous.enabled === false && next.enabled === true ? 'enabled' : 'changed';
+    return { skill, change, keys };
+  });
+}
+
+/**
+ * Merge a skills config ({ skills: { entries } }) into the OpenClaw config.
+ * With dryRun, only reports the changes. Otherwise writes a backup and then
+ * the merged config, unless nothing would change. Returns
+ * { configPath, changes, backup (path or null), written }.
+ */
+async function applySkills(skillsConfig, { dryRun = false, ...options } = {}) {
+  const configPath = openclawConfigPath(options);
+  const { content, config } = await readOpenClawConfig(configPath);
+  const merged = deepMerge(config, { skills: { entries: skillsConfig.skills.entries } });
+  const changes = diffSkills(config, merged, Object.keys(skillsConfig.skills.entries));
+  
+  if (dryRun || changes.every(entry => entry.change === 'unchanged')) {
+    return { configPath, changes, backup: null, written: false };
+  }
+  
+  // Comments in a JSON5 config do not survive the rewrite; the backup keeps them
+  const applied = `${JSON.stringify(merged, null, 2)}\n`;
+  const createdAt = new Date().toISOString();
+  const backup = path.join(backupsDir(options), `${createdAt.replace(/[:.]/g, '-')}.json`);
+  await writeFileAtomic(backup, `${JSON.stringify({ configPath, createdAt, previous: content, applied, revertedAt: null }, null, 2)}\n`);
+  
+  await writeFileAtomic(configPath, applied);
+  return { configPath, changes, backup, written: true };
+}
+
+// Backups taken by applySkills, newest first
+async function listBackups(options = {}) {
+  const dir = backupsDir(options);
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+  
+  const names = (await fs.readdir(dir)).filter(name => name.endsWith('.json')).sort().reverse();
+  return Promise.all(names.map(async name => ({ ...await fs.readJson(path.join(dir, name)), file: path.join(dir, name) })));
+}
+
+/**
+ * Restore the OpenClaw config from the latest backup that has not been
+ * reverted (a config that did not exist before is removed again). Edits
+ * made since the skills were applied block the revert unless force is set.
+ */
+async function revertSkills({ force = false, ...options } = {}) {
+  const backup = (await listBackups(options)).find(entry => !entry.revertedAt);
+  if (!backup) {
+    throw new Error('No OpenClaw config backup to restore. Backups are taken by `superclaw wizard --apply`');
+  }
+  
+  const current = await fs.pathExists(backup.configPath) ? await fs.readFile(backup.configPath, 'utf8') : null;
+  if (current !== backup.applied && !force) {
+    throw new Error(`${backup.configPath} changed since the skills were applied at ${backup.createdAt}. ` +
+      'Re-run with --force to restore the backup anyway');
+  }
+  
+  if (backup.previous === null) {
+    await fs.remove(backup.configPath);
+  } else {
+    await writeFileAtomic(backup.configPath, backup.previous);
+  }
+  
+  const { file, ...record } = backup;
+  await writeFileAtomic(file, `${JSON.stringify({ ...record, revertedAt: new Date().toISOString() }, null, 2)}\n`);
+  return { configPath: backup.configPath, createdAt: backup.createdAt, removed: backup.previous === null };
+}
+
+function formatValue(value) {
+  return value === undefined ? 'unset' : JSON.stringify(value);
+}
+
+// One line per skill, then one per changed key
+function formatSkillChanges(changes) {
+  const symbols = { added: '+', enabled: '+', changed: '~', unchanged: '=' };
+  return changes.flatMap(entry => [
+    `${symbols[entry.change]} ${entry.skill} (${entry.change})`,
+    ...(entry.change === 'added' ? [] : entry.keys.map(({ key, from, to }) => `    ${key}: ${formatValue(from)} -> ${formatValue(to)}`))
+  ]);
+}
+
+module.exports = {
+  openclawConfigPath,
+  readOpenClawConfig,
+  diffSkills,
+  applySkills,
+  listBackups,
+  revertSkills,
+  formatSkillChanges
+};
\ No newline at end of file
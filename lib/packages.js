@@ -0,0 +1,297 @@
+// Template packages: role templates installed into the user template
+// directory from a local directory, a tarball or a git repository.
+// A package is a directory with config.yaml, plus optional files/ and README.
+// Installs are recorded in <home>/templates/packages.json with the source,
+// version and a checksum of the installed files.
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { userTemplatesDir } = require('./registry');
+const { checkTemplateFile, assertTemplateName } = require('./templates');
+const { TemplateValidationError } = require('./template-schema');
+
+const execFileAsync = promisify(execFile);
+
+const PACKAGES_FILE = 'packages.json';
+const TARBALL_PATTERN = /\.(tar\.gz|tgz|tar)$/;
+
+/**
+ * sha256 over every file in a template directory (paths and contents, in
+ * path order), so the same package always hashes the same wherever it lives.
+ */
+async function hashDirectory(dir) {
+  const hash = crypto.createHash('sha256');
+  
+  for (const relPath of await listFiles(dir)) {
+    hash.update(`${relPath}\0`);
+    hash.update(await fs.readFile(path.join(dir, relPath)));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  const entries = await fs.readdir(path.join(dir, prefix), { withFileTypes: true });
+  
+  for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+    const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.name === '.git') {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(dir, relPath));
+    } else if (entry.isFile()) {
+      files.push(relPath);
+    }
+  }
+  return files;
+}
+
+function packagesPath(options = {}) {
+  return path.join(userTemplatesDir(options), PACKAGES_FILE);
+}
+
+// Installed packages by role
+async function readInstalled(options = {}) {
+  const file = packagesPath(options);
+  if (!await fs.pathExists(file)) {
+    return {};
+  }
+  return (await fs.readJson(file)).packages || {};
+}
+
+async function writeInstalled(packages, options = {}) {
+  await fs.outputJson(packagesPath(options), { version: 1, packages }, { spaces: 2 });
+}
+
+async function listInstalled(options = {}) {
+  return Object.values(await readInstalled(options)).sort((a, b) => a.role.localeCompare(b.role));
+}
+
+/**
+ * Work out what kind of source a package reference is. Git sources may
+ * pin a branch or tag with `#ref`.
+ */
+async function parseSource(source) {
+  const [location, ref = null] = source.split('#');
+  
+  if (/^git\+/.test(location) || /^(https?|ssh|git|file):\/\//.test(location) || /^[\w.-]+@[\w.-]+:/.test(location)) {
+    return { type: 'git', location: location.replace(/^git\+/, ''), ref };
+  }
+  const local = path.resolve(location);
+  if (!await fs.pathExists(local)) {
+    throw new Error(`Template package not found: ${location}`);
+  }
+  
+  const stats = await fs.stat(local);
+  if (stats.isFile() && TARBALL_PATTERN.test(local)) {
+    return { type: 'tarball', location: local, ref: null };
+  }
+  if (stats.isDirectory() && (location.endsWith('.git') || await isGitRepository(local))) {
+    return { type: 'git', location: `file://${local}`, ref };
+  }
+  if (stats.isDirectory()) {
+    return { type: 'directory', location: local, ref: null };
+  }
+  throw new Error(`Unsupported template package ${location}: expected a directory, a .tar.gz/.tgz/.tar file or a git repository`);
+}
+
+// Bare repositories are cloned; a working copy is installed as a plain directory
+async function isGitRepository(dir) {
+  return (await fs.pathExists(path.join(dir, 'HEAD'))) && (await fs.pathExists(path.join(dir, 'objects')));
+}
+
+// Recorded sources are absolute, so `template update` works from any directory
+function sourceString({ type, location, ref }) {
+  const base = type === 'git' && location.startsWith('file://') ? `git+${location}` : location;
+  return ref ? `${base}#${ref}` : base;
+}
+
+// Copy the package into staging (a fresh temp directory); returns the git commit, if any
+async function fetchSource(parsed, staging) {
+  if (parsed.type === 'directory') {
+    await fs.copy(parsed.location, staging, { filter: src => path.basename(src) !== '.git' });
+    return null;
+  }
+  if (parsed.type === 'tarball') {
+    await run('tar', ['-xf', parsed.location, '-C', staging]);
+    return null;
+  }
+  
+  const args = ['clone', '--quiet'];
+  if (parsed.ref) {
+    args.push('--branch', parsed.ref);
+  }
+  await run('git', [...args, parsed.location, staging]);
+  const { stdout } = await run('git', ['-C', staging, 'rev-parse', 'HEAD']);
+  await fs.remove(path.join(staging, '.git'));
+  return stdout.trim();
+}
+
+async function run(command, args) {
+  try {
+    return await execFileAsync(command, args);
+  } catch (error) {
+    const detail = (error.stderr || error.message).trim().split('\n').pop();
+    throw new Error(`${command} ${args[0]} failed: ${detail}`);
+  }
+}
+
+// The package root holds config.yaml, either at the top or in a single top-level directory
+async function findPackageRoot(dir, source) {
+  if (await fs.pathExists(path.join(dir, 'config.yaml'))) {
+    return dir;
+  }
+  
+  const entries = (await fs.readdir(dir, { withFileTypes: true })).filter(entry => entry.name !== '.git');
+  if (entries.length === 1 && entries[0].isDirectory() && await fs.pathExists(path.join(dir, entries[0].name, 'config.yaml'))) {
+    return path.join(dir, entries[0].name);
+  }
+  throw new Error(`${source} is not a template package: no config.yaml found`);
+}
+
+// sre.git, sre.tgz, sre-1.2.0.tar.gz and ./packages/sre all install as "sre"
+function packageName(location) {
+  return path.basename(location.replace(/[\\/]+$/, ''))
+    .replace(TARBALL_PATTERN, '')
+    .replace(/\.git$/, '')
+    .replace(/-v?\d+\.\d+\.\d+.*$/, '');
+}
+
+/**
+ * Fetch and validate a package without installing it. The caller removes
+ * the returned staging directory.
+ */
+async function stagePackage(source, options = {}) {
+  const parsed = await parseSource(source);
+  const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-package-'));
+  
+  try {
+    const commit = await fetchSource(parsed, staging);
+    const root = await findPackageRoot(staging, source);
+    const { file, template, errors } = await checkTemplateFile(root, options);
+    if (errors.length) {
+      throw new TemplateValidationError(path.join(source, path.relative(staging, file)), errors);
+    }
+  
+    return {
+      staging,
+      root,
+      source: sourceString(parsed),
+      type: parsed.type,
+      commit,
+      version: template.version !== undefined ? String(template.version) : null,
+      checksum: await hashDirectory(root),
+      name: template.name
+    };
+  } catch (error) {
+    await fs.remove(staging);
+    throw error;
+  }
+}
+
+// Move a staged package into the user template directory and record it
+async function installStaged(role, staged, options = {}) {
+  const target = path.join(userTemplatesDir(options), role);
+  await fs.remove(target);
+  await fs.copy(staged.root, target);
+  
+  const packages = await readInstalled(options);
+  const now = new Date().toISOString();
+  packages[role] = {
+    role,
+    source: staged.source,
+    type: staged.type,
+    commit: staged.commit,
+    version: staged.version,
+    checksum: staged.checksum,
+    installedAt: packages[role] ? packages[role].installedAt : now,
+    updatedAt: now
+  };
+  await writeInstalled(packages, options);
+  return { ...packages[role], path: target };
+}
+
+/**
+ * Install a template package as a user template. The role is the package
+ * name unless `name` is given. An existing user template with the same
+ * role is only replaced with `force`.
+ */
+async function addPackage(source, { name, force = false, ...options } = {}) {
+  const role = name || packageName(source.split('#')[0]);
+  assertTemplateName(role);
+  
+  const target = path.join(userTemplatesDir(options), role);
+  if (!force && await fs.pathExists(target)) {
+    throw new Error(`A user template named "${role}" already exists in ${target}. Re-run with --force to replace it, or choose another --name`);
+  }
+  
+  const staged = await stagePackage(source, options);
+  try {
+    return await installStaged(role, staged, options);
+  } finally {
+    await fs.remove(staged.staging);
+  }
+}
+
+/**
+ * Re-fetch installed packages (all of them, or one role) from their
+ * recorded source. Packages edited since they were installed are only
+ * replaced with `force`.
+ */
+async function updatePackages(role, { force = false, ...options } = {}) {
+  const packages = await readInstalled(options);
+  if (role && !packages[role]) {
+    throw new Error(`"${role}" was not installed with \`superclaw template add\`. Installed packages: ${Object.keys(packages).join(', ') || 'none'}`);
+  }
+  
+  const results = [];
+  for (const installed of role ? [packages[role]] : Object.values(packages)) {
+    const target = path.join(userTemplatesDir(options), installed.role);
+    if (!force && await fs.pathExists(target) && await hashDirectory(target) !== installed.checksum) {
+      throw new Error(`${target} was edited since it was installed. Re-run with --force to discard the changes`);
+    }
+  
+    const staged = await stagePackage(installed.source, options);
+    try {
+      if (staged.checksum === installed.checksum && await fs.pathExists(target)) {
+        results.push({ ...installed, path: target, status: 'unchanged', previousVersion: installed.version });
+        continue;
+      }
+      const updated = await installStaged(installed.role, staged, options);
+      results.push({ ...updated, status: 'updated', previousVersion: installed.version });
+    } finally {
+      await fs.remove(staged.staging);
+    }
+  }
+  return results;
+}
+
+// Uninstall a package installed with addPackage
+async function removePackage(role, options = {}) {
+  const packages = await readInstalled(options);
+  if (!packages[role]) {
+    throw new Error(`"${role}" was not installed with \`superclaw template add\`. Installed packages: ${Object.keys(packages).join(', ') || 'none'}`);
+  }
+  
+  const removed = { ...packages[role], path: path.join(userTemplatesDir(options), role) };
+  await fs.remove(removed.path);
+  delete packages[role];
+  await writeInstalled(packages, options);
+  return removed;
+}
+
+module.exports = {
+  hashDirectory,
+  parseSource,
+  listInstalled,
+  readInstalled,
+  addPackage,
+  updatePackages,
+  removePackage
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+const chalk = require('chalk');
+const { renderSetupFiles, renderSkillsConfigSnippet, resolveWorkspaceFile, describeSchedules } = require('./setup');
+const { unifiedDiff } = require('./diff');
+const { describeInclusion } = require('./goals');
+const { formatSkillChanges } = require('./openclaw');
+
+const ACTION_SYMBOLS = {
+  create: chalk.green('+'),
+  overwrite: chalk.yellow('~'),
+  merge: chalk.cyan('~'),
+  conflict: chalk.red('!'),
+  unchanged: chalk.grey('=')
+};
+
+// resolveWorkspaceFile status -> plan action
+const STATUS_ACTIONS = {
+  created: 'create',
+  updated: 'overwrite',
+  merged: 'merge',
+  conflict: 'conflict',
+  unchanged: 'unchanged'
+};
+
+// Every file a real run writes: generateSetup's files plus the skills snippet
+function renderWorkspaceFiles(config) {
+  return [
+    ...renderSetupFiles(config),
+    { path: 'openclaw-skills-config.json', content: renderSkillsConfigSnippet(config) }
+  ];
+}
+
+/**
+ * Compare the files a run would write with what is already in the workspace.
+ * Each file is marked create, overwrite, merge (hand edits to a managed
+ * region are kept), conflict (the file would be left alone) or unchanged,
+ * with a unified diff of the change.
+ */
+async function planWorkspace(config, workspacePath) {
+  const files = [];
+  
+  for (const file of renderWorkspaceFiles(config)) {
+    const resolved = await resolveWorkspaceFile(workspacePath, file);
+    const action = STATUS_ACTIONS[resolved.status];
+    const content = action === 'conflict' ? resolved.conflictText : resolved.content;
+    
+    files.push({
+      path: file.path,
+      action,
+      diff: action === 'unchanged' ? '' : unifiedDiff(resolved.current || '', content, {
+        oldLabel: resolved.current === null ? '/dev/null' : `a/${file.path}`,
+        newLabel: `b/${file.path}`
+      })
+    });
+  }
+  
+  const summary = { create: 0, overwrite: 0, merge: 0, conflict: 0, unchanged: 0 };
+  files.forEach(file => summary[file.action]++);
+  
+  // Which automations, skills and workflows the chosen goals switched on
+  const inclusions = (config.inclusions || []).map(entry => ({ ...entry, reason: describeInclusion(entry) }));
+  
+  // When each automation runs, and the schedules that could not be read
+  const schedules = describeSchedules(config);
+  
+  return { workspacePath, files, summary, inclusions, schedules };
+}
+
+function colorDiffLine(line) {
+  if (line.startsWith('+++') || line.startsWith('---')) {
+    return chalk.bold(line);
+  }
+  if (line.startsWith('@@')) {
+    return chalk.cyan(line);
+  }
+  if (line.startsWith('+')) {
+    return chalk.green(line);
+  }
+  if (line.startsWith('-')) {
+    return chalk.red(line);
+  }
+  return line;
+}
+
+function formatPlan(plan) {
+  const { summary } = plan;
+  const lines = [
+    chalk.yellow(`🧪 Dry run - no files written to ${plan.workspacePath}`),
+    `   ${summary.create} to create, ${summary.overwrite} to overwrite, ${summary.merge} to merge, ` +
+      `${summary.conflict} in conflict, ${summary.unchanged} unchanged`,
+    ''
+  ];
+  
+  for (const file of plan.files) {
+    lines.push(`${ACTION_SYMBOLS[file.action]} ${file.action.padEnd(9)} ${file.path}`);
+  }
+  
+  if (plan.inclusions.length) {
+    const roles = new Set(plan.inclusions.map(entry => entry.role));
+    lines.push('', 'Automations, skills and workflows:');
+    for (const entry of plan.inclusions) {
+      const symbol = entry.included ? chalk.green('+') : chalk.grey('-');
+      const role = roles.size > 1 ? ` (${entry.role})` : '';
+      lines.push(`${symbol} ${entry.kind.padEnd(10)} ${entry.name}${role} - ${entry.reason}`);
+    }
+  }
+  
+  if (plan.schedules.length) {
+    lines.push('', 'Schedules:');
+    for (const entry of plan.schedules) {
+      lines.push(entry.error ?
+        `${chalk.red('!')} ${entry.automation} - cannot parse "${entry.schedule}": ${entry.error}` :
+        `${chalk.green('+')} ${entry.automation} - ${entry.when}`);
+    }
+  }
+  
+  if (plan.openclaw) {
+    lines.push('', `Skills to apply to ${plan.openclaw.configPath}:`, ...formatSkillChanges(plan.openclaw.changes));
+  }
+  
+  for (const file of plan.files.filter(entry => entry.diff)) {
+    lines.push('', ...file.diff.trimEnd().split('\n').map(colorDiffLine));
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = { planWorkspace, formatPlan, renderWorkspaceFiles };
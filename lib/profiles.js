@@ -0,0 +1,197 @@
+// Named profiles: separate OpenClaw workspaces (work, side projects...) on
+// one machine. They live in ~/.superclaw/config.json:
+//   { "currentProfile": "oss", "profiles": { "oss": { workspace, role, answers, updatedAt } } }
+// A `memory: { ttlDays: { context: 60 } }` key, at the top or in a profile
+// (which wins), overrides how many days memories of each type are kept.
+// The active profile is --profile (exported as SUPERCLAW_PROFILE by the CLI),
+// then SUPERCLAW_PROFILE, then `superclaw profile use`, then "default".
+// Each named profile has its own workspace and memory store; the default
+// profile keeps ~/clawd and ~/.superclaw/memory.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { superclawHome } = require('./registry');
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+function profilesConfigPath(options = {}) {
+  return path.join(options.home || superclawHome(), 'config.json');
+}
+
+function assertProfileName(name) {
+  if (!PROFILE_NAME.test(name)) {
+    throw new Error(`Invalid profile name "${name}". Use letters, digits, - and _`);
+  }
+}
+
+// Sync, so option defaults and constructors can resolve the active profile
+function readProfiles(options = {}) {
+  const configPath = profilesConfigPath(options);
+  if (!fs.pathExistsSync(configPath)) {
+    return { currentProfile: null, profiles: {} };
+  }
+  
+  let config;
+  try {
+    config = fs.readJsonSync(configPath);
+  } catch (error) {
+    throw new Error(`Cannot read profiles from ${configPath}: ${error.message}`);
+  }
+  return { ...config, currentProfile: config.currentProfile || null, profiles: config.profiles || {} };
+}
+
+async function writeProfiles(config, options = {}) {
+  await fs.outputFile(profilesConfigPath(options), `${JSON.stringify(config, null, 2)}\n`);
+}
+
+function activeProfileName(options = {}, config = readProfiles(options)) {
+  const name = options.profile || process.env.SUPERCLAW_PROFILE || config.currentProfile || DEFAULT_PROFILE;
+  assertProfileName(name);
+  return name;
+}
+
+// Where a profile's workspace is when neither --workspace nor SUPERCLAW_WORKSPACE says otherwise
+function profileWorkspace(name, saved) {
+  return (saved && saved.workspace) || path.join(os.homedir(), name === DEFAULT_PROFILE ? 'clawd' : `clawd-${name}`);
+}
+
+// Per-type memory TTLs in days: the config's, then the profile's; checked by the memory store
+function memoryTtlDays(config, saved) {
+  const ttlDays = settings => (settings && settings.memory && settings.memory.ttlDays) || {};
+  return { ...ttlDays(config), ...ttlDays(saved) };
+}
+
+function memoryDir(name, options = {}) {
+  const home = options.home || superclawHome();
+  return name === DEFAULT_PROFILE ? path.join(home, 'memory') : path.join(home, 'profiles', name, 'memory');
+}
+
+/**
+ * The active profile: { name, saved, workspace, memoryDir, memoryTtlDays, role, answers }.
+ * The workspace is --workspace, then SUPERCLAW_WORKSPACE, then the one the
+ * profile was set up in, then ~/clawd (~/clawd-<name> for named profiles).
+ */
+function resolveProfile(options = {}) {
+  const config = readProfiles(options);
+  const name = activeProfileName(options, config);
+  const saved = config.profiles[name];
+  
+  return {
+    name,
+    saved: Boolean(saved),
+    workspace: path.resolve(options.workspace || process.env.SUPERCLAW_WORKSPACE || profileWorkspace(name, saved)),
+    memoryDir: memoryDir(name, options),
+    memoryTtlDays: memoryTtlDays(config, saved),
+    role: saved ? saved.role : null,
+    answers: saved ? saved.answers : null
+  };
+}
+
+// Wizard answers in answers-file form, so a later run can replay them
+function profileAnswers(answers) {
+  const replayed = {
+    role: [answers.userType, ...(answers.additionalRoles || [])].join(','),
+    goals: answers.goals,
+    tools: answers.tools,
+    experience: answers.experience,
+    integrations: answers.integrations,
+    resolve: answers.resolve && Object.keys(answers.resolve).length ? answers.resolve : undefined,
+    timezone: answers.timezone,
+    working_days: answers.workingDays
+  };
+  return Object.fromEntries(Object.entries(replayed).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Create or update a profile. `answers` are the wizard's answers; the role
+ * is taken from them.
+ */
+async function saveProfile(name, { workspace, answers } = {}, options = {}) {
+  assertProfileName(name);
+  const config = readProfiles(options);
+  const previous = config.profiles[name] || {};
+  const replayed = answers ? profileAnswers(answers) : previous.answers || null;
+  
+  config.profiles[name] = {
+    ...previous,
+    workspace: workspace ? path.resolve(workspace) : previous.workspace,
+    role: replayed ? replayed.role : null,
+    answers: replayed,
+    updatedAt: new Date().toISOString()
+  };
+  await writeProfiles(config, options);
+  return config.profiles[name];
+}
+
+// Every saved profile, plus the default one, marking the active profile
+function listProfiles(options = {}) {
+  const config = readProfiles(options);
+  const current = activeProfileName(options, config);
+  const names = [...new Set([DEFAULT_PROFILE, ...Object.keys(config.profiles).sort()])];
+  
+  return names.map(name => {
+    const saved = config.profiles[name];
+    return {
+      name,
+      current: name === current,
+      workspace: profileWorkspace(name, saved),
+      memoryDir: memoryDir(name, options),
+      role: saved ? saved.role : null,
+      updatedAt: saved ? saved.updatedAt : null
+    };
+  });
+}
+
+/**
+ * Make a profile the active one for later commands. An unknown profile is
+ * only created when a workspace is given for it.
+ */
+async function useProfile(name, { workspace } = {}, options = {}) {
+  assertProfileName(name);
+  if (workspace) {
+    await saveProfile(name, { workspace }, options);
+  } else if (name !== DEFAULT_PROFILE && !readProfiles(options).profiles[name]) {
+    throw new Error(`Unknown profile "${name}". Create it with \`superclaw --profile ${name} wizard\` or \`superclaw profile use ${name} --workspace <dir>\``);
+  }
+  
+  const config = readProfiles(options);
+  config.currentProfile = name === DEFAULT_PROFILE ? null : name;
+  await writeProfiles(config, options);
+  return resolveProfile({ ...options, profile: name });
+}
+
+/**
+ * Forget a profile. Its workspace and memories are left on disk; when it was
+ * the active profile, the default one takes over.
+ */
+async function removeProfile(name, options = {}) {
+  assertProfileName(name);
+  const config = readProfiles(options);
+  if (!config.profiles[name]) {
+    throw new Error(name === DEFAULT_PROFILE ? 'The default profile cannot be removed' : `Unknown profile "${name}"`);
+  }
+  
+  const removed = { name, workspace: profileWorkspace(name, config.profiles[name]), memoryDir: memoryDir(name, options) };
+  delete config.profiles[name];
+  const wasCurrent = config.currentProfile === name;
+  if (wasCurrent) {
+    config.currentProfile = null;
+  }
+  await writeProfiles(config, options);
+  return { ...removed, wasCurrent };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  profilesConfigPath,
+  readProfiles,
+  activeProfileName,
+  resolveProfile,
+  profileAnswers,
+  saveProfile,
+  listProfiles,
+  useProfile,
+  removeProfile
+};
\ No newline at end of file
@@ -1,5 +1,128 @@
-function getQuestions(preselectedTemplate) {
+const { BUILTIN_INTEGRATIONS, toolChoices, followUpQuestions } = require('./integrations');
+
+// Friendlier labels for the built-in roles
+const BUILTIN_ROLE_LABELS = {
+  founder: { name: '👨‍💼 Startup Founder / Entrepreneur', short: 'Founder' },
+  engineer: { name: '👨‍💻 Software Engineer / Developer', short: 'Engineer' },
+  creator: { name: '🎨 Content Creator / Influencer', short: 'Creator' },
+  student: { name: '📚 Student / Researcher', short: 'Student' }
+};
+
+const BUILTIN_TEMPLATES = Object.keys(BUILTIN_ROLE_LABELS).map(role => ({ role, source: 'builtin' }));
+
+// Role choices from registry templates (see lib/registry.js)
+function roleChoices(templates) {
+  return templates.map(template => {
+    const label = template.source === 'builtin' && BUILTIN_ROLE_LABELS[template.role];
+    if (label) {
+      return { name: label.name, value: template.role, short: label.short };
+    }
+    const description = template.description ? ` - ${template.description}` : '';
+    return { name: `🧩 ${template.name || template.role}${description}`, value: template.role, short: template.name || template.role };
+  });
+}
+
+// The primary role plus any additional roles picked for the same workspace
+function rolesFor(preselectedTemplate, answers) {
+  return [preselectedTemplate || answers.userType, ...(answers.additionalRoles || [])];
+}
+
+// Union of several roles' choices, keeping the first occurrence of each value
+function mergeChoices(choiceLists) {
+  const seen = new Set();
+  const merged = [];
+  for (const choice of choiceLists.flat()) {
+    if (!seen.has(choice.value)) {
+      seen.add(choice.value);
+      merged.push(choice);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Goal choices for a role. A template with a goal_map offers its goals,
+ * labelled from the map or, for the built-in goals, the labels below.
+ */
+function goalChoicesFor(userType, templates = []) {
+  const builtin = builtinGoalChoices(userType);
+  const template = templates.find(entry => entry.role === userType);
+  if (!template || !template.goals || !template.goals.length) {
+    return builtin;
+  }
+  
+  return template.goals.map(goal => {
+    const known = builtin.find(choice => choice.value === goal.value) || {};
+    return {
+      name: goal.label || known.name || titleCase(goal.value),
+      value: goal.value,
+      checked: goal.checked !== null && goal.checked !== undefined ? goal.checked : Boolean(known.checked)
+    };
+  });
+}
+
+// Label for a chosen goal, from any of the roles that offer it
+function goalLabel(goal, roles = [], templates = []) {
+  const choice = roles.flatMap(role => goalChoicesFor(role, templates)).find(entry => entry.value === goal);
+  return choice ? choice.name : titleCase(goal);
+}
+
+function titleCase(name) {
+  return name.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+function builtinGoalChoices(userType) {
+  switch (userType) {
+    case 'founder':
+      return [
+        { name: 'Automate business metrics tracking', value: 'metrics', checked: true },
+        { name: 'Generate investor updates', value: 'investors' },
+        { name: 'Monitor team productivity', value: 'team' },
+        { name: 'Track competitor intelligence', value: 'competitors' },
+        { name: 'Optimize decision making', value: 'decisions' }
+      ];
+    case 'engineer':
+      return [
+        { name: 'Automate code reviews', value: 'code_reviews', checked: true },
+        { name: 'Track OSS contributions', value: 'oss_tracking' },
+        { name: 'Monitor technical trends', value: 'tech_trends' },
+        { name: 'Optimize development workflow', value: 'dev_workflow' },
+        { name: 'Generate technical documentation', value: 'documentation' }
+      ];
+    case 'creator':
+      return [
+        { name: 'Schedule content across platforms', value: 'content_scheduling', checked: true },
+        { name: 'Track engagement analytics', value: 'analytics' },
+        { name: 'Research trending topics', value: 'trend_research' },
+        { name: 'Monitor brand mentions', value: 'brand_monitoring' },
+        { name: 'Optimize posting times', value: 'timing_optimization' }
+      ];
+    case 'student':
+      return [
+        { name: 'Organize research and papers', value: 'research_organization', checked: true },
+        { name: 'Track assignment deadlines', value: 'deadline_tracking' },
+        { name: 'Optimize study schedule', value: 'study_optimization' },
+        { name: 'Monitor career opportunities', value: 'career_tracking' },
+        { name: 'Manage citations and references', value: 'citation_management' }
+      ];
+    default:
+      return [
+        { name: 'Automate repetitive tasks', value: 'automation', checked: true },
+        { name: 'Get better insights from data', value: 'insights' },
+        { name: 'Never miss important deadlines', value: 'deadlines' },
+        { name: 'Optimize decision making', value: 'decisions' }
+      ];
+  }
+}
+
+/**
+ * The wizard questions. templates are the registry templates offered as
+ * roles (defaults to the built-in ones); integrations are the tools offered
+ * (see lib/integrations).
+ */
+function getQuestions(preselectedTemplate, templates = BUILTIN_TEMPLATES, integrations = BUILTIN_INTEGRATIONS) {
   const questions = [];
+  const roles = roleChoices(templates);
 
   // User type selection (skip if pre-selected)
   if (!preselectedTemplate) {
@@ -7,80 +130,28 @@ function getQuestions(preselectedTemplate) {
       type: 'list',
       name: 'userType',
       message: '🎯 What best describes you?',
-      choices: [
-        {
-          name: '👨‍💼 Startup Founder / Entrepreneur',
-          value: 'founder',
-          short: 'Founder'
-        },
-        {
-          name: '👨‍💻 Software Engineer / Developer',
-          value: 'engineer', 
-          short: 'Engineer'
-        },
-        {
-          name: '🎨 Content Creator / Influencer',
-          value: 'creator',
-          short: 'Creator'
-        },
-        {
-          name: '📚 Student / Researcher',
-          value: 'student',
-          short: 'Student'
-        }
-      ]
+      choices: roles
     });
   }
 
+  // Further roles are composed into the same workspace
+  questions.push({
+    type: 'checkbox',
+    name: 'additionalRoles',
+    message: '🧩 Do you wear any other hats? (optional - roles are combined into one workspace)',
+    choices: function(answers) {
+      const userType = preselectedTemplate || answers.userType;
+      return roles.filter(choice => choice.value !== userType);
+    }
+  });
+
   // Goals selection
   questions.push({
     type: 'checkbox',
     name: 'goals',
     message: '🎯 What are your primary goals with AI assistance?',
     choices: function(answers) {
-      const userType = preselectedTemplate || answers.userType;
-      
-      switch (userType) {
-        case 'founder':
-          return [
-            { name: 'Automate business metrics tracking', value: 'metrics', checked: true },
-            { name: 'Generate investor updates', value: 'investors' },
-            { name: 'Monitor team productivity', value: 'team' },
-            { name: 'Track competitor intelligence', value: 'competitors' },
-            { name: 'Optimize decision making', value: 'decisions' }
-          ];
-        case 'engineer':
-          return [
-            { name: 'Automate code reviews', value: 'code_reviews', checked: true },
-            { name: 'Track OSS contributions', value: 'oss_tracking' },
-            { name: 'Monitor technical trends', value: 'tech_trends' },
-            { name: 'Optimize development workflow', value: 'dev_workflow' },
-            { name: 'Generate technical documentation', value: 'documentation' }
-          ];
-        case 'creator':
-          return [
-            { name: 'Schedule content across platforms', value: 'content_scheduling', checked: true },
-            { name: 'Track engagement analytics', value: 'analytics' },
-            { name: 'Research trending topics', value: 'trend_research' },
-            { name: 'Monitor brand mentions', value: 'brand_monitoring' },
-            { name: 'Optimize posting times', value: 'timing_optimization' }
-          ];
-        case 'student':
-          return [
-            { name: 'Organize research and papers', value: 'research_organization', checked: true },
-            { name: 'Track assignment deadlines', value: 'deadline_tracking' },
-            { name: 'Optimize study schedule', value: 'study_optimization' },
-            { name: 'Monitor career opportunities', value: 'career_tracking' },
-            { name: 'Manage citations and references', value: 'citation_management' }
-          ];
-        default:
-          return [
-            { name: 'Automate repetitive tasks', value: 'automation', checked: true },
-            { name: 'Get better insights from data', value: 'insights' },
-            { name: 'Never miss important deadlines', value: 'deadlines' },
-            { name: 'Optimize decision making', value: 'decisions' }
-          ];
-      }
+      return mergeChoices(rolesFor(preselectedTemplate, answers).map(role => goalChoicesFor(role, templates)));
     },
     validate: function(answer) {
       if (answer.length < 1) {
@@ -96,52 +167,13 @@ function getQuestions(preselectedTemplate) {
     name: 'tools',
     message: '🔧 Which tools do you use daily? (Select all that apply)',
     choices: function(answers) {
-      const userType = preselectedTemplate || answers.userType;
-      
-      const baseChoices = [
-        { name: '📧 Email (Gmail/Outlook)', value: 'gmail' },
-        { name: '📅 Calendar (Google/Outlook)', value: 'calendar' },
-      ];
-      
-      switch (userType) {
-        case 'founder':
-          return [
-            ...baseChoices,
-            { name: '💬 Team Chat (Slack/Discord)', value: 'slack', checked: true },
-            { name: '📊 Analytics (Google Analytics)', value: 'analytics' },
-            { name: '💰 Financial (Stripe/Banking)', value: 'financial' },
-            { name: '📋 Project Management (Notion/Trello)', value: 'project_mgmt', checked: true }
-          ];
-        case 'engineer':
-          return [
-            ...baseChoices,
-            { name: '💻 GitHub', value: 'github', checked: true },
-            { name: '💬 Team Chat (Slack/Discord)', value: 'slack' },
-            { name: '📋 Project Management (Linear/Jira)', value: 'project_mgmt' },
-            { name: '☁️ Cloud Services (AWS/GCP)', value: 'cloud' }
-          ];
-        case 'creator':
-          return [
-            ...baseChoices,
-            { name: '📱 Social Media (LinkedIn/Twitter/Instagram)', value: 'social', checked: true },
-            { name: '📊 Analytics (Google Analytics)', value: 'analytics', checked: true },
-            { name: '🎥 Content Tools (Canva/Figma)', value: 'design' },
-            { name: '💰 Monetization (YouTube/Patreon)', value: 'monetization' }
-          ];
-        case 'student':
-          return [
-            ...baseChoices,
-            { name: '📚 Research Tools (Notion/Obsidian)', value: 'research', checked: true },
-            { name: '📖 Citation Management (Zotero)', value: 'citations' },
-            { name: '💻 Development (GitHub)', value: 'github' },
-            { name: '💼 Career (LinkedIn/Job Boards)', value: 'career' }
-          ];
-        default:
-          return baseChoices;
-      }
+      return mergeChoices(rolesFor(preselectedTemplate, answers).map(role => toolChoices(role, integrations)));
     }
   });
 
+  // Follow-ups for each chosen tool (see lib/integrations)
+  questions.push(...followUpQuestions(integrations));
+
   // Experience level
   questions.push({
     type: 'list',
@@ -165,4 +197,4 @@ function getQuestions(preselectedTemplate) {
   return questions;
 }
 
-module.exports = { getQuestions };
\ No newline at end of file
+module.exports = { getQuestions, roleChoices, goalLabel };
\ No newline at end of file
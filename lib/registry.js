@@ -0,0 +1,104 @@
+// Template registry: finds role templates in every place they can live.
+// A template is a directory holding config.yaml; its directory name is the
+// role it provides. Later sources shadow earlier ones with the same role.
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const BUILTIN_TEMPLATES_DIR = path.join(__dirname, '..', 'examples', 'templates');
+
+// Mirrors ConfigUtils.homeDir() in src/lib/shared/utils.ts
+function superclawHome() {
+  return process.env.SUPERCLAW_HOME || path.join(os.homedir(), '.superclaw');
+}
+
+function userTemplatesDir(options = {}) {
+  return path.join(options.home || superclawHome(), 'templates');
+}
+
+function projectTemplatesDir(options = {}) {
+  return path.join(options.cwd || process.cwd(), '.superclaw', 'templates');
+}
+
+function templateSources(options = {}) {
+  return [
+    { source: 'builtin', dir: BUILTIN_TEMPLATES_DIR },
+    { source: 'user', dir: userTemplatesDir(options) },
+    { source: 'project', dir: projectTemplatesDir(options) }
+  ];
+}
+
+async function scanDirectory(source, dir) {
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+  
+  const found = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const templateDir = path.join(dir, entry.name);
+    if (entry.isDirectory() && await fs.pathExists(path.join(templateDir, 'config.yaml'))) {
+      found.push({ role: entry.name, source, path: templateDir });
+    }
+  }
+  return found;
+}
+
+// A --template path: a template directory or a config.yaml inside one
+async function pathTemplate(templatePath) {
+  const resolved = path.resolve(templatePath);
+  if (!await fs.pathExists(resolved)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+  const dir = (await fs.stat(resolved)).isDirectory() ? resolved : path.dirname(resolved);
+  return { role: path.basename(dir), source: 'path', path: resolved };
+}
+
+/**
+ * Every template found, including shadowed ones, in increasing precedence:
+ * built-in, user (~/.superclaw/templates), project (.superclaw/templates)
+ * and explicit templatePaths.
+ */
+async function scanTemplateCandidates(options = {}) {
+  const candidates = [];
+  
+  for (const { source, dir } of templateSources(options)) {
+    candidates.push(...await scanDirectory(source, dir));
+  }
+  for (const templatePath of options.templatePaths || []) {
+    candidates.push(await pathTemplate(templatePath));
+  }
+  
+  return candidates;
+}
+
+/**
+ * The effective template for each role, sorted by role. `shadows` names
+ * the lower-precedence sources a template overrides.
+ */
+async function scanTemplates(options = {}) {
+  const byRole = new Map();
+  
+  for (const candidate of await scanTemplateCandidates(options)) {
+    const shadowed = byRole.get(candidate.role);
+    const shadows = shadowed ? [...shadowed.shadows, shadowed.source] : [];
+    byRole.set(candidate.role, { ...candidate, shadows });
+  }
+  
+  return [...byRole.values()].sort((a, b) => a.role.localeCompare(b.role));
+}
+
+async function findTemplate(role, options = {}) {
+  return (await scanTemplates(options)).find(entry => entry.role === role) || null;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES_DIR,
+  superclawHome,
+  userTemplatesDir,
+  projectTemplatesDir,
+  scanTemplateCandidates,
+  scanTemplates,
+  findTemplate,
+  pathTemplate
+};
\ No newline at end of file
@@ -0,0 +1,425 @@
+// Safe template engine for files shipped by role templates (`isTemplate: true`)
+// and for the default AGENTS.md/HEARTBEAT.md layouts. Templates can only read
+// values from the render context; nothing in a template is ever executed.
+//
+//   {{ path.to.value }}                      undefined values are an error
+//   {{ value | default "none" }}             filters: default, join, title, upper, lower, length
+//   {{#if expr}} ... {{else}} ... {{/if}}    expr: value, not value, a == b, a != b, list contains x
+//   {{#each list as item}} ... {{/each}}     maps: {{#each map as key, value}}; @index, @first, @last
+//   {{> name}}                               a partial, rendered with the current values
+//   {{! comment }}
+//
+// A block tag, partial or comment alone on its line leaves no blank line behind.
+
+const TAG = /\{\{([\s\S]*?)\}\}/g;
+const EXPRESSION_TOKEN = /\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|==|!=|\||[^\s|]+)/y;
+const PATH = /^@?[A-Za-z_][\w-]*(\.[\w-]+)*$/;
+const MAX_PARTIAL_DEPTH = 20;
+
+const UNDEFINED = Symbol('undefined');
+
+class TemplateRenderError extends Error {
+  constructor(file, line, message) {
+    super(`${file}:${line}: ${message}`);
+    this.name = 'TemplateRenderError';
+    this.file = file;
+    this.line = line;
+    this.reason = message;
+  }
+}
+
+const FILTERS = {
+  default: (value, fallback = '') => (value === UNDEFINED || value === null || value === '' ? fallback : value),
+  join: (value, separator = ', ') => {
+    if (!Array.isArray(value)) {
+      throw new Error(`join needs a list, got ${describe(value)}`);
+    }
+    return value.map(item => outputText(item)).join(separator);
+  },
+  title: value => String(value).replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase()),
+  upper: value => String(value).toUpperCase(),
+  lower: value => String(value).toLowerCase(),
+  length: value => {
+    if (value !== null && typeof value === 'object') {
+      return Array.isArray(value) ? value.length : Object.keys(value).length;
+    }
+    return String(value).length;
+  }
+};
+
+function describe(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'a list' : typeof value === 'object' ? 'a map' : typeof value;
+}
+
+function lineAt(source, index) {
+  return source.slice(0, index).split('\n').length;
+}
+
+function tokenizeExpression(text, file, line) {
+  const tokens = [];
+  EXPRESSION_TOKEN.lastIndex = 0;
+
+  while (EXPRESSION_TOKEN.lastIndex < text.length) {
+    if (!text.slice(EXPRESSION_TOKEN.lastIndex).trim()) {
+      break;
+    }
+    const match = EXPRESSION_TOKEN.exec(text);
+    if (!match) {
+      throw new TemplateRenderError(file, line, `cannot parse "${text}"`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function parseOperand(token, file, line) {
+  if (token === undefined) {
+    throw new TemplateRenderError(file, line, 'expected a value');
+  }
+  if (/^["']/.test(token)) {
+    return { literal: token.slice(1, -1).replace(/\\(.)/g, '$1') };
+  }
+  if (/^-?\d+(\.\d+)?$/.test(token)) {
+    return { literal: Number(token) };
+  }
+  if (['true', 'false', 'null'].includes(token)) {
+    return { literal: JSON.parse(token) };
+  }
+  if (!PATH.test(token)) {
+    throw new TemplateRenderError(file, line, `unexpected "${token}"`);
+  }
+  return { path: token.split('.') };
+}
+
+// `{{ value | filter arg | filter }}`
+function parseOutput(text, file, line) {
+  const segments = [[]];
+  for (const token of tokenizeExpression(text, file, line)) {
+    if (token === '|') {
+      segments.push([]);
+    } else {
+      segments[segments.length - 1].push(token);
+    }
+  }
+
+  const [[value, extra], ...rest] = segments;
+  if (extra !== undefined) {
+    throw new TemplateRenderError(file, line, `unexpected "${extra}" (filters go after |)`);
+  }
+  const filters = rest.map(([name, ...args]) => {
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+      throw new TemplateRenderError(file, line, `unknown filter "${name}". Available filters: ${Object.keys(FILTERS).join(', ')}`);
+    }
+    return { name, args: args.map(arg => parseOperand(arg, file, line)) };
+  });
+  return { value: parseOperand(value, file, line), filters };
+}
+
+// `value`, `not value`, `a == b`, `a != b`, `list contains x`
+function parseCondition(text, file, line) {
+  const tokens = tokenizeExpression(text, file, line);
+  const negate = tokens[0] === 'not';
+  if (negate) {
+    tokens.shift();
+  }
+  if (tokens.length !== 1 && tokens.length !== 3) {
+    throw new TemplateRenderError(file, line, `cannot parse condition "${text}"`);
+  }
+  if (tokens.length === 3 && !['==', '!=', 'contains'].includes(tokens[1])) {
+    throw new TemplateRenderError(file, line, `unknown operator "${tokens[1]}" (use ==, != or contains)`);
+  }
+
+  return {
+    negate,
+    left: parseOperand(tokens[0], file, line),
+    operator: tokens[1] || null,
+    right: tokens.length === 3 ? parseOperand(tokens[2], file, line) : null
+  };
+}
+
+// `list as item` or `map as key, value`
+function parseLoop(text, file, line) {
+  const match = text.match(/^(\S+)\s+as\s+([A-Za-z_]\w*)(?:\s*,\s*([A-Za-z_]\w*))?$/);
+  if (!match) {
+    throw new TemplateRenderError(file, line, `expected "#each <list> as <name>" or "#each <map> as <key>, <value>", got "#each ${text}"`);
+  }
+  const [, source, first, second] = match;
+  return {
+    source: parseOperand(source, file, line),
+    keyName: second ? first : null,
+    itemName: second || first
+  };
+}
+
+function parseTag(body, file, line) {
+  if (body.startsWith('!')) {
+    return { type: 'comment', line };
+  }
+  if (body === 'else') {
+    return { type: 'else', line };
+  }
+  if (body.startsWith('#')) {
+    const [, block, rest] = body.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+    if (block === 'if') {
+      return { type: 'open', block, condition: parseCondition(rest, file, line), line };
+    }
+    if (block === 'each') {
+      return { type: 'open', block, loop: parseLoop(rest.trim(), file, line), line };
+    }
+    throw new TemplateRenderError(file, line, `unknown block "${body}" (use #if or #each)`);
+  }
+  if (body.startsWith('/')) {
+    return { type: 'close', block: body.slice(1).trim(), line };
+  }
+  if (body.startsWith('>')) {
+    const name = body.slice(1).trim();
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new TemplateRenderError(file, line, `invalid partial name "${name}"`);
+    }
+    return { type: 'partial', name, line };
+  }
+  if (!body) {
+    throw new TemplateRenderError(file, line, 'empty tag');
+  }
+  return { type: 'output', ...parseOutput(body, file, line), line };
+}
+
+function tokenize(source, file) {
+  const tokens = [];
+  let cursor = 0;
+  let match;
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source))) {
+    let start = match.index;
+    let end = TAG.lastIndex;
+    const tag = parseTag(match[1].trim(), file, lineAt(source, start));
+
+    // Standalone tags take their whole line with them
+    if (tag.type !== 'output') {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline;
+      if (lineStart >= cursor && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+        tag.indent = source.slice(lineStart, start);
+        tag.newline = newline !== -1;
+        start = lineStart;
+        end = newline === -1 ? source.length : newline + 1;
+      }
+    }
+
+    if (start > cursor) {
+      tokens.push({ type: 'text', value: source.slice(cursor, start) });
+    }
+    tokens.push(tag);
+    cursor = end;
+    TAG.lastIndex = end;
+  }
+
+  const rest = source.slice(cursor);
+  if (rest.includes('{{')) {
+    throw new TemplateRenderError(file, lineAt(source, cursor + rest.indexOf('{{')), 'unclosed {{');
+  }
+  if (rest) {
+    tokens.push({ type: 'text', value: rest });
+  }
+  return tokens;
+}
+
+/**
+ * Parse a template into a tree of text, output, if, each and partial
+ * nodes. Syntax errors throw a TemplateRenderError with the line.
+ */
+function compileTemplate(source, file = 'template') {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of tokenize(source, file)) {
+    const current = stack[stack.length - 1];
+    // Inside a block, nodes after {{else}} belong to the else branch
+    const target = current.otherwise || current.children;
+
+    if (token.type === 'comment') {
+      continue;
+    }
+    if (token.type === 'open') {
+      const node = { ...token, type: token.block, children: [], otherwise: null };
+      target.push(node);
+      stack.push(node);
+    } else if (token.type === 'else') {
+      if (stack.length === 1 || current.otherwise) {
+        throw new TemplateRenderError(file, token.line, '{{else}} outside of an #if or #each block');
+      }
+      current.otherwise = [];
+    } else if (token.type === 'close') {
+      if (stack.length === 1 || current.type !== token.block) {
+        const expected = stack.length === 1 ? 'no block is open' : `expected {{/${current.type}}} for line ${current.line}`;
+        throw new TemplateRenderError(file, token.line, `unexpected {{/${token.block}}}: ${expected}`);
+      }
+      stack.pop();
+    } else {
+      target.push(token);
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw new TemplateRenderError(file, open.line, `{{#${open.type}}} is never closed`);
+  }
+  return root.children;
+}
+
+function lookup(scopes, path) {
+  const [head, ...rest] = path;
+  const scope = [...scopes].reverse().find(candidate => Object.prototype.hasOwnProperty.call(candidate, head));
+  let value = scope ? scope[head] : UNDEFINED;
+
+  for (const key of rest) {
+    // Own properties only: templates cannot reach prototypes or functions
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return UNDEFINED;
+    }
+    value = value[key];
+  }
+  return value === undefined || typeof value === 'function' ? UNDEFINED : value;
+}
+
+function evaluate(operand, scopes) {
+  return Object.prototype.hasOwnProperty.call(operand, 'literal') ? operand.literal : lookup(scopes, operand.path);
+}
+
+function isTruthy(value) {
+  if (value === UNDEFINED || value === null) {
+    return false;
+  }
+  if (typeof value === 'object') {
+    return Array.isArray(value) ? value.length > 0 : Object.keys(value).length > 0;
+  }
+  return Boolean(value);
+}
+
+function outputText(value) {
+  if (value === null) {
+    return '';
+  }
+  if (typeof value === 'object') {
+    throw new Error(`is ${describe(value)}; loop over it with {{#each}}${Array.isArray(value) ? ' or use | join' : ''}`);
+  }
+  return String(value);
+}
+
+function testCondition({ negate, left, operator, right }, scopes) {
+  const a = evaluate(left, scopes);
+  let result;
+
+  if (operator === null) {
+    result = isTruthy(a);
+  } else {
+    const b = evaluate(right, scopes);
+    if (operator === 'contains') {
+      result = Array.isArray(a) ? a.includes(b) : typeof a === 'string' && a.includes(String(b));
+    } else {
+      result = (a === UNDEFINED ? undefined : a) === (b === UNDEFINED ? undefined : b);
+      result = operator === '==' ? result : !result;
+    }
+  }
+  return negate ? !result : result;
+}
+
+function renderNodes(nodes, scopes, state) {
+  let output = '';
+
+  for (const node of nodes) {
+    const fail = message => new TemplateRenderError(state.file, node.line, message);
+
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'output') {
+      const name = node.value.path ? node.value.path.join('.') : JSON.stringify(node.value.literal);
+      let value = evaluate(node.value, scopes);
+      for (const filter of node.filters) {
+        if (value === UNDEFINED && filter.name !== 'default') {
+          throw fail(`"${name}" is undefined`);
+        }
+        try {
+          value = FILTERS[filter.name](value, ...filter.args.map(arg => evaluate(arg, scopes)));
+        } catch (error) {
+          throw fail(`"${name}": ${error.message}`);
+        }
+      }
+      if (value === UNDEFINED) {
+        throw fail(`"${name}" is undefined`);
+      }
+      try {
+        output += outputText(value);
+      } catch (error) {
+        throw fail(`"${name}" ${error.message}`);
+      }
+    } else if (node.type === 'if') {
+      const branch = testCondition(node.condition, scopes) ? node.children : node.otherwise;
+      output += branch ? renderNodes(branch, scopes, state) : '';
+    } else if (node.type === 'each') {
+      output += renderLoop(node, scopes, state, fail);
+    } else if (node.type === 'partial') {
+      output += renderPartial(node, scopes, state, fail);
+    }
+  }
+
+  return output;
+}
+
+function renderLoop(node, scopes, state, fail) {
+  const { source, keyName, itemName } = node.loop;
+  const collection = evaluate(source, scopes);
+  if (collection === UNDEFINED) {
+    throw fail(`"${source.path ? source.path.join('.') : source.literal}" is undefined`);
+  }
+  if (collection !== null && typeof collection !== 'object') {
+    throw fail(`cannot loop over ${describe(collection)}`);
+  }
+
+  const entries = collection === null ? [] : Array.isArray(collection) ?
+    collection.map((item, index) => [index, item]) :
+    Object.entries(collection);
+  if (!entries.length) {
+    return node.otherwise ? renderNodes(node.otherwise, scopes, state) : '';
+  }
+
+  return entries.map(([key, item], index) => {
+    const scope = { [itemName]: item, '@index': index, '@first': index === 0, '@last': index === entries.length - 1 };
+    if (keyName) {
+      scope[keyName] = key;
+    }
+    return renderNodes(node.children, [...scopes, scope], state);
+  }).join('');
+}
+
+function renderPartial(node, scopes, state, fail) {
+  if (!Object.prototype.hasOwnProperty.call(state.partials, node.name)) {
+    const available = Object.keys(state.partials);
+    throw fail(`unknown partial "${node.name}"${available.length ? `. Available partials: ${available.join(', ')}` : ''}`);
+  }
+  if (state.depth >= MAX_PARTIAL_DEPTH) {
+    throw fail(`partials nest more than ${MAX_PARTIAL_DEPTH} deep (does "${node.name}" include itself?)`);
+  }
+
+  const file = `partial ${node.name}`;
+  const rendered = renderNodes(compileTemplate(state.partials[node.name], file), scopes,
+    { ...state, file, depth: state.depth + 1 });
+  const indented = node.indent ? rendered.replace(/^(?=.)/gm, node.indent) : rendered;
+  // A standalone partial keeps its line break even if its text has none
+  return node.newline && rendered && !rendered.endsWith('\n') ? `${indented}\n` : indented;
+}
+
+/**
+ * Render a template with the given context. `file` names the template in
+ * error messages; `partials` maps partial names to their source.
+ */
+function renderTemplate(source, context, { file = 'template', partials = {} } = {}) {
+  return renderNodes(compileTemplate(source, file), [context], { file, partials, depth: 0 });
+}
+
+module.exports = { TemplateRenderError, compileTemplate, renderTemplate, FILTERS };
\ No newline at end of file
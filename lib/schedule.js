@@ -0,0 +1,326 @@
+// Automation schedules. Templates write them as short phrases, which
+// parseSchedule turns into triggers:
+//
+//   '8:00 AM daily'                         cron, every day
+//   'Daily 8:30 AM & 5:00 PM'               cron, one expression per time
+//   'Weekly Friday 4:00 PM'                 cron, on the named days
+//   'Weekly deep-dive Monday'               cron; a hyphenated label after the cadence is ignored
+//   'Weekdays 9:00 AM'                      cron, on the user's working days
+//   'Monthly on the 15th'                   cron, on a day of the month
+//   'On PR creation'                        event
+//   'Monthly, 3 days before board meeting'  event with an offset, recurring monthly
+//   'On demand'                             manual
+//
+// Clauses are separated by commas or semicolons and notes in parentheses
+// are ignored. Words match in any case; event names keep the casing they
+// are written in. A clause without a time runs at 9:00 AM; weekly without
+// a day runs on the first working day. Cron expressions are evaluated in
+// the user's timezone.
+
+const { toList } = require('./answers');
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_WORKING_DAYS = ['mon', 'tue', 'wed', 'thu', 'fri'];
+const DEFAULT_TIME = '09:00';
+
+const EXAMPLES = '"8:00 AM daily", "Weekly Friday 4:00 PM" or "On PR creation"';
+const TOKEN = /(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b\.?|(\d{1,2}):(\d{2})\b|(\d{1,2})(?:st|nd|rd|th)\b|\d+|[a-z][a-z'-]*|\S/gi;
+const FILLER = new Set(['at', 'on', 'the', 'and', 'every', 'each', 'of', 'month']);
+const CADENCE_WORDS = { daily: 'daily', weekly: 'weekly', monthly: 'monthly' };
+const OFFSET = /^(\d+)\s+(hour|day|week)s?\s+(before|after)\s+(.+)$/i;
+
+class ScheduleError extends Error {
+  constructor(schedule, message) {
+    super(`Cannot parse schedule "${schedule}": ${message}`);
+    this.name = 'ScheduleError';
+    this.schedule = schedule;
+    this.reason = message;
+  }
+}
+
+function dayOf(word) {
+  const name = word.replace(/s$/, '');
+  const index = DAY_NAMES.findIndex(day => day === name || day.slice(0, 3) === name);
+  return index === -1 ? null : DAYS[index];
+}
+
+function slugOf(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+// `deep-dive` in `Weekly deep-dive Monday`: a hyphenated word that is not a day range
+function isLabel(word) {
+  return /^[a-z]+(-[a-z]+)+$/.test(word) && !word.split('-').some(part => dayOf(part) || CADENCE_WORDS[part]);
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+/**
+ * The user's timezone and working days, checked. Working days are day
+ * names or ranges: `mon-fri`, `sun,mon,tue,wed,thu`.
+ */
+function scheduleSettings({ timezone, workingDays } = {}) {
+  const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch {
+    throw new Error(`Unknown timezone "${zone}". Use an IANA name such as Europe/Berlin or America/New_York`);
+  }
+  
+  if (workingDays === undefined || workingDays === null) {
+    return { timezone: zone, workingDays: DEFAULT_WORKING_DAYS };
+  }
+  
+  const days = new Set();
+  for (const item of toList(workingDays)) {
+    const [from, to] = item.toLowerCase().split('-').map(dayOf);
+    if (!from || (item.includes('-') && !to)) {
+      throw new Error(`Unknown working day "${item}". Use day names such as mon-fri or sun,mon,tue,wed,thu`);
+    }
+    const start = DAYS.indexOf(from);
+    const length = to ? (DAYS.indexOf(to) - start + 7) % 7 + 1 : 1;
+    for (let offset = 0; offset < length; offset++) {
+      days.add(DAYS[(start + offset) % 7]);
+    }
+  }
+  if (!days.size) {
+    throw new Error('Working days must name at least one day');
+  }
+  return { timezone: zone, workingDays: DAYS.filter(day => days.has(day)) };
+}
+
+function parseTime(match, schedule) {
+  const [text, hour12, minute12, meridiem, hour24, minute24] = match;
+  const hour = Number(hour12 !== undefined ? hour12 : hour24);
+  const minute = Number((hour12 !== undefined ? minute12 : minute24) || 0);
+  
+  if (meridiem ? hour < 1 || hour > 12 : hour > 23) {
+    throw new ScheduleError(schedule, `invalid time "${text.trim()}"`);
+  }
+  if (minute > 59) {
+    throw new ScheduleError(schedule, `invalid time "${text.trim()}"`);
+  }
+  const hours = meridiem ? hour % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0) : hour;
+  return `${pad(hours)}:${pad(minute)}`;
+}
+
+// A clause of times, days and a cadence word, e.g. `weekly friday 4:00 pm`
+function parseTimeClause(clause, schedule, settings) {
+  const cadences = new Set();
+  const days = [];
+  const times = [];
+  let dayOfMonth = null;
+  let workingDays = false;
+  
+  const tokens = [...clause.matchAll(TOKEN)];
+  const lower = tokens.map(match => match[0].toLowerCase());
+  for (const [index, match] of tokens.entries()) {
+    const original = match[0];
+    const word = lower[index];
+    const next = lower[index + 1];
+    const previous = lower[index - 1];
+    if (match[3] !== undefined || match[4] !== undefined) {
+      times.push(parseTime(match, schedule));
+    } else if (match[6] !== undefined) {
+      dayOfMonth = Number(match[6]);
+      if (dayOfMonth < 1 || dayOfMonth > 31) {
+        throw new ScheduleError(schedule, `invalid day of the month "${original}"`);
+      }
+    } else if (CADENCE_WORDS[word]) {
+      cadences.add(CADENCE_WORDS[word]);
+    } else if (word === 'noon' || word === 'midnight') {
+      times.push(word === 'noon' ? '12:00' : '00:00');
+    } else if (word === 'weekdays' || word === 'workdays' || ((word === 'working' || word === 'work') && next === 'days')) {
+      workingDays = true;
+    } else if (word === 'days' && workingDays) {
+      continue;
+    } else if (word === 'day' && previous === 'every') {
+      cadences.add('daily');
+    } else if (dayOf(word)) {
+      days.push(dayOf(word));
+    } else if (CADENCE_WORDS[previous] && isLabel(word)) {
+      continue;
+    } else if (!FILLER.has(word) && word !== '&') {
+      throw new ScheduleError(schedule, `unknown word "${original}" (expected e.g. ${EXAMPLES})`);
+    }
+  }
+  
+  if (cadences.size > 1) {
+    throw new ScheduleError(schedule, `"${clause}" mixes ${[...cadences].join(' and ')}; put each in its own clause, separated by a comma`);
+  }
+  if (!cadences.size && !days.length && !times.length && !workingDays && dayOfMonth === null) {
+    throw new ScheduleError(schedule, `"${clause}" names no time, day or cadence`);
+  }
+  
+  let cadence = [...cadences][0] || (dayOfMonth !== null ? 'monthly' : days.length ? 'weekly' : 'daily');
+  if (cadence === 'monthly' && (days.length || workingDays)) {
+    throw new ScheduleError(schedule, 'monthly schedules take a day of the month such as "15th", not a weekday');
+  }
+  if (dayOfMonth !== null && cadence !== 'monthly') {
+    throw new ScheduleError(schedule, `a day of the month only fits a monthly schedule, not ${cadence}`);
+  }
+  const bare = !times.length && !days.length && dayOfMonth === null && !workingDays;
+  if (workingDays) {
+    days.push(...settings.workingDays);
+    cadence = cadences.has('weekly') ? 'weekly' : 'daily';
+  }
+  if (cadence === 'weekly' && !days.length) {
+    days.push(settings.workingDays[0]);
+  }
+  
+  const runDays = days.length ? DAYS.filter(day => days.includes(day)) : null;
+  const runTimes = times.length ? [...new Set(times)] : [DEFAULT_TIME];
+  
+  return {
+    kind: 'cron',
+    cadence,
+    times: runTimes,
+    days: runDays,
+    dayOfMonth: cadence === 'monthly' ? dayOfMonth || 1 : null,
+    cron: runTimes.map(time => {
+      const [hour, minute] = time.split(':').map(Number);
+      const dom = cadence === 'monthly' ? dayOfMonth || 1 : '*';
+      const dow = runDays ? runDays.map(day => DAYS.indexOf(day)).join(',') : '*';
+      return `${minute} ${hour} ${dom} * ${dow}`;
+    }),
+    bare
+  };
+}
+
+function parseClause(clause, schedule, settings) {
+  if (/^(on demand|manual(ly)?)$/i.test(clause)) {
+    return { kind: 'manual', cadence: 'manual' };
+  }
+  
+  const offset = clause.match(OFFSET);
+  if (offset) {
+    const [, amount, unit, direction, event] = offset;
+    const sign = direction.toLowerCase() === 'before' ? -1 : 1;
+    const key = unit.toLowerCase() === 'hour' ? 'hours' : 'days';
+    const value = Number(amount) * (unit.toLowerCase() === 'week' ? 7 : 1) * sign;
+    return { kind: 'event', cadence: 'event', event: slugOf(event), name: event, offset: { [key]: value } };
+  }
+  
+  try {
+    return parseTimeClause(clause, schedule, settings);
+  } catch (error) {
+    // `On PR creation` is an event; `On Monday 9:00 AM` is not
+    const event = clause.match(/^(?:on|when|after)\s+(.+)$/i);
+    if (event) {
+      return { kind: 'event', cadence: 'event', event: slugOf(event[1]), name: event[1] };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Parse a schedule into { text, triggers, cadences }. Each trigger is
+ * { kind: 'cron', cadence, times, days, dayOfMonth, cron: [...] },
+ * { kind: 'event', cadence, event, name, offset? } or { kind: 'manual' }.
+ * `event` is the slug to match on, `name` the event as written.
+ * Throws a ScheduleError naming what could not be read.
+ */
+function parseSchedule(schedule, settings = scheduleSettings()) {
+  const text = String(schedule);
+  const clauses = text.replace(/\([^)]*\)/g, ' ').replace(/&/g, ' and ')
+    .split(/[,;]/).map(clause => clause.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  if (!clauses.length) {
+    throw new ScheduleError(text, `it is empty (expected e.g. ${EXAMPLES})`);
+  }
+  
+  const triggers = [];
+  for (const clause of clauses) {
+    const trigger = parseClause(clause, text, settings);
+    const previous = triggers[triggers.length - 1];
+    // `Monthly, 3 days before board meeting`: the bare cadence says how often the event recurs
+    if (trigger.kind === 'event' && previous && previous.bare) {
+      triggers.pop();
+      trigger.cadence = previous.cadence;
+    }
+    triggers.push(trigger);
+  }
+  
+  const cleaned = triggers.map(({ bare, ...trigger }) => trigger);
+  return { text, triggers: cleaned, cadences: [...new Set(cleaned.map(trigger => trigger.cadence))] };
+}
+
+function formatDays(days, settings) {
+  if (!days) {
+    return '';
+  }
+  if (days.join() === settings.workingDays.join()) {
+    return ' on working days';
+  }
+  return ` on ${days.map(day => day[0].toUpperCase() + day.slice(1)).join(', ')}`;
+}
+
+// A normalised reading of a parsed schedule, for HEARTBEAT.md and dry runs
+function describeSchedule(parsed, settings = scheduleSettings()) {
+  const parts = parsed.triggers.map(trigger => {
+    if (trigger.kind === 'manual') {
+      return 'on demand';
+    }
+    if (trigger.kind === 'event') {
+      const event = trigger.name || trigger.event.replace(/_/g, ' ');
+      if (!trigger.offset) {
+        return `on ${event}`;
+      }
+      const [unit, value] = Object.entries(trigger.offset)[0];
+      const amount = `${Math.abs(value)} ${Math.abs(value) === 1 ? unit.replace(/s$/, '') : unit}`;
+      const recurring = trigger.cadence !== 'event' ? ` (${trigger.cadence})` : '';
+      return `${amount} ${value < 0 ? 'before' : 'after'} ${event}${recurring}`;
+    }
+    const when = trigger.cadence === 'monthly' ? `monthly on day ${trigger.dayOfMonth}` :
+      trigger.cadence === 'weekly' || trigger.days ? `${trigger.cadence}${formatDays(trigger.days, settings)}` :
+        'daily';
+    return `${when} at ${trigger.times.join(' and ')}`;
+  });
+  
+  const timed = parsed.triggers.some(trigger => trigger.kind === 'cron');
+  const text = parts.join('; ');
+  return `${text[0].toUpperCase()}${text.slice(1)}${timed ? ` (${settings.timezone})` : ''}`;
+}
+
+/**
+ * The scheduler config for a workspace's automations: a cron job per time,
+ * the events that trigger automations and the schedules that could not be
+ * read (reported instead of silently dropped).
+ */
+function buildScheduleConfig(automations, settings = scheduleSettings()) {
+  const config = { timezone: settings.timezone, workingDays: settings.workingDays, jobs: [], events: [], manual: [], unparsed: [] };
+  
+  for (const [automation, { schedule }] of Object.entries(automations || {})) {
+    let parsed;
+    try {
+      parsed = parseSchedule(schedule, settings);
+    } catch (error) {
+      config.unparsed.push({ automation, schedule: String(schedule), error: error.reason || error.message });
+      continue;
+    }
+  
+    for (const trigger of parsed.triggers) {
+      if (trigger.kind === 'cron') {
+        config.jobs.push(...trigger.cron.map(cron => ({ automation, cron, timezone: settings.timezone })));
+      } else if (trigger.kind === 'event') {
+        const { kind, ...event } = trigger;
+        config.events.push({ automation, ...event });
+      } else {
+        config.manual.push(automation);
+      }
+    }
+  }
+  return config;
+}
+
+module.exports = {
+  DAYS,
+  DEFAULT_WORKING_DAYS,
+  ScheduleError,
+  scheduleSettings,
+  parseSchedule,
+  describeSchedule,
+  buildScheduleConfig
+};
\ No newline at end of file
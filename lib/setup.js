@@ -1,42 +1,317 @@
 const path = require('path');
 const fs = require('fs-extra');
-const yaml = require('yaml');
+const yaml = require('js-yaml');
+const { mergeManagedContent } = require('./merge');
+const { recordFile, recordDirectory } = require('./manifest');
+const { LOCKFILE, renderLockfile } = require('./lockfile');
+const { renderTemplate } = require('./render');
+const { goalLabel } = require('./questions');
+const { scheduleSettings, parseSchedule, describeSchedule, buildScheduleConfig } = require('./schedule');
+
+// Wizard bookkeeping inside the workspace: last generated content of managed
+// files (the merge base), backups of overwritten files and unresolved conflicts
+const STATE_DIR = '.superclaw';
+
+// Default layouts (and the partials they use) for the files every workspace
+// gets. A template `files:` entry with the same path replaces a layout.
+const LAYOUTS_DIR = path.join(__dirname, 'layouts');
+const LAYOUT_FILES = ['AGENTS.md', 'HEARTBEAT.md'];
+// Extra layouts for some experience levels (see lib/experience.js)
+const LEVEL_LAYOUTS = {
+  beginner: ['ONBOARDING.md'],
+  advanced: [path.join('hooks', 'README.md')]
+};
+
+function layoutFiles(level) {
+  return [...LAYOUT_FILES, ...(LEVEL_LAYOUTS[level] || [])];
+}
+
+// How much of the workspace tree the wizard lays out. `full` adds the
+// directories below plus config/clawdbot.yaml, automations/ and README.md.
+const SCAFFOLDS = ['minimal', 'full'];
+const SCAFFOLD_DIRS = ['config', 'automations', 'workflows', 'integrations', 'docs', 'logs'];
+
+// morning_brief -> Morning Brief
+function automationTitle(id) {
+  return id.replace(/_/g, ' ').replace(/\b\w/g, letter => letter.toUpperCase());
+}
 
-async function generateSetup(config, workspacePath) {
+// Automated Code Reviews -> automated-code-reviews
+function fileSlug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+async function generateSetup(config, workspacePath, run) {
   // Generate OpenClaw workspace files (following official structure)
-  await generateOpenClawWorkspace(config, workspacePath);
+  await generateOpenClawWorkspace(config, workspacePath, run);
+  
+  return writeWorkspaceFiles(workspacePath, renderSetupFiles(config), { run });
+}
+
+async function readIfExists(filePath) {
+  return await fs.pathExists(filePath) ? fs.readFile(filePath, 'utf8') : null;
+}
+
+/**
+ * Work out what writing a rendered file would do to the workspace without
+ * touching it. Managed files are merged with the copy on disk so that edits
+ * outside (and, where possible, inside) the managed region are kept.
+ */
+async function resolveWorkspaceFile(workspacePath, file) {
+  const current = await readIfExists(path.join(workspacePath, file.path));
+  
+  if (!file.managed) {
+    let status = 'updated';
+    if (current === null) {
+      status = 'created';
+    } else if (current === file.content) {
+      status = 'unchanged';
+    }
+    return { path: file.path, managed: false, current, content: file.content, status, conflicts: [] };
+  }
   
-  // Generate role-specific AGENTS.md
-  await generateAgentsFile(config, workspacePath);
+  const base = await readIfExists(path.join(workspacePath, STATE_DIR, 'generated', file.path));
+  return {
+    path: file.path,
+    managed: true,
+    current,
+    generated: file.content,
+    ...mergeManagedContent(current, file.content, base)
+  };
+}
+
+// Write one workspace file, backing up what it replaces and recording it in the run manifest
+async function writeTrackedFile(workspacePath, relPath, content, run) {
+  const filePath = path.join(workspacePath, relPath);
+  const previous = await readIfExists(filePath);
+  let backup = null;
   
-  // Generate role-specific HEARTBEAT.md
-  await generateHeartbeatFile(config, workspacePath);
+  if (previous !== content) {
+    if (previous !== null) {
+      backup = path.join(STATE_DIR, 'backups', run.runId, relPath);
+      await fs.outputFile(path.join(workspacePath, backup), previous);
+    }
+    await recordDirectory(run, path.dirname(relPath));
+    await fs.writeFile(filePath, content);
+  }
   
-  // Generate automation templates
-  await generateAutomationTemplates(config, workspacePath);
+  recordFile(run, relPath, { previous, content, backup });
+  return backup && path.join(workspacePath, backup);
+}
+
+/**
+ * Write rendered files into the workspace. Existing files are copied to
+ * .superclaw/backups/<runId>/ before being overwritten. A managed file whose
+ * edits conflict with the regenerated content is left alone; the conflicted
+ * merge is written to .superclaw/conflicts/ and reported instead.
+ */
+async function writeWorkspaceFiles(workspacePath, files, { run }) {
+  const results = [];
   
-  // Generate initial morning brief
-  await generateMorningBrief(config, workspacePath);
+  for (const file of files) {
+    const resolved = await resolveWorkspaceFile(workspacePath, file);
+    const result = { path: path.join(workspacePath, file.path), status: resolved.status, conflicts: resolved.conflicts };
+    
+    if (resolved.status === 'conflict') {
+      const conflictFile = path.join(STATE_DIR, 'conflicts', file.path);
+      await writeTrackedFile(workspacePath, conflictFile, resolved.conflictText, run);
+      result.conflictPath = path.join(workspacePath, conflictFile);
+      results.push(result);
+      continue;
+    }
+    
+    const backupPath = await writeTrackedFile(workspacePath, file.path, resolved.content, run);
+    if (backupPath) {
+      result.backupPath = backupPath;
+    }
+    
+    if (resolved.managed) {
+      await writeTrackedFile(workspacePath, path.join(STATE_DIR, 'generated', file.path), resolved.generated, run);
+    }
+    results.push(result);
+  }
   
-  return workspacePath;
+  return results;
 }
 
-async function createWorkspaceStructure(workspacePath) {
-  const directories = [
-    'config',
-    'automations',
-    'workflows', 
-    'integrations',
-    'docs',
-    'logs'
+// Every file generateSetup writes, as workspace-relative path and content.
+// Managed files keep their generated content inside a managed region.
+// Dry runs diff this list against the existing workspace.
+function renderSetupFiles(config) {
+  const files = [
+    // Role-specific AGENTS.md and HEARTBEAT.md (plus the experience level's
+    // layouts), then files the template ships
+    ...renderTemplateFiles(config),
+    ...renderWorkflowFiles(config),
+    ...renderScaffoldFiles(config),
+    
+    // Automation templates
+    {
+      path: `templates/${config.user.type}-automation-template.json`,
+      content: renderAutomationTemplate(config)
+    },
+    
+    // Cron jobs and event triggers for the automations (see lib/schedule.js)
+    { path: 'schedules.json', content: renderScheduleConfig(config) },
+    
+    // Initial morning brief
+    { path: 'morning-brief.md', content: renderMorningBrief(config) }
   ];
   
-  for (const dir of directories) {
-    await fs.ensureDir(path.join(workspacePath, dir));
+  // Pins the template versions behind this workspace
+  if (config.lock) {
+    files.push({ path: LOCKFILE, content: renderLockfile(config.lock) });
+  }
+  return files;
+}
+
+function settingsOf(config) {
+  return scheduleSettings({ timezone: config.user.timezone, workingDays: config.user.workingDays });
+}
+
+// An automation's parsed schedule, or the reason it could not be read
+function scheduleFields(automation, settings) {
+  try {
+    const parsed = parseSchedule(automation.schedule, settings);
+    return { cadence: parsed.cadences[0], cadences: parsed.cadences, when: describeSchedule(parsed, settings), scheduleError: null };
+  } catch (error) {
+    return { cadence: 'other', cadences: [], when: String(automation.schedule), scheduleError: error.reason || error.message };
   }
 }
 
-async function generateClawdbotConfig(config, workspacePath) {
+// How each automation's schedule was read, for dry runs and the wizard summary
+function describeSchedules(config) {
+  const settings = settingsOf(config);
+  return Object.entries(config.template.automations || {}).map(([automation, { schedule }]) => {
+    const { when, scheduleError } = scheduleFields({ schedule }, settings);
+    return { automation, schedule: String(schedule), when, error: scheduleError };
+  });
+}
+
+function renderScheduleConfig(config) {
+  return `${JSON.stringify(buildScheduleConfig(config.template.automations, settingsOf(config)), null, 2)}\n`;
+}
+
+/**
+ * The values template files can use: the wizard answers, integrations and
+ * the composed template. Automations and skills are lists with defaults
+ * filled in, so layouts can loop over them directly. Each automation
+ * carries its parsed schedule: `cadences`, a normalised `when` and
+ * `scheduleError` when it could not be read.
+ */
+function buildRenderContext(config) {
+  const template = config.template;
+  const skillEntries = Array.isArray(template.skills) ?
+    Object.fromEntries(template.skills.map(name => [name, { enabled: true }])) :
+    template.skills.entries;
+  
+  const roles = config.user.roles || [config.user.type];
+  const inclusions = config.inclusions || [];
+  const chosenBy = (kind, name) => [...new Set(inclusions
+    .filter(entry => entry.kind === kind && entry.name === name && entry.included)
+    .flatMap(entry => entry.chosen))];
+  const goalMap = template.goal_map || {};
+  const settings = settingsOf(config);
+  const automations = Object.entries(template.automations || {}).map(([id, automation], index) => ({
+    ...automation,
+    id,
+    stage: index + 1,
+    title: automationTitle(id),
+    priority: automation.priority || 'medium',
+    includes: automation.includes || [],
+    ...scheduleFields(automation, settings),
+    goals: chosenBy('automation', id)
+  }));
+  
+  return {
+    role: config.user.type,
+    roles,
+    goals: config.user.goals || [],
+    tools: config.user.tools || [],
+    experience: config.user.experience,
+    timezone: settings.timezone,
+    workingDays: settings.workingDays,
+    integrations: config.integrations,
+    workspace: { name: config.workspace.name, description: config.workspace.description },
+    template,
+    // The chosen goals with what each switched on
+    focus: (config.user.goals || []).map(goal => ({
+      id: goal,
+      label: (goalMap[goal] && goalMap[goal].label) || goalLabel(goal, roles),
+      automations: inclusions
+        .filter(entry => entry.kind === 'automation' && entry.included && entry.chosen.includes(goal))
+        .map(entry => automationTitle(entry.name))
+    })),
+    automations,
+    // Automations whose schedule could not be parsed
+    unscheduled: automations.filter(automation => automation.scheduleError),
+    // Automations left out for the experience level
+    deferred: inclusions
+      .filter(entry => entry.kind === 'automation' && entry.experience)
+      .map(entry => ({ id: entry.name, title: automationTitle(entry.name) })),
+    skills: Object.entries(skillEntries).map(([name, skill]) => ({ ...skill, name })),
+    workflows: template.workflows || []
+  };
+}
+
+function loadLayout(relPath) {
+  return fs.readFileSync(path.join(LAYOUTS_DIR, relPath), 'utf8');
+}
+
+function layoutPartials() {
+  const dir = path.join(LAYOUTS_DIR, 'partials');
+  return Object.fromEntries(fs.readdirSync(dir)
+    .filter(name => name.endsWith('.md'))
+    .map(name => [path.basename(name, '.md'), fs.readFileSync(path.join(dir, name), 'utf8')]));
+}
+
+// The layouts (or the template's replacements) followed by the template's own files
+function renderTemplateFiles(config) {
+  const templateFiles = config.template.files || [];
+  const context = buildRenderContext(config);
+  const partials = { ...layoutPartials(), ...(config.template.partials || {}) };
+  
+  const layoutPaths = layoutFiles(config.user.experience);
+  
+  const layouts = layoutPaths.map(relPath =>
+    templateFiles.find(file => path.normalize(file.path) === relPath) ||
+    { path: relPath, content: loadLayout(relPath), isTemplate: true, source: path.join('lib', 'layouts', relPath) });
+  const extra = templateFiles.filter(file => !layoutPaths.includes(path.normalize(file.path)));
+  
+  return [...layouts, ...extra].map(file => ({
+    path: path.normalize(file.path),
+    content: file.isTemplate ?
+      renderTemplate(file.content, context, { file: file.source || file.path, partials }) :
+      file.content,
+    managed: layoutPaths.includes(path.normalize(file.path))
+  }));
+}
+
+// Advanced workspaces get each workflow's raw definition to edit
+function renderWorkflowFiles(config) {
+  if (config.user.experience !== 'advanced') {
+    return [];
+  }
+  return (config.template.workflows || []).map(workflow => ({
+    path: path.join('workflows', `${fileSlug(workflow.name)}.yaml`),
+    content: yaml.dump(workflow)
+  }));
+}
+
+// `--scaffold full` lays out the whole workspace tree; clawdbot.yaml,
+// automations/ and README.md are written like any other generated file
+function renderScaffoldFiles(config) {
+  if (config.workspace.scaffold !== 'full') {
+    return [];
+  }
+  return [
+    { path: path.join('config', 'clawdbot.yaml'), content: renderClawdbotConfig(config) },
+    ...renderAutomationFiles(config),
+    { path: 'README.md', content: renderWorkspaceReadme(config) }
+  ];
+}
+
+function renderClawdbotConfig(config) {
   const clawdbotConfig = {
     workspace: {
       name: config.workspace.name,
@@ -44,7 +319,7 @@ async function generateClawdbotConfig(config, workspacePath) {
       created: config.created,
       user_type: config.user.type
     },
-    skills: config.workspace.skills.map(skill => ({
+    skills: getSkillNames(config.template).map(skill => ({
       name: skill,
       enabled: true,
       auto_install: true
@@ -54,101 +329,53 @@ async function generateClawdbotConfig(config, workspacePath) {
     workflows: config.template.workflows || []
   };
   
-  const configPath = path.join(workspacePath, 'config', 'clawdbot.yaml');
-  await fs.writeFile(configPath, yaml.stringify(clawdbotConfig));
-  
-  return configPath;
+  return yaml.dump(clawdbotConfig);
 }
 
-async function generateAutomations(config, workspacePath) {
-  const automationsPath = path.join(workspacePath, 'automations');
-  
-  // Generate morning brief automation
-  const morningBrief = {
-    name: 'Morning Intelligence Brief',
-    schedule: config.template.automations.morning_brief?.schedule || '8:00 AM daily',
-    description: 'Daily briefing with relevant updates and priorities',
-    actions: [
-      {
-        type: 'collect_data',
-        sources: config.template.automations.morning_brief?.includes || []
-      },
-      {
-        type: 'generate_summary',
-        format: 'markdown',
-        output: 'morning-brief.md'
-      },
-      {
-        type: 'notify',
-        method: 'console',
-        message: 'Your morning brief is ready!'
-      }
-    ]
-  };
-  
-  await fs.writeFile(
-    path.join(automationsPath, 'morning-brief.yaml'),
-    yaml.stringify(morningBrief)
-  );
-  
-  // Generate user-type specific automations
-  if (config.user.type === 'founder') {
-    await generateFounderAutomations(config, automationsPath);
-  } else if (config.user.type === 'engineer') {
-    await generateEngineerAutomations(config, automationsPath);
+// The actions an automation runs: collect what it includes, then summarise it
+function automationActions(id, automation) {
+  const actions = [
+    { type: 'collect_data', sources: automation.includes || [] },
+    { type: 'generate_summary', format: 'markdown', output: `${fileSlug(id)}.md` }
+  ];
+  if (id === 'morning_brief') {
+    actions.push({ type: 'notify', method: 'console', message: 'Your morning brief is ready!' });
   }
+  return actions;
 }
 
-async function generateFounderAutomations(config, automationsPath) {
-  const investorUpdate = {
-    name: 'Weekly Investor Update Prep',
-    schedule: 'Weekly Friday 4:00 PM',
-    description: 'Prepare weekly investor update with key metrics and highlights',
-    actions: [
-      {
-        type: 'collect_metrics',
-        sources: ['revenue', 'user_growth', 'team_updates']
-      },
-      {
-        type: 'generate_report',
-        template: 'investor_update',
-        output: 'weekly-investor-update.md'
-      }
-    ]
+/**
+ * One automations/<name>.yaml per automation and workflow in the template,
+ * whatever the role. Workflow actions named by string become { type }.
+ */
+function renderAutomationFiles(config) {
+  const used = new Set();
+  const file = (name, definition) => {
+    const slug = used.has(fileSlug(name)) ? `${fileSlug(name)}-workflow` : fileSlug(name);
+    used.add(slug);
+    return { path: path.join('automations', `${slug}.yaml`), content: yaml.dump(definition) };
   };
   
-  await fs.writeFile(
-    path.join(automationsPath, 'investor-update.yaml'),
-    yaml.stringify(investorUpdate)
-  );
-}
-
-async function generateEngineerAutomations(config, automationsPath) {
-  const codeReview = {
-    name: 'Automated Code Review Assistant',
-    schedule: 'On PR creation',
-    description: 'Assist with code reviews and quality checks',
-    actions: [
-      {
-        type: 'analyze_code',
-        checks: ['security', 'performance', 'style', 'tests']
-      },
-      {
-        type: 'generate_feedback',
-        format: 'github_comment',
-        output: 'pr-review-comments.md'
-      }
-    ]
-  };
+  const automations = Object.entries(config.template.automations || {}).map(([id, automation]) => file(id, {
+    name: id === 'morning_brief' ? 'Morning Intelligence Brief' : automation.name || automationTitle(id),
+    schedule: automation.schedule,
+    description: automation.description || (id === 'morning_brief' ?
+      'Daily briefing with relevant updates and priorities' :
+      `${automationTitle(id)} for your ${config.user.type} workflows`),
+    actions: automationActions(id, automation)
+  }));
+  const workflows = (config.template.workflows || []).map(workflow => file(workflow.name, {
+    name: workflow.name,
+    schedule: workflow.trigger,
+    description: workflow.description || `Runs the ${workflow.name} workflow`,
+    actions: (workflow.actions || []).map(action => (typeof action === 'string' ? { type: action } : action))
+  }));
   
-  await fs.writeFile(
-    path.join(automationsPath, 'code-review.yaml'),
-    yaml.stringify(codeReview)
-  );
+  return [...automations, ...workflows];
 }
 
-async function generateDocumentation(config, workspacePath) {
-  const readme = `# ${config.workspace.name}
+function renderWorkspaceReadme(config) {
+  return `# ${config.workspace.name}
 
 Your AI Employee workspace, configured for ${config.user.type} workflows.
 
@@ -156,7 +383,7 @@ Your AI Employee workspace, configured for ${config.user.type} workflows.
 
 - **User Type:** ${config.user.type}
 - **Created:** ${new Date(config.created).toLocaleDateString()}
-- **Skills Installed:** ${config.workspace.skills.join(', ')}
+- **Skills Installed:** ${getSkillNames(config.template).join(', ')}
 - **Integrations:** ${Object.keys(config.integrations).join(', ')}
 
 ## 🚀 Getting Started
@@ -168,7 +395,7 @@ Your AI Employee workspace, configured for ${config.user.type} workflows.
 
 ## 📋 Automations
 
-${Object.entries(config.template.automations).map(([name, automation]) => 
+${Object.entries(config.template.automations || {}).map(([name, automation]) => 
   `### ${name}\n- **Schedule:** ${automation.schedule}\n- **Includes:** ${automation.includes?.join(', ') || 'Custom workflow'}\n`
 ).join('\n')}
 
@@ -191,11 +418,9 @@ ${config.user.goals?.map(goal => `- ${goal}`).join('\n') || '- General automatio
 
 *Generated by Clawdbot Onboarding Wizard v1.0*
 `;
-  
-  await fs.writeFile(path.join(workspacePath, 'README.md'), readme);
 }
 
-async function generateMorningBrief(config, workspacePath) {
+function renderMorningBrief(config) {
   const today = new Date().toLocaleDateString();
   
   const morningBrief = `# Morning Brief - ${today}
@@ -208,7 +433,7 @@ ${config.user.goals?.map(goal => `- Work on: ${goal}`).join('\n') || '- General
 
 ## 📅 Schedule Overview
 
-*Calendar integration will populate this section*
+*Run \`superclaw brief\` to fill this in from your calendar files*
 
 ## 📊 Key Metrics
 
@@ -235,170 +460,32 @@ ${config.user.type === 'founder' ? `
 
 1. Review and customize your automations in \`automations/\`
 2. Set up integrations for: ${Object.keys(config.integrations).join(', ')}
-3. Check back tomorrow for your first real brief!
+3. Point \`brief.yaml\` at your calendars, repos, todo list and metrics, then run \`superclaw brief\`
 
 ---
 
 *This briefing will improve as your integrations are configured*
 `;
 
-  await fs.writeFile(path.join(workspacePath, 'morning-brief.md'), morningBrief);
+  return morningBrief;
 }
 
-async function generateOpenClawWorkspace(config, workspacePath) {
+async function generateOpenClawWorkspace(config, workspacePath, run) {
   // OpenClaw expects specific files in workspace root
   // We enhance existing workspace or create structure as needed
   await fs.ensureDir(workspacePath);
-}
-
-async function generateAgentsFile(config, workspacePath) {
-  // Generate role-specific AGENTS.md (loaded by OpenClaw every session)
-  const template = config.template;
   
-  const agentsContent = `# AGENTS.md - ${template.name} Operating Instructions
-
-${template.description}
-
-## 🎯 Your Role: ${template.name}
-
-You are an AI assistant specialized for ${config.user.type} workflows. Your primary focus areas:
-
-${template.automations ? Object.entries(template.automations).map(([name, automation]) => 
-  `### ${name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-- **Schedule:** ${automation.schedule}
-- **Priority:** ${automation.priority || 'medium'}
-- **Description:** ${automation.description || 'Automated workflow'}
-${automation.includes ? automation.includes.map(item => `  - ${item}`).join('\n') : ''}
-`).join('\n') : ''}
-
-## 💡 Demo Scenarios
-
-${template.demo_scenarios ? template.demo_scenarios.map(scenario => 
-  `### ${scenario.name}
-${scenario.description}
-**Time saved:** ${scenario.time_saved}
-`).join('\n') : ''}
-
-## ⚡ Impact Metrics
-
-${template.impact_metrics ? `
-**Expected Time Savings:**
-- Daily: ${template.impact_metrics.daily_time_saved}
-- Weekly: ${template.impact_metrics.weekly_time_saved}  
-- Monthly: ${template.impact_metrics.monthly_time_saved}
-
-**Primary Benefits:**
-${template.impact_metrics.primary_benefits ? template.impact_metrics.primary_benefits.map(benefit => `- ${benefit}`).join('\n') : ''}
-` : ''}
-
-## 🛠️ Available Skills
-
-You have access to these OpenClaw skills:
-${template.skills.entries ? Object.keys(template.skills.entries).map(skill => `- **${skill}**: ${template.skills.entries[skill].description || 'Official OpenClaw skill'}`).join('\n') : template.skills.map(skill => `- **${skill}**: Official OpenClaw skill`).join('\n')}
-
-## 📋 Daily Operating Principles
-
-1. **Proactive Monitoring**: Check metrics and systems before issues arise
-2. **Data-Driven Insights**: Always provide context and trends, not just numbers
-3. **Actionable Recommendations**: Every brief should include specific next steps
-4. **Time-Conscious**: Prioritize high-impact activities that save the most time
-5. **Communication**: Keep updates clear, concise, and decision-focused
-
-## 🚨 Alert Thresholds
-
-Be proactive about flagging:
-- Metrics trending negative >2 days
-- Team blockers that could impact deadlines
-- Competitive moves requiring immediate response
-- Budget/runway concerns requiring founder attention
-
----
-
-*This file is loaded every OpenClaw session. Update it as your needs evolve.*
-`;
-
-  await fs.writeFile(path.join(workspacePath, 'AGENTS.md'), agentsContent);
-}
-
-async function generateHeartbeatFile(config, workspacePath) {
-  // Generate role-specific HEARTBEAT.md (periodic automated tasks)
-  const template = config.template;
+  // memory/ holds notes OpenClaw reads natively (see `superclaw memory sync`)
+  await recordDirectory(run, 'memory');
   
-  const heartbeatContent = `# HEARTBEAT.md - ${template.name} Automation
-
-Automated periodic tasks for ${config.user.type} workflows.
-
-## 🔄 Daily Automation Tasks
-
-${template.automations ? Object.entries(template.automations).map(([name, automation]) => {
-    if (automation.schedule.includes('daily')) {
-      return `### ${name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-- **When:** ${automation.schedule}
-- **Priority:** ${automation.priority || 'medium'}
-- **What:** ${automation.description}
-- **Actions:**
-${automation.includes ? automation.includes.map(item => `  - Check and report on: ${item}`).join('\n') : '  - Execute automation workflow'}
-`;
-    }
-  }).filter(Boolean).join('\n') : ''}
-
-## 📊 Weekly Tasks
-
-${template.automations ? Object.entries(template.automations).map(([name, automation]) => {
-    if (automation.schedule.includes('Weekly') || automation.schedule.includes('weekly')) {
-      return `### ${name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-- **When:** ${automation.schedule}
-- **Priority:** ${automation.priority || 'medium'}  
-- **What:** ${automation.description}
-- **Actions:**
-${automation.includes ? automation.includes.map(item => `  - Analyze and summarize: ${item}`).join('\n') : '  - Execute weekly workflow'}
-`;
-    }
-  }).filter(Boolean).join('\n') : ''}
-
-## 📅 Monthly/Periodic Tasks
-
-${template.automations ? Object.entries(template.automations).map(([name, automation]) => {
-    if (automation.schedule.includes('Monthly') || automation.schedule.includes('monthly')) {
-      return `### ${name.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}
-- **When:** ${automation.schedule}
-- **Priority:** ${automation.priority || 'medium'}
-- **What:** ${automation.description}
-- **Actions:**
-${automation.includes ? automation.includes.map(item => `  - Deep analysis of: ${item}`).join('\n') : '  - Execute periodic workflow'}
-`;
+  if (config.workspace.scaffold === 'full') {
+    for (const dir of SCAFFOLD_DIRS) {
+      await recordDirectory(run, dir);
     }
-  }).filter(Boolean).join('\n') : ''}
-
-## ⚡ Proactive Monitoring
-
-Between scheduled tasks, monitor for:
-- Critical metrics falling outside normal ranges
-- Team blockers that need immediate escalation  
-- Competitive intelligence requiring rapid response
-- Opportunities for strategic advantage
-
-## 🎯 Success Metrics
-
-Track automation effectiveness:
-- Time saved per task category
-- Issues caught proactively vs. reactively
-- Decision speed improvement
-- Overall ${config.user.type} productivity gains
-
----
-
-*Keep this file focused and actionable. OpenClaw reads this for automated tasks.*
-`;
-
-  await fs.writeFile(path.join(workspacePath, 'HEARTBEAT.md'), heartbeatContent);
+  }
 }
 
-async function generateAutomationTemplates(config, workspacePath) {
-  // Create templates directory for role-specific workflows
-  const templatesDir = path.join(workspacePath, 'templates');
-  await fs.ensureDir(templatesDir);
-  
+function renderAutomationTemplate(config) {
   // Generate role-specific automation examples
   const template = config.template;
   const automationExample = {
@@ -418,13 +505,55 @@ async function generateAutomationTemplates(config, workspacePath) {
 This template is designed to work with OpenClaw's automation system.
 Configure skills in ~/.openclaw/openclaw.json using the provided configuration.
 `,
-    skills_needed: template.skills.entries ? Object.keys(template.skills.entries) : template.skills
+    skills_needed: template.skills.entries ? Object.keys(template.skills.entries) : template.skills,
+    integrations: config.integrations
   };
   
-  await fs.writeFile(
-    path.join(templatesDir, `${config.user.type}-automation-template.json`),
-    JSON.stringify(automationExample, null, 2)
-  );
+  return JSON.stringify(automationExample, null, 2);
+}
+
+function getSkillNames(template) {
+  // Templates list skills either as an array or as OpenClaw-style entries
+  return template.skills.entries ? Object.keys(template.skills.entries) : template.skills;
+}
+
+function buildSkillsConfig(template) {
+  // Exact OpenClaw configuration format (~/.openclaw/openclaw.json skills section)
+  const skillsConfig = {
+    skills: {
+      entries: {}
+    }
+  };
+  
+  for (const skill of getSkillNames(template)) {
+    skillsConfig.skills.entries[skill] = { enabled: true };
+    
+    // If the template has specific config for this skill, use it
+    if (template.skills.entries && template.skills.entries[skill]) {
+      skillsConfig.skills.entries[skill] = {
+        enabled: true,
+        ...template.skills.entries[skill]
+      };
+    }
+  }
+  
+  return skillsConfig;
+}
+
+// The skills section for ~/.openclaw/openclaw.json, as plain JSON that
+// `openclaw config patch` and `superclaw wizard --apply` both accept
+function renderSkillsConfigSnippet(config) {
+  return `${JSON.stringify(buildSkillsConfig(config.template), null, 2)}\n`;
 }
 
-module.exports = { generateSetup };
\ No newline at end of file
+module.exports = {
+  SCAFFOLDS,
+  generateSetup,
+  resolveWorkspaceFile,
+  writeWorkspaceFiles,
+  renderSetupFiles,
+  describeSchedules,
+  getSkillNames,
+  buildSkillsConfig,
+  renderSkillsConfigSnippet
+};
\ No newline at end of file
@@ -0,0 +1,411 @@
+// Validation for role templates against the RoleTemplate shape in
+// src/lib/wizard/types.ts. Unknown keys are allowed so templates can carry
+// extra data (persona, demo_scenarios, ...) for their own files.
+
+const { EXPERIENCE_LEVELS } = require('./experience');
+const { parseSchedule } = require('./schedule');
+
+class TemplateValidationError extends Error {
+  constructor(file, errors) {
+    super(`Invalid template ${file}:\n${errors.map(error => `  ${formatTemplateError(file, error)}`).join('\n')}`);
+    this.name = 'TemplateValidationError';
+    this.file = file;
+    this.errors = errors;
+  }
+}
+
+// error.file is set when the problem is in a template this one extends
+function formatTemplateError(file, error) {
+  const source = error.file || file;
+  const where = error.line ? `${source}:${error.line}:${error.column}` : source;
+  return error.path.length ? `${where} ${error.path.join('.')}: ${error.message}` : `${where} ${error.message}`;
+}
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'list' : typeof value;
+}
+
+function isObject(value) {
+  return typeOf(value) === 'object';
+}
+
+function checkString(errors, value, path, { required = false } = {}) {
+  if (value === undefined) {
+    if (required) {
+      errors.push({ path, message: 'is required' });
+    }
+  } else if (typeof value !== 'string' || !value.trim()) {
+    errors.push({ path, message: `must be a non-empty string, got ${typeOf(value)}` });
+  }
+}
+
+function checkStringList(errors, value, path, { required = false, nonEmpty = false } = {}) {
+  if (value === undefined) {
+    if (required) {
+      errors.push({ path, message: 'is required' });
+    }
+    return;
+  }
+  if (!Array.isArray(value)) {
+    errors.push({ path, message: `must be a list of strings, got ${typeOf(value)}` });
+    return;
+  }
+  if (nonEmpty && !value.length) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+  value.forEach((item, index) => checkString(errors, item, [...path, index]));
+}
+
+function checkSkills(errors, skills) {
+  const path = ['skills'];
+  
+  if (skills === undefined) {
+    errors.push({ path, message: 'is required (a list of skill names or an `entries` map)' });
+  } else if (Array.isArray(skills)) {
+    checkStringList(errors, skills, path);
+  } else if (!isObject(skills) || !isObject(skills.entries)) {
+    errors.push({ path, message: 'must be a list of skill names or a map with `entries`' });
+  } else {
+    for (const [name, skill] of Object.entries(skills.entries)) {
+      const skillPath = [...path, 'entries', name];
+      if (!isObject(skill)) {
+        errors.push({ path: skillPath, message: `must be a map, got ${typeOf(skill)}` });
+        continue;
+      }
+      if (typeof skill.enabled !== 'boolean') {
+        errors.push({ path: [...skillPath, 'enabled'], message: skill.enabled === undefined ? 'is required' : 'must be true or false' });
+      }
+      checkString(errors, skill.description, [...skillPath, 'description']);
+      if (skill.config !== undefined && !isObject(skill.config)) {
+        errors.push({ path: [...skillPath, 'config'], message: `must be a map, got ${typeOf(skill.config)}` });
+      }
+    }
+  }
+}
+
+function checkAutomations(errors, automations) {
+  const path = ['automations'];
+  
+  if (automations === undefined) {
+    errors.push({ path, message: 'is required' });
+    return;
+  }
+  if (!isObject(automations)) {
+    errors.push({ path, message: `must be a map of automation name to settings, got ${typeOf(automations)}` });
+    return;
+  }
+  
+  for (const [name, automation] of Object.entries(automations)) {
+    const automationPath = [...path, name];
+    if (!isObject(automation)) {
+      errors.push({ path: automationPath, message: `must be a map with a schedule, got ${typeOf(automation)}` });
+      continue;
+    }
+    checkString(errors, automation.schedule, [...automationPath, 'schedule'], { required: true });
+    if (typeof automation.schedule === 'string' && automation.schedule.trim()) {
+      checkSchedule(errors, automation.schedule, [...automationPath, 'schedule']);
+    }
+    checkString(errors, automation.description, [...automationPath, 'description']);
+    checkString(errors, automation.priority, [...automationPath, 'priority']);
+    checkStringList(errors, automation.includes, [...automationPath, 'includes']);
+  }
+}
+
+// Schedules must follow the grammar in lib/schedule.js
+function checkSchedule(errors, schedule, path) {
+  try {
+    parseSchedule(schedule);
+  } catch (error) {
+    errors.push({ path, message: error.reason });
+  }
+}
+
+function checkWorkflows(errors, workflows) {
+  const path = ['workflows'];
+  
+  if (workflows === undefined) {
+    return;
+  }
+  if (!Array.isArray(workflows)) {
+    errors.push({ path, message: `must be a list, got ${typeOf(workflows)}` });
+    return;
+  }
+  
+  workflows.forEach((workflow, index) => {
+    const workflowPath = [...path, index];
+    if (!isObject(workflow)) {
+      errors.push({ path: workflowPath, message: `must be a map with trigger and actions, got ${typeOf(workflow)}` });
+      return;
+    }
+    checkString(errors, workflow.name, [...workflowPath, 'name'], { required: true });
+    checkString(errors, workflow.trigger, [...workflowPath, 'trigger'], { required: true });
+    checkStringList(errors, workflow.actions, [...workflowPath, 'actions'], { required: true, nonEmpty: true });
+  });
+}
+
+function checkFiles(errors, files) {
+  const path = ['files'];
+  
+  if (files === undefined) {
+    return;
+  }
+  if (!Array.isArray(files)) {
+    errors.push({ path, message: `must be a list, got ${typeOf(files)}` });
+    return;
+  }
+  
+  files.forEach((file, index) => {
+    const filePath = [...path, index];
+    if (!isObject(file)) {
+      errors.push({ path: filePath, message: `must be a map with path and content (or source), got ${typeOf(file)}` });
+      return;
+    }
+    checkString(errors, file.path, [...filePath, 'path'], { required: true });
+    if (typeof file.path === 'string' && !isWorkspacePath(file.path)) {
+      errors.push({ path: [...filePath, 'path'], message: 'must be a relative path inside the workspace (and outside .superclaw/)' });
+    }
+    if (file.content === undefined && file.source === undefined) {
+      errors.push({ path: [...filePath, 'content'], message: 'is required (or give a source file)' });
+    }
+    if (file.content !== undefined && typeof file.content !== 'string') {
+      errors.push({ path: [...filePath, 'content'], message: 'must be a string' });
+    }
+    checkString(errors, file.source, [...filePath, 'source']);
+    if (file.isTemplate !== undefined && typeof file.isTemplate !== 'boolean') {
+      errors.push({ path: [...filePath, 'isTemplate'], message: 'must be true or false' });
+    }
+  });
+}
+
+// Template files are written into the workspace, so they must not escape it
+function isWorkspacePath(filePath) {
+  const parts = filePath.split(/[\\/]+/);
+  return !/^([\\/]|[A-Za-z]:)/.test(filePath) && !parts.includes('..') && parts[0] !== '.superclaw';
+}
+
+// Goals may only name automations, skills and workflows the template defines
+function checkGoalMap(errors, template) {
+  const goalMap = template.goal_map;
+  if (goalMap === undefined) {
+    return;
+  }
+  if (!isObject(goalMap)) {
+    errors.push({ path: ['goal_map'], message: `must be a map of goals, got ${typeOf(goalMap)}` });
+    return;
+  }
+  
+  const skills = isObject(template.skills) && isObject(template.skills.entries) ?
+    Object.keys(template.skills.entries) :
+    (Array.isArray(template.skills) ? template.skills : []);
+  const defined = {
+    automations: isObject(template.automations) ? Object.keys(template.automations) : [],
+    skills,
+    workflows: Array.isArray(template.workflows) ? template.workflows.map(workflow => workflow && workflow.name) : []
+  };
+  
+  for (const [goal, mapping] of Object.entries(goalMap)) {
+    const goalPath = ['goal_map', goal];
+    if (!isObject(mapping)) {
+      errors.push({ path: goalPath, message: `must be a map of automations, skills and workflows, got ${typeOf(mapping)}` });
+      continue;
+    }
+    checkString(errors, mapping.label, [...goalPath, 'label']);
+    if (mapping.checked !== undefined && typeof mapping.checked !== 'boolean') {
+      errors.push({ path: [...goalPath, 'checked'], message: 'must be true or false' });
+    }
+    
+    for (const kind of Object.keys(defined)) {
+      checkStringList(errors, mapping[kind], [...goalPath, kind]);
+      if (!Array.isArray(mapping[kind])) {
+        continue;
+      }
+      mapping[kind].forEach((name, index) => {
+        if (typeof name === 'string' && !defined[kind].includes(name)) {
+          const known = defined[kind].length ? `. Defined: ${defined[kind].join(', ')}` : '';
+          errors.push({ path: [...goalPath, kind, index], message: `"${name}" is not defined in ${kind}${known}` });
+        }
+      });
+    }
+  }
+}
+
+// Errors found by a checker, moved under a prefix such as experience.beginner
+function checkUnder(errors, prefix, check) {
+  const found = [];
+  check(found);
+  errors.push(...found.map(error => ({ ...error, path: [...prefix, ...error.path] })));
+}
+
+// Per-level overrides, merged onto the template like `extends:` (null removes)
+function checkExperience(errors, template) {
+  const levels = template.experience;
+  if (levels === undefined) {
+    return;
+  }
+  if (!isObject(levels)) {
+    errors.push({ path: ['experience'], message: `must be a map of experience levels, got ${typeOf(levels)}` });
+    return;
+  }
+  
+  const automations = isObject(template.automations) ? template.automations : {};
+  for (const [level, overrides] of Object.entries(levels)) {
+    const levelPath = ['experience', level];
+    if (!EXPERIENCE_LEVELS.includes(level)) {
+      errors.push({ path: levelPath, message: `is not an experience level. Expected one of: ${EXPERIENCE_LEVELS.join(', ')}` });
+      continue;
+    }
+    if (!isObject(overrides)) {
+      errors.push({ path: levelPath, message: `must be a map of template overrides, got ${typeOf(overrides)}` });
+      continue;
+    }
+    
+    if (overrides.automations !== undefined) {
+      if (!isObject(overrides.automations)) {
+        errors.push({ path: [...levelPath, 'automations'], message: `must be a map of automation name to settings, got ${typeOf(overrides.automations)}` });
+      } else {
+        // Overrides of existing automations only need the settings they change
+        const merged = {};
+        for (const [name, automation] of Object.entries(overrides.automations)) {
+          if (automation === null) {
+            if (!automations[name]) {
+              errors.push({ path: [...levelPath, 'automations', name], message: `cannot remove "${name}": it is not defined in automations` });
+            }
+            continue;
+          }
+          merged[name] = isObject(automation) && isObject(automations[name]) ? { ...automations[name], ...automation } : automation;
+        }
+        checkUnder(errors, levelPath, found => checkAutomations(found, merged));
+      }
+    }
+    if (overrides.skills !== undefined) {
+      const skills = isObject(overrides.skills) && isObject(overrides.skills.entries) ?
+        { entries: Object.fromEntries(Object.entries(overrides.skills.entries).filter(([, skill]) => skill !== null)) } :
+        overrides.skills;
+      checkUnder(errors, levelPath, found => checkSkills(found, skills));
+    }
+    checkUnder(errors, levelPath, found => checkWorkflows(found, overrides.workflows));
+  }
+}
+
+function checkPartials(errors, partials) {
+  if (partials === undefined) {
+    return;
+  }
+  if (!isObject(partials)) {
+    errors.push({ path: ['partials'], message: `must be a map of partial names to text, got ${typeOf(partials)}` });
+    return;
+  }
+  
+  for (const [name, partial] of Object.entries(partials)) {
+    if (typeof partial !== 'string' && !(isObject(partial) && typeof partial.source === 'string')) {
+      errors.push({ path: ['partials', name], message: `must be text or a map with a source file, got ${typeOf(partial)}` });
+    }
+  }
+}
+
+/**
+ * Check a parsed template. Returns a list of { path, message } errors, where
+ * path is the list of keys/indexes leading to the offending value.
+ */
+function validateTemplate(template) {
+  if (!isObject(template)) {
+    return [{ path: [], message: `template must be a map, got ${typeOf(template)}` }];
+  }
+  
+  const errors = [];
+  checkString(errors, template.name, ['name'], { required: true });
+  checkString(errors, template.description, ['description'], { required: true });
+  if (template.version !== undefined && !['string', 'number'].includes(typeof template.version)) {
+    errors.push({ path: ['version'], message: `must be a version string such as "1.0.0", got ${typeOf(template.version)}` });
+  }
+  checkSkills(errors, template.skills);
+  checkAutomations(errors, template.automations);
+  checkWorkflows(errors, template.workflows);
+  checkFiles(errors, template.files);
+  checkPartials(errors, template.partials);
+  checkGoalMap(errors, template);
+  checkExperience(errors, template);
+  checkStringList(errors, template.dependencies, ['dependencies']);
+  
+  if (template.config !== undefined && !isObject(template.config)) {
+    errors.push({ path: ['config'], message: `must be a map, got ${typeOf(template.config)}` });
+  }
+  
+  return errors;
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isContent(line) {
+  return line.trim() && !line.trimStart().startsWith('#');
+}
+
+// First line after `from` that is not nested deeper than indent
+function scopeEnd(lines, from, indent, end) {
+  for (let i = from + 1; i < end; i++) {
+    if (isContent(lines[i]) && indentOf(lines[i]) <= indent) {
+      return i;
+    }
+  }
+  return end;
+}
+
+/**
+ * Find the 1-based line and column of a key path in block-style YAML source.
+ * Stops at the deepest ancestor it can find (missing keys, flow-style
+ * lists), or line 1 for document-level errors.
+ */
+function locatePath(source, path) {
+  const lines = source.split('\n');
+  let start = 0;
+  let end = lines.length;
+  let position = { line: 1, column: 1 };
+  
+  for (const segment of path) {
+    const children = [];
+    for (let i = start; i < end; i++) {
+      if (isContent(lines[i])) {
+        children.push(i);
+      }
+    }
+    const indent = Math.min(...children.map(i => indentOf(lines[i])));
+    const siblings = children.filter(i => indentOf(lines[i]) === indent);
+    
+    const key = new RegExp(`^(['"]?)${escapeRegExp(String(segment))}\\1\\s*:`);
+    const found = typeof segment === 'number' ?
+      siblings.filter(i => /^-(\s|$)/.test(lines[i].trimStart()))[segment] :
+      siblings.find(i => key.test(lines[i].trimStart()));
+    
+    if (found === undefined) {
+      break;
+    }
+    
+    position = { line: found + 1, column: indent + 1 };
+    end = scopeEnd(lines, found, indent, end);
+    if (typeof segment === 'number') {
+      // The item's first key shares the "- " line: blank the dash so it lines up with its siblings
+      lines[found] = lines[found].replace('-', ' ');
+      start = found;
+    } else {
+      start = found + 1;
+    }
+  }
+  
+  return position;
+}
+
+module.exports = {
+  TemplateValidationError,
+  formatTemplateError,
+  validateTemplate,
+  locatePath
+};
\ No newline at end of file
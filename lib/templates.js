@@ -1,17 +1,368 @@
 const path = require('path');
 const fs = require('fs-extra');
-const yaml = require('yaml');
+const yaml = require('js-yaml');
+const { TemplateValidationError, validateTemplate, locatePath } = require('./template-schema');
+const { extendTemplate, composeTemplates } = require('./compose');
+const { compileTemplate, TemplateRenderError } = require('./render');
+const { applyGoals } = require('./goals');
+const { withExperience, goalKeepLevel, limitForExperience } = require('./experience');
+const {
+  BUILTIN_TEMPLATES_DIR,
+  scanTemplateCandidates,
+  scanTemplates,
+  findTemplate,
+  userTemplatesDir
+} = require('./registry');
 
-async function loadTemplate(userType) {
-  const templatePath = path.join(__dirname, '..', 'examples', 'templates', userType, 'config.yaml');
+async function listBuiltinRoles() {
+  const entries = await fs.readdir(BUILTIN_TEMPLATES_DIR, { withFileTypes: true });
+  return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+}
+
+async function availableRoles(options) {
+  return (await scanTemplates(options)).map(entry => entry.role).join(', ');
+}
+
+// options (cwd, home, templatePaths) select where the registry looks for templates
+async function loadTemplate(userType, options = {}) {
+  const entry = await findTemplate(userType, options);
+  
+  if (!entry) {
+    throw new Error(`No template for role "${userType}". Available roles: ${await availableRoles(options)}`);
+  }
+  
+  return loadTemplateFile(entry.path, options);
+}
+
+async function loadTemplateFile(templatePath, options = {}) {
+  const { file, template, errors } = await checkTemplateFile(templatePath, options);
+  
+  if (errors.length) {
+    throw new TemplateValidationError(file, errors);
+  }
+  return template;
+}
+
+/**
+ * Parse and validate a template without throwing on template mistakes.
+ * Accepts a template directory or its config.yaml. A template that
+ * `extends:` a registry role or another template path is merged onto it
+ * first. Each error carries the file, line and column it refers to.
+ */
+async function checkTemplateFile(templatePath, options = {}, chain = []) {
+  if (!await fs.pathExists(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+  
+  // Custom templates may point at a template directory or its config.yaml
+  const stats = await fs.stat(templatePath);
+  const configPath = stats.isDirectory() ? path.join(templatePath, 'config.yaml') : templatePath;
+  
+  if (!await fs.pathExists(configPath)) {
+    throw new Error(`Template directory ${templatePath} has no config.yaml`);
+  }
+  if (chain.includes(path.resolve(configPath))) {
+    throw new Error(`Template inheritance cycle: ${[...chain, path.resolve(configPath)].join(' -> ')}`);
+  }
+  
+  const source = await fs.readFile(configPath, 'utf8');
+  const parsed = parseTemplate(source);
+  if (!isTemplateMap(parsed.template)) {
+    return { file: configPath, ...parsed };
+  }
+  
+  // Files and partials may live next to config.yaml (`source: files/AGENTS.md`)
+  const fileErrors = (await loadTemplateSources(parsed.template, path.dirname(configPath))).map(error => locate(source, error));
+  if (parsed.errors.length || fileErrors.length || parsed.template.extends === undefined) {
+    return { file: configPath, template: parsed.template, errors: [...parsed.errors, ...fileErrors] };
+  }
+  
+  const parentRef = parsed.template.extends;
+  if (typeof parentRef !== 'string' || !parentRef.trim()) {
+    return { file: configPath, template: parsed.template, errors: [locate(source, { path: ['extends'], message: 'must be a role name or a template path' })] };
+  }
+  
+  const parentPath = await resolveParent(parentRef, configPath, options);
+  const parent = await checkTemplateFile(parentPath, options, [...chain, path.resolve(configPath)]);
+  if (parent.errors.length) {
+    // Report the parent's problems against the parent's file
+    return {
+      file: configPath,
+      template: null,
+      errors: parent.errors.map(error => ({ file: error.file || parent.file, ...error }))
+    };
+  }
+  
+  const template = extendTemplate(parent.template, parsed.template);
+  return { file: configPath, template, errors: validateTemplate(template).map(error => locate(source, error)) };
+}
+
+// `extends: engineer` names a registry role; anything path-like is relative to the extending template
+async function resolveParent(parentRef, configPath, options) {
+  if (/[\\/]/.test(parentRef) || parentRef.startsWith('.')) {
+    return path.resolve(path.dirname(configPath), parentRef);
+  }
+  
+  // A template may shadow the role it extends (e.g. a user "engineer" extending the built-in one)
+  const ownDir = path.dirname(path.resolve(configPath));
+  const candidates = (await scanTemplateCandidates(options))
+    .filter(entry => entry.role === parentRef && path.resolve(entry.path) !== ownDir);
+  if (!candidates.length) {
+    throw new Error(`${configPath} extends unknown role "${parentRef}". Available roles: ${await availableRoles(options)}`);
+  }
+  return candidates[candidates.length - 1].path;
+}
+
+/**
+ * Read the `source:` of template files and partials into their content,
+ * then check the syntax of everything the render engine will process.
+ * Returns { path, message } errors; the template is updated in place.
+ */
+async function loadTemplateSources(template, templateDir) {
+  const errors = [];
+  const load = async (source, errorPath) => {
+    const resolved = path.resolve(templateDir, source);
+    if (path.relative(templateDir, resolved).split(path.sep)[0] === '..' || path.isAbsolute(source)) {
+      errors.push({ path: errorPath, message: 'must be a path inside the template directory' });
+      return null;
+    }
+    if (!await fs.pathExists(resolved)) {
+      errors.push({ path: errorPath, message: `file not found: ${source}` });
+      return null;
+    }
+    return fs.readFile(resolved, 'utf8');
+  };
+  const checkSyntax = (content, name, errorPath) => {
+    try {
+      compileTemplate(content, name);
+    } catch (error) {
+      if (!(error instanceof TemplateRenderError)) {
+        throw error;
+      }
+      errors.push({ path: errorPath, message: `line ${error.line}: ${error.reason}` });
+    }
+  };
+  
+  for (const [index, file] of (Array.isArray(template.files) ? template.files : []).entries()) {
+    if (!isTemplateMap(file)) {
+      continue;
+    }
+    if (typeof file.source === 'string') {
+      const content = await load(file.source, ['files', index, 'source']);
+      if (content !== null) {
+        file.content = content;
+      }
+    }
+    if (file.isTemplate === true && typeof file.content === 'string') {
+      checkSyntax(file.content, file.source || file.path, ['files', index, file.source ? 'source' : 'content']);
+    }
+  }
+  
+  for (const [name, partial] of Object.entries(isTemplateMap(template.partials) ? template.partials : {})) {
+    if (isTemplateMap(partial) && typeof partial.source === 'string') {
+      const content = await load(partial.source, ['partials', name, 'source']);
+      if (content === null) {
+        continue;
+      }
+      template.partials[name] = content;
+    }
+    if (typeof template.partials[name] === 'string') {
+      checkSyntax(template.partials[name], `partial ${name}`, ['partials', name]);
+    }
+  }
   
+  return errors;
+}
+
+function isTemplateMap(template) {
+  return template !== null && typeof template === 'object' && !Array.isArray(template);
+}
+
+function locate(source, error) {
+  return { ...error, ...locatePath(source, error.path) };
+}
+
+// Parse template YAML; without `extends:` the template is also validated
+function parseTemplate(source) {
+  let template;
   try {
-    const templateContent = await fs.readFile(templatePath, 'utf8');
-    return yaml.parse(templateContent);
+    template = yaml.load(source);
   } catch (error) {
-    // Fallback to inline template if file not found
-    return getInlineTemplate(userType);
+    if (error instanceof yaml.YAMLException && error.mark) {
+      return {
+        template: null,
+        errors: [{ path: [], message: error.reason, line: error.mark.line + 1, column: error.mark.column + 1 }]
+      };
+    }
+    throw error;
+  }
+  
+  const errors = isTemplateMap(template) && template.extends !== undefined ?
+    [] :
+    validateTemplate(template).map(error => locate(source, error));
+  return { template, errors };
+}
+
+/**
+ * Load the templates for one or more roles and compose them into one.
+ * templatePath (a custom template) replaces the primary role's registry
+ * template. Each role's template first gets its overrides for the
+ * `experience` level and is pruned to the chosen `goals`, except at levels
+ * that keep every item (see lib/goals.js and lib/experience.js). Returns
+ * the composed template, any unresolved conflicts and why each automation,
+ * skill and workflow was kept or not.
+ */
+async function loadRoleTemplates(roles, { templatePath = null, resolutions = {}, goals = [], experience = null, ...options } = {}) {
+  const entries = [];
+  const inclusions = [];
+  for (const [index, role] of roles.entries()) {
+    const template = index === 0 && templatePath ?
+      await loadTemplateFile(templatePath, options) :
+      await loadTemplate(role, options);
+    const pruned = applyGoals(withExperience(template, experience), goals, role, { keepLevel: goalKeepLevel(experience) });
+    entries.push({ role, template: pruned.template });
+    inclusions.push(...pruned.inclusions);
+  }
+  
+  const composed = composeTemplates(entries, resolutions);
+  return { ...composed, ...limitForExperience(composed.template, inclusions, experience) };
+}
+
+/**
+ * Registry templates with the details `wizard list` shows. Invalid
+ * templates are included with their errors so authors can find them.
+ */
+async function describeTemplates(options = {}) {
+  const described = [];
+  
+  for (const entry of await scanTemplates(options)) {
+    let check;
+    try {
+      check = await checkTemplateFile(entry.path, options);
+    } catch (error) {
+      check = { file: entry.path, template: null, errors: [{ path: [], message: error.message }] };
+    }
+    
+    const template = check.errors.length ? null : check.template;
+    described.push({
+      ...entry,
+      file: check.file,
+      name: template ? template.name : entry.role,
+      description: template ? template.description : '',
+      version: template && template.version !== undefined ? String(template.version) : null,
+      skills: template ? getTemplateSkills(template) : [],
+      automations: template ? Object.keys(template.automations).length : 0,
+      goals: template ? Object.entries(template.goal_map || {}).map(([value, goal]) => ({
+        value,
+        label: goal.label || null,
+        checked: goal.checked === undefined ? null : goal.checked
+      })) : [],
+      errors: check.errors
+    });
+  }
+  
+  return described;
+}
+
+function titleCase(name) {
+  return name.split(/[-_]+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function renderTemplateConfig(name, parentRole) {
+  const header = `# ${titleCase(name)} role template for superclaw
+# Check it with: superclaw template validate <this directory>
+name: '${titleCase(name)}'
+description: 'Describe who this template is for and what it automates'
+version: '0.1.0'
+`;
+  
+  if (parentRole) {
+    return `${header}extends: ${parentRole}
+
+# Everything else is inherited from ${parentRole}. Override or extend it here:
+# skills:
+#   entries:
+#     linear:
+#       enabled: true
+# automations:
+#   morning_brief:
+#     schedule: '7:30 AM daily'
+#   some_inherited_automation: null   # null removes an inherited entry
+`;
+  }
+  
+  return `${header}
+# OpenClaw skills enabled for this role
+skills:
+  entries:
+    github:
+      enabled: true
+    notion:
+      enabled: true
+
+automations:
+  morning_brief:
+    schedule: '8:00 AM daily'
+    includes:
+      - calendar_overview
+      - priority_tasks
+
+workflows:
+  - name: 'Weekly Review'
+    trigger: 'weekly'
+    actions: ['summarize_week', 'plan_next_week']
+`;
+}
+
+function renderTemplateReadme(name, parentRole) {
+  const basis = parentRole ? `\n\nBuilds on the \`${parentRole}\` template.` : '';
+  return `# ${titleCase(name)} Template
+
+**Perfect for:** describe the people this template is for.${basis}
+
+## 🎯 What You Get
+
+- List the automations and skills this template sets up
+
+## 🚀 Usage
+
+\`\`\`bash
+superclaw template validate .
+superclaw wizard --role ${name}
+\`\`\`
+`;
+}
+
+// Template directory names become role ids
+function assertTemplateName(name) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid template name "${name}": use lowercase letters, digits, - and _ (it becomes the role id)`);
+  }
+}
+
+/**
+ * Scaffold a new template directory named after its role. Written to the
+ * user template directory unless `dir` is given; `extends` starts it from
+ * an existing role instead of a standalone example.
+ */
+async function initTemplate(name, { dir, extends: parentRole, ...options } = {}) {
+  assertTemplateName(name);
+  if (parentRole && !await findTemplate(parentRole, options)) {
+    throw new Error(`Cannot extend unknown role "${parentRole}". Available roles: ${await availableRoles(options)}`);
   }
+  
+  const templateDir = path.join(dir || userTemplatesDir(options), name);
+  if (await fs.pathExists(templateDir)) {
+    throw new Error(`${templateDir} already exists`);
+  }
+  
+  await fs.outputFile(path.join(templateDir, 'config.yaml'), renderTemplateConfig(name, parentRole));
+  await fs.outputFile(path.join(templateDir, 'README.md'), renderTemplateReadme(name, parentRole));
+  return templateDir;
+}
+
+function getTemplateSkills(template) {
+  return Array.isArray(template.skills) ? template.skills : Object.keys(template.skills.entries);
 }
 
 function getInlineTemplate(userType) {
@@ -234,7 +585,21 @@ function getInlineTemplate(userType) {
     }
   };
 
-  return templates[userType] || templates.founder;
+  if (!templates[userType]) {
+    throw new Error(`No inline template for role "${userType}". Available roles: ${Object.keys(templates).join(', ')}`);
+  }
+  return templates[userType];
 }
 
-module.exports = { loadTemplate, getInlineTemplate };
\ No newline at end of file
+module.exports = {
+  loadTemplate,
+  loadTemplateFile,
+  checkTemplateFile,
+  parseTemplate,
+  loadRoleTemplates,
+  describeTemplates,
+  initTemplate,
+  assertTemplateName,
+  listBuiltinRoles,
+  getInlineTemplate
+};
\ No newline at end of file
@@ -1,232 +1,367 @@
-const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const path = require('path');
 const fs = require('fs-extra');
-const os = require('os');
 const { getQuestions } = require('./questions');
-const { generateSetup } = require('./setup');
-const { loadTemplate } = require('./templates');
+const { loadAnswersFile, normalizeAnswers, resolveAnswers, unknownFollowUps, parseResolutions, toList } = require('./answers');
+const {
+  generateSetup,
+  writeWorkspaceFiles,
+  buildSkillsConfig,
+  getSkillNames,
+  renderSkillsConfigSnippet,
+  describeSchedules,
+  SCAFFOLDS
+} = require('./setup');
+const { loadRoleTemplates, describeTemplates } = require('./templates');
+const { pathTemplate } = require('./registry');
+const { planWorkspace, formatPlan } = require('./plan');
+const { createRun, saveRun } = require('./manifest');
+const { lockTemplates, readLockfile, findLockMismatches, lockMismatchError } = require('./lockfile');
+const { loadIntegrations, configureIntegrations, addIntegrationIncludes, requireIntegrationSkills } = require('./integrations');
+const { scheduleSettings } = require('./schedule');
+const { applySkills, formatSkillChanges } = require('./openclaw');
+const { checkNode, checkOpenClaw, probeOpenClaw } = require('./doctor');
+const { DEFAULT_PROFILE, resolveProfile, saveProfile } = require('./profiles');
 
 async function runWizard(options = {}) {
-  const { template, testMode = false } = options;
+  const { template, templatePath, testMode = false, scaffold = 'minimal' } = options;
+  if (!SCAFFOLDS.includes(scaffold)) {
+    throw new Error(`Unknown scaffold "${scaffold}". Expected one of: ${SCAFFOLDS.join(', ')}`);
+  }
+  
+  // --json output must stay machine-readable
+  if (!options.json) {
+    console.log(chalk.blue('🦞 OpenClaw Role-Based Wizard v1.0'));
+    console.log(chalk.grey('Let\'s enhance your OpenClaw setup with role-specific templates!\n'));
+  }
   
-  console.log(chalk.blue('🦞 OpenClaw Role-Based Wizard v1.0'));
-  console.log(chalk.grey('Let\'s enhance your OpenClaw setup with role-specific templates!\n'));
-
   // Step 1: System checks
   if (!options.skipChecks) {
     await runSystemChecks();
   }
-
+  
   // Step 2: Get user preferences
-  const answers = await getUserPreferences(template);
+  // A --template path joins the registry; without --role it is the primary role
+  const registry = { templatePaths: templatePath ? [templatePath] : [] };
+  const preselected = template || (templatePath ? (await pathTemplate(templatePath)).role : undefined);
+  const available = await loadIntegrations();
+  // The active profile picks the workspace and replays the answers it was set up with
+  const profile = resolveProfile({ workspace: options.workspace });
+  const workspacePath = profile.workspace;
+  const answers = await getUserPreferences(preselected, { ...options, registry, integrations: available, savedAnswers: profile.answers });
+  
+  if (!answers.proceed) {
+    console.log(chalk.yellow('Setup cancelled - no changes were made.'));
+    return { config: null, workspacePath: null, filesCreated: [], cancelled: true };
+  }
   
-  // Step 3: Load and customize template
-  const selectedTemplate = await loadTemplate(answers.userType);
+  // Step 3: Load and compose the role templates (a custom template path replaces the primary role's)
+  const composed = await loadComposedTemplate(answers, { templatePath, registry, stdin: options.stdin });
   
-  // Step 4: Configure integrations
-  const integrations = await configureIntegrations(answers.tools);
+  // The workspace lockfile pins the template versions it was generated from
+  const roles = [answers.userType, ...(answers.additionalRoles || [])];
+  const lock = await lockTemplates(roles, { ...registry, templatePath });
+  const mismatches = findLockMismatches(await readLockfile(workspacePath), lock);
+  if (mismatches.length && !options.updateLock) {
+    throw lockMismatchError(mismatches);
+  }
+  
+  // Step 4: Configure integrations from the follow-up answers, enabling the
+  // skills the chosen tools need and naming their repos, channels... in automations
+  const integrations = configureIntegrations(answers.tools, available, answers.integrations);
+  const withIncludes = addIntegrationIncludes(composed.template, integrations, answers.tools, available);
+  const { template: selectedTemplate, inclusions } = requireIntegrationSkills(withIncludes, composed.inclusions, answers.tools, available, integrations);
   
   // Step 5: Generate configuration
-  const config = await generateConfiguration(answers, selectedTemplate, integrations);
+  const config = await generateConfiguration(answers, selectedTemplate, integrations, { lock, inclusions, scaffold });
   
   // Step 6: Setup Clawdbot workspace
   if (!testMode) {
-    await setupWorkspace(config);
-    await displaySuccess(config);
-  } else {
-    console.log(chalk.yellow('🧪 Test mode - configuration would be:'));
-    console.log(JSON.stringify(config, null, 2));
+    const { runId, filesCreated, conflicts } = await setupWorkspace(config, workspacePath, { answers, templatePath, apply: options.apply });
+    // --apply: merge the skills into ~/.openclaw/openclaw.json (backed up first)
+    const applied = options.apply ? await applyRoleSkills(config) : null;
+    if (profile.name !== DEFAULT_PROFILE) {
+      await saveProfile(profile.name, { workspace: workspacePath, answers });
+    }
+    await displaySuccess(config, workspacePath, profile.name);
+    return { config, workspacePath, profile: profile.name, runId, filesCreated, conflicts, applied, cancelled: false };
   }
-
-  return config;
+  
+  // Test mode: show the exact file plan against the existing workspace,
+  // and with --apply what would change in the OpenClaw config
+  const plan = await planWorkspace(config, workspacePath);
+  if (options.apply) {
+    plan.openclaw = await applySkills(buildSkillsConfig(config.template), { dryRun: true });
+  }
+  if (!options.json) {
+    console.log(formatPlan(plan));
+  }
+  
+  return { config, workspacePath: null, filesCreated: [], plan, cancelled: false };
 }
 
+// The machine checks from `superclaw doctor`; workspace checks come after setup
 async function runSystemChecks() {
   const spinner = ora('Checking system requirements...').start();
   
-  try {
-    // Check if Node.js version is compatible
-    const nodeVersion = process.version;
-    if (!nodeVersion.match(/^v(1[6-9]|[2-9][0-9])/)) {
-      throw new Error(`Node.js 16+ required, found ${nodeVersion}`);
+  for (const check of [checkNode({}), await checkOpenClaw({ probe: () => probeOpenClaw() })]) {
+    if (check.status === 'fail') {
+      spinner.fail('System check failed');
+      throw new Error(`${check.message}. ${check.fix}`);
     }
-    
-    // Check if OpenClaw is installed
-    const { exec } = require('child_process');
-    const { promisify } = require('util');
-    const execAsync = promisify(exec);
-    
-    try {
-      await execAsync('which openclaw');
-    } catch {
-      try {
-        await execAsync('npx openclaw --version');
-      } catch {
-        throw new Error('OpenClaw not found. Please install OpenClaw first: npm install -g openclaw@latest');
-      }
-    }
-    
-    spinner.succeed('System requirements met');
-  } catch (error) {
-    spinner.fail('System check failed');
-    throw error;
   }
+  
+  spinner.succeed('System requirements met');
 }
 
-async function getUserPreferences(preselectedTemplate) {
-  const questions = getQuestions(preselectedTemplate);
-  return await inquirer.prompt(questions);
-}
-
-async function configureIntegrations(selectedTools) {
-  const integrations = {};
+async function getUserPreferences(preselectedTemplate, options = {}) {
+  // Answers can come from an answers file (or those saved with the profile),
+  // flags (which win) and --yes; only the questions left over are asked interactively
+  const provided = options.answersFile ? await loadAnswersFile(options.answersFile) :
+    options.savedAnswers ? normalizeAnswers(options.savedAnswers, 'the saved profile') : {};
+  for (const name of ['goals', 'tools', 'experience']) {
+    if (options[name] !== undefined) {
+      provided[name] = options[name];
+    }
+  }
+  if (preselectedTemplate) {
+    provided.userType = preselectedTemplate;
+  }
+  // `founder,engineer`: the first role is primary, the others are composed into the same workspace
+  if (provided.userType !== undefined) {
+    const [primary, ...others] = [...new Set(toList(provided.userType))];
+    provided.userType = primary;
+    if (provided.additionalRoles === undefined) {
+      provided.additionalRoles = others;
+    }
+  }
+  const resolve = { ...parseResolutions(provided.resolve), ...parseResolutions(options.resolve) };
+  // Timezone and working days are not asked: they default to this machine's timezone and mon-fri
+  const schedule = scheduleSettings({
+    timezone: options.timezone !== undefined ? options.timezone : provided.timezone,
+    workingDays: options.workingDays !== undefined ? options.workingDays : provided.workingDays
+  });
+  if (options.yes) {
+    provided.proceed = true;
+  }
   
-  if (selectedTools.includes('gmail')) {
-    integrations.email = {
-      provider: 'gmail',
-      features: ['automation', 'smart_inbox', 'scheduling']
-    };
+  // Every valid registry template is offered as a role
+  const templates = (await describeTemplates(options.registry)).filter(entry => !entry.errors.length);
+  const questions = getQuestions(undefined, templates, options.integrations);
+  const unknown = unknownFollowUps(provided.integrations, questions);
+  if (unknown.length) {
+    throw new Error(`Unknown follow-up answer${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}. Expected one of: ${questions.filter(question => question.followUp).map(question => question.name).join(', ')}`);
   }
   
-  if (selectedTools.includes('calendar')) {
-    integrations.calendar = {
-      provider: 'google',
-      features: ['scheduling', 'meeting_prep', 'availability']
-    };
+  // Tool follow-ups have defaults, so they are only asked when someone is there to answer
+  const stdin = options.stdin || process.stdin;
+  const { answers, missing } = resolveAnswers(questions, provided, {}, { useDefaults: options.yes || !stdin.isTTY });
+  if (!missing.length) {
+    return { ...answers, resolve, ...schedule };
   }
   
-  if (selectedTools.includes('github')) {
-    integrations.github = {
-      features: ['pr_reviews', 'issue_tracking', 'repo_analytics']
-    };
+  if (!stdin.isTTY) {
+    const names = [...new Set(missing.filter(question => !question.followUp && !question.deferred)
+      .map(question => (question.name.endsWith('Roles') || question.name === 'userType' ? 'role' : question.name)))];
+    throw new Error(`Missing answers for: ${names.join(', ')}. No terminal is attached, so supply them with --answers or --role/--goals/--tools/--experience/--yes`);
   }
   
-  if (selectedTools.includes('social')) {
-    integrations.social = {
-      platforms: ['linkedin', 'twitter'],
-      features: ['content_scheduling', 'analytics', 'engagement']
-    };
+  // inquirer 9 is ESM-only, so it has to be loaded with a dynamic import
+  const { default: inquirer } = await import('inquirer');
+  return { ...await inquirer.prompt(missing, answers), resolve, ...schedule };
+}
+
+/**
+ * Load the templates for the chosen roles, pruned to the chosen goals, and
+ * compose them. Conflicts between roles must be settled explicitly: from
+ * --resolve/the answers file, or by asking when a terminal is attached.
+ */
+async function loadComposedTemplate(answers, { templatePath, registry, stdin }) {
+  const roles = [answers.userType, ...(answers.additionalRoles || [])];
+  const load = () => loadRoleTemplates(roles, { ...registry, templatePath, resolutions: answers.resolve, goals: answers.goals, experience: answers.experience });
+  const composed = await load();
+  
+  if (!composed.conflicts.length) {
+    return composed;
+  }
+  
+  if (!(stdin || process.stdin).isTTY) {
+    const listed = composed.conflicts.map(conflict => `${conflict.id} (${conflict.options.join('|')})`);
+    throw new Error(`Roles ${roles.join(', ')} define these differently: ${listed.join(', ')}. ` +
+      'Choose with --resolve <name>=<choice> or a `resolve:` map in the answers file');
   }
   
-  return integrations;
+  // Conflict ids contain dots, which inquirer would treat as nested answer paths
+  const { default: inquirer } = await import('inquirer');
+  const chosen = await inquirer.prompt(composed.conflicts.map((conflict, index) => ({
+    type: 'list',
+    name: `conflict${index}`,
+    message: `⚖️  ${conflict.roles.join(' and ')} both define ${conflict.id}. Which should win?`,
+    choices: conflict.options.map(option => (option === 'both' ?
+      { name: 'Keep both (renamed per role)', value: 'both' } :
+      { name: `${option}'s version`, value: option }))
+  })));
+  
+  composed.conflicts.forEach((conflict, index) => {
+    answers.resolve[conflict.id] = chosen[`conflict${index}`];
+  });
+  return load();
 }
 
-async function generateConfiguration(answers, template, integrations) {
+async function generateConfiguration(answers, template, integrations, { lock = null, inclusions = [], scaffold = 'minimal' } = {}) {
+  const roles = [answers.userType, ...(answers.additionalRoles || [])];
+  
   return {
     user: {
       type: answers.userType,
+      roles,
       goals: answers.goals,
-      experience: answers.experience
+      tools: answers.tools,
+      experience: answers.experience,
+      timezone: answers.timezone,
+      workingDays: answers.workingDays
     },
     template: template,
     integrations: integrations,
     workspace: {
-      name: `${answers.userType}-ai-employee`,
-      description: `AI employee setup for ${answers.userType}`,
+      name: `${roles.join('-')}-ai-employee`,
+      description: `AI employee setup for ${roles.join(' + ')}`,
       automations: template.automations,
-      skills: template.skills
+      skills: template.skills,
+      scaffold
     },
+    // Why each automation, skill and workflow was configured (see lib/goals.js)
+    inclusions,
+    lock,
     created: new Date().toISOString()
   };
 }
 
-async function setupWorkspace(config) {
+async function setupWorkspace(config, workspacePath, { answers, templatePath, apply = false }) {
   const spinner = ora('Setting up your AI employee workspace...').start();
   
+  // Everything this run writes is recorded so `superclaw wizard undo` can roll it back
+  const run = createRun(config, { workspacePath, answers, templatePath });
+  
   try {
-    // Use existing Clawdbot workspace or create it
-    const workspacePath = path.join(require('os').homedir(), 'clawd');
     await fs.ensureDir(workspacePath);
     
     // Generate configuration files
-    await generateSetup(config, workspacePath);
+    const written = await generateSetup(config, workspacePath, run);
     
     // Configure official OpenClaw skills for this role
-    await configureSkillsForRole(config, workspacePath);
+    written.push(await configureSkillsForRole(config, workspacePath, run, { apply }));
+    await saveRun(run);
     
-    spinner.succeed('Workspace created successfully!');
+    const conflicts = written.filter(file => file.status === 'conflict');
+    const filesCreated = written.filter(file => file.status !== 'conflict').map(file => file.path);
+    
+    if (conflicts.length) {
+      spinner.warn(`Workspace updated, but ${conflicts.length} file(s) have conflicting edits and were left unchanged`);
+    } else {
+      spinner.succeed('Workspace created successfully!');
+    }
     
-    return workspacePath;
+    return {
+      runId: run.runId,
+      filesCreated,
+      conflicts: conflicts.map(file => ({ path: file.path, conflictPath: file.conflictPath, count: file.conflicts.length }))
+    };
   } catch (error) {
     spinner.fail('Workspace setup failed');
+    // Keep a record of a partial run so it can still be undone
+    if (run.files.length) {
+      await saveRun(run);
+    }
     throw error;
   }
 }
 
-async function configureSkillsForRole(config, workspacePath) {
+async function configureSkillsForRole(config, workspacePath, run, { apply = false } = {}) {
   const spinner = ora('Configuring OpenClaw skills using official format...').start();
   
   try {
     // Generate the exact OpenClaw skills configuration format
     // This matches ~/.openclaw/openclaw.json skills section format
-    const skillsConfig = {
-      skills: {
-        entries: {}
-      }
-    };
-    
-    // Extract skills from the template's config.skills.entries or config.skills array
-    const skills = config.template.skills.entries ? 
-      Object.keys(config.template.skills.entries) : 
-      config.template.skills;
+    const skillsConfig = buildSkillsConfig(config.template);
+    const skills = getSkillNames(config.template);
     
     for (const skill of skills) {
       spinner.text = `Configuring official OpenClaw skill: ${skill}`;
-      
-      // Use exact OpenClaw configuration format
-      skillsConfig.skills.entries[skill] = { enabled: true };
-      
-      // If the template has specific config for this skill, use it
-      if (config.template.skills.entries && config.template.skills.entries[skill]) {
-        skillsConfig.skills.entries[skill] = {
-          enabled: true,
-          ...config.template.skills.entries[skill]
-        };
-      }
-      
       await new Promise(resolve => setTimeout(resolve, 200));
     }
     
     // Write the OpenClaw-compatible skills config snippet
-    const configSnippet = `
-# Add this to your ~/.openclaw/openclaw.json file:
-${JSON.stringify(skillsConfig, null, 2)}
-
-# Or run: openclaw config patch --raw '${JSON.stringify(skillsConfig)}'
-`;
-    
-    await fs.writeFile(path.join(workspacePath, 'openclaw-skills-config.json'), configSnippet);
+    const [written] = await writeWorkspaceFiles(workspacePath, [
+      { path: 'openclaw-skills-config.json', content: renderSkillsConfigSnippet(config) }
+    ], { run });
+    const snippetPath = written.path;
     
     spinner.succeed(`✅ Generated OpenClaw skills configuration for ${skills.length} skills`);
     
     // Show user what they get
     console.log(chalk.grey(`   Skills configured: ${skills.join(', ')}`));
-    console.log(chalk.grey(`   Configuration saved to: ~/clawd/openclaw-skills-config.json`));
-    console.log(chalk.yellow(`   💡 To apply: openclaw config patch --raw '${JSON.stringify(skillsConfig)}'`));
+    console.log(chalk.grey(`   Configuration saved to: ${snippetPath}`));
+    if (!apply) {
+      console.log(chalk.yellow(`   💡 To apply: re-run with --apply, or openclaw config patch --raw '${JSON.stringify(skillsConfig)}'`));
+    }
     
+    return written;
   } catch (error) {
     spinner.fail('Skill configuration failed');
     throw error;
   }
 }
 
-async function displaySuccess(config) {
+async function applyRoleSkills(config) {
+  const spinner = ora('Applying skills to the OpenClaw config...').start();
+  
+  try {
+    const applied = await applySkills(buildSkillsConfig(config.template));
+    if (applied.written) {
+      spinner.succeed(`Updated ${applied.configPath} (backup: ${applied.backup})`);
+    } else {
+      spinner.succeed(`${applied.configPath} already has these skills - left unchanged`);
+    }
+    formatSkillChanges(applied.changes).forEach(line => console.log(chalk.grey(`   ${line}`)));
+    if (applied.written) {
+      console.log(chalk.yellow('   💡 Undo with: superclaw skills revert'));
+    }
+    return applied;
+  } catch (error) {
+    spinner.fail('Applying skills failed');
+    throw error;
+  }
+}
+
+async function displaySuccess(config, workspacePath, profileName) {
   console.log('\n' + chalk.green('🎉 Success! Your AI employee is ready to work!'));
   console.log('\n' + chalk.blue('📋 What was set up:'));
   
   console.log('   • Role Template:', config.user.type);
   console.log('   • OpenClaw Skills Config Generated:', (config.template.skills.entries ? Object.keys(config.template.skills.entries) : config.template.skills).join(', '));
   console.log('   • Workspace Enhanced:', workspacePath);
-  console.log('   • Configuration Files Created: AGENTS.md, HEARTBEAT.md, role templates');
+  if (profileName !== DEFAULT_PROFILE) {
+    console.log('   • Profile:', profileName);
+  }
+  console.log('   • Configuration Files Created: AGENTS.md, HEARTBEAT.md, schedules.json, role templates');
+  if (config.workspace.scaffold === 'full') {
+    console.log('   • Full Scaffold: config/clawdbot.yaml, automations/, README.md and the docs/, logs/... folders');
+  }
+  
+  const unparsed = describeSchedules(config).filter(entry => entry.error);
+  if (unparsed.length) {
+    console.log('\n' + chalk.yellow(`⚠️  ${unparsed.length} automation(s) left unscheduled - their schedule could not be read:`));
+    unparsed.forEach(entry => console.log(chalk.yellow(`   • ${entry.automation} ("${entry.schedule}"): ${entry.error}`)));
+  }
   
   console.log('\n' + chalk.blue('🚀 Next steps:'));
   console.log('   1. Start OpenClaw:', chalk.green('openclaw gateway start'));
-  console.log('   2. Open workspace:', chalk.green('cd ~/clawd'));
-  console.log('   3. Check your setup:', chalk.green('cat ~/clawd/morning-brief.md'));
+  console.log('   2. Open workspace:', chalk.green(`cd ${workspacePath}`));
+  console.log('   3. Check your setup:', chalk.green(`cat ${path.join(workspacePath, 'morning-brief.md')}`));
   
   console.log('\n💡 Need help? Check the documentation or join our Discord community.');
 }
 
-module.exports = { runWizard };
\ No newline at end of file
+module.exports = { runWizard, getUserPreferences };
\ No newline at end of file
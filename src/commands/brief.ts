@@ -0,0 +1,49 @@
+import { Command } from 'commander';
+import { BriefService } from '../lib/brief';
+import { ConfigUtils, Logger } from '../lib/shared/utils';
+
+export const briefCommand = new Command('brief')
+  .description('Rebuild morning-brief.md from local calendars, git repos, todo lists and CSV metrics (sources in brief.yaml)')
+  .option('-w, --workspace <dir>', 'OpenClaw workspace (default: the active profile\'s)')
+  .option('--role <role>', 'Brief for this role (comma-separated to compose) instead of the latest wizard run\'s')
+  .option('--date <YYYY-MM-DD>', 'Day to brief for (default: today)')
+  .option('--timezone <tz>', 'IANA timezone (default: the wizard\'s, or the system\'s)')
+  .option('--calendar <path>', 'An .ics file or a folder of them')
+  .option('--repo <dir>', 'A git repository to report on (repeatable)',
+    (value: string, previous: string[] = []) => [...previous, value])
+  .option('--todo <path>', 'A Markdown or text todo list, or a folder of them')
+  .option('--metrics <path>', 'A .csv file or a folder of them')
+  .option('--dry-run', 'Print the brief instead of writing it')
+  .option('--json', 'Print the collected sections as JSON')
+  .action(async (options) => {
+    try {
+      const brief = await new BriefService().generate({
+        workspacePath: options.workspace || ConfigUtils.workspaceDir(),
+        role: options.role,
+        date: options.date,
+        timezone: options.timezone,
+        sources: { calendar: options.calendar, repos: options.repo, todo: options.todo, metrics: options.metrics },
+        dryRun: options.dryRun
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(brief, null, 2));
+        return;
+      }
+      if (options.dryRun) {
+        console.log(brief.markdown);
+        return;
+      }
+
+      Logger.success(`Wrote ${brief.path} for ${brief.date}`);
+      for (const section of brief.sections) {
+        section.missing.forEach(message => Logger.warn(`${section.title}: ${message}`));
+        if (section.error) {
+          Logger.warn(`${section.title}: collecting failed: ${section.error}`);
+        }
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
\ No newline at end of file
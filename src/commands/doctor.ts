@@ -0,0 +1,44 @@
+import { Command } from 'commander';
+import * as os from 'os';
+import * as path from 'path';
+import { DoctorService } from '../lib/doctor';
+import { ConfigUtils, Logger } from '../lib/shared/utils';
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+
+export const doctorCommand = new Command('doctor')
+  .description('Check Node.js, OpenClaw, the workspace, skills and templates (exits 1 when a check fails)')
+  .option('-w, --workspace <dir>', 'OpenClaw workspace (default: the active profile\'s)')
+  .option('--config <file>', 'OpenClaw config', path.join(os.homedir(), '.openclaw', 'openclaw.json'))
+  .option('--openclaw-bin <path>', 'OpenClaw binary to check instead of the one on PATH')
+  .option('--json', 'Print the checks as JSON')
+  .action(async (options) => {
+    try {
+      const report = await new DoctorService().run({
+        workspacePath: options.workspace || ConfigUtils.workspaceDir(),
+        configPath: options.config,
+        openclawBin: options.openclawBin
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+      } else {
+        console.log('🩺 SuperClaw Doctor');
+        for (const check of report.checks) {
+          console.log(`${STATUS_ICONS[check.status]} ${check.title}: ${check.message}`);
+          if (check.fix) {
+            console.log(`   fix: ${check.fix}`);
+          }
+        }
+        const { summary } = report;
+        console.log(`\n${summary.pass} passed, ${summary.warn} ${summary.warn === 1 ? 'warning' : 'warnings'}, ${summary.fail} failed`);
+      }
+
+      if (!report.ok) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
\ No newline at end of file
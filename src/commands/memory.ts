@@ -1,4 +1,22 @@
 import { Command } from 'commander';
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { CHARS_PER_TOKEN, DuplicateMemoryError, EXPORT_FORMATS, MemoryService, isExportFormat } from '../lib/memory';
+import { ConfigUtils, Logger } from '../lib/shared/utils';
+import { MemoryEntry } from '../types';
+
+function parseCount(value: string, option: string): number {
+  const count = parseInt(value, 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Invalid ${option} "${value}" - expected a positive number`);
+  }
+  return count;
+}
+
+function formatMemory(memory: MemoryEntry): string {
+  const tags = memory.tags.length ? `  ${memory.tags.map(tag => `#${tag}`).join(' ')}` : '';
+  return `${memory.id} (${memory.type}) ${memory.content}${tags}`;
+}
 
 export const memoryCommand = new Command('memory')
   .description('Memory management for OpenClaw');
@@ -8,34 +26,268 @@ memoryCommand
   .description('Save information to memory')
   .option('-t, --type <type>', 'Memory type (preference|decision|learning|context)', 'context')
   .option('--tags <tags>', 'Comma-separated tags')
+  .option('--supersedes <id>', 'Retire an older memory in favour of this one (history is kept)')
+  .option('-f, --force', 'Save even if a near-duplicate memory already exists')
   .action(async (content, options) => {
-    console.log('💾 Saving to memory:', content);
-    console.log('Type:', options.type);
-    // TODO: Implement memory save
+    try {
+      const memory = await new MemoryService().save(content, {
+        type: options.type,
+        tags: options.tags,
+        supersedes: options.supersedes,
+        allowDuplicate: options.force
+      });
+      Logger.success(`Saved ${memory.type} memory ${memory.id}`);
+      if (memory.tags.length) {
+        Logger.info(`Tags: ${memory.tags.join(', ')}`);
+      }
+      if (memory.supersedes) {
+        Logger.info(`Supersedes ${memory.supersedes}`);
+      }
+      if (memory.expiresAt) {
+        Logger.info(`Expires ${memory.expiresAt}`);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      if (error instanceof DuplicateMemoryError) {
+        Logger.info('Use --force to save it anyway, or --supersedes <id> to replace it');
+      }
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('edit <id> [content]')
+  .description('Correct a stored memory')
+  .option('-t, --type <type>', 'New memory type')
+  .option('--tags <tags>', 'Replace tags (comma-separated)')
+  .action(async (id, content, options) => {
+    try {
+      const memory = await new MemoryService().edit(id, { content, type: options.type, tags: options.tags });
+      Logger.success(`Updated memory ${memory.id}`);
+      console.log(`   ${formatMemory(memory)}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('forget [id]')
+  .description('Permanently delete a memory, or every memory with a tag')
+  .option('--tag <tag>', 'Forget all memories with this tag')
+  .action(async (id, options) => {
+    try {
+      if (id && options.tag) {
+        throw new Error('Pass either a memory id or --tag, not both');
+      }
+      const forgotten = await new MemoryService().forget({ id, tag: options.tag });
+      Logger.success(`Forgot ${forgotten.length} ${forgotten.length === 1 ? 'memory' : 'memories'}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('expire')
+  .description('Delete memories whose type TTL has passed (context: 30 days)')
+  .option('--dry-run', 'List expired memories without deleting them')
+  .action(async (options) => {
+    try {
+      const expired = await new MemoryService().expire({ dryRun: options.dryRun });
+      expired.forEach(memory => console.log(`   ${formatMemory(memory)}`));
+      Logger.success(`${options.dryRun ? 'Would expire' : 'Expired'} ${expired.length} memories`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('dedupe')
+  .description('Find near-duplicate memories')
+  .option('--apply', 'Merge each group into its oldest memory')
+  .action(async (options) => {
+    try {
+      const groups = await new MemoryService().dedupe({ apply: options.apply });
+
+      for (const [keeper, ...duplicates] of groups) {
+        console.log(`   keep    ${formatMemory(keeper)}`);
+        duplicates.forEach(memory => console.log(`   ${options.apply ? 'merged' : 'dup   '}  ${formatMemory(memory)}`));
+      }
+      Logger.success(`${groups.length} duplicate ${groups.length === 1 ? 'group' : 'groups'} ${options.apply ? 'merged' : 'found'}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('show <id>')
+  .description('Show a memory and the memories it superseded')
+  .action(async (id) => {
+    try {
+      const [memory, ...previous] = await new MemoryService().history(id);
+
+      console.log(`   ${formatMemory(memory)}`);
+      console.log(`   created ${memory.createdAt}, updated ${memory.updatedAt}`);
+      if (memory.supersededBy) {
+        console.log(`   superseded by ${memory.supersededBy}`);
+      }
+      if (memory.expiresAt) {
+        console.log(`   expires ${memory.expiresAt}`);
+      }
+      previous.forEach(entry => console.log(`   ↳ replaced ${formatMemory(entry)}`));
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
   });
 
 memoryCommand
   .command('search <query>')
   .description('Search through stored memories')
   .option('-l, --limit <number>', 'Maximum results', '10')
+  .option('--include-retired', 'Include superseded and expired memories')
+  .addHelpText('after', '\nQuery syntax: words, "exact phrases", type:decision, tag:infra, after:2026-01-01, before:2026-06-30')
   .action(async (query, options) => {
     console.log('🔍 Searching memories:', query);
-    // TODO: Implement memory search
+
+    try {
+      const results = await new MemoryService().search(query, parseCount(options.limit, '--limit'), {
+        includeRetired: options.includeRetired
+      });
+
+      if (!results.length) {
+        Logger.info('No matching memories');
+        return;
+      }
+
+      for (const { memory, score } of results) {
+        console.log(`   [${score.toFixed(2)}] ${formatMemory(memory)}`);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
   });
 
 memoryCommand
   .command('recall <context>')
   .description('Recall relevant memories for current context')
   .option('-m, --max <number>', 'Maximum results', '10')
+  .option('--max-chars <number>', 'Character budget for the recalled block', '2000')
+  .option('--max-tokens <number>', 'Token budget for the recalled block (overrides --max-chars)')
+  .option('--update-agents', 'Write the block into the workspace AGENTS.md')
+  .option('-w, --workspace <dir>', 'OpenClaw workspace containing AGENTS.md (default: the active profile\'s)')
   .action(async (context, options) => {
-    console.log('🧠 Recalling context:', context);
-    // TODO: Implement memory recall
+    try {
+      const maxChars = options.maxTokens ?
+        parseCount(options.maxTokens, '--max-tokens') * CHARS_PER_TOKEN :
+        parseCount(options.maxChars, '--max-chars');
+
+      const service = new MemoryService();
+      const { memories, markdown } = await service.recall(context, { max: parseCount(options.max, '--max'), maxChars });
+
+      if (options.updateAgents) {
+        const agentsPath = path.join(options.workspace || ConfigUtils.workspaceDir(), 'AGENTS.md');
+        await service.writeRecallSection(agentsPath, markdown);
+        Logger.success(`Recalled ${memories.length} memories into ${agentsPath}`);
+        return;
+      }
+
+      console.log(markdown);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('import <path>')
+  .description('Import memories from Markdown notes, JSON or JSONL (file or directory)')
+  .option('-t, --type <type>', 'Type for imported notes that do not declare one', 'context')
+  .option('--tags <tags>', 'Extra comma-separated tags for imported notes')
+  .action(async (target, options) => {
+    try {
+      const summary = await new MemoryService().import(target, { type: options.type, tags: options.tags });
+      Logger.success(`Imported ${summary.imported} memories from ${summary.files} files`);
+      Logger.info(`Updated: ${summary.updated}, skipped (existing or duplicate): ${summary.skipped}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('export')
+  .description('Export all memories')
+  .option('-f, --format <format>', `Output format (${EXPORT_FORMATS.join('|')})`, 'json')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(async (options) => {
+    try {
+      if (!isExportFormat(options.format)) {
+        throw new Error(`Unknown format "${options.format}". Expected one of: ${EXPORT_FORMATS.join(', ')}`);
+      }
+
+      const output = await new MemoryService().export(options.format);
+      if (options.output) {
+        await fs.outputFile(options.output, output);
+        Logger.success(`Exported memories to ${options.output}`);
+      } else {
+        process.stdout.write(output);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+memoryCommand
+  .command('sync')
+  .description('Mirror active memories into the workspace memory/ folder for OpenClaw')
+  .option('-w, --workspace <dir>', 'OpenClaw workspace (default: the active profile\'s)')
+  .action(async (options) => {
+    try {
+      const workspace = options.workspace || ConfigUtils.workspaceDir();
+      const files = await new MemoryService().sync(workspace);
+      files.forEach(file => Logger.info(file));
+      Logger.success(`Synced memories into ${path.join(workspace, 'memory')}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
   });
 
 memoryCommand
   .command('stats')
   .description('Show memory statistics')
   .action(async () => {
-    console.log('📊 Memory Statistics');
-    // TODO: Implement memory stats
+    try {
+      const stats = await new MemoryService().stats();
+
+      console.log('📊 Memory Statistics');
+      console.log(`   Total memories: ${stats.total}`);
+      console.log(`   Superseded: ${stats.superseded}, expired: ${stats.expired}`);
+      console.log('   By type:');
+      for (const [type, count] of Object.entries(stats.byType)) {
+        console.log(`     ${type}: ${count}`);
+      }
+
+      const tags = Object.entries(stats.byTag).sort(([, a], [, b]) => b - a);
+      if (tags.length) {
+        console.log('   By tag:');
+        for (const [tag, count] of tags) {
+          console.log(`     ${tag}: ${count}`);
+        }
+      }
+
+      if (stats.oldest) {
+        console.log(`   Oldest: ${stats.oldest}`);
+        console.log(`   Newest: ${stats.newest}`);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
   });
\ No newline at end of file
@@ -0,0 +1,65 @@
+import { Command } from 'commander';
+import { ProfileService } from '../lib/profiles';
+import { Logger } from '../lib/shared/utils';
+
+export const profileCommand = new Command('profile')
+  .description('Named profiles, each with its own workspace, answers and memories (select one with `superclaw --profile <name>`)');
+
+profileCommand
+  .command('list')
+  .description('List profiles, marking the active one')
+  .option('--json', 'Print the profiles as JSON')
+  .action((options) => {
+    try {
+      const profiles = new ProfileService().list();
+
+      if (options.json) {
+        console.log(JSON.stringify(profiles, null, 2));
+        return;
+      }
+
+      console.log('👤 Profiles');
+      for (const profile of profiles) {
+        console.log(`${profile.current ? '*' : ' '} ${profile.name}${profile.role ? `  ${profile.role}` : ''}`);
+        console.log(`      workspace: ${profile.workspace}`);
+        console.log(`      memories:  ${profile.memoryDir}`);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+profileCommand
+  .command('use <name>')
+  .description('Make a profile the active one for later commands')
+  .option('-w, --workspace <dir>', 'Create the profile, or move it, with this workspace')
+  .action(async (name, options) => {
+    try {
+      const profile = await new ProfileService().use(name, { workspace: options.workspace });
+      Logger.success(`Using profile ${profile.name} (workspace: ${profile.workspace})`);
+      if (!profile.role && profile.name !== 'default') {
+        Logger.info(`Set it up with \`superclaw --profile ${profile.name} wizard\``);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+profileCommand
+  .command('remove <name>')
+  .description('Forget a profile; its workspace and memories stay on disk')
+  .action(async (name) => {
+    try {
+      const removed = await new ProfileService().remove(name);
+      Logger.success(`Removed profile ${removed.name}`);
+      Logger.info(`Kept its workspace ${removed.workspace} and memories in ${removed.memoryDir}`);
+      if (removed.wasCurrent) {
+        Logger.info('Switched back to the default profile');
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
\ No newline at end of file
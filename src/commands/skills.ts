@@ -0,0 +1,23 @@
+import { Command } from 'commander';
+import { SkillsService } from '../lib/skills';
+import { Logger } from '../lib/shared/utils';
+
+export const skillsCommand = new Command('skills')
+  .description('OpenClaw skills configuration');
+
+skillsCommand
+  .command('revert')
+  .description('Restore ~/.openclaw/openclaw.json from the backup taken by the last `wizard --apply`')
+  .option('-f, --force', 'Restore even if the config was edited since the skills were applied')
+  .action(async (options) => {
+    try {
+      const result = await new SkillsService().revert({ force: options.force });
+
+      Logger.success(result.removed ?
+        `Removed ${result.configPath}: it did not exist before the skills were applied at ${result.createdAt}` :
+        `Restored ${result.configPath} to its state before the skills were applied at ${result.createdAt}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { Command } from 'commander';
+import { TemplateService } from '../lib/templates';
+import { Logger } from '../lib/shared/utils';
+
+export const templateCommand = new Command('template')
+  .description('Role template authoring and package tools');
+
+templateCommand
+  .command('validate <path>')
+  .description('Check a template directory or config.yaml against the role template schema')
+  .action(async (templatePath) => {
+    try {
+      const service = new TemplateService();
+      const { file, template, errors } = await service.validate(templatePath);
+
+      if (errors.length || !template) {
+        errors.forEach(error => Logger.error(service.formatError(file, error)));
+        Logger.info(`${errors.length} ${errors.length === 1 ? 'problem' : 'problems'} found in ${file}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const skills = Array.isArray(template.skills) ? template.skills : Object.keys(template.skills.entries);
+      Logger.success(`${file} is a valid template`);
+      Logger.info(`${template.name}: ${skills.length} skills, ${Object.keys(template.automations).length} automations, ` +
+        `${(template.workflows || []).length} workflows`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+templateCommand
+  .command('init <name>')
+  .description('Scaffold a new role template (in ~/.superclaw/templates by default)')
+  .option('--extends <role>', 'Start from an existing role instead of a standalone example')
+  .option('--project', 'Create it in this project\'s .superclaw/templates')
+  .option('-d, --dir <dir>', 'Create it in another templates directory')
+  .action(async (name, options) => {
+    try {
+      const service = new TemplateService();
+      const dir = options.project ? service.projectTemplatesDir() : options.dir;
+      const templateDir = await service.init(name, { dir, extends: options.extends });
+
+      Logger.success(`Created template ${name} in ${templateDir}`);
+      Logger.info(`Edit config.yaml, then check it with \`superclaw template validate ${templateDir}\``);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+templateCommand
+  .command('add <source>')
+  .description('Install a template package from a directory, a .tar.gz/.tgz file or a git repository (url#ref)')
+  .option('-n, --name <role>', 'Role to install it as (default: the package name)')
+  .option('-f, --force', 'Replace an existing user template with the same role')
+  .action(async (source, options) => {
+    try {
+      const installed = await new TemplateService().add(source, { name: options.name, force: options.force });
+      const version = installed.version ? `v${installed.version}` : 'unversioned';
+
+      Logger.success(`Installed ${installed.role} (${version}) to ${installed.path}`);
+      Logger.info(`Use it with \`superclaw wizard --role ${installed.role}\``);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+templateCommand
+  .command('update [role]')
+  .description('Re-fetch installed template packages from their source (default: all of them)')
+  .option('-f, --force', 'Replace packages even if they were edited since they were installed')
+  .action(async (role, options) => {
+    try {
+      const results = await new TemplateService().update(role, { force: options.force });
+
+      if (!results.length) {
+        Logger.info('No template packages installed - add one with `superclaw template add`');
+        return;
+      }
+      for (const result of results) {
+        if (result.status === 'unchanged') {
+          Logger.info(`${result.role} is up to date`);
+        } else {
+          Logger.success(`Updated ${result.role}: ${result.previousVersion || 'unversioned'} -> ${result.version || 'unversioned'}`);
+        }
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+templateCommand
+  .command('remove <role>')
+  .description('Uninstall a template package installed with `template add`')
+  .action(async (role) => {
+    try {
+      const removed = await new TemplateService().remove(role);
+      Logger.success(`Removed ${removed.role} from ${removed.path}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  })
\ No newline at end of file
@@ -1,20 +1,135 @@
 import { Command } from 'commander';
+import { WizardService } from '../lib/wizard';
+import { TemplateService } from '../lib/templates';
+import { ConfigUtils, Logger } from '../lib/shared/utils';
 
 export const wizardCommand = new Command('wizard')
   .description('Role-based OpenClaw setup wizard')
-  .option('-r, --role <role>', 'User role (founder, engineer, creator, student)')
+  // Options after a subcommand (e.g. `wizard list --json`) belong to the subcommand
+  .enablePositionalOptions()
+  .option('-r, --role <roles>', 'Role from `superclaw wizard list`, or several comma-separated to compose')
   .option('-t, --template <path>', 'Custom template path')
   .option('--dry-run', 'Show what would be created without making changes')
+  .option('--skip-checks', 'Skip system requirement checks')
+  .option('-a, --answers <file>', 'Answer the wizard questions from a YAML or JSON file')
+  .option('--goals <goals>', 'Comma-separated goals (e.g. metrics,investors)')
+  .option('--tools <tools>', 'Comma-separated tools (e.g. gmail,github)')
+  .option('--experience <level>', 'Experience level (beginner|intermediate|advanced)')
+  .option('--timezone <zone>', 'Timezone automation schedules run in (default: this machine\'s)')
+  .option('--working-days <days>', 'Days weekday schedules run on (default: mon-fri)')
+  .option('-w, --workspace <dir>', 'Workspace to set up (default: $SUPERCLAW_WORKSPACE, the profile\'s, or ~/clawd)')
+  .option('--scaffold <mode>', 'Workspace layout: minimal (default) or full (adds config/clawdbot.yaml, automations/, docs/, logs/... and README.md)')
+  .option('--apply', 'Merge the role\'s skills into ~/.openclaw/openclaw.json (backed up first)')
+  .option('-y, --yes', 'Skip the final confirmation')
+  .option('--json', 'With --dry-run, print the file plan as JSON')
+  .option('--update-lock', 'Regenerate even if the templates changed since superclaw-lock.json was written')
+  .option('--resolve <name=choice>', 'Settle a conflict between composed roles (repeatable), e.g. morning_brief=both',
+    (value: string, previous: string[] = []) => [...previous, value])
   .action(async (options) => {
-    console.log('🧙‍♂️ SuperClaw Setup Wizard');
-    console.log('Options:', options);
-    // TODO: Implement wizard logic
+    if (!options.json) {
+      console.log('🧙‍♂️ SuperClaw Setup Wizard');
+    }
+
+    try {
+      const result = await new WizardService().run(options);
+
+      if (options.json && result.plan) {
+        console.log(JSON.stringify(result.plan, null, 2));
+        return;
+      }
+
+      if (result.success) {
+        Logger.success(result.message);
+        result.filesCreated?.forEach(file => Logger.info(file));
+        if (result.runId) {
+          Logger.info(`Run ${result.runId} recorded - roll it back with \`superclaw wizard undo\``);
+        }
+        result.conflicts?.forEach(conflict => {
+          Logger.warn(`${conflict.path} was left unchanged: ${conflict.count} edit(s) conflict with the regenerated content`);
+          Logger.info(`Resolve the conflict markers in ${conflict.conflictPath} and copy it over the original`);
+        });
+      } else {
+        Logger.info(result.message);
+      }
+    } catch (error) {
+      Logger.error(`Setup failed: ${(error as Error).message}`);
+      process.exitCode = 1;
+    }
+  });
+
+wizardCommand
+  .command('list [templatePaths...]')
+  .description('List available role templates (built-in, ~/.superclaw/templates, .superclaw/templates and any given paths)')
+  .option('--json', 'Print the templates as JSON')
+  .action(async (templatePaths, options) => {
+    try {
+      const templates = await new TemplateService().list({ templatePaths });
+
+      if (options.json) {
+        console.log(JSON.stringify(templates, null, 2));
+        return;
+      }
+
+      console.log('📋 Available Templates');
+      for (const template of templates) {
+        const version = template.version ? `v${template.version}` : 'unversioned';
+        const shadows = template.shadows.length ? `, overrides ${template.shadows.join(', ')}` : '';
+        console.log(`   ${template.role}  ${template.name} (${template.source}${shadows}, ${version})`);
+        if (template.errors.length) {
+          Logger.error(`${template.errors.length} validation problems - run \`superclaw template validate ${template.path}\``);
+          continue;
+        }
+        console.log(`      ${template.description}`);
+        console.log(`      ${template.skills.length} skills (${template.skills.join(', ')}), ${template.automations} automations`);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
   });
 
 wizardCommand
-  .command('list')
-  .description('List available role templates')
-  .action(() => {
-    console.log('📋 Available Templates: founder, engineer, creator, student');
-    // TODO: List actual templates
+  .command('history')
+  .description('List past wizard runs in the workspace')
+  .option('-w, --workspace <dir>', 'OpenClaw workspace (default: the active profile\'s)')
+  .action(async (options) => {
+    try {
+      const workspace = options.workspace || ConfigUtils.workspaceDir();
+      const runs = await new WizardService().history(workspace);
+
+      if (!runs.length) {
+        Logger.info(`No wizard runs recorded in ${workspace}`);
+        return;
+      }
+
+      for (const run of runs) {
+        const changed = run.files.filter(file => file.action !== 'unchanged').length;
+        const status = run.undoneAt ? `  (undone ${run.undoneAt})` : '';
+        console.log(`   ${run.runId}  ${run.template.role}  ${changed} files changed${status}`);
+      }
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
+  });
+
+wizardCommand
+  .command('undo [runId]')
+  .description('Restore the workspace to its state before a wizard run (default: the latest)')
+  .option('-w, --workspace <dir>', 'OpenClaw workspace (default: the active profile\'s)')
+  .option('-f, --force', 'Undo even if files were changed since the run, discarding those changes')
+  .action(async (runId, options) => {
+    try {
+      const { run, restored, removed, modified } = await new WizardService().undo(options.workspace || ConfigUtils.workspaceDir(), runId, {
+        force: options.force
+      });
+
+      modified.forEach(file => Logger.warn(`Discarded changes made since the run to ${file.path}`));
+      restored.forEach(file => Logger.info(`restored ${file}`));
+      removed.forEach(file => Logger.info(`removed  ${file}`));
+      Logger.success(`Undid run ${run.runId}`);
+    } catch (error) {
+      Logger.error((error as Error).message);
+      process.exitCode = 1;
+    }
   });
\ No newline at end of file
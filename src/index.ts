@@ -3,17 +3,37 @@
 import { Command } from 'commander';
 import { wizardCommand } from './commands/wizard';
 import { memoryCommand } from './commands/memory';
+import { templateCommand } from './commands/template';
+import { skillsCommand } from './commands/skills';
+import { doctorCommand } from './commands/doctor';
+import { profileCommand } from './commands/profile';
+import { briefCommand } from './commands/brief';
 
 const program = new Command();
 
 program
   .name('superclaw')
   .description('Role-based OpenClaw setup wizard with memory management')
-  .version('1.0.0');
+  .version('1.0.0')
+  // Lets subcommands own options that a parent command also defines (see wizard list --json)
+  .enablePositionalOptions()
+  .option('--profile <name>', 'Run against a named profile (default: $SUPERCLAW_PROFILE or `superclaw profile use`)')
+  // lib/ and the services resolve the profile from the environment
+  .hook('preAction', (thisCommand) => {
+    const { profile } = thisCommand.opts();
+    if (profile) {
+      process.env.SUPERCLAW_PROFILE = profile;
+    }
+  });
 
 // Add command groups
 program.addCommand(wizardCommand);
 program.addCommand(memoryCommand);
+program.addCommand(templateCommand);
+program.addCommand(skillsCommand);
+program.addCommand(doctorCommand);
+program.addCommand(profileCommand);
+program.addCommand(briefCommand);
 
 // Parse CLI args
 program.parse();
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Morning brief: adapts lib/brief.js (morning-brief.md rebuilt from local
+// calendar, git, todo and CSV collectors) to the typed CLI.
+
+export interface BriefSection {
+  id: string;             // Collector that filled it, e.g. calendar
+  title: string;
+  source: string;         // Key in brief.yaml naming its files
+  includes: string[];     // Morning brief includes it covers
+  items: string[];        // Markdown lines
+  missing: string[];      // Sources that were not there
+  error: string | null;   // Set when the collector crashed
+  empty: string;          // Shown when it found nothing
+}
+
+export interface BriefResult {
+  date: string;           // YYYY-MM-DD the brief is for
+  timezone: string;
+  roles: string[];
+  goals: string[];
+  sections: BriefSection[];
+  uncovered: string[];    // Includes no collector covers
+  generatedAt: string;
+  markdown: string;
+  path: string;
+  written: boolean;       // False for dry runs
+}
+
+// Overrides for the paths in the workspace's brief.yaml
+export interface BriefSources {
+  calendar?: string;
+  repos?: string[];
+  todo?: string;
+  metrics?: string;
+  [source: string]: string | string[] | undefined;
+}
+
+export interface BriefOptions {
+  workspacePath: string;
+  role?: string;          // Role(s) to brief for instead of the latest wizard run's
+  date?: string;          // YYYY-MM-DD (default: today in the timezone)
+  timezone?: string;
+  sources?: BriefSources;
+  dryRun?: boolean;
+  home?: string;          // Superclaw home holding user templates and collectors
+  cwd?: string;           // Project root holding .superclaw/templates
+}
+
+function loadBriefModule() {
+  // Resolved relative to both src/lib/brief and dist/lib/brief
+  return require('../../../lib/brief');
+}
+
+export class BriefService {
+  async generate(options: BriefOptions): Promise<BriefResult> {
+    return loadBriefModule().writeBrief(options);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,45 @@
+// Diagnostics: adapts the checks in lib/doctor.js to the typed CLI.
+
+export type CheckStatus = 'pass' | 'warn' | 'fail';
+
+export interface DoctorCheck {
+  id: string;             // Stable name for scripts, e.g. openclaw-config
+  title: string;
+  status: CheckStatus;
+  message: string;
+  fix: string | null;     // What to do about a warning or failure
+}
+
+export interface DoctorReport {
+  ok: boolean;            // False when any check failed
+  checks: DoctorCheck[];
+  summary: Record<CheckStatus, number>;
+}
+
+// What `openclaw --version` revealed
+export interface OpenClawProbe {
+  found: boolean;
+  path: string | null;
+  version: string | null;
+  error: string | null;
+}
+
+export interface DoctorOptions {
+  workspacePath: string;
+  configPath?: string;    // OpenClaw config (default: ~/.openclaw/openclaw.json)
+  openclawBin?: string;   // OpenClaw binary to probe instead of the one on PATH
+  probe?: () => Promise<OpenClawProbe>;
+  home?: string;          // Superclaw home holding user templates
+  cwd?: string;           // Project root holding .superclaw/templates
+}
+
+function loadDoctorModule() {
+  // Resolved relative to both src/lib/doctor and dist/lib/doctor
+  return require('../../../lib/doctor');
+}
+
+export class DoctorService {
+  async run(options: DoctorOptions): Promise<DoctorReport> {
+    return loadDoctorModule().runDoctor(options);
+  }
+}
\ No newline at end of file
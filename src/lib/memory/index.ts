@@ -1,10 +1,483 @@
-// Memory management core logic will be implemented here
-// Placeholder for memory team to integrate ClawBrain functionality
+// Memory core: persistent local memories for OpenClaw sessions
 
-export interface MemoryCore {
-  // TODO: Define memory interfaces
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+import { MEMORY_TYPES, MemoryEntry, MemorySearchResult, MemoryStats, MemoryType } from '../../types';
+import { ConfigUtils, FileUtils } from '../shared/utils';
+import {
+  DEFAULT_TTL_DAYS, DuplicateMemoryError, checkTtlDays, computeExpiry, findDuplicate, groupDuplicates, isActive, isExpired
+} from './lifecycle';
+import { rankForRecall, renderRecallBlock, upsertRecallSection } from './recall';
+import { SearchIndex, parseQuery, termsQuery } from './search';
+import { MemoryStore } from './store';
+import {
+  ExportFormat, MemoryDraft, exportMemories, parseJsonMemories, parseJsonlMemories, parseMarkdown,
+  renderMarkdown, syncFileName
+} from './transfer';
+
+export { MemoryStore } from './store';
+export { SearchIndex, parseQuery } from './search';
+export { CHARS_PER_TOKEN, RECALL_END, RECALL_START } from './recall';
+export { DEFAULT_TTL_DAYS, DuplicateMemoryError, isActive } from './lifecycle';
+export { EXPORT_FORMATS, ExportFormat, isExportFormat } from './transfer';
+
+const IMPORT_EXTENSIONS = ['.md', '.markdown', '.json', '.jsonl'];
+
+export interface SaveMemoryOptions {
+  type?: string;
+  tags?: string[] | string;
+  supersedes?: string;        // Retire this memory in favour of the new one
+  allowDuplicate?: boolean;   // Skip near-duplicate detection
+}
+
+export interface EditMemoryOptions {
+  content?: string;
+  type?: string;
+  tags?: string[] | string;
+}
+
+export interface SearchOptions {
+  includeRetired?: boolean;   // Include superseded and expired memories
+}
+
+export interface RecallOptions {
+  max?: number;       // Maximum memories to include
+  maxChars?: number;  // Character budget for the rendered block
+}
+
+export interface RecallResult {
+  memories: MemorySearchResult[];
+  markdown: string;
+}
+
+export interface ImportOptions {
+  type?: string;              // Type for imported notes that do not declare one
+  tags?: string[] | string;   // Extra tags for imported notes
+}
+
+export interface ImportSummary {
+  files: number;
+  imported: number;
+  updated: number;
+  skipped: number;
+}
+
+export interface MemoryServiceOptions {
+  dir?: string;   // Defaults to the active profile's store (~/.superclaw/memory)
+  ttlDays?: Partial<Record<MemoryType, number | null>>;   // Defaults to memory.ttlDays in ~/.superclaw/config.json
+}
+
+export function isMemoryType(value: string): value is MemoryType {
+  return (MEMORY_TYPES as readonly string[]).includes(value);
+}
+
+export function normalizeTags(tags: string[] | string | undefined): string[] {
+  const list = typeof tags === 'string' ? tags.split(',') : tags || [];
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+function generateId(): string {
+  return `${Date.now().toString(36)}-${randomBytes(3).toString('hex')}`;
+}
+
+function assertMemoryType(type: string): MemoryType {
+  if (!isMemoryType(type)) {
+    throw new Error(`Unknown memory type "${type}". Expected one of: ${MEMORY_TYPES.join(', ')}`);
+  }
+  return type;
+}
+
+async function collectImportFiles(target: string): Promise<string[]> {
+  const stats = await fs.stat(target);
+  if (!stats.isDirectory()) {
+    return [target];
+  }
+
+  const files: string[] = [];
+  for (const name of (await fs.readdir(target)).sort()) {
+    const child = path.join(target, name);
+    if ((await fs.stat(child)).isDirectory()) {
+      files.push(...await collectImportFiles(child));
+    } else if (IMPORT_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+      files.push(child);
+    }
+  }
+  return files;
+}
+
+function findMemory(memories: MemoryEntry[], id: string): MemoryEntry {
+  const memory = memories.find(entry => entry.id === id);
+  if (!memory) {
+    throw new Error(`Memory ${id} not found`);
+  }
+  return memory;
 }
 
 export class MemoryService {
-  // TODO: Implement memory service
+  readonly store: MemoryStore;
+  private readonly ttlDays: Record<MemoryType, number | null>;
+
+  constructor(options: MemoryServiceOptions = {}) {
+    this.store = new MemoryStore(options.dir || ConfigUtils.memoryDir());
+    const configured = options.ttlDays || checkTtlDays(ConfigUtils.memoryTtlDays(), path.join(ConfigUtils.homeDir(), 'config.json'));
+    this.ttlDays = { ...DEFAULT_TTL_DAYS, ...configured };
+  }
+
+  /**
+   * Persist a new memory. Throws DuplicateMemoryError when an active memory of
+   * the same type says nearly the same thing, unless `allowDuplicate` is set.
+   */
+  async save(content: string, options: SaveMemoryOptions = {}): Promise<MemoryEntry> {
+    const type = assertMemoryType(options.type || 'context');
+    if (!content.trim()) {
+      throw new Error('Memory content cannot be empty');
+    }
+
+    const now = new Date().toISOString();
+    const entry = this.createEntry(content, type, normalizeTags(options.tags), now);
+
+    await this.store.update((memories, index) => {
+      if (options.supersedes) {
+        const previous = findMemory(memories, options.supersedes);
+        if (previous.supersededBy) {
+          throw new Error(`Memory ${previous.id} was already superseded by ${previous.supersededBy}`);
+        }
+        previous.supersededBy = entry.id;
+        previous.updatedAt = now;
+        entry.supersedes = previous.id;
+      } else if (!options.allowDuplicate) {
+        const duplicate = findDuplicate(entry.content, type, memories);
+        if (duplicate) {
+          throw new DuplicateMemoryError(duplicate.memory, duplicate.similarity);
+        }
+      }
+
+      memories.push(entry);
+      index.add(entry);
+    });
+
+    return entry;
+  }
+
+  /** Update a memory in place; bumps updatedAt and restarts its TTL. */
+  async edit(id: string, changes: EditMemoryOptions): Promise<MemoryEntry> {
+    if (changes.content === undefined && changes.type === undefined && changes.tags === undefined) {
+      throw new Error('Nothing to change - pass new content, a type or tags');
+    }
+    if (changes.content !== undefined && !changes.content.trim()) {
+      throw new Error('Memory content cannot be empty');
+    }
+    const type = changes.type === undefined ? undefined : assertMemoryType(changes.type);
+
+    return this.store.update((memories, index) => {
+      const memory = findMemory(memories, id);
+      const now = new Date().toISOString();
+
+      if (changes.content !== undefined) {
+        memory.content = changes.content.trim();
+      }
+      if (type) {
+        memory.type = type;
+      }
+      if (changes.tags !== undefined) {
+        memory.tags = normalizeTags(changes.tags);
+      }
+      memory.updatedAt = now;
+
+      const expiresAt = computeExpiry(now, this.ttlDays[memory.type]);
+      if (expiresAt) {
+        memory.expiresAt = expiresAt;
+      } else {
+        delete memory.expiresAt;
+      }
+
+      index.add(memory);
+      return memory;
+    });
+  }
+
+  /**
+   * Permanently delete memories by id or by tag. Forgetting a memory that
+   * superseded another one reinstates the older memory.
+   */
+  async forget(target: { id?: string; tag?: string }): Promise<MemoryEntry[]> {
+    if (!target.id && !target.tag) {
+      throw new Error('Specify a memory id or a tag to forget');
+    }
+
+    return this.store.update((memories, index) => {
+      const tag = target.tag?.toLowerCase();
+      const doomed = target.id ?
+        [findMemory(memories, target.id)] :
+        memories.filter(memory => tag && memory.tags.includes(tag));
+
+      this.removeMemories(memories, index, doomed);
+      return doomed;
+    });
+  }
+
+  /** Delete memories whose TTL has passed. */
+  async expire(options: { dryRun?: boolean } = {}): Promise<MemoryEntry[]> {
+    if (options.dryRun) {
+      return (await this.store.read()).filter(memory => isExpired(memory));
+    }
+
+    return this.store.update((memories, index) => {
+      const expired = memories.filter(memory => isExpired(memory));
+      this.removeMemories(memories, index, expired);
+      return expired;
+    });
+  }
+
+  /**
+   * Find groups of near-duplicate memories. With `apply`, each group is merged
+   * into its oldest memory (tags are combined) and the rest are deleted.
+   */
+  async dedupe(options: { apply?: boolean } = {}): Promise<MemoryEntry[][]> {
+    if (!options.apply) {
+      return groupDuplicates(await this.store.read());
+    }
+
+    return this.store.update((memories, index) => {
+      const groups = groupDuplicates(memories);
+
+      for (const [keeper, ...duplicates] of groups) {
+        keeper.tags = normalizeTags([...keeper.tags, ...duplicates.flatMap(memory => memory.tags)]);
+        keeper.updatedAt = new Date().toISOString();
+        this.removeMemories(memories, index, duplicates);
+      }
+
+      return groups;
+    });
+  }
+
+  /**
+   * Import memories from a Markdown, JSON or JSONL file, or a directory of
+   * them. Exported memories are restored with their ids (newer copies win);
+   * plain notes become new memories unless they duplicate an existing one.
+   */
+  async import(target: string, options: ImportOptions = {}): Promise<ImportSummary> {
+    const files = await collectImportFiles(target);
+    const restored: MemoryEntry[] = [];
+    const drafts: MemoryDraft[] = [];
+
+    for (const file of files) {
+      const text = await fs.readFile(file, 'utf8');
+      const extension = path.extname(file).toLowerCase();
+
+      if (extension === '.json') {
+        restored.push(...parseJsonMemories(text, file));
+      } else if (extension === '.jsonl') {
+        restored.push(...parseJsonlMemories(text, file));
+      } else {
+        const parsed = parseMarkdown(text, file);
+        restored.push(...parsed.entries);
+        drafts.push(...parsed.drafts);
+      }
+    }
+
+    const extraTags = normalizeTags(options.tags);
+    const newEntries = drafts.map(draft => ({
+      draft,
+      type: assertMemoryType(draft.type || options.type || 'context')
+    }));
+
+    return this.store.update((memories, index) => {
+      const summary: ImportSummary = { files: files.length, imported: 0, updated: 0, skipped: 0 };
+      const byId = new Map(memories.map(memory => [memory.id, memory]));
+
+      for (const entry of restored) {
+        const existing = byId.get(entry.id);
+        if (!existing) {
+          memories.push(entry);
+          byId.set(entry.id, entry);
+          index.add(entry);
+          summary.imported++;
+        } else if (entry.updatedAt > existing.updatedAt) {
+          memories[memories.indexOf(existing)] = entry;
+          byId.set(entry.id, entry);
+          index.add(entry);
+          summary.updated++;
+        } else {
+          summary.skipped++;
+        }
+      }
+
+      const now = new Date().toISOString();
+      for (const { draft, type } of newEntries) {
+        if (findDuplicate(draft.content, type, memories)) {
+          summary.skipped++;
+          continue;
+        }
+        const entry = this.createEntry(draft.content, type, normalizeTags([...draft.tags, ...extraTags]), now);
+        memories.push(entry);
+        index.add(entry);
+        summary.imported++;
+      }
+
+      return summary;
+    });
+  }
+
+  /** Serialize every memory, including retired ones, in a lossless format. */
+  async export(format: ExportFormat): Promise<string> {
+    return exportMemories(await this.store.read(), format);
+  }
+
+  /**
+   * Mirror active memories into the workspace memory/ folder, one Markdown
+   * file per memory type, so OpenClaw sessions can read them natively.
+   */
+  async sync(workspacePath: string): Promise<string[]> {
+    const memoryDir = path.join(workspacePath, 'memory');
+    const active = (await this.store.read()).filter(memory => isActive(memory));
+    const written: string[] = [];
+
+    await fs.ensureDir(memoryDir);
+    for (const type of MEMORY_TYPES) {
+      const filePath = path.join(memoryDir, syncFileName(type));
+      const memories = active.filter(memory => memory.type === type);
+
+      if (!memories.length) {
+        await fs.remove(filePath);
+        continue;
+      }
+
+      const title = `SuperClaw ${type.charAt(0).toUpperCase()}${type.slice(1)} Memories`;
+      await FileUtils.writeFileAtomic(filePath, renderMarkdown(memories, title));
+      written.push(filePath);
+    }
+
+    return written;
+  }
+
+  /** The supersedes chain ending at `id`, newest first. */
+  async history(id: string): Promise<MemoryEntry[]> {
+    const memories = await this.store.read();
+    const chain = [findMemory(memories, id)];
+
+    let previous = chain[0].supersedes;
+    while (previous) {
+      const memory = memories.find(entry => entry.id === previous);
+      if (!memory) {
+        break;
+      }
+      chain.push(memory);
+      previous = memory.supersedes;
+    }
+
+    return chain;
+  }
+
+  async list(): Promise<MemoryEntry[]> {
+    return this.store.read();
+  }
+
+  async get(id: string): Promise<MemoryEntry | undefined> {
+    return (await this.store.read()).find(memory => memory.id === id);
+  }
+
+  /**
+   * Ranked full-text search. Supports stemmed terms, "quoted phrases" and
+   * type:, tag:, after: and before: filters.
+   */
+  async search(query: string, limit = 10, options: SearchOptions = {}): Promise<MemorySearchResult[]> {
+    const parsed = parseQuery(query);
+    const { memories, index } = await this.store.readWithIndex();
+    const visible = options.includeRetired ? memories : memories.filter(memory => isActive(memory));
+    const lookup = new Map(visible.map(memory => [memory.id, memory]));
+
+    return index.search(parsed, lookup, limit);
+  }
+
+  /**
+   * Pick the memories most relevant to `context` and render them as a
+   * Markdown block that fits the character budget. The context is free
+   * text: its words are ranked terms, never search filters.
+   */
+  async recall(context: string, options: RecallOptions = {}): Promise<RecallResult> {
+    const { max = 10, maxChars = 2000 } = options;
+    const { memories, index } = await this.store.readWithIndex();
+    const lookup = new Map(memories.filter(memory => isActive(memory)).map(memory => [memory.id, memory]));
+
+    const matches = index.search(termsQuery(context), lookup, Number.MAX_SAFE_INTEGER);
+    const ranked = rankForRecall(matches).slice(0, max);
+    const { markdown, included } = renderRecallBlock(ranked, { context, maxChars });
+
+    return { memories: included, markdown };
+  }
+
+  /** Write or refresh the delimited "Recalled Memory" section of an AGENTS.md file. */
+  async writeRecallSection(agentsPath: string, markdown: string): Promise<void> {
+    if (!(await fs.pathExists(agentsPath))) {
+      throw new Error(`${agentsPath} not found - run "superclaw wizard" to create your workspace first`);
+    }
+
+    const content = await fs.readFile(agentsPath, 'utf8');
+    await FileUtils.writeFileAtomic(agentsPath, upsertRecallSection(content, markdown));
+  }
+
+  async stats(): Promise<MemoryStats> {
+    const all = await this.store.read();
+    const memories = all.filter(memory => isActive(memory));
+    const byType = Object.fromEntries(MEMORY_TYPES.map(type => [type, 0])) as Record<MemoryType, number>;
+    const byTag: Record<string, number> = {};
+
+    for (const memory of memories) {
+      byType[memory.type] = (byType[memory.type] || 0) + 1;
+      for (const tag of memory.tags) {
+        byTag[tag] = (byTag[tag] || 0) + 1;
+      }
+    }
+
+    const created = memories.map(memory => memory.createdAt).sort();
+
+    return {
+      total: memories.length,
+      superseded: all.filter(memory => memory.supersededBy).length,
+      expired: all.filter(memory => !memory.supersededBy && isExpired(memory)).length,
+      byType,
+      byTag,
+      oldest: created[0],
+      newest: created[created.length - 1]
+    };
+  }
+
+  private removeMemories(memories: MemoryEntry[], index: SearchIndex, doomed: MemoryEntry[]): void {
+    const ids = new Set(doomed.map(memory => memory.id));
+
+    for (const memory of memories) {
+      if (memory.supersededBy && ids.has(memory.supersededBy)) {
+        delete memory.supersededBy;
+      }
+      if (memory.supersedes && ids.has(memory.supersedes)) {
+        delete memory.supersedes;
+      }
+    }
+
+    for (let i = memories.length - 1; i >= 0; i--) {
+      if (ids.has(memories[i].id)) {
+        index.remove(memories[i].id);
+        memories.splice(i, 1);
+      }
+    }
+  }
+
+  private createEntry(content: string, type: MemoryType, tags: string[], now: string): MemoryEntry {
+    const entry: MemoryEntry = {
+      id: generateId(),
+      content: content.trim(),
+      type,
+      tags,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const expiresAt = computeExpiry(now, this.ttlDays[type]);
+    if (expiresAt) {
+      entry.expiresAt = expiresAt;
+    }
+    return entry;
+  }
 }
\ No newline at end of file
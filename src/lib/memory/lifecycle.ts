@@ -0,0 +1,132 @@
+// Memory lifecycle rules: per-type expiry, retirement through "supersedes"
+// links, and near-duplicate detection.
+
+import { MemoryEntry, MemoryType } from '../../types';
+import { tokenize } from './search';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days until a memory of each type expires; null means it never does
+export const DEFAULT_TTL_DAYS: Record<MemoryType, number | null> = {
+  preference: null,
+  decision: null,
+  learning: null,
+  context: 30
+};
+
+/**
+ * Check per-type TTL overrides read from a config file: each is a number of
+ * days, or null for memories that never expire.
+ */
+export function checkTtlDays(value: unknown, source: string): Partial<Record<MemoryType, number | null>> {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid memory.ttlDays in ${source}: expected a map of memory type to days`);
+  }
+
+  for (const [type, days] of Object.entries(value)) {
+    if (!(type in DEFAULT_TTL_DAYS)) {
+      throw new Error(`Unknown memory type "${type}" in memory.ttlDays of ${source}. Expected one of: ${Object.keys(DEFAULT_TTL_DAYS).join(', ')}`);
+    }
+    if (days !== null && (typeof days !== 'number' || !Number.isFinite(days) || days < 0)) {
+      throw new Error(`Invalid memory.ttlDays.${type} in ${source}: expected a number of days or null for never`);
+    }
+  }
+  return value as Partial<Record<MemoryType, number | null>>;
+}
+
+// Jaccard similarity of stemmed terms above which two memories are duplicates
+export const DUPLICATE_THRESHOLD = 0.8;
+
+export class DuplicateMemoryError extends Error {
+  constructor(readonly existing: MemoryEntry, readonly similarity: number) {
+    super(`Near-duplicate of memory ${existing.id} (${Math.round(similarity * 100)}% similar): "${existing.content}"`);
+    this.name = 'DuplicateMemoryError';
+  }
+}
+
+export function computeExpiry(from: string, ttlDays: number | null | undefined): string | undefined {
+  if (ttlDays === null || ttlDays === undefined) {
+    return undefined;
+  }
+  return new Date(new Date(from).getTime() + ttlDays * DAY_MS).toISOString();
+}
+
+export function isExpired(memory: MemoryEntry, now = new Date()): boolean {
+  return Boolean(memory.expiresAt && memory.expiresAt <= now.toISOString());
+}
+
+/** Active memories are neither superseded nor expired. */
+export function isActive(memory: MemoryEntry, now = new Date()): boolean {
+  return !memory.supersededBy && !isExpired(memory, now);
+}
+
+export function similarity(a: string, b: string): number {
+  const left = new Set(tokenize(a));
+  const right = new Set(tokenize(b));
+  if (!left.size && !right.size) {
+    return 1;
+  }
+
+  let shared = 0;
+  left.forEach(term => {
+    if (right.has(term)) {
+      shared++;
+    }
+  });
+  return shared / (left.size + right.size - shared);
+}
+
+/** The most similar active memory of the same type, if it crosses the threshold. */
+export function findDuplicate(
+  content: string,
+  type: MemoryType,
+  memories: MemoryEntry[],
+  now = new Date()
+): { memory: MemoryEntry; similarity: number } | undefined {
+  let best: { memory: MemoryEntry; similarity: number } | undefined;
+
+  for (const memory of memories) {
+    if (memory.type !== type || !isActive(memory, now)) {
+      continue;
+    }
+    const score = similarity(content, memory.content);
+    if (score >= DUPLICATE_THRESHOLD && (!best || score > best.similarity)) {
+      best = { memory, similarity: score };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Group active near-duplicates. Each group starts with the oldest memory,
+ * which is the one kept when duplicates are merged.
+ */
+export function groupDuplicates(memories: MemoryEntry[], now = new Date()): MemoryEntry[][] {
+  const active = memories
+    .filter(memory => isActive(memory, now))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  const grouped = new Set<string>();
+  const groups: MemoryEntry[][] = [];
+
+  for (const [i, keeper] of active.entries()) {
+    if (grouped.has(keeper.id)) {
+      continue;
+    }
+
+    const group = [keeper];
+    for (const candidate of active.slice(i + 1)) {
+      if (!grouped.has(candidate.id) && candidate.type === keeper.type &&
+          similarity(keeper.content, candidate.content) >= DUPLICATE_THRESHOLD) {
+        group.push(candidate);
+        grouped.add(candidate.id);
+      }
+    }
+
+    if (group.length > 1) {
+      groups.push(group);
+    }
+  }
+
+  return groups;
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+// Context recall: picks the memories most worth re-injecting into an OpenClaw
+// session and renders them as a compact Markdown block for AGENTS.md.
+
+import { MemorySearchResult, MemoryType } from '../../types';
+
+export const RECALL_START = '<!-- superclaw:recalled-memory:start -->';
+export const RECALL_END = '<!-- superclaw:recalled-memory:end -->';
+
+// Rough size of a token for English prose; good enough for budgeting
+export const CHARS_PER_TOKEN = 4;
+
+const TYPE_BOOST: Record<MemoryType, number> = {
+  preference: 1.5,
+  decision: 1.3,
+  learning: 1.0,
+  context: 1.0
+};
+
+const RECENCY_HALF_LIFE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface RecallBlockOptions {
+  context: string;
+  maxChars: number;
+  now?: Date;
+}
+
+/**
+ * Re-rank search results for recall: preferences and decisions are boosted,
+ * and relevance decays with age (never below half of the original score).
+ */
+export function rankForRecall(results: MemorySearchResult[], now = new Date()): MemorySearchResult[] {
+  return results
+    .map(({ memory, score }) => {
+      const ageDays = Math.max(0, (now.getTime() - new Date(memory.updatedAt).getTime()) / DAY_MS);
+      const recency = 0.5 + 0.5 * Math.pow(2, -ageDays / RECENCY_HALF_LIFE_DAYS);
+      const recallScore = score * TYPE_BOOST[memory.type] * recency;
+      return { memory, score: Math.round(recallScore * 1000) / 1000 };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Render ranked memories as Markdown, adding entries in rank order while they
+ * fit in the character budget. The header counts against the budget; when
+ * not even the header fits, the block is empty. Returns the block and the
+ * memories it holds.
+ */
+export function renderRecallBlock(
+  results: MemorySearchResult[],
+  options: RecallBlockOptions
+): { markdown: string; included: MemorySearchResult[] } {
+  const date = (options.now || new Date()).toISOString().slice(0, 10);
+  const header = `## 🧠 Recalled Memory\n\n_Context: ${options.context.replace(/\s+/g, ' ').trim()} (recalled ${date})_\n\n`;
+  const empty = '_No relevant memories._\n';
+  const included: MemorySearchResult[] = [];
+  let body = '';
+
+  if (header.length > options.maxChars) {
+    return { markdown: '', included };
+  }
+
+  for (const result of results) {
+    const { memory } = result;
+    const tags = memory.tags.length ? ` ${memory.tags.map(tag => `#${tag}`).join(' ')}` : '';
+    const line = `- **${memory.type}**: ${memory.content.replace(/\s+/g, ' ')}${tags}\n`;
+
+    if (header.length + body.length + line.length > options.maxChars) {
+      continue;
+    }
+    body += line;
+    included.push(result);
+  }
+
+  return {
+    markdown: header + (body || (header.length + empty.length <= options.maxChars ? empty : '')),
+    included
+  };
+}
+
+/** Insert or replace the delimited recalled-memory section of AGENTS.md. */
+export function upsertRecallSection(agentsContent: string, block: string): string {
+  const section = `${RECALL_START}\n${block.trimEnd()}\n${RECALL_END}`;
+  const start = agentsContent.indexOf(RECALL_START);
+  const end = agentsContent.indexOf(RECALL_END);
+
+  if (start !== -1 && end > start) {
+    return agentsContent.slice(0, start) + section + agentsContent.slice(end + RECALL_END.length);
+  }
+
+  return `${agentsContent.trimEnd()}\n\n${section}\n`;
+}
\ No newline at end of file
@@ -0,0 +1,233 @@
+// Full-text search over memories: an inverted index with positional postings,
+// ranked with BM25. The index is persisted next to the memory store and
+// updated incrementally, so a search never has to rescan every memory.
+
+import { MemoryEntry, MemorySearchResult, MemoryType, MEMORY_TYPES } from '../../types';
+import { stem } from './stemmer';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+export const INDEX_VERSION = 2;
+
+export interface SerializedIndex {
+  version: number;
+  revision: number;
+  docs: Record<string, number>;                          // id -> token count
+  terms: Record<string, string[]>;                       // id -> distinct terms, so removal skips other postings
+  postings: Record<string, Record<string, number[]>>;    // term -> id -> positions
+}
+
+export interface ParsedQuery {
+  terms: string[];
+  phrases: string[][];
+  types: MemoryType[];
+  tags: string[];
+  after?: string;
+  before?: string;
+}
+
+export function tokenize(text: string): string[] {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+}
+
+function parseDate(value: string, filter: string): string {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date in ${filter}:${value}`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse a search query. Bare words are ranked terms, "quoted text" must
+ * appear as a phrase, and type:, tag:, after: and before: filter results.
+ */
+export function parseQuery(query: string): ParsedQuery {
+  const parsed: ParsedQuery = { terms: [], phrases: [], types: [], tags: [] };
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match: RegExpExecArray | null;
+
+  while ((match = pattern.exec(query))) {
+    if (match[1] !== undefined) {
+      const phrase = tokenize(match[1]);
+      if (phrase.length > 1) {
+        parsed.phrases.push(phrase);
+      } else {
+        parsed.terms.push(...phrase);
+      }
+      continue;
+    }
+
+    const filter = /^(type|tag|after|before):(.*)$/i.exec(match[2]);
+    if (!filter) {
+      parsed.terms.push(...tokenize(match[2]));
+      continue;
+    }
+
+    const [, key, value] = filter;
+    switch (key.toLowerCase()) {
+      case 'type':
+        if (!(MEMORY_TYPES as readonly string[]).includes(value)) {
+          throw new Error(`Unknown memory type "${value}" in query. Expected one of: ${MEMORY_TYPES.join(', ')}`);
+        }
+        parsed.types.push(value as MemoryType);
+        break;
+      case 'tag':
+        parsed.tags.push(value.toLowerCase());
+        break;
+      case 'after':
+        parsed.after = parseDate(value, 'after');
+        break;
+      case 'before':
+        parsed.before = parseDate(value, 'before');
+        break;
+    }
+  }
+
+  return parsed;
+}
+
+/** A query of plain ranked terms, for free text that is not search syntax. */
+export function termsQuery(text: string): ParsedQuery {
+  return { terms: tokenize(text), phrases: [], types: [], tags: [] };
+}
+
+export function matchesFilters(memory: MemoryEntry, query: ParsedQuery): boolean {
+  if (query.types.length && !query.types.includes(memory.type)) {
+    return false;
+  }
+  if (query.tags.some(tag => !memory.tags.includes(tag))) {
+    return false;
+  }
+  if (query.after && memory.createdAt <= query.after) {
+    return false;
+  }
+  if (query.before && memory.createdAt >= query.before) {
+    return false;
+  }
+  return true;
+}
+
+export class SearchIndex {
+  private docs: Record<string, number>;
+  private terms: Record<string, string[]>;
+  private postings: Record<string, Record<string, number[]>>;
+  private totalLength: number;
+  revision: number;
+
+  constructor(data?: SerializedIndex) {
+    this.docs = data?.docs || {};
+    this.terms = data?.terms || {};
+    this.postings = data?.postings || {};
+    this.revision = data?.revision || 0;
+    this.totalLength = Object.values(this.docs).reduce((sum, length) => sum + length, 0);
+  }
+
+  static build(memories: MemoryEntry[], revision = 0): SearchIndex {
+    const index = new SearchIndex();
+    memories.forEach(memory => index.add(memory));
+    index.revision = revision;
+    return index;
+  }
+
+  get size(): number {
+    return Object.keys(this.docs).length;
+  }
+
+  add(memory: MemoryEntry): void {
+    this.remove(memory.id);
+
+    const tokens = tokenize(memory.content);
+    tokens.forEach((term, position) => {
+      const postings = this.postings[term] || (this.postings[term] = {});
+      (postings[memory.id] || (postings[memory.id] = [])).push(position);
+    });
+
+    this.docs[memory.id] = tokens.length;
+    this.terms[memory.id] = [...new Set(tokens)];
+    this.totalLength += tokens.length;
+  }
+
+  remove(id: string): void {
+    if (!(id in this.docs)) {
+      return;
+    }
+
+    for (const term of this.terms[id] || []) {
+      const postings = this.postings[term];
+      if (postings) {
+        delete postings[id];
+        if (!Object.keys(postings).length) {
+          delete this.postings[term];
+        }
+      }
+    }
+
+    this.totalLength -= this.docs[id];
+    delete this.docs[id];
+    delete this.terms[id];
+  }
+
+  /** Rank memories matching `query`; `lookup` resolves ids for filtering. */
+  search(query: ParsedQuery, lookup: Map<string, MemoryEntry>, limit: number): MemorySearchResult[] {
+    const scoringTerms = [...new Set([...query.terms, ...query.phrases.flat()])];
+    let results: MemorySearchResult[];
+
+    if (!scoringTerms.length) {
+      // Filter-only query: newest matching memories first
+      results = [...lookup.values()]
+        .filter(memory => matchesFilters(memory, query))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(memory => ({ memory, score: 0 }));
+      return results.slice(0, limit);
+    }
+
+    const scores = new Map<string, number>();
+    const docCount = this.size;
+    const avgLength = docCount ? this.totalLength / docCount : 0;
+
+    for (const term of scoringTerms) {
+      const postings = this.postings[term];
+      if (!postings) {
+        continue;
+      }
+
+      const df = Object.keys(postings).length;
+      const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+
+      for (const [id, positions] of Object.entries(postings)) {
+        const tf = positions.length;
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * (this.docs[id] / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * (tf * (BM25_K1 + 1)) / norm);
+      }
+    }
+
+    results = [];
+    for (const [id, score] of scores) {
+      const memory = lookup.get(id);
+      if (!memory || !matchesFilters(memory, query)) {
+        continue;
+      }
+      if (!query.phrases.every(phrase => this.containsPhrase(id, phrase))) {
+        continue;
+      }
+      results.push({ memory, score: Math.round(score * 1000) / 1000 });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || b.memory.createdAt.localeCompare(a.memory.createdAt))
+      .slice(0, limit);
+  }
+
+  toJSON(): SerializedIndex {
+    return { version: INDEX_VERSION, revision: this.revision, docs: this.docs, terms: this.terms, postings: this.postings };
+  }
+
+  private containsPhrase(id: string, phrase: string[]): boolean {
+    const starts = this.postings[phrase[0]]?.[id] || [];
+    return starts.some(start =>
+      phrase.every((term, offset) => this.postings[term]?.[id]?.includes(start + offset))
+    );
+  }
+}
\ No newline at end of file
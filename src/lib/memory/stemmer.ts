@@ -0,0 +1,111 @@
+// Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980).
+// Reduces inflected words to a common stem so "databases" matches "database".
+
+const STEP2_SUFFIXES: Record<string, string> = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous',
+  aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const STEP3_SUFFIXES: Record<string, string> = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const c = '[^aeiou]';
+const v = '[aeiouy]';
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+
+const MEASURE_GT0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`);
+const ENDS_CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+export function stem(word: string): string {
+  if (word.length < 3) {
+    return word;
+  }
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) {
+    w = 'Y' + w.slice(1);
+  }
+
+  // Step 1a: plurals
+  let match: RegExpExecArray | null;
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+    w = match[1] + match[2];
+  } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+    w = match[1] + match[2];
+  }
+
+  // Step 1b: past tense and gerunds
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT0.test(match[1])) {
+      w = w.slice(0, -1);
+    }
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    const base = match[1];
+    if (HAS_VOWEL.test(base)) {
+      w = base;
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (ENDS_CVC.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT0.test(match[1])) {
+      w = match[1] + STEP2_SUFFIXES[match[2]];
+    }
+  }
+
+  // Step 3: -ic-, -full, -ness etc.
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT0.test(match[1])) {
+      w = match[1] + STEP3_SUFFIXES[match[2]];
+    }
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT1.test(match[1])) {
+      w = match[1];
+    }
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    const base = match[1] + match[2];
+    if (MEASURE_GT1.test(base)) {
+      w = base;
+    }
+  }
+
+  // Step 5: tidy up trailing e and double l
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT1.test(base) || (MEASURE_EQ1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) {
+    w = 'y' + w.slice(1);
+  }
+
+  return w;
+}
\ No newline at end of file
@@ -0,0 +1,89 @@
+// File-backed memory store: a single JSON database under ~/.superclaw/memory,
+// plus the search index derived from it. Every mutation runs under a lock file
+// and is written with an atomic rename, so concurrent CLI invocations cannot
+// lose or corrupt entries.
+
+import * as fs from 'fs-extra';
+import * as path from 'path';
+import { MemoryEntry } from '../../types';
+import { FileUtils } from '../shared/utils';
+import { INDEX_VERSION, SearchIndex, SerializedIndex } from './search';
+
+const STORE_VERSION = 1;
+
+interface MemoryDatabase {
+  version: number;
+  revision: number;
+  memories: MemoryEntry[];
+}
+
+export class MemoryStore {
+  readonly dbPath: string;
+  readonly indexPath: string;
+  readonly lockPath: string;
+
+  constructor(readonly dir: string) {
+    this.dbPath = path.join(dir, 'memories.json');
+    this.indexPath = path.join(dir, 'index.json');
+    this.lockPath = path.join(dir, 'memories.lock');
+  }
+
+  async read(): Promise<MemoryEntry[]> {
+    return (await this.load()).memories;
+  }
+
+  /** Load memories together with a search index that is in sync with them. */
+  async readWithIndex(): Promise<{ memories: MemoryEntry[]; index: SearchIndex }> {
+    const db = await this.load();
+    return { memories: db.memories, index: await this.loadIndex(db) };
+  }
+
+  /**
+   * Apply `mutator` to the current entries and persist the result.
+   * The mutator may modify the array (and the index) in place; it must keep
+   * the two consistent. Its return value is passed through.
+   */
+  async update<T>(mutator: (memories: MemoryEntry[], index: SearchIndex) => T | Promise<T>): Promise<T> {
+    return FileUtils.withLock(this.lockPath, async () => {
+      const db = await this.load();
+      const index = await this.loadIndex(db);
+      const result = await mutator(db.memories, index);
+
+      db.revision += 1;
+      index.revision = db.revision;
+
+      await FileUtils.writeFileAtomic(this.dbPath, JSON.stringify(db, null, 2));
+      await FileUtils.writeFileAtomic(this.indexPath, JSON.stringify(index));
+      return result;
+    });
+  }
+
+  private async load(): Promise<MemoryDatabase> {
+    if (!(await fs.pathExists(this.dbPath))) {
+      return { version: STORE_VERSION, revision: 0, memories: [] };
+    }
+
+    const raw = await fs.readFile(this.dbPath, 'utf8');
+    try {
+      const db = JSON.parse(raw) as MemoryDatabase;
+      return { version: db.version || STORE_VERSION, revision: db.revision || 0, memories: db.memories || [] };
+    } catch (error) {
+      throw new Error(`Memory store ${this.dbPath} is not valid JSON: ${(error as Error).message}`);
+    }
+  }
+
+  // The index records the database revision it was built from; a missing,
+  // outdated or unreadable index (e.g. after a crash between the two writes)
+  // is rebuilt from the memories.
+  private async loadIndex(db: MemoryDatabase): Promise<SearchIndex> {
+    try {
+      const data = await fs.readJson(this.indexPath) as SerializedIndex;
+      if (data.version === INDEX_VERSION && data.revision === db.revision) {
+        return new SearchIndex(data);
+      }
+    } catch {
+      // Fall through to a rebuild
+    }
+    return SearchIndex.build(db.memories, db.revision);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,191 @@
+// Memory import/export. Markdown exports carry each memory's metadata in an
+// HTML comment so they stay readable for OpenClaw and round-trip losslessly;
+// plain Markdown notes are imported with one memory per heading.
+
+import * as yaml from 'js-yaml';
+import { MEMORY_TYPES, MemoryEntry, MemoryType } from '../../types';
+
+export const EXPORT_FORMATS = ['md', 'json', 'jsonl'] as const;
+
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+/** A memory parsed from notes that has no SuperClaw metadata yet. */
+export interface MemoryDraft {
+  content: string;
+  type?: string;
+  tags: string[];
+}
+
+const META_PATTERN = /^<!-- superclaw:memory (\{.*\}) -->$/;
+
+function titleCase(value: string): string {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+export function renderMarkdown(memories: MemoryEntry[], title = 'SuperClaw Memories'): string {
+  const sections = memories.map(memory => {
+    const { content, ...meta } = memory;
+    const tags = memory.tags.length ? ` · ${memory.tags.map(tag => `#${tag}`).join(' ')}` : '';
+    return `### ${titleCase(memory.type)} · ${memory.createdAt.slice(0, 10)}${tags}\n` +
+      `<!-- superclaw:memory ${JSON.stringify(meta)} -->\n\n${content}\n`;
+  });
+
+  return `# ${title}\n\n${sections.join('\n')}`;
+}
+
+export function exportMemories(memories: MemoryEntry[], format: ExportFormat): string {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), memories }, null, 2) + '\n';
+    case 'jsonl':
+      return memories.map(memory => JSON.stringify(memory)).join('\n') + (memories.length ? '\n' : '');
+    case 'md':
+      return renderMarkdown(memories);
+  }
+}
+
+function assertEntry(value: any, source: string): MemoryEntry {
+  if (!value || typeof value.id !== 'string' || typeof value.content !== 'string' ||
+      !(MEMORY_TYPES as readonly string[]).includes(value.type) ||
+      typeof value.createdAt !== 'string' || typeof value.updatedAt !== 'string') {
+    throw new Error(`${source}: not a valid memory entry: ${JSON.stringify(value).slice(0, 80)}`);
+  }
+  return { ...value, tags: Array.isArray(value.tags) ? value.tags : [] };
+}
+
+/** Parse a JSON export, a raw memories.json database or a bare array of entries. */
+export function parseJsonMemories(text: string, source: string): MemoryEntry[] {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${source}: invalid JSON: ${(error as Error).message}`);
+  }
+
+  const entries = Array.isArray(data) ? data : data?.memories;
+  if (!Array.isArray(entries)) {
+    throw new Error(`${source}: expected an array of memories or an object with a "memories" array`);
+  }
+  return entries.map(entry => assertEntry(entry, source));
+}
+
+export function parseJsonlMemories(text: string, source: string): MemoryEntry[] {
+  return text.split('\n')
+    .map((line, i) => ({ line: line.trim(), lineNumber: i + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, lineNumber }) => {
+      try {
+        return assertEntry(JSON.parse(line), `${source}:${lineNumber}`);
+      } catch (error) {
+        if (error instanceof SyntaxError) {
+          throw new Error(`${source}:${lineNumber}: invalid JSON: ${error.message}`);
+        }
+        throw error;
+      }
+    });
+}
+
+function splitFrontMatter(text: string, source: string): { meta: Record<string, any>; body: string } {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!match) {
+    return { meta: {}, body: text };
+  }
+
+  try {
+    const meta = yaml.load(match[1]);
+    return { meta: meta && typeof meta === 'object' ? meta as Record<string, any> : {}, body: text.slice(match[0].length) };
+  } catch (error) {
+    throw new Error(`${source}: invalid front matter: ${(error as Error).message}`);
+  }
+}
+
+function frontMatterTags(value: unknown): string[] {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return typeof value === 'string' ? value.split(',') : [];
+}
+
+/**
+ * Parse Markdown into memories. Sections exported by SuperClaw are restored
+ * exactly; other notes become drafts, one per heading (at the shallowest
+ * heading level used more than once), tagged from the front matter.
+ */
+export function parseMarkdown(text: string, source: string): { entries: MemoryEntry[]; drafts: MemoryDraft[] } {
+  const { meta, body } = splitFrontMatter(text, source);
+  const lines = body.split(/\r?\n/);
+
+  if (lines.some(line => META_PATTERN.test(line))) {
+    return { entries: parseExportedMarkdown(lines, source), drafts: [] };
+  }
+
+  const defaults = {
+    type: typeof meta.type === 'string' ? meta.type : undefined,
+    tags: frontMatterTags(meta.tags)
+  };
+
+  const headings = lines
+    .map(line => /^(#{1,6})\s+(.*)$/.exec(line))
+    .filter((match): match is RegExpExecArray => Boolean(match))
+    .map(match => match[1].length);
+  const levels = [...new Set(headings)].sort();
+  const entryLevel = levels.find(level => headings.filter(h => h === level).length > 1) ?? levels[0];
+
+  const sections: string[][] = [[]];
+  for (const line of lines) {
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading && heading[1].length < entryLevel) {
+      continue;   // Document titles above the entry level are not memories
+    }
+    if (heading && heading[1].length === entryLevel) {
+      sections.push([heading[2].trim()]);
+    } else {
+      sections[sections.length - 1].push(line);
+    }
+  }
+
+  const drafts = sections
+    .map(section => section.join('\n').replace(/\n{3,}/g, '\n\n').trim())
+    .filter(Boolean)
+    .map(content => ({ content, ...defaults }));
+
+  return { entries: [], drafts };
+}
+
+function parseExportedMarkdown(lines: string[], source: string): MemoryEntry[] {
+  const entries: MemoryEntry[] = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = META_PATTERN.exec(lines[i]);
+    if (!match) {
+      continue;
+    }
+
+    // Content runs until the heading line of the next exported memory
+    let end = i + 1;
+    while (end < lines.length && !(META_PATTERN.test(lines[end]) && /^#{1,6}\s/.test(lines[end - 1]))) {
+      end++;
+    }
+    const contentEnd = end < lines.length ? end - 1 : end;
+
+    let meta: any;
+    try {
+      meta = JSON.parse(match[1]);
+    } catch (error) {
+      throw new Error(`${source}:${i + 1}: invalid memory metadata: ${(error as Error).message}`);
+    }
+
+    const content = lines.slice(i + 1, contentEnd).join('\n').trim();
+    entries.push(assertEntry({ ...meta, content }, `${source}:${i + 1}`));
+  }
+
+  return entries;
+}
+
+export function isExportFormat(value: string): value is ExportFormat {
+  return (EXPORT_FORMATS as readonly string[]).includes(value);
+}
+
+export function syncFileName(type: MemoryType): string {
+  return `superclaw-${type}.md`;
+}
\ No newline at end of file
@@ -0,0 +1,52 @@
+// Named profiles: adapts lib/profiles.js (workspaces, saved answers and
+// memory stores per profile in ~/.superclaw/config.json) to the typed CLI.
+
+export interface ProfileSummary {
+  name: string;
+  current: boolean;       // The profile commands run against
+  workspace: string;
+  memoryDir: string;
+  role: string | null;    // Role(s) the workspace was set up with, comma-separated
+  updatedAt: string | null;  // Null for the default profile until it is saved
+}
+
+export interface ResolvedProfile {
+  name: string;
+  saved: boolean;
+  workspace: string;
+  memoryDir: string;
+  role: string | null;
+  answers: Record<string, any> | null;  // Answers-file form, replayed by the wizard
+}
+
+export interface RemovedProfile {
+  name: string;
+  workspace: string;      // Left on disk
+  memoryDir: string;      // Left on disk
+  wasCurrent: boolean;
+}
+
+export interface ProfileOptions {
+  home?: string;          // Superclaw home holding config.json
+}
+
+function loadProfilesModule() {
+  // Resolved relative to both src/lib/profiles and dist/lib/profiles
+  return require('../../../lib/profiles');
+}
+
+export class ProfileService {
+  list(options: ProfileOptions = {}): ProfileSummary[] {
+    return loadProfilesModule().listProfiles(options);
+  }
+
+  // Make a profile active; a workspace creates or moves it
+  async use(name: string, settings: { workspace?: string } = {}, options: ProfileOptions = {}): Promise<ResolvedProfile> {
+    return loadProfilesModule().useProfile(name, settings, options);
+  }
+
+  // Forget a profile, leaving its workspace and memories in place
+  async remove(name: string, options: ProfileOptions = {}): Promise<RemovedProfile> {
+    return loadProfilesModule().removeProfile(name, options);
+  }
+}
\ No newline at end of file
@@ -1,5 +1,10 @@
 // Shared utilities for wizard and memory components
 
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { randomBytes } from 'crypto';
+
 export class Logger {
   static info(message: string): void {
     console.log(`ℹ️  ${message}`);
@@ -12,12 +17,146 @@ export class Logger {
   static success(message: string): void {
     console.log(`✅ ${message}`);
   }
+
+  static warn(message: string): void {
+    console.warn(`⚠️  ${message}`);
+  }
+}
+
+export interface LockOptions {
+  timeoutMs?: number;   // How long to wait for a competing writer
+  staleMs?: number;     // Locks older than this are assumed abandoned
 }
 
 export class FileUtils {
-  // TODO: Shared file operations
+  /**
+   * Write a file so readers only ever see the old or the new content:
+   * the data goes to a sibling temp file which is then renamed into place.
+   */
+  static async writeFileAtomic(filePath: string, data: string): Promise<void> {
+    await fs.ensureDir(path.dirname(filePath));
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+    try {
+      const handle = await fs.promises.open(tmpPath, 'w');
+      try {
+        await handle.writeFile(data, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tmpPath, filePath);
+    } catch (error) {
+      await fs.remove(tmpPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Run `fn` while holding an exclusive lock file. Separate CLI processes
+   * coordinate through the lock, so read-modify-write cycles never interleave.
+   */
+  static async withLock<T>(lockPath: string, fn: () => Promise<T>, options: LockOptions = {}): Promise<T> {
+    const { timeoutMs = 5000, staleMs = 30000 } = options;
+    const deadline = Date.now() + timeoutMs;
+    const token = `${process.pid}.${randomBytes(6).toString('hex')}`;
+
+    await fs.ensureDir(path.dirname(lockPath));
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, token, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+          throw error;
+        }
+
+        if (await FileUtils.breakStaleLock(lockPath, staleMs)) {
+          continue;
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for lock ${lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 25 + Math.random() * 50));
+      }
+    }
+
+    try {
+      return await fn();
+    } finally {
+      // Held past staleMs, the lock may have been broken and taken by someone else
+      if ((await fs.readFile(lockPath, 'utf8').catch(() => null)) === token) {
+        await fs.remove(lockPath);
+      }
+    }
+  }
+
+  /**
+   * Remove a lock older than staleMs. Contenders that all saw the same stale
+   * lock take turns through a takeover lock and re-check it there, so none
+   * removes a lock another has just taken. Returns whether it was removed.
+   */
+  private static async breakStaleLock(lockPath: string, staleMs: number): Promise<boolean> {
+    const isStale = async (file: string) => {
+      const stats = await fs.stat(file).catch(() => null);
+      return Boolean(stats && Date.now() - stats.mtimeMs > staleMs);
+    };
+
+    if (!(await isStale(lockPath))) {
+      return false;
+    }
+
+    const takeoverPath = `${lockPath}.takeover`;
+    try {
+      await fs.writeFile(takeoverPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'EEXIST') {
+        throw error;
+      }
+      // A takeover lasts a stat and an unlink; an old one was left by a crash
+      if (await isStale(takeoverPath)) {
+        await fs.remove(takeoverPath);
+      }
+      return false;
+    }
+
+    try {
+      if (!(await isStale(lockPath))) {
+        return false;
+      }
+      await fs.remove(lockPath);
+      return true;
+    } finally {
+      await fs.remove(takeoverPath);
+    }
+  }
+}
+
+function loadProfilesModule() {
+  // Resolved relative to both src/lib/shared and dist/lib/shared
+  return require('../../../lib/profiles');
 }
 
 export class ConfigUtils {
-  // TODO: Shared configuration helpers
+  /** Root directory for SuperClaw state (memory, templates, config). */
+  static homeDir(): string {
+    return process.env.SUPERCLAW_HOME || path.join(os.homedir(), '.superclaw');
+  }
+
+  /** Workspace of the active profile: SUPERCLAW_WORKSPACE, the profile's own, or ~/clawd. */
+  static workspaceDir(): string {
+    return loadProfilesModule().resolveProfile().workspace;
+  }
+
+  /** Memory store of the active profile; each named profile has its own. */
+  static memoryDir(): string {
+    return loadProfilesModule().resolveProfile().memoryDir;
+  }
+
+  /** Per-type memory TTL overrides (`memory.ttlDays`) from config.json and the active profile, unchecked. */
+  static memoryTtlDays(): Record<string, unknown> {
+    return loadProfilesModule().resolveProfile().memoryTtlDays;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,26 @@
+// OpenClaw skills config: adapts lib/openclaw.js (the JSON5-tolerant merge
+// into ~/.openclaw/openclaw.json and its backups) to the typed CLI.
+
+import { SkillsApplyResult, SkillsRevertResult } from '../wizard/types';
+
+export interface SkillsOptions {
+  configPath?: string;    // OpenClaw config (default: ~/.openclaw/openclaw.json)
+  home?: string;          // Superclaw home holding backups/openclaw/
+}
+
+function loadOpenClawModule() {
+  // Resolved relative to both src/lib/skills and dist/lib/skills
+  return require('../../../lib/openclaw');
+}
+
+export class SkillsService {
+  // Merge a { skills: { entries } } config into the OpenClaw config
+  async apply(skillsConfig: Record<string, any>, options: SkillsOptions & { dryRun?: boolean } = {}): Promise<SkillsApplyResult> {
+    return loadOpenClawModule().applySkills(skillsConfig, options);
+  }
+
+  // Restore the OpenClaw config from the latest backup
+  async revert(options: SkillsOptions & { force?: boolean } = {}): Promise<SkillsRevertResult> {
+    return loadOpenClawModule().revertSkills(options);
+  }
+}
\ No newline at end of file
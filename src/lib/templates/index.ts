@@ -0,0 +1,109 @@
+// Template tooling: adapts the template loader and schema checks in lib/ to
+// the typed CLI, so the wizard and `superclaw template` validate identically.
+
+import { RoleTemplate } from '../wizard/types';
+
+export interface TemplateError {
+  path: (string | number)[];  // Keys/indexes leading to the offending value
+  message: string;
+  file?: string;              // Set when the problem is in an extended template
+  line?: number;              // 1-based position in the template file
+  column?: number;
+}
+
+export type TemplateSource = 'builtin' | 'user' | 'project' | 'path';
+
+// A registry entry as reported by `wizard list`
+export interface TemplateInfo {
+  role: string;               // Directory name, used as the role id
+  source: TemplateSource;
+  path: string;
+  shadows: TemplateSource[];  // Lower-precedence sources with the same role
+  file: string;
+  name: string;
+  description: string;
+  version: string | null;
+  skills: string[];
+  automations: number;
+  goals: { value: string; label: string | null; checked: boolean | null }[];
+  errors: TemplateError[];    // Non-empty for templates that fail validation
+}
+
+export interface RegistryOptions {
+  templatePaths?: string[];   // Extra template directories (--template)
+  cwd?: string;               // Project root holding .superclaw/templates
+  home?: string;              // Superclaw home holding templates/
+}
+
+export interface TemplateCheck {
+  file: string;               // The config.yaml that was checked
+  template: RoleTemplate | null;
+  errors: TemplateError[];
+}
+
+// A template package installed with `superclaw template add`, as recorded in packages.json
+export interface InstalledTemplate {
+  role: string;
+  source: string;             // Directory, tarball or git URL (with #ref) it was installed from
+  type: 'directory' | 'tarball' | 'git';
+  commit: string | null;      // Git commit that was installed
+  version: string | null;
+  checksum: string;           // sha256 over the package files
+  installedAt: string;
+  updatedAt: string;
+  path: string;
+}
+
+export interface TemplateUpdate extends InstalledTemplate {
+  status: 'updated' | 'unchanged';
+  previousVersion: string | null;
+}
+
+function loadTemplateModules() {
+  // Resolved relative to both src/lib/templates and dist/lib/templates
+  return {
+    templates: require('../../../lib/templates'),
+    registry: require('../../../lib/registry'),
+    schema: require('../../../lib/template-schema'),
+    packages: require('../../../lib/packages')
+  };
+}
+
+export class TemplateService {
+  // Parse and validate a template directory or config.yaml without throwing on template mistakes
+  async validate(templatePath: string): Promise<TemplateCheck> {
+    return loadTemplateModules().templates.checkTemplateFile(templatePath);
+  }
+
+  // Every discoverable template, one per role
+  async list(options: RegistryOptions = {}): Promise<TemplateInfo[]> {
+    return loadTemplateModules().templates.describeTemplates(options);
+  }
+
+  // Scaffold a template directory; returns its path
+  async init(name: string, options: RegistryOptions & { dir?: string; extends?: string } = {}): Promise<string> {
+    return loadTemplateModules().templates.initTemplate(name, options);
+  }
+
+  // Install a template package (directory, tarball or git repository) as a user template
+  async add(source: string, options: RegistryOptions & { name?: string; force?: boolean } = {}): Promise<InstalledTemplate> {
+    return loadTemplateModules().packages.addPackage(source, options);
+  }
+
+  // Re-fetch installed packages (or just one role) from their recorded source
+  async update(role?: string, options: RegistryOptions & { force?: boolean } = {}): Promise<TemplateUpdate[]> {
+    return loadTemplateModules().packages.updatePackages(role, options);
+  }
+
+  async remove(role: string, options: RegistryOptions = {}): Promise<InstalledTemplate> {
+    return loadTemplateModules().packages.removePackage(role, options);
+  }
+
+  projectTemplatesDir(options: RegistryOptions = {}): string {
+    return loadTemplateModules().registry.projectTemplatesDir(options);
+  }
+
+  formatError(file: string, error: TemplateError): string {
+    return loadTemplateModules().schema.formatTemplateError(file, error);
+  }
+}
\ No newline at end of file
@@ -1,10 +1,120 @@
-// Wizard core logic will be implemented here
-// Placeholder for wizard team to integrate existing role templates
+// Wizard core: adapts the role-based setup pipeline in lib/ to the typed CLI.
+// The pipeline stays plain CommonJS so the legacy openclaw-wizard binary and
+// the superclaw CLI share a single implementation.
 
-export interface WizardCore {
-  // TODO: Define wizard interfaces
+import {
+  RunManifest,
+  SkillsApplyResult,
+  UndoResult,
+  WizardOptions,
+  WizardResult,
+  WorkspaceConflict,
+  WorkspacePlan
+} from './types';
+
+export interface WizardRunOptions {
+  template?: string;      // Pre-selected role(s), comma-separated (skips the role questions)
+  templatePath?: string;  // Custom template directory or config.yaml
+  testMode?: boolean;
+  skipChecks?: boolean;
+  answersFile?: string;   // YAML/JSON file answering the wizard questions
+  goals?: string;         // Comma-separated answers; these win over the file
+  tools?: string;
+  experience?: string;
+  timezone?: string;      // Timezone and working days for automation schedules
+  workingDays?: string;
+  apply?: boolean;        // Merge the skills into the OpenClaw config (backed up first)
+  yes?: boolean;          // Answer the final confirmation with yes
+  json?: boolean;         // Suppress human-readable output
+  resolve?: string[];     // name=choice resolutions for conflicts between roles
+  updateLock?: boolean;   // Re-pin templates that changed since superclaw-lock.json was written
+  workspace?: string;     // Workspace directory (default: the active profile's)
+  scaffold?: string;      // Workspace layout: minimal or full
+}
+
+export interface WizardRunOutcome {
+  config: Record<string, any> | null;
+  workspacePath: string | null;
+  profile?: string;
+  runId?: string;
+  filesCreated: string[];
+  conflicts?: WorkspaceConflict[];
+  applied?: SkillsApplyResult | null;
+  plan?: WorkspacePlan;
+  cancelled: boolean;
+}
+
+export type WizardRunner = (options: WizardRunOptions) => Promise<WizardRunOutcome>;
+
+function loadWizardPipeline(): WizardRunner {
+  // Resolved relative to both src/lib/wizard and dist/lib/wizard
+  return require('../../../lib/wizard').runWizard;
+}
+
+function loadManifests() {
+  return require('../../../lib/manifest');
 }
 
 export class WizardService {
-  // TODO: Implement wizard service
+  private readonly runner: WizardRunner;
+
+  constructor(runner?: WizardRunner) {
+    this.runner = runner || ((options) => loadWizardPipeline()(options));
+  }
+
+  async run(options: WizardOptions = {}): Promise<WizardResult> {
+    const outcome = await this.runner({
+      template: options.role,
+      templatePath: options.template,
+      testMode: Boolean(options.dryRun),
+      skipChecks: Boolean(options.skipChecks),
+      answersFile: options.answers,
+      goals: options.goals,
+      tools: options.tools,
+      experience: options.experience,
+      timezone: options.timezone,
+      workingDays: options.workingDays,
+      apply: options.apply,
+      yes: options.yes,
+      json: options.json,
+      resolve: options.resolve,
+      updateLock: options.updateLock,
+      workspace: options.workspace,
+      scaffold: options.scaffold
+    });
+
+    if (outcome.cancelled) {
+      return { success: false, message: 'Setup cancelled - no changes were made' };
+    }
+
+    if (options.dryRun) {
+      return {
+        success: true,
+        filesCreated: [],
+        plan: outcome.plan,
+        message: 'Dry run complete - no files were written'
+      };
+    }
+
+    return {
+      success: true,
+      workspacePath: outcome.workspacePath || undefined,
+      profile: outcome.profile,
+      runId: outcome.runId,
+      filesCreated: outcome.filesCreated,
+      conflicts: outcome.conflicts,
+      applied: outcome.applied,
+      message: `Workspace ready at ${outcome.workspacePath}`
+    };
+  }
+
+  // Past runs recorded in the workspace, newest first
+  async history(workspacePath: string): Promise<RunManifest[]> {
+    return loadManifests().listRuns(workspacePath);
+  }
+
+  // Roll back a run (default: the latest one not yet undone)
+  async undo(workspacePath: string, runId?: string, options: { force?: boolean } = {}): Promise<UndoResult> {
+    return loadManifests().undoRun(workspacePath, runId, options);
+  }
 }
\ No newline at end of file
@@ -2,23 +2,66 @@ export interface WizardOptions {
   role?: string;
   template?: string;
   dryRun?: boolean;
+  skipChecks?: boolean;
+  answers?: string;       // Answers file (YAML or JSON)
+  goals?: string;
+  tools?: string;
+  experience?: string;
+  timezone?: string;      // IANA timezone the automation schedules run in
+  workingDays?: string;   // e.g. mon-fri or sun,mon,tue,wed,thu
+  apply?: boolean;        // Merge the skills into ~/.openclaw/openclaw.json
+  yes?: boolean;
+  json?: boolean;         // Machine-readable dry-run output
+  resolve?: string[];     // name=choice conflict resolutions between roles
+  updateLock?: boolean;   // Allow templates to differ from the workspace lockfile
+  workspace?: string;     // Overrides SUPERCLAW_WORKSPACE and the profile's workspace
+  scaffold?: string;      // minimal (default) or full: config/, automations/, docs/... and README.md
 }
 
 export interface RoleTemplate {
   name: string;
   description: string;
+  version?: string;
+  extends?: string;       // Role or template path this one builds on
   files: TemplateFile[];
+  partials?: Record<string, string>;  // Override or add partials used by rendered files
   config: OpenClawConfig;
   dependencies: string[];
   automations: Record<string, Automation>;
   workflows: Workflow[];
   skills: string[] | { entries: Record<string, SkillConfig> };
+  goal_map?: Record<string, GoalMapping>;  // Goal -> the items it switches on
+  experience?: Partial<Record<ExperienceLevel, Partial<RoleTemplate>>>;  // Per-level overrides
+}
+
+export type ExperienceLevel = 'beginner' | 'intermediate' | 'advanced';
+
+export interface GoalMapping {
+  label?: string;
+  checked?: boolean;
+  automations?: string[];
+  skills?: string[];
+  workflows?: string[];
+}
+
+// Why an automation, skill or workflow was (or was not) configured
+export interface GoalInclusion {
+  kind: 'automation' | 'skill' | 'workflow';
+  name: string;
+  role: string | null;
+  included: boolean;
+  goals: string[];       // Goals that name the item
+  chosen: string[];      // Those of them the user chose
+  tools?: string[];      // Chosen tools whose integration needs the skill
+  experience?: ExperienceLevel;  // Set when left out for the experience level
+  reason: string;
 }
 
 export interface TemplateFile {
-  path: string;          // Relative to workspace root
+  path: string;          // Relative to workspace root; AGENTS.md/HEARTBEAT.md replace the default layouts
   content: string;       // File content or template
-  isTemplate: boolean;   // If true, process with variables
+  source?: string;       // File in the template directory to load content from
+  isTemplate: boolean;   // If true, render with the wizard answers (see lib/render.js)
 }
 
 export interface OpenClawConfig {
@@ -50,13 +93,109 @@ export interface UserPreferences {
   userType: string;
   goals: string[];
   tools: string[];
+  integrations?: Record<string, Record<string, unknown>>;  // Follow-up answers per tool
   experience: string;
+  timezone?: string;
+  workingDays?: string[];
   proceed: boolean;
 }
 
+export interface PlannedFile {
+  path: string;          // Relative to workspace root
+  action: 'create' | 'overwrite' | 'merge' | 'conflict' | 'unchanged';
+  diff: string;          // Unified diff against the current file ('' if unchanged)
+}
+
+export interface WorkspacePlan {
+  workspacePath: string;
+  files: PlannedFile[];
+  summary: Record<PlannedFile['action'], number>;
+  inclusions: GoalInclusion[];
+  schedules: ScheduleReport[];
+  openclaw?: SkillsApplyResult;  // With --apply: what would change in the OpenClaw config
+}
+
+// How an automation's schedule was read (see lib/schedule.js)
+export interface ScheduleReport {
+  automation: string;
+  schedule: string;
+  when: string;          // Normalised reading, e.g. "Daily at 08:00 (Europe/Berlin)"
+  error: string | null;  // Why the schedule could not be parsed
+}
+
+// What applying the role's skills changes for one skill in ~/.openclaw/openclaw.json
+export interface SkillChange {
+  skill: string;
+  change: 'added' | 'enabled' | 'changed' | 'unchanged';
+  keys: { key: string; from?: unknown; to: unknown }[];  // Dotted setting names that differ
+}
+
+export interface SkillsApplyResult {
+  configPath: string;
+  changes: SkillChange[];
+  backup: string | null;  // Backup record in ~/.superclaw/backups/openclaw/
+  written: boolean;       // False for dry runs and when nothing changed
+}
+
+export interface SkillsRevertResult {
+  configPath: string;
+  createdAt: string;      // When the reverted skills were applied
+  removed: boolean;       // The config did not exist before, so it was removed
+}
+
+// A managed file left untouched because hand edits clash with regenerated content
+export interface WorkspaceConflict {
+  path: string;
+  conflictPath: string;  // Merge result with conflict markers, for manual resolution
+  count: number;         // Number of conflicting hunks
+}
+
+export interface RunFileEntry {
+  path: string;                       // Relative to workspace root
+  action: 'created' | 'updated' | 'unchanged';
+  hash: string;                       // sha256 of the content the run wrote
+  previousHash: string | null;
+  backup: string | null;              // Workspace-relative copy of the previous content
+}
+
+// Written to <workspace>/.superclaw/runs/<runId>.json by every wizard run
+export interface RunManifest {
+  version: number;
+  runId: string;
+  createdAt: string;
+  workspacePath: string;
+  template: { role: string; path: string | null; name: string | null };
+  answers: {
+    role: string;                     // Primary role
+    roles: string[];                  // All composed roles, primary first
+    resolve: Record<string, string>;  // Conflict resolutions between roles
+    goals: string[];
+    tools: string[];
+    integrations: Record<string, Record<string, unknown>>;  // Follow-up answers per tool
+    experience: string;
+    timezone?: string;
+    workingDays?: string[];
+  };
+  files: RunFileEntry[];
+  directories: string[];              // Directories the run created
+  undoneAt: string | null;
+}
+
+export interface UndoResult {
+  run: RunManifest;
+  restored: string[];
+  removed: string[];
+  modified: { path: string; deleted: boolean }[];  // Changed since the run (only with force)
+}
+
 export interface WizardResult {
   success: boolean;
   workspacePath?: string;
+  profile?: string;       // Profile the workspace belongs to
+  runId?: string;
   filesCreated?: string[];
+  conflicts?: WorkspaceConflict[];
+  applied?: SkillsApplyResult | null;  // Set with --apply
+  plan?: WorkspacePlan;  // Set for dry runs
   message: string;
 }
\ No newline at end of file
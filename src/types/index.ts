@@ -4,16 +4,33 @@ export interface WizardOptions {
   dryRun?: boolean;
 }
 
+export const MEMORY_TYPES = ['preference', 'decision', 'learning', 'context'] as const;
+
+export type MemoryType = typeof MEMORY_TYPES[number];
+
 export interface MemoryEntry {
   id: string;
   content: string;
-  type: 'preference' | 'decision' | 'learning' | 'context';
+  type: MemoryType;
   tags: string[];
   createdAt: string;
   updatedAt: string;
+  expiresAt?: string;     // Set from the per-type TTL; absent means never
+  supersedes?: string;    // Id of the memory this one retired
+  supersededBy?: string;  // Set once a newer memory retires this one
 }
 
 export interface MemorySearchResult {
   memory: MemoryEntry;
   score: number;
+}
+
+export interface MemoryStats {
+  total: number;          // Active memories (not superseded or expired)
+  superseded: number;
+  expired: number;
+  byType: Record<MemoryType, number>;
+  byTag: Record<string, number>;
+  oldest?: string;
+  newest?: string;
 }
\ No newline at end of file
@@ -0,0 +1,186 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { buildBrief } = require('../lib/brief');
+const { BUILTIN_COLLECTORS, loadCollectors, selectCollectors } = require('../lib/collectors');
+
+const BIN = path.join(__dirname, '..', 'bin', 'superclaw.js');
+
+const collector = (id: string) => BUILTIN_COLLECTORS.find((entry: any) => entry.id === id);
+
+const ICS = [
+  'BEGIN:VCALENDAR',
+  'BEGIN:VEVENT',
+  'SUMMARY:Investor call',
+  'DTSTART:20261019T140000Z',
+  'DTEND:20261019T143000Z',
+  'LOCATION:Zoom',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Berlin sync with a long',
+  '  title',
+  'DTSTART;TZID=Europe/Berlin:20261019T150000',
+  'DTEND;TZID=Europe/Berlin:20261019T160000',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Offsite',
+  'DTSTART;VALUE=DATE:20261019',
+  'DTEND;VALUE=DATE:20261020',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Standup',
+  'DTSTART;TZID=America/New_York:20261005T091500',
+  'DTEND;TZID=America/New_York:20261005T093000',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+  'EXDATE;TZID=America/New_York:20261012T091500',
+  'BEGIN:VALARM',
+  'SUMMARY:Reminder',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'SUMMARY:Cancelled lunch',
+  'STATUS:CANCELLED',
+  'DTSTART:20261019T160000Z',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('superclaw brief', () => {
+  let root: string;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-brief-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('reads the day\'s events from .ics files in the brief\'s timezone', async () => {
+    await fs.outputFile(path.join(root, 'calendars', 'work.ics'), ICS);
+    const events = (date: string) => collector('calendar').collect({ paths: [path.join(root, 'calendars')], date, timezone: 'America/New_York' });
+
+    expect(await events('2026-10-19')).toEqual({
+      items: [
+        '**All day** Offsite',
+        '**09:00–10:00** Berlin sync with a long title',
+        '**09:15–09:30** Standup',
+        '**10:00–10:30** Investor call · Zoom'
+      ],
+      missing: []
+    });
+    expect((await events('2026-10-14')).items).toEqual(['**09:15–09:30** Standup']);
+    // EXDATE drops one occurrence; the series starts on 2026-10-05
+    expect((await events('2026-10-12')).items).toEqual([]);
+    expect((await events('2026-09-30')).items).toEqual([]);
+  });
+
+  it('reports due todos and the latest metrics', async () => {
+    await fs.outputFile(path.join(root, 'todo.md'), [
+      '# Coursework',
+      '- [ ] Essay draft (due 2026-10-21)',
+      '- [x] Problem set 2 2026-10-12',
+      '- [ ] Lab report due: 2026-10-17',
+      '- [ ] Exam revision 2026-10-19',
+      '- [ ] Thesis chapter 2026-12-01',
+      '- Email supervisor'
+    ].join('\n'));
+    const todos = await collector('todo').collect({ paths: [path.join(root, 'todo.md')], date: '2026-10-19' });
+    expect(todos.items).toEqual([
+      '⚠️ **Overdue** since 2026-10-17 (2 days): Lab report',
+      '📌 **Due today**: Exam revision',
+      '🗓 **Due Wed 2026-10-21** (in 2 days): Essay draft',
+      'Open: Email supervisor'
+    ]);
+
+    await fs.outputFile(path.join(root, 'metrics', 'kpis.csv'),
+      'date,MRR,"Active users",Note\n2026-10-18,"12,400",830,steady\n2026-10-17,12000,850,\n2026-10-20,99999,1,future\n');
+    const metrics = await collector('metrics').collect({ paths: [path.join(root, 'metrics')], date: '2026-10-19' });
+    expect(metrics.items).toEqual(['**kpis.csv** (2026-10-18): MRR 12,400 (+3.3%), Active users 830 (−2.4%)']);
+  });
+
+  it('reports missing sources in the brief instead of failing', async () => {
+    const { selected, uncovered } = selectCollectors(
+      ['pr_reviews_pending', 'ci_cd_status', 'tech_news'], await loadCollectors({ home: root, cwd: root }));
+    expect(selected.map((entry: any) => entry.collector.id)).toEqual(['calendar', 'git']);
+    expect(uncovered).toEqual(['tech_news']);
+
+    // Collectors in the project directory are code from the checkout, so they are never run
+    const project = path.join(root, 'checkout');
+    const marker = path.join(root, 'ran');
+    await fs.outputFile(path.join(project, '.superclaw', 'collectors', 'news.js'),
+      `require('fs').writeFileSync(${JSON.stringify(marker)}, '');\nmodule.exports = { id: 'news', title: 'News', source: 'news', matches: ['tech_news'], collect: async () => ({ items: [], missing: [] }) };`);
+    expect((await loadCollectors({ home: root, cwd: project })).map((entry: any) => entry.id)).not.toContain('news');
+    expect(await fs.pathExists(marker)).toBe(false);
+
+    const superclaw = (args: string[]) => spawnSync('node', ['bin/superclaw.js', ...args], { input: '', env: { ...process.env, HOME: root } });
+    expect(superclaw(['wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github', '--experience', 'advanced',
+      '--yes', '--skip-checks']).status).toBe(0);
+
+    const brief = await buildBrief({ workspacePath: path.join(root, 'clawd'), date: '2026-10-19', timezone: 'UTC', home: root, cwd: root });
+    expect(brief.sections.map((section: any) => [section.id, section.missing.length])).toEqual([['calendar', 1], ['git', 1]]);
+    expect(brief.markdown).toContain('# Morning Brief - Monday 2026-10-19');
+    expect(brief.markdown).toContain('- **💻 Code Activity**: No git repositories configured. Set `repos:` in brief.yaml to where the data is');
+    expect(brief.markdown).toContain('No local source covers: tech_news, learning_progress');
+
+    await expect(buildBrief({ workspacePath: path.join(root, 'clawd'), date: '19/10/2026', home: root, cwd: root }))
+      .rejects.toThrow('Invalid date "19/10/2026". Use YYYY-MM-DD');
+    await expect(buildBrief({ workspacePath: path.join(root, 'empty'), home: root, cwd: root }))
+      .rejects.toThrow('No wizard run found');
+  });
+
+  it('writes morning-brief.md from brief.yaml and flags, with collector plugins', async () => {
+    const superclaw = (args: string[]) => spawnSync('node', [BIN, ...args], { input: '', env: { ...process.env, HOME: root }, cwd: root });
+    const workspace = path.join(root, 'clawd');
+    expect(superclaw(['wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github', '--experience', 'advanced',
+      '--yes', '--skip-checks', '--timezone', 'UTC']).status).toBe(0);
+
+    const repo = path.join(root, 'code', 'app');
+    const git = (args: string[], date = '2026-10-18T15:00:00Z') => spawnSync('git', ['-C', repo, ...args], {
+      env: { ...process.env, GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada',
+        GIT_COMMITTER_EMAIL: 'ada@example.com', GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+    });
+    await fs.ensureDir(repo);
+    git(['init', '-q', '-b', 'main']);
+    await fs.outputFile(path.join(repo, 'README.md'), 'app\n');
+    git(['add', '.']);
+    git(['commit', '-q', '-m', 'Old work'], '2026-10-01T12:00:00Z');
+    await fs.outputFile(path.join(repo, 'index.js'), 'module.exports = 1;\n');
+    git(['add', '.']);
+    git(['commit', '-q', '-m', 'Add entry point']);
+    await fs.outputFile(path.join(repo, 'wip.js'), '');
+
+    await fs.outputFile(path.join(workspace, 'brief.yaml'), 'repos:\n  - ../code/app\ncalendar: ~/calendars\n');
+    await fs.outputFile(path.join(root, 'calendars', 'work.ics'), ICS);
+    // HOME is root, so this is ~/.superclaw/collectors
+    await fs.outputFile(path.join(root, '.superclaw', 'collectors', 'news.js'), `module.exports = {
+  id: 'news',
+  title: '📰 Tech News',
+  source: 'news',
+  matches: ['tech_news'],
+  collect: async ({ paths }) => ({ items: ['Read ' + paths.length + ' feeds'], missing: [] })
+};`);
+
+    const run = superclaw(['brief', '--date', '2026-10-19']);
+    expect(run.status).toBe(0);
+    expect(run.stdout.toString()).toContain(`Wrote ${path.join(workspace, 'morning-brief.md')} for 2026-10-19`);
+    const markdown = await fs.readFile(path.join(workspace, 'morning-brief.md'), 'utf8');
+    expect(markdown).toContain('- **app** on main: 1 commit since yesterday, 1 uncommitted change\n  - `');
+    expect(markdown).toContain('Add entry point (Ada)');
+    expect(markdown).not.toContain('Old work');
+    expect(markdown).toContain('- **14:00–14:30** Investor call · Zoom');
+    expect(markdown).toContain('## 📰 Tech News\n\n- Read 0 feeds');
+    expect(markdown).not.toContain('Missing Sources');
+
+    // Flags override brief.yaml; the run still succeeds with the source missing
+    const dry = superclaw(['brief', '--date', '2026-10-19', '--calendar', 'nowhere.ics', '--dry-run']);
+    expect(dry.status).toBe(0);
+    expect(dry.stdout.toString()).toContain(`**📅 Schedule Overview**: ${path.join(workspace, 'nowhere.ics')} does not exist`);
+    expect(await fs.readFile(path.join(workspace, 'morning-brief.md'), 'utf8')).toBe(markdown);
+
+    const json = JSON.parse(superclaw(['brief', '--date', '2026-10-19', '--repo', repo, '--json', '--dry-run']).stdout.toString());
+    expect(json).toMatchObject({ date: '2026-10-19', timezone: 'UTC', written: false });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { runDoctor, probeOpenClaw } = require('../lib/doctor');
+
+const SKILLS = { skills: { entries: { github: { enabled: true }, notion: { enabled: true } } } };
+
+describe('superclaw doctor', () => {
+  let root: string;
+  let workspacePath: string;
+  let configPath: string;
+  let home: string;
+
+  async function fakeBinary(name: string, script: string) {
+    const file = path.join(root, 'bin', name);
+    await fs.outputFile(file, `#!/bin/sh\n${script}\n`);
+    await fs.chmod(file, 0o755);
+    return file;
+  }
+
+  const found = async () => ({ found: true, path: '/usr/local/bin/openclaw', version: '2026.2.1', error: null });
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-doctor-'));
+    workspacePath = path.join(root, 'clawd');
+    configPath = path.join(root, '.openclaw', 'openclaw.json');
+    home = path.join(root, '.superclaw');
+
+    // A healthy setup: generated workspace and the role's skills enabled
+    await fs.outputFile(path.join(workspacePath, 'AGENTS.md'), '# Agents\n');
+    await fs.outputFile(path.join(workspacePath, 'HEARTBEAT.md'), '# Heartbeat\n');
+    await fs.outputJson(path.join(workspacePath, 'openclaw-skills-config.json'), SKILLS);
+    await fs.outputFile(configPath, `// user config\n{ skills: { entries: { github: { enabled: true }, notion: { enabled: true, key: 'x' }, }, }, }\n`);
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('passes every check on a healthy setup', async () => {
+    const report = await runDoctor({ workspacePath, configPath, home, cwd: root, probe: found });
+
+    expect(report.ok).toBe(true);
+    expect(report.summary).toEqual({ pass: 7, warn: 0, fail: 0 });
+    expect(report.checks.map((check: any) => check.id))
+      .toEqual(['node', 'openclaw', 'workspace', 'workspace-files', 'openclaw-config', 'skills', 'templates']);
+    expect(report.checks.find((check: any) => check.id === 'openclaw').message).toBe('OpenClaw 2026.2.1 (/usr/local/bin/openclaw)');
+  });
+
+  it('reports failures and warnings with a fix for each', async () => {
+    await fs.remove(path.join(workspacePath, 'HEARTBEAT.md'));
+    await fs.outputFile(configPath, '{ skills: { entries: { github: { enabled: false } } } }');
+    await fs.outputFile(path.join(home, 'templates', 'sre', 'config.yaml'), 'name: Sre\n');
+
+    const report = await runDoctor({
+      workspacePath,
+      configPath,
+      home,
+      cwd: root,
+      nodeVersion: 'v14.21.3',
+      probe: async () => ({ found: false, path: null, version: null, error: null })
+    });
+    const byId = Object.fromEntries(report.checks.map((check: any) => [check.id, check]));
+
+    expect(report.ok).toBe(false);
+    expect(byId.node).toMatchObject({ status: 'fail', message: 'Node.js v14.21.3 is too old: 16+ is required' });
+    expect(byId.openclaw).toMatchObject({ status: 'fail', fix: 'npm install -g openclaw@latest' });
+    expect(byId['workspace-files']).toMatchObject({ status: 'fail', message: `Missing HEARTBEAT.md in ${workspacePath}` });
+    expect(byId.skills).toMatchObject({
+      status: 'fail',
+      message: 'Skills not enabled in the OpenClaw config: github, notion',
+      fix: 'Run `superclaw wizard --apply` to enable them'
+    });
+    expect(byId.templates.status).toBe('fail');
+    expect(byId.templates.fix).toContain(`superclaw template validate ${path.join(home, 'templates', 'sre')}`);
+
+    await fs.outputFile(configPath, '{ skills: ');
+    const broken = await runDoctor({ workspacePath, configPath, home, cwd: root, probe: found });
+    expect(broken.checks.find((check: any) => check.id === 'openclaw-config'))
+      .toMatchObject({ status: 'fail', message: expect.stringContaining(`Cannot parse ${configPath}`) });
+
+    await fs.remove(configPath);
+    const missing = await runDoctor({ workspacePath, configPath, home, cwd: root, probe: found });
+    expect(missing.checks.find((check: any) => check.id === 'openclaw-config').status).toBe('warn');
+  });
+
+  it('probes the OpenClaw binary it is given', async () => {
+    expect(await probeOpenClaw({ bin: await fakeBinary('openclaw', 'echo "openclaw 2026.2.1"') }))
+      .toMatchObject({ found: true, version: '2026.2.1', error: null });
+    expect(await probeOpenClaw({ bin: await fakeBinary('broken', 'echo boom >&2; exit 2') }))
+      .toMatchObject({ found: true, version: null, error: expect.stringContaining('Command failed') });
+    expect(await probeOpenClaw({ bin: await fakeBinary('stuck', 'exec sleep 5'), timeoutMs: 200 }))
+      .toMatchObject({ found: true, error: 'timed out after 200ms' });
+    expect(await probeOpenClaw({ bin: path.join(root, 'bin', 'missing') })).toMatchObject({ found: false });
+  });
+
+  it('prints JSON and exits non-zero when a check fails', async () => {
+    const bin = await fakeBinary('openclaw', 'echo "2026.2.1"');
+    const doctor = (args: string[]) => spawnSync('node', [
+      'bin/superclaw.js', 'doctor', '--workspace', workspacePath, '--config', configPath, '--openclaw-bin', bin, ...args
+    ], { input: '', env: { ...process.env, HOME: root, SUPERCLAW_HOME: home } });
+
+    const healthy = doctor(['--json']);
+    expect(healthy.status).toBe(0);
+    expect(JSON.parse(healthy.stdout.toString())).toMatchObject({ ok: true, summary: { pass: 7, warn: 0, fail: 0 } });
+
+    await fs.remove(path.join(workspacePath, 'AGENTS.md'));
+    const failing = doctor([]);
+    expect(failing.status).toBe(1);
+    expect(failing.stdout.toString()).toContain('❌ AGENTS.md and HEARTBEAT.md: Missing AGENTS.md');
+    expect(failing.stdout.toString()).toContain('   fix: Run `superclaw wizard` to generate them');
+    expect(failing.stdout.toString()).toContain('6 passed, 0 warnings, 1 failed');
+  });
+});
\ No newline at end of file
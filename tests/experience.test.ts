@@ -0,0 +1,120 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { loadRoleTemplates, checkTemplateFile, initTemplate } = require('../lib/templates');
+const { renderSetupFiles } = require('../lib/setup');
+
+const FOUNDER_GOALS = ['metrics', 'investors', 'team', 'competitors'];
+
+async function configFor(role: string, goals: string[], experience: string) {
+  const { template, inclusions } = await loadRoleTemplates([role], { goals, experience });
+  return {
+    user: { type: role, roles: [role], goals, tools: ['slack'], experience },
+    template,
+    inclusions,
+    integrations: {},
+    workspace: { name: `${role}-ai-employee`, description: `AI employee setup for ${role}`, skills: [] },
+    created: '2026-10-19T00:00:00.000Z'
+  };
+}
+
+describe('experience levels', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-experience-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('gives beginners fewer automations, highest priority first', async () => {
+    const beginner = await configFor('founder', FOUNDER_GOALS, 'beginner');
+    const advanced = await configFor('founder', FOUNDER_GOALS, 'advanced');
+
+    // The founder template removes investor updates for beginners; the cap keeps the top three of the rest
+    expect(Object.keys(beginner.template.automations)).toEqual(['morning_metrics_brief', 'team_pulse_check', 'board_meeting_prep']);
+    expect(beginner.inclusions.find((entry: any) => entry.name === 'competitive_intelligence'))
+      .toMatchObject({ included: false, experience: 'beginner' });
+    expect(Object.keys(advanced.template.automations)).toHaveLength(5);
+  });
+
+  it('keeps every automation for advanced users whatever the goals', async () => {
+    const intermediate = await configFor('founder', ['metrics'], 'intermediate');
+    const advanced = await configFor('founder', ['metrics'], 'advanced');
+
+    expect(Object.keys(intermediate.template.automations)).not.toContain('team_pulse_check');
+    expect(Object.keys(advanced.template.automations)).toHaveLength(5);
+    expect(advanced.inclusions.find((entry: any) => entry.name === 'team_pulse_check'))
+      .toMatchObject({ included: true, chosen: [], experience: 'advanced' });
+
+    const engineer = await configFor('engineer', ['code_reviews'], 'advanced');
+    expect(engineer.template.workflows.map((workflow: any) => workflow.name)).toContain('Tech Learning Path');
+  });
+
+  it('adds an onboarding guide and guardrails for beginners', async () => {
+    const files = renderSetupFiles(await configFor('founder', FOUNDER_GOALS, 'beginner'));
+    const byPath = Object.fromEntries(files.map((file: any) => [file.path, file]));
+
+    expect(byPath['ONBOARDING.md']).toMatchObject({ managed: true });
+    expect(byPath['ONBOARDING.md'].content).toContain('1. **Week 1: Morning Metrics Brief**');
+    expect(byPath['ONBOARDING.md'].content).toContain('- Competitive Intelligence');
+    expect(byPath['AGENTS.md'].content).toContain('## 🛡️ Guardrails');
+    expect(byPath['AGENTS.md'].content).toContain('**Confirm before acting**');
+    expect(byPath['AGENTS.md'].content).not.toContain('Customization Hooks');
+    expect(Object.keys(byPath).some(file => file.startsWith('workflows'))).toBe(false);
+  });
+
+  it('adds raw workflows and customization hooks for advanced users', async () => {
+    const files = renderSetupFiles(await configFor('engineer', ['code_reviews', 'tech_trends'], 'advanced'));
+    const byPath = Object.fromEntries(files.map((file: any) => [file.path, file]));
+
+    expect(byPath[path.join('workflows', 'automated-code-reviews.yaml')].content)
+      .toBe('name: Automated Code Reviews\ntrigger: pr_opened\nactions:\n  - analyze_code_quality\n  - check_security\n  - suggest_improvements\n');
+    expect(byPath[path.join('hooks', 'README.md')].content).toContain('| Code Review Assistant | `hooks/code_review_assistant.md` | On PR creation |');
+    expect(byPath['AGENTS.md'].content).toContain('- `hooks/morning_brief.md` - Morning Brief');
+    expect(byPath['ONBOARDING.md']).toBeUndefined();
+
+    const intermediate = renderSetupFiles(await configFor('engineer', ['code_reviews'], 'intermediate'));
+    expect(intermediate.map((file: any) => file.path)).not.toContain(path.join('hooks', 'README.md'));
+  });
+
+  it('validates per-level overrides in templates', async () => {
+    const templateDir = await initTemplate('sre', { dir });
+    await fs.appendFile(path.join(templateDir, 'config.yaml'), [
+      '',
+      'experience:',
+      '  beginner:',
+      '    automations:',
+      '      morning_brief:',
+      '        priority: critical',
+      '      pager_digest: null',
+      '      incident_review:',
+      '        description: Weekly review',
+      '  expert: {}',
+      ''
+    ].join('\n'));
+
+    const { errors } = await checkTemplateFile(templateDir);
+    expect(errors.map((error: any) => `${error.path.join('.')}: ${error.message}`)).toEqual([
+      'experience.beginner.automations.pager_digest: cannot remove "pager_digest": it is not defined in automations',
+      'experience.beginner.automations.incident_review.schedule: is required',
+      'experience.expert: is not an experience level. Expected one of: beginner, intermediate, advanced'
+    ]);
+  });
+
+  it('explains in dry runs which automations wait for a higher level', () => {
+    const result = spawnSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'founder', '--goals', FOUNDER_GOALS.join(','), '--tools', 'slack',
+      '--experience', 'beginner', '--yes', '--skip-checks', '--dry-run'
+    ], { input: '', env: { ...process.env, HOME: dir } });
+
+    expect(result.status).toBe(0);
+    expect(result.stdout.toString()).toContain('+ create    ONBOARDING.md');
+    expect(result.stdout.toString())
+      .toContain('competitive_intelligence - skipped: beginner workspaces start with only the highest-priority automations');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,24 @@
+import * as fs from 'fs-extra';
+import * as path from 'path';
+
+const ROOT = path.join(__dirname, '..');
+
+function newestSource(dir: string): number {
+  return fs.readdirSync(dir, { withFileTypes: true }).reduce((newest, entry) => {
+    const file = path.join(dir, entry.name);
+    return Math.max(newest, entry.isDirectory() ? newestSource(file) : fs.statSync(file).mtimeMs);
+  }, 0);
+}
+
+// The CLI suites run bin/superclaw.js, which loads dist/index.js. `npm test`
+// builds first (the pretest script); running jest on its own against a
+// missing or outdated build fails here instead of in every CLI suite.
+export default function checkBuild(): void {
+  const entry = path.join(ROOT, 'dist', 'index.js');
+  if (!fs.existsSync(entry)) {
+    throw new Error('dist/index.js not found. Run `npm test`, which builds first, or `npm run build` before jest');
+  }
+  if (fs.statSync(entry).mtimeMs < newestSource(path.join(ROOT, 'src'))) {
+    throw new Error('dist/ is older than src/. Run `npm test`, which builds first, or `npm run build` before jest');
+  }
+}
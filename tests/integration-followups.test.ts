@@ -0,0 +1,117 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { getUserPreferences } = require('../lib/wizard');
+const { configureIntegrations, addIntegrationIncludes } = require('../lib/integrations');
+const { getInlineTemplate } = require('../lib/templates');
+
+const noTTY = { isTTY: false };
+
+const ANSWERS = `role: engineer
+goals: [code_reviews, oss_tracking]
+tools: [gmail, calendar, slack, github]
+experience: advanced
+integrations:
+  gmail:
+    provider: outlook
+  calendar:
+    provider: outlook
+  slack:
+    channels: "#eng, general"
+  github:
+    org: acme
+    repos: [api, other/web]
+`;
+
+describe('integration follow-up questions', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-followups-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('reads follow-up answers for the chosen tools and defaults the rest', async () => {
+    const file = path.join(dir, 'answers.yaml');
+    await fs.writeFile(file, ANSWERS);
+
+    const answers = await getUserPreferences(undefined, { answersFile: file, tools: 'github,slack', yes: true, stdin: noTTY });
+    expect(answers.integrations).toEqual({
+      slack: { provider: 'slack', channels: ['#eng', 'general'] },
+      github: { org: 'acme', repos: ['api', 'other/web'] }
+    });
+
+    await fs.writeFile(file, 'role: engineer\ngoals: [code_reviews]\ntools: [github]\nexperience: advanced\n');
+    expect((await getUserPreferences(undefined, { answersFile: file, yes: true, stdin: noTTY })).integrations)
+      .toEqual({ github: { org: '', repos: [] } });
+
+    // Repositories can be given without an org
+    await fs.writeFile(file, 'role: engineer\ngoals: [code_reviews]\ntools: [github]\nexperience: advanced\nintegrations:\n  github:\n    repos: acme/api\n');
+    expect((await getUserPreferences(undefined, { answersFile: file, yes: true, stdin: noTTY })).integrations)
+      .toEqual({ github: { org: '', repos: ['acme/api'] } });
+  });
+
+  it('rejects invalid and unknown follow-up answers', async () => {
+    const file = path.join(dir, 'answers.yaml');
+    await fs.writeFile(file, ANSWERS.replace('provider: outlook', 'provider: yahoo'));
+    await expect(getUserPreferences(undefined, { answersFile: file, yes: true, stdin: noTTY }))
+      .rejects.toThrow('Unknown integrations.gmail.provider "yahoo". Valid choices: gmail, outlook');
+
+    await fs.writeFile(file, ANSWERS.replace('org: acme', 'organisation: acme'));
+    await expect(getUserPreferences(undefined, { answersFile: file, yes: true, stdin: noTTY }))
+      .rejects.toThrow('Unknown follow-up answer integrations.github.organisation. Expected one of: integrations.gmail.provider');
+  });
+
+  it('threads the answers into the integrations config and automation includes', () => {
+    const tools = ['gmail', 'slack', 'github'];
+    const integrations = configureIntegrations(tools, undefined, {
+      gmail: { provider: 'outlook' },
+      slack: { channels: ['#eng'] },
+      github: { org: 'acme', repos: ['api', 'other/web'] }
+    });
+
+    expect(integrations.email.provider).toBe('outlook');
+    expect(integrations.chat).toMatchObject({ provider: 'slack', channels: ['eng'] });
+    expect(integrations.github).toMatchObject({ org: 'acme', repos: ['acme/api', 'other/web'] });
+    expect(configureIntegrations(['github'], undefined, { github: { org: 'acme' } }).github.repos).toEqual(['acme/*']);
+    expect(configureIntegrations(['github'], undefined, { github: { org: '', repos: ['acme/api'] } }).github)
+      .toEqual({ features: ['pr_reviews', 'issue_tracking', 'repo_analytics'], repos: ['acme/api'] });
+
+    const template = addIntegrationIncludes(getInlineTemplate('engineer'), integrations, tools);
+    expect(template.automations.code_review_assistant.includes).toContain('Review pull requests in acme/api, other/web');
+    expect(template.automations.morning_brief.includes.slice(-2)).toEqual([
+      'Unanswered mentions in #eng',
+      'Pull requests awaiting review in acme/api, other/web'
+    ]);
+  });
+
+  it('names the real repos and channels in the generated workspace', async () => {
+    const file = path.join(dir, 'answers.yaml');
+    await fs.writeFile(file, ANSWERS);
+
+    const result = spawnSync('node', ['bin/superclaw.js', 'wizard', '--answers', file, '--yes', '--skip-checks'], {
+      input: '',
+      env: { ...process.env, HOME: dir }
+    });
+    expect(result.status).toBe(0);
+
+    const workspace = path.join(dir, 'clawd');
+    const agents = await fs.readFile(path.join(workspace, 'AGENTS.md'), 'utf8');
+    const heartbeat = await fs.readFile(path.join(workspace, 'HEARTBEAT.md'), 'utf8');
+    expect(agents).toContain('- Pull requests awaiting review in acme/api, other/web');
+    expect(agents).toContain('- Review pull requests in acme/api, other/web');
+    expect(heartbeat).toContain('Unanswered mentions in #eng, #general');
+
+    const automation = await fs.readJson(path.join(workspace, 'templates', 'engineer-automation-template.json'));
+    expect(automation.integrations).toMatchObject({
+      email: { provider: 'outlook' },
+      calendar: { provider: 'outlook' },
+      github: { org: 'acme', repos: ['acme/api', 'other/web'] }
+    });
+  });
+});
\ No newline at end of file
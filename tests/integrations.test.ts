@@ -0,0 +1,120 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const {
+  BUILTIN_INTEGRATIONS,
+  loadIntegrations,
+  toolChoices,
+  configureIntegrations,
+  requireIntegrationSkills
+} = require('../lib/integrations');
+const { getInlineTemplate } = require('../lib/templates');
+
+const PAGERDUTY = `module.exports = {
+  tool: 'pagerduty',
+  key: 'paging',
+  label: 'PagerDuty',
+  roles: ['engineer'],
+  providers: ['pagerduty'],
+  features: ['incidents', 'on_call'],
+  skills: ['pagerduty'],
+  configure: ({ provider, features }) => ({ provider, features, escalation: 'primary' })
+};`;
+
+describe('integration registry', () => {
+  let root: string;
+  let home: string;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-integrations-'));
+    home = path.join(root, 'home', '.superclaw');
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('configures every tool the built-in roles offer', () => {
+    const tools = [...new Set(['founder', 'engineer', 'creator', 'student']
+      .flatMap(role => toolChoices(role).map((choice: any) => choice.value)))];
+    const integrations = configureIntegrations(tools);
+
+    expect(Object.keys(integrations)).toHaveLength(tools.length);
+    expect(integrations.email).toEqual({ provider: 'gmail', features: ['automation', 'smart_inbox', 'scheduling'] });
+    expect(integrations.chat).toMatchObject({ provider: 'slack' });
+    expect(integrations.finance).toMatchObject({ provider: 'stripe', features: ['revenue', 'burn_rate', 'runway'] });
+    expect(integrations.citations).toMatchObject({ provider: 'zotero' });
+    expect(toolChoices('founder').find((choice: any) => choice.value === 'slack')).toMatchObject({ checked: true });
+  });
+
+  it('rejects unknown tools', () => {
+    expect(() => configureIntegrations(['gmail', 'fax'])).toThrow('Unknown tool "fax": no integration provides it. Known tools: gmail, calendar');
+  });
+
+  it('enables the skills chosen tools need', () => {
+    const template = getInlineTemplate('engineer');
+    const inclusions = [
+      { kind: 'skill', name: 'github', role: 'engineer', included: true, goals: [], chosen: [] },
+      { kind: 'skill', name: 'notion', role: 'engineer', included: false, goals: ['documentation'], chosen: [] }
+    ];
+    const result = requireIntegrationSkills({ ...template, skills: ['github'] }, inclusions, ['project_mgmt', 'github'], BUILTIN_INTEGRATIONS);
+
+    expect(result.template.skills).toEqual(['github', 'notion']);
+    expect(result.inclusions).toEqual([
+      inclusions[0],
+      { kind: 'skill', name: 'notion', role: 'engineer', included: true, goals: ['documentation'], chosen: [], tools: ['project_mgmt'] }
+    ]);
+  });
+
+  it('enables the skills of the chosen chat provider', () => {
+    const template = { ...getInlineTemplate('engineer'), skills: ['github'] };
+    const skillsFor = (provider: string) => {
+      const configured = configureIntegrations(['slack'], BUILTIN_INTEGRATIONS, { slack: { provider } });
+      return requireIntegrationSkills(template, [], ['slack'], BUILTIN_INTEGRATIONS, configured).template.skills;
+    };
+
+    expect(skillsFor('slack')).toEqual(['github', 'slack']);
+    expect(skillsFor('discord')).toEqual(['github', 'discord']);
+    expect(requireIntegrationSkills(template, [], ['slack']).template.skills).toEqual(['github', 'slack']);
+  });
+
+  it('registers integrations from plugin directories', async () => {
+    await fs.outputFile(path.join(home, 'integrations', 'pagerduty.js'), PAGERDUTY);
+
+    const integrations = await loadIntegrations({ home, cwd: root });
+    expect(integrations.find((entry: any) => entry.tool === 'pagerduty')).toMatchObject({ source: 'user', questions: [] });
+    expect(toolChoices('engineer', integrations).map((choice: any) => choice.value)).toContain('pagerduty');
+    expect(toolChoices('founder', integrations).map((choice: any) => choice.value)).not.toContain('pagerduty');
+
+    await fs.outputFile(path.join(home, 'integrations', 'broken.js'), 'module.exports = { tool: "Broken" };');
+    await expect(loadIntegrations({ home, cwd: root })).rejects.toThrow(/Invalid integration plugin .*broken\.js: tool: must be a lowercase name/);
+  });
+
+  it('never runs integration plugins from the project directory', async () => {
+    const marker = path.join(root, 'ran');
+    await fs.outputFile(path.join(root, '.superclaw', 'integrations', 'evil.js'),
+      `require('fs').writeFileSync(${JSON.stringify(marker)}, '');\nmodule.exports = { tool: 'evil', configure: () => ({}) };`);
+
+    const integrations = await loadIntegrations({ home, cwd: root });
+    expect(integrations.map((entry: any) => entry.tool)).not.toContain('evil');
+    expect(await fs.pathExists(marker)).toBe(false);
+  });
+
+  it('uses plugin integrations in wizard runs', async () => {
+    await fs.outputFile(path.join(home, 'integrations', 'pagerduty.js'), PAGERDUTY);
+
+    const result = spawnSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github,pagerduty',
+      '--experience', 'advanced', '--yes', '--skip-checks', '--dry-run', '--json'
+    ], { input: '', env: { ...process.env, HOME: root, SUPERCLAW_HOME: home } });
+    expect(result.status).toBe(0);
+
+    const plan = JSON.parse(result.stdout.toString());
+    const diff = (file: string) => plan.files.find((entry: any) => entry.path === file).diff;
+    expect(diff('morning-brief.md')).toContain('Integrations pending: github, paging');
+    expect(diff('openclaw-skills-config.json')).toContain('"pagerduty"');
+    expect(plan.inclusions).toContainEqual(expect.objectContaining({ name: 'pagerduty', reason: 'required by tool pagerduty' }));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,125 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { DuplicateMemoryError, MemoryService } from '../src/lib/memory';
+
+describe('memory lifecycle', () => {
+  let dir: string;
+  let service: MemoryService;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-lifecycle-'));
+    service = new MemoryService({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('edits content, tags and updatedAt and re-indexes the memory', async () => {
+    const saved = await service.save('Standup is at 9am', { tags: 'team' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    const edited = await service.edit(saved.id, { content: 'Standup moved to 10am', tags: 'team,meetings' });
+
+    expect(edited.updatedAt > saved.updatedAt).toBe(true);
+    expect(edited.createdAt).toBe(saved.createdAt);
+    expect(edited.tags).toEqual(['team', 'meetings']);
+    expect(await service.search('9am')).toHaveLength(0);
+    expect(await service.search('10am')).toHaveLength(1);
+    await expect(service.edit('missing', { content: 'x' })).rejects.toThrow('Memory missing not found');
+  });
+
+  it('forgets by id or by tag', async () => {
+    const keep = await service.save('Keep me', { tags: 'keep' });
+    const drop = await service.save('Drop me', { tags: 'temp' });
+    await service.save('Drop me too', { tags: 'temp' });
+
+    expect(await service.forget({ id: drop.id })).toHaveLength(1);
+    expect(await service.forget({ tag: 'TEMP' })).toHaveLength(1);
+
+    expect((await service.list()).map(memory => memory.id)).toEqual([keep.id]);
+    expect(await service.search('drop')).toHaveLength(0);
+  });
+
+  it('expires context memories after their TTL but keeps preferences', async () => {
+    const expiring = new MemoryService({ dir, ttlDays: { context: -1 } });
+    await expiring.save('Working on the Q3 launch');
+    const preference = await expiring.save('Prefers concise answers', { type: 'preference' });
+
+    expect(preference.expiresAt).toBeUndefined();
+    expect(await expiring.search('launch')).toHaveLength(0);
+    expect((await expiring.stats()).expired).toBe(1);
+
+    const removed = await expiring.expire();
+    expect(removed.map(memory => memory.content)).toEqual(['Working on the Q3 launch']);
+    expect(await expiring.list()).toHaveLength(1);
+  });
+
+  it('takes per-type TTLs from config.json, with the active profile winning', async () => {
+    const home = path.join(dir, 'home');
+    process.env.SUPERCLAW_HOME = home;
+    const days = (entry: any) => (new Date(entry.expiresAt).getTime() - new Date(entry.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+
+    try {
+      await fs.outputJson(path.join(home, 'config.json'), {
+        memory: { ttlDays: { context: 60, learning: 365 } },
+        profiles: { oss: { workspace: dir, memory: { ttlDays: { context: 7 } } } }
+      });
+      const configured = new MemoryService({ dir: path.join(dir, 'store') });
+      expect(days(await configured.save('Working on the Q4 launch'))).toBe(60);
+      expect(days(await configured.save('Vitest beats Jest for ESM', { type: 'learning' }))).toBe(365);
+
+      process.env.SUPERCLAW_PROFILE = 'oss';
+      expect(days(await new MemoryService({ dir: path.join(dir, 'store') }).save('Triaging the issue backlog'))).toBe(7);
+
+      await fs.outputJson(path.join(home, 'config.json'), { memory: { ttlDays: { context: 'forever' } } });
+      delete process.env.SUPERCLAW_PROFILE;
+      expect(() => new MemoryService({ dir })).toThrow('Invalid memory.ttlDays.context');
+    } finally {
+      delete process.env.SUPERCLAW_HOME;
+      delete process.env.SUPERCLAW_PROFILE;
+    }
+  });
+
+  it('rejects near-duplicates unless forced', async () => {
+    const original = await service.save('We deploy every Tuesday afternoon', { type: 'decision' });
+
+    const attempt = service.save('We deploy every Tuesday afternoon!', { type: 'decision' });
+    await expect(attempt).rejects.toBeInstanceOf(DuplicateMemoryError);
+    await expect(attempt).rejects.toMatchObject({ existing: { id: original.id } });
+
+    await service.save('We deploy every Tuesday afternoon!', { type: 'decision', allowDuplicate: true });
+    expect(await service.list()).toHaveLength(2);
+  });
+
+  it('merges duplicate groups into the oldest memory', async () => {
+    const first = await service.save('Use pnpm for all repos', { tags: 'tooling' });
+    await service.save('use pnpm for all repos', { tags: 'js', allowDuplicate: true });
+    await service.save('Something else entirely');
+
+    expect(await service.dedupe()).toHaveLength(1);
+    await service.dedupe({ apply: true });
+
+    const memories = await service.list();
+    expect(memories).toHaveLength(2);
+    expect(memories.find(memory => memory.id === first.id)?.tags).toEqual(['tooling', 'js']);
+  });
+
+  it('supersedes an older decision while keeping its history', async () => {
+    const old = await service.save('Host on Heroku', { type: 'decision' });
+    const replacement = await service.save('Host on Fly.io', { type: 'decision', supersedes: old.id });
+
+    expect(replacement.supersedes).toBe(old.id);
+    expect((await service.get(old.id))?.supersededBy).toBe(replacement.id);
+    expect(await service.search('host')).toHaveLength(1);
+    expect(await service.search('host', 10, { includeRetired: true })).toHaveLength(2);
+    expect((await service.history(replacement.id)).map(memory => memory.id)).toEqual([replacement.id, old.id]);
+
+    await expect(service.save('Host on Render', { type: 'decision', supersedes: old.id }))
+      .rejects.toThrow('already superseded');
+
+    await service.forget({ id: replacement.id });
+    expect((await service.get(old.id))?.supersededBy).toBeUndefined();
+  });
+});
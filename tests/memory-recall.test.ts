@@ -0,0 +1,115 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryService, RECALL_END, RECALL_START } from '../src/lib/memory';
+import { rankForRecall, renderRecallBlock, upsertRecallSection } from '../src/lib/memory/recall';
+import { MemoryEntry } from '../src/types';
+
+function memory(overrides: Partial<MemoryEntry>): MemoryEntry {
+  return {
+    id: 'm1',
+    content: 'Editor theme',
+    type: 'context',
+    tags: [],
+    createdAt: '2026-10-01T00:00:00.000Z',
+    updatedAt: '2026-10-01T00:00:00.000Z',
+    ...overrides
+  };
+}
+
+describe('memory recall', () => {
+  const now = new Date('2026-10-19T00:00:00.000Z');
+
+  it('boosts preferences and decisions over equally relevant context', () => {
+    const ranked = rankForRecall([
+      { memory: memory({ id: 'ctx', type: 'context' }), score: 1 },
+      { memory: memory({ id: 'dec', type: 'decision' }), score: 1 },
+      { memory: memory({ id: 'pref', type: 'preference' }), score: 1 }
+    ], now);
+
+    expect(ranked.map(result => result.memory.id)).toEqual(['pref', 'dec', 'ctx']);
+  });
+
+  it('ranks newer memories higher', () => {
+    const ranked = rankForRecall([
+      { memory: memory({ id: 'old', updatedAt: '2025-10-19T00:00:00.000Z' }), score: 1 },
+      { memory: memory({ id: 'new', updatedAt: '2026-10-18T00:00:00.000Z' }), score: 1 }
+    ], now);
+
+    expect(ranked.map(result => result.memory.id)).toEqual(['new', 'old']);
+    expect(ranked[1].score).toBeGreaterThanOrEqual(0.5);
+  });
+
+  it('fits the rendered block into the character budget', () => {
+    const results = [
+      { memory: memory({ id: 'a', content: 'x'.repeat(150) }), score: 3 },
+      { memory: memory({ id: 'b', content: 'short one', tags: ['ui'] }), score: 2 }
+    ];
+
+    const { markdown, included } = renderRecallBlock(results, { context: 'editor', maxChars: 150, now });
+
+    expect(markdown.length).toBeLessThanOrEqual(150);
+    expect(included.map(result => result.memory.id)).toEqual(['b']);
+    expect(markdown).toContain('- **context**: short one #ui');
+  });
+
+  it('returns an empty block when not even the header fits', () => {
+    const results = [{ memory: memory({ id: 'a', content: 'short' }), score: 1 }];
+
+    expect(renderRecallBlock(results, { context: 'editor', maxChars: 20, now })).toEqual({ markdown: '', included: [] });
+    const { markdown } = renderRecallBlock([], { context: 'editor', maxChars: 70, now });
+    expect(markdown.length).toBeLessThanOrEqual(70);
+    expect(markdown).toContain('Recalled Memory');
+  });
+
+  it('replaces an existing recalled section instead of appending another', () => {
+    const once = upsertRecallSection('# AGENTS.md\n\nIntro\n', 'first');
+    const twice = upsertRecallSection(once + '\nTrailing notes\n', 'second');
+
+    expect(twice.split(RECALL_START)).toHaveLength(2);
+    expect(twice).toContain(`${RECALL_START}\nsecond\n${RECALL_END}`);
+    expect(twice).not.toContain('first');
+    expect(twice).toContain('Trailing notes');
+  });
+
+  describe('MemoryService.recall', () => {
+    let dir: string;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-recall-'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(dir);
+    });
+
+    it('recalls relevant memories and refreshes AGENTS.md', async () => {
+      const service = new MemoryService({ dir: path.join(dir, 'memory') });
+      await service.save('User prefers dark mode in every UI', { type: 'preference' });
+      await service.save('Dark launch the billing UI first', { type: 'context' });
+      await service.save('Weekly sync is on Tuesdays');
+
+      const { memories, markdown } = await service.recall('UI preferences', { max: 1 });
+      expect(memories).toHaveLength(1);
+      expect(markdown).toContain('User prefers dark mode');
+
+      const agentsPath = path.join(dir, 'AGENTS.md');
+      await expect(service.writeRecallSection(agentsPath, markdown)).rejects.toThrow('not found');
+
+      await fs.writeFile(agentsPath, '# AGENTS.md\n');
+      await service.writeRecallSection(agentsPath, markdown);
+      await service.writeRecallSection(agentsPath, markdown);
+
+      const agents = await fs.readFile(agentsPath, 'utf8');
+      expect(agents.match(/Recalled Memory/g)).toHaveLength(1);
+    });
+
+    it('treats the context as plain words, not search filters', async () => {
+      const service = new MemoryService({ dir: path.join(dir, 'memory') });
+      await service.save('The release type is decided after standup', { type: 'decision' });
+
+      const { memories } = await service.recall('type:foo after:soon');
+      expect(memories.map(result => result.memory.content)).toEqual(['The release type is decided after standup']);
+    });
+  });
+});
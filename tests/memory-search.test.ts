@@ -0,0 +1,101 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryService, parseQuery } from '../src/lib/memory';
+import { SearchIndex } from '../src/lib/memory/search';
+import { stem } from '../src/lib/memory/stemmer';
+
+describe('memory search', () => {
+  let dir: string;
+  let service: MemoryService;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-search-'));
+    service = new MemoryService({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('stems inflected words to a shared root', () => {
+    expect(stem('databases')).toBe(stem('database'));
+    expect(stem('running')).toBe('run');
+    expect(stem('migrations')).toBe(stem('migration'));
+  });
+
+  it('parses phrases and filters out of the query', () => {
+    const query = parseQuery('"dark mode" editor type:preference tag:UI after:2026-01-01');
+
+    expect(query.phrases).toEqual([['dark', 'mode']]);
+    expect(query.terms).toEqual(['editor']);
+    expect(query.types).toEqual(['preference']);
+    expect(query.tags).toEqual(['ui']);
+    expect(query.after).toBe('2026-01-01T00:00:00.000Z');
+    expect(() => parseQuery('type:opinion')).toThrow('Unknown memory type');
+    expect(() => parseQuery('after:someday')).toThrow('Invalid date');
+  });
+
+  it('ranks memories with BM25 scores', async () => {
+    await service.save('We chose Postgres as the primary database', { type: 'decision' });
+    await service.save('Database backups run nightly; database restores are tested monthly', { type: 'context' });
+    await service.save('Prefer tabs over spaces', { type: 'preference' });
+
+    const results = await service.search('databases');
+
+    expect(results).toHaveLength(2);
+    expect(results[0].memory.content).toMatch(/backups/);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(results[1].score).toBeGreaterThan(0);
+  });
+
+  it('requires phrases to match in order and applies filters', async () => {
+    await service.save('Dark mode in the editor', { type: 'preference', tags: ['ui'] });
+    await service.save('Editor mode is dark by default', { type: 'context', tags: ['ui'] });
+    await service.save('Dark mode for the dashboard', { type: 'decision', tags: ['infra'] });
+
+    const phrase = await service.search('"dark mode"');
+    expect(phrase.map(result => result.memory.type).sort()).toEqual(['decision', 'preference']);
+
+    const filtered = await service.search('"dark mode" tag:ui');
+    expect(filtered.map(result => result.memory.type)).toEqual(['preference']);
+
+    const byType = await service.search('type:context');
+    expect(byType.map(result => result.memory.content)).toEqual(['Editor mode is dark by default']);
+  });
+
+  it('honors the result limit', async () => {
+    for (let i = 0; i < 5; i++) {
+      await service.save(`deploy note ${i}`);
+    }
+
+    expect(await service.search('deploy', 3)).toHaveLength(3);
+  });
+
+  it('keeps the index in sync incrementally and rebuilds a stale one', async () => {
+    await service.save('Kubernetes cluster lives in eu-west');
+    const indexPath = path.join(dir, 'index.json');
+    expect((await fs.readJson(indexPath)).revision).toBe(1);
+
+    await fs.remove(indexPath);
+    const results = await service.search('kubernetes');
+    expect(results).toHaveLength(1);
+  });
+
+  it('removes a memory from the postings of its own terms only', async () => {
+    const saved = await service.save('Kubernetes cluster lives in eu-west');
+    await service.save('The cluster autoscaler is off');
+    const index = new SearchIndex(await fs.readJson(path.join(dir, 'index.json')));
+    expect(index.toJSON().terms[saved.id]).toEqual(['kubernet', 'cluster', 'live', 'in', 'eu', 'west']);
+
+    index.remove(saved.id);
+    const { docs, terms, postings } = index.toJSON();
+    expect(Object.keys(docs)).toEqual(Object.keys(terms));
+    expect(postings.kubernet).toBeUndefined();
+    expect(Object.keys(postings.cluster)).toEqual(Object.keys(docs));
+
+    // Indexes written before term lists existed are rebuilt
+    await fs.writeJson(path.join(dir, 'index.json'), { version: 1, revision: 2, docs: {}, postings: {} });
+    expect(await service.search('kubernetes')).toHaveLength(1);
+  });
+});
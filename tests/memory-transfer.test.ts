@@ -0,0 +1,104 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryService } from '../src/lib/memory';
+import { parseMarkdown } from '../src/lib/memory/transfer';
+
+describe('memory import and export', () => {
+  let dir: string;
+  let service: MemoryService;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-transfer-'));
+    service = new MemoryService({ dir: path.join(dir, 'store') });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  async function seed(): Promise<void> {
+    const old = await service.save('Host on Heroku', { type: 'decision', tags: 'infra' });
+    await service.save('Host on Fly.io\n\n## Why\nCheaper regions', { type: 'decision', tags: 'infra', supersedes: old.id });
+    await service.save('Prefers short answers', { type: 'preference' });
+  }
+
+  it.each(['md', 'json', 'jsonl'] as const)('round-trips a %s export losslessly', async (format) => {
+    await seed();
+    const file = path.join(dir, `export.${format}`);
+    await fs.writeFile(file, await service.export(format));
+
+    const restored = new MemoryService({ dir: path.join(dir, `restored-${format}`) });
+    const summary = await restored.import(file);
+
+    expect(summary.imported).toBe(3);
+    expect(await restored.list()).toEqual(await service.list());
+  });
+
+  it('skips memories that are already present on re-import', async () => {
+    await seed();
+    const file = path.join(dir, 'export.json');
+    await fs.writeFile(file, await service.export('json'));
+
+    expect(await service.import(file)).toMatchObject({ imported: 0, updated: 0, skipped: 3 });
+  });
+
+  it('imports plain notes as one memory per heading with front-matter tags', async () => {
+    const notes = [
+      '---',
+      'tags: [team, rituals]',
+      'type: learning',
+      '---',
+      '# Retro notes',
+      '',
+      '## Async standups work',
+      'Nobody missed updates.',
+      '',
+      '## Demos need a timebox',
+      '### Details',
+      'Ten minutes each.'
+    ].join('\n');
+    await fs.outputFile(path.join(dir, 'notes', 'retro.md'), notes);
+    await fs.outputFile(path.join(dir, 'notes', 'ignored.txt'), 'not imported');
+
+    const summary = await service.import(path.join(dir, 'notes'), { tags: 'imported' });
+
+    expect(summary).toMatchObject({ files: 1, imported: 2 });
+    const memories = await service.list();
+    expect(memories.map(memory => memory.content)).toEqual([
+      'Async standups work\nNobody missed updates.',
+      'Demos need a timebox\n### Details\nTen minutes each.'
+    ]);
+    expect(memories[0]).toMatchObject({ type: 'learning', tags: ['team', 'rituals', 'imported'] });
+
+    expect((await service.import(path.join(dir, 'notes'))).skipped).toBe(2);
+  });
+
+  it('treats a note without headings as a single memory', () => {
+    const { drafts } = parseMarkdown('Just one thought.\nOn two lines.', 'note.md');
+    expect(drafts).toEqual([{ content: 'Just one thought.\nOn two lines.', type: undefined, tags: [] }]);
+  });
+
+  it('reports the file for malformed JSON', async () => {
+    const file = path.join(dir, 'broken.json');
+    await fs.writeFile(file, '{ nope');
+
+    await expect(service.import(file)).rejects.toThrow(`${file}: invalid JSON`);
+  });
+
+  it('mirrors active memories into the workspace memory folder', async () => {
+    await seed();
+    const workspace = path.join(dir, 'clawd');
+
+    const files = await service.sync(workspace);
+
+    expect(files.map(file => path.basename(file)).sort()).toEqual(['superclaw-decision.md', 'superclaw-preference.md']);
+    const decisions = await fs.readFile(path.join(workspace, 'memory', 'superclaw-decision.md'), 'utf8');
+    expect(decisions).toContain('Host on Fly.io');
+    expect(decisions).not.toContain('Heroku');
+
+    await service.forget({ tag: 'infra' });
+    await service.sync(workspace);
+    expect(await fs.pathExists(path.join(workspace, 'memory', 'superclaw-decision.md'))).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import { MemoryService } from '../src/lib/memory';
+import { FileUtils } from '../src/lib/shared/utils';
+
+describe('MemoryService', () => {
+  let dir: string;
+  let service: MemoryService;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-memory-'));
+    service = new MemoryService({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('persists entries with ids, timestamps and normalized tags', async () => {
+    const saved = await service.save('User prefers dark mode', { type: 'preference', tags: 'UI, theme,ui' });
+
+    expect(saved.id).toMatch(/^[a-z0-9]+-[0-9a-f]{6}$/);
+    expect(saved.tags).toEqual(['ui', 'theme']);
+    expect(saved.createdAt).toBe(saved.updatedAt);
+
+    const reloaded = await new MemoryService({ dir }).get(saved.id);
+    expect(reloaded).toEqual(saved);
+  });
+
+  it('rejects unknown memory types', async () => {
+    await expect(service.save('Something', { type: 'opinion' })).rejects.toThrow('Unknown memory type "opinion"');
+  });
+
+  it('reports counts by type and tag', async () => {
+    await service.save('Use Postgres', { type: 'decision', tags: ['infra'] });
+    await service.save('Deploy on Fridays is risky', { type: 'learning', tags: ['infra', 'ops'] });
+    await service.save('Working on onboarding');
+
+    const stats = await service.stats();
+
+    expect(stats.total).toBe(3);
+    expect(stats.byType).toEqual({ preference: 0, decision: 1, learning: 1, context: 1 });
+    expect(stats.byTag).toEqual({ infra: 2, ops: 1 });
+  });
+
+  it('does not lose writes from concurrent savers', async () => {
+    const writers = Array.from({ length: 10 }, (_, i) =>
+      new MemoryService({ dir }).save(`memory ${i}`)
+    );
+    await Promise.all(writers);
+
+    expect(await service.list()).toHaveLength(10);
+    expect(await fs.pathExists(path.join(dir, 'memories.lock'))).toBe(false);
+  });
+
+  it('lets only one of two contenders take over a stale lock', async () => {
+    const lockPath = path.join(dir, 'memories.lock');
+    await fs.writeFile(lockPath, '12345');
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(lockPath, old, old);
+
+    // The second contender sees the stale lock but acts on it only after the first has taken over
+    const fsExtra = require('fs-extra');
+    const stat = fsExtra.stat;
+    let calls = 0;
+    const spy = jest.spyOn(fsExtra, 'stat').mockImplementation(async (...args: any[]) => {
+      const stats = await stat(...args);
+      if (++calls === 2) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return stats;
+    });
+
+    let inside = 0;
+    let overlapped = false;
+    const contender = () => FileUtils.withLock(lockPath, async () => {
+      inside++;
+      overlapped = overlapped || inside > 1;
+      await new Promise(resolve => setTimeout(resolve, 100));
+      inside--;
+    }, { staleMs: 1000 });
+    await Promise.all([contender(), contender()]).finally(() => spy.mockRestore());
+
+    expect(overlapped).toBe(false);
+    expect(await fs.readdir(dir)).toEqual([]);
+  });
+});
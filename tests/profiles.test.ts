@@ -0,0 +1,113 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { resolveProfile, saveProfile, listProfiles, useProfile, removeProfile } = require('../lib/profiles');
+
+const WIZARD = ['wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github', '--experience', 'advanced', '--yes', '--skip-checks'];
+
+describe('workspace location and named profiles', () => {
+  let root: string;
+  let home: string;
+
+  function superclaw(args: string[], env: Record<string, string> = {}) {
+    return spawnSync('node', ['bin/superclaw.js', ...args], { input: '', env: { ...process.env, HOME: root, SUPERCLAW_HOME: home, ...env } });
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-profiles-'));
+    home = path.join(root, '.superclaw');
+  });
+
+  afterEach(async () => {
+    delete process.env.SUPERCLAW_WORKSPACE;
+    delete process.env.SUPERCLAW_PROFILE;
+    await fs.remove(root);
+  });
+
+  it('resolves the workspace from the flag, the environment, then the profile', async () => {
+    expect(resolveProfile({ home })).toMatchObject({
+      name: 'default',
+      saved: false,
+      workspace: path.join(os.homedir(), 'clawd'),
+      memoryDir: path.join(home, 'memory')
+    });
+    expect(resolveProfile({ home, profile: 'oss' })).toMatchObject({
+      workspace: path.join(os.homedir(), 'clawd-oss'),
+      memoryDir: path.join(home, 'profiles', 'oss', 'memory')
+    });
+
+    await saveProfile('oss', { workspace: path.join(root, 'oss') }, { home });
+    process.env.SUPERCLAW_PROFILE = 'oss';
+    expect(resolveProfile({ home }).workspace).toBe(path.join(root, 'oss'));
+
+    process.env.SUPERCLAW_WORKSPACE = path.join(root, 'from-env');
+    expect(resolveProfile({ home }).workspace).toBe(path.join(root, 'from-env'));
+    expect(resolveProfile({ home, workspace: path.join(root, 'from-flag') }).workspace).toBe(path.join(root, 'from-flag'));
+
+    expect(() => resolveProfile({ home, profile: '../work' })).toThrow('Invalid profile name "../work"');
+  });
+
+  it('switches between and removes profiles', async () => {
+    await expect(useProfile('work', {}, { home })).rejects.toThrow('Unknown profile "work"');
+
+    await useProfile('work', { workspace: path.join(root, 'work') }, { home });
+    await saveProfile('oss', { workspace: path.join(root, 'oss') }, { home });
+    expect(listProfiles({ home }).map((profile: any) => [profile.name, profile.current, profile.workspace])).toEqual([
+      ['default', false, path.join(os.homedir(), 'clawd')],
+      ['oss', false, path.join(root, 'oss')],
+      ['work', true, path.join(root, 'work')]
+    ]);
+
+    expect(await removeProfile('work', { home })).toMatchObject({ name: 'work', workspace: path.join(root, 'work'), wasCurrent: true });
+    expect(resolveProfile({ home }).name).toBe('default');
+    await expect(removeProfile('default', { home })).rejects.toThrow('The default profile cannot be removed');
+  });
+
+  it('sets up a profile with the wizard and replays its answers', async () => {
+    const run = superclaw(['--profile', 'oss', ...WIZARD, '--timezone', 'Europe/Berlin']);
+    const workspace = path.join(root, 'clawd-oss');
+
+    expect(run.status).toBe(0);
+    expect(run.stdout.toString()).toContain('Profile: oss');
+    expect(run.stdout.toString()).toContain(`cd ${workspace}`);
+    expect(await fs.pathExists(path.join(workspace, 'AGENTS.md'))).toBe(true);
+    expect(await fs.pathExists(path.join(root, 'clawd'))).toBe(false);
+    expect((await fs.readJson(path.join(home, 'config.json'))).profiles.oss).toMatchObject({
+      workspace,
+      role: 'engineer',
+      answers: { role: 'engineer', goals: ['code_reviews'], tools: ['github'], timezone: 'Europe/Berlin' }
+    });
+
+    // No role or goals given: the profile's answers are replayed
+    const replay = superclaw(['--profile', 'oss', 'wizard', '--yes', '--skip-checks', '--dry-run', '--json']);
+    expect(replay.status).toBe(0);
+    expect(JSON.parse(replay.stdout.toString())).toMatchObject({ workspacePath: workspace });
+    expect(replay.stderr.toString()).toBe('');
+
+    // SUPERCLAW_WORKSPACE and --workspace place the default profile's workspace
+    expect(superclaw(WIZARD, { SUPERCLAW_WORKSPACE: path.join(root, 'env-ws') }).status).toBe(0);
+    expect(await fs.pathExists(path.join(root, 'env-ws', 'AGENTS.md'))).toBe(true);
+    expect(superclaw([...WIZARD, '--workspace', path.join(root, 'flag-ws')]).status).toBe(0);
+    expect(await fs.pathExists(path.join(root, 'flag-ws', 'AGENTS.md'))).toBe(true);
+  });
+
+  it('keeps memories apart and manages profiles from the CLI', async () => {
+    expect(superclaw(['profile', 'use', 'oss', '--workspace', path.join(root, 'oss')]).status).toBe(0);
+    expect(superclaw(['memory', 'save', 'Release every Friday']).status).toBe(0);
+    expect(superclaw(['--profile', 'default', 'memory', 'save', 'Standup at 9:30']).status).toBe(0);
+
+    expect(superclaw(['memory', 'search', 'standup']).stdout.toString()).not.toContain('Standup at 9:30');
+    expect(superclaw(['--profile', 'default', 'memory', 'search', 'standup']).stdout.toString()).toContain('Standup at 9:30');
+    expect(await fs.pathExists(path.join(home, 'profiles', 'oss', 'memory'))).toBe(true);
+
+    const listed = JSON.parse(superclaw(['profile', 'list', '--json']).stdout.toString());
+    expect(listed.find((profile: any) => profile.current)).toMatchObject({ name: 'oss', workspace: path.join(root, 'oss') });
+
+    const removed = superclaw(['profile', 'remove', 'oss']);
+    expect(removed.status).toBe(0);
+    expect(removed.stdout.toString()).toContain('Switched back to the default profile');
+    expect(superclaw(['profile', 'remove', 'oss']).stderr.toString()).toContain('Unknown profile "oss"');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+import * as yaml from 'js-yaml';
+
+const { renderSetupFiles } = require('../lib/setup');
+const { loadTemplate } = require('../lib/templates');
+
+const DEMO = path.join(__dirname, '..', 'examples', 'demo', 'demo-workspace');
+
+async function configFor(role: string, scaffold: string) {
+  return {
+    user: { type: role, roles: [role], goals: ['metrics'], tools: [], experience: 'intermediate', timezone: 'UTC' },
+    template: await loadTemplate(role),
+    integrations: { email: { provider: 'gmail' } },
+    workspace: { name: `${role}-ai-employee`, description: `AI employee setup for ${role}`, scaffold },
+    created: '2026-10-19T00:00:00.000Z'
+  };
+}
+
+describe('full workspace scaffold', () => {
+  let root: string;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-scaffold-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it.each(['founder', 'engineer', 'creator', 'student'])('writes automation YAML for every %s automation and workflow', async (role) => {
+    const config = await configFor(role, 'full');
+    const files = renderSetupFiles(config);
+    const workflows = config.template.workflows || [];
+    const automations = files.filter((file: any) => file.path.startsWith(`automations${path.sep}`));
+
+    expect(automations).toHaveLength(Object.keys(config.template.automations).length + workflows.length);
+    const demoKeys = Object.keys(yaml.load(await fs.readFile(path.join(DEMO, 'automations', 'morning-brief.yaml'), 'utf8')) as object);
+    for (const file of automations) {
+      const automation = yaml.load(file.content) as any;
+      expect(Object.keys(automation)).toEqual(demoKeys);
+      expect(automation.actions.length).toBeGreaterThan(0);
+    }
+    for (const workflow of workflows) {
+      expect(automations.map((file: any) => yaml.load(file.content) as any)).toContainEqual(expect.objectContaining({
+        name: workflow.name,
+        schedule: workflow.trigger,
+        actions: workflow.actions.map((action: string) => ({ type: action }))
+      }));
+    }
+  });
+
+  it('matches the demo workspace config and README shape', async () => {
+    const files = renderSetupFiles(await configFor('founder', 'full'));
+    const content = (file: string) => files.find((entry: any) => entry.path === file).content;
+
+    const clawdbot = yaml.load(content(path.join('config', 'clawdbot.yaml'))) as any;
+    const demo = yaml.load(await fs.readFile(path.join(DEMO, 'config', 'clawdbot.yaml'), 'utf8')) as any;
+    expect(Object.keys(clawdbot)).toEqual(Object.keys(demo));
+    expect(clawdbot.workspace).toMatchObject({ name: 'founder-ai-employee', user_type: 'founder' });
+    expect(clawdbot.skills[0]).toEqual({ name: expect.any(String), enabled: true, auto_install: true });
+
+    const headings = (markdown: string) => markdown.split('\n').filter(line => line.startsWith('## '));
+    expect(headings(content('README.md'))).toEqual(headings(await fs.readFile(path.join(DEMO, 'README.md'), 'utf8')));
+    expect(content('README.md')).toContain('### morning_metrics_brief\n- **Schedule:** 7:00 AM daily');
+
+    const minimal = renderSetupFiles(await configFor('founder', 'minimal')).map((file: any) => file.path);
+    expect(minimal).not.toContain('README.md');
+    expect(minimal.some((file: string) => file.startsWith('automations'))).toBe(false);
+  });
+
+  it('lays out the tree from the wizard and undoes it', async () => {
+    const superclaw = (args: string[]) => spawnSync('node', ['bin/superclaw.js', ...args], { input: '', env: { ...process.env, HOME: root } });
+    const workspace = path.join(root, 'clawd');
+
+    const run = superclaw(['wizard', '--role', 'student', '--goals', 'research_organization,deadline_tracking', '--tools', 'calendar',
+      '--experience', 'beginner', '--yes', '--skip-checks', '--scaffold', 'full']);
+    expect(run.status).toBe(0);
+    for (const dir of ['config', 'automations', 'workflows', 'integrations', 'docs', 'logs']) {
+      expect((await fs.stat(path.join(workspace, dir))).isDirectory()).toBe(true);
+    }
+    expect(await fs.pathExists(path.join(workspace, 'automations', 'research-pipeline.yaml'))).toBe(true);
+
+    expect(superclaw(['wizard', 'undo']).status).toBe(0);
+    expect(await fs.pathExists(path.join(workspace, 'logs'))).toBe(false);
+    expect(await fs.pathExists(path.join(workspace, 'README.md'))).toBe(false);
+
+    const refused = superclaw(['wizard', '--role', 'student', '--yes', '--skip-checks', '--scaffold', 'everything']);
+    expect(refused.status).toBe(1);
+    expect(refused.stderr.toString()).toContain('Unknown scaffold "everything". Expected one of: minimal, full');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { parseSchedule, describeSchedule, scheduleSettings } = require('../lib/schedule');
+const { loadTemplate, checkTemplateFile, initTemplate } = require('../lib/templates');
+const { renderSetupFiles } = require('../lib/setup');
+
+const BERLIN = { timezone: 'Europe/Berlin', workingDays: ['mon', 'tue', 'wed', 'thu', 'fri'] };
+
+describe('automation schedules', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-schedule-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('parses times, days, cadences and events into triggers', () => {
+    const cron = (text: string) => parseSchedule(text, BERLIN).triggers.flatMap((trigger: any) => trigger.cron || []);
+
+    expect(cron('8:00 AM daily')).toEqual(['0 8 * * *']);
+    expect(cron('Daily 8:30 AM & 5:00 PM')).toEqual(['30 8 * * *', '0 17 * * *']);
+    expect(cron('Weekly Friday 4:00 PM')).toEqual(['0 16 * * 5']);
+    expect(cron('Weekly Sunday')).toEqual(['0 9 * * 0']);
+    expect(cron('Monthly on the 15th at noon')).toEqual(['0 12 15 * *']);
+    expect(cron('Daily 6:00 AM, Weekly Monday 9:00 AM (deep dive)')).toEqual(['0 6 * * *', '0 9 * * 1']);
+    expect(cron('Daily 6:00 AM, Weekly deep-dive Monday')).toEqual(['0 6 * * *', '0 9 * * 1']);
+
+    expect(parseSchedule('On PR creation', BERLIN)).toEqual({
+      text: 'On PR creation',
+      triggers: [{ kind: 'event', cadence: 'event', event: 'pr_creation', name: 'PR creation' }],
+      cadences: ['event']
+    });
+    expect(parseSchedule('Monthly, 3 days before board meeting', BERLIN).triggers)
+      .toEqual([{ kind: 'event', cadence: 'monthly', event: 'board_meeting', name: 'board meeting', offset: { days: -3 } }]);
+    expect(parseSchedule('On demand', BERLIN).triggers).toEqual([{ kind: 'manual', cadence: 'manual' }]);
+
+    expect(describeSchedule(parseSchedule('Daily 8:30 AM & 5:00 PM', BERLIN), BERLIN))
+      .toBe('Daily at 08:30 and 17:00 (Europe/Berlin)');
+    expect(describeSchedule(parseSchedule('On PR creation', BERLIN), BERLIN)).toBe('On PR creation');
+  });
+
+  it('runs weekday schedules on the configured working days', () => {
+    const settings = scheduleSettings({ timezone: 'Asia/Jerusalem', workingDays: 'sun-thu' });
+    expect(settings.workingDays).toEqual(['sun', 'mon', 'tue', 'wed', 'thu']);
+
+    const parsed = parseSchedule('Weekdays 7:30 AM', settings);
+    expect(parsed.triggers[0].cron).toEqual(['30 7 * * 0,1,2,3,4']);
+    expect(describeSchedule(parsed, settings)).toBe('Daily on working days at 07:30 (Asia/Jerusalem)');
+    expect(parseSchedule('Weekly', settings).triggers[0].days).toEqual(['sun']);
+
+    expect(() => scheduleSettings({ timezone: 'Mars/Olympus_Mons' })).toThrow('Unknown timezone "Mars/Olympus_Mons"');
+    expect(() => scheduleSettings({ workingDays: 'mon-funday' })).toThrow('Unknown working day "mon-funday"');
+  });
+
+  it('reports schedules it cannot read', async () => {
+    expect(() => parseSchedule('Weekly deep dive Monday', BERLIN)).toThrow('unknown word "deep"');
+    expect(() => parseSchedule('Weekly mon-fri', BERLIN)).toThrow('unknown word "mon-fri"');
+    expect(() => parseSchedule('Daily 13:00 PM', BERLIN)).toThrow('invalid time "13:00 PM"');
+    expect(() => parseSchedule('Daily and weekly', BERLIN)).toThrow('mixes daily and weekly');
+
+    const templateDir = await initTemplate('sre', { dir });
+    const config = path.join(templateDir, 'config.yaml');
+    await fs.writeFile(config, (await fs.readFile(config, 'utf8')).replace("'8:00 AM daily'", "'Every other Tuesday'"));
+
+    const { errors } = await checkTemplateFile(templateDir);
+    expect(errors.map((error: any) => `${error.path.join('.')}: ${error.message}`))
+      .toEqual([expect.stringContaining('automations.morning_brief.schedule: unknown word "other"')]);
+  });
+
+  it('builds HEARTBEAT.md sections and schedules.json from the parsed schedules', async () => {
+    const template = await loadTemplate('founder');
+    template.automations.legacy_sync = { schedule: 'Fortnightly-ish' };
+    const files = renderSetupFiles({
+      user: { type: 'founder', roles: ['founder'], goals: [], tools: [], experience: 'advanced', ...BERLIN },
+      template,
+      integrations: {},
+      workspace: { name: 'founder-ai-employee', description: 'AI employee setup for founder' },
+      created: '2026-10-19T00:00:00.000Z'
+    });
+    const content = (file: string) => files.find((entry: any) => entry.path === file).content;
+
+    const heartbeat = content('HEARTBEAT.md');
+    const section = (title: string) => heartbeat.split(`## ${title}`)[1].split('\n## ')[0];
+    expect(section('🔄 Daily Automation Tasks')).toContain('### Competitive Intelligence\n- **When:** Daily at 06:00; weekly on Mon at 09:00 (Europe/Berlin)');
+    expect(section('📊 Weekly Tasks')).toContain('### Competitive Intelligence');
+    expect(section('📅 Monthly/Periodic Tasks')).toContain('- **When:** 3 days before board meeting (monthly)');
+    expect(section('⚠️ Schedules To Fix')).toContain('- **Legacy Sync** ("Fortnightly-ish"): unknown word "Fortnightly-ish"');
+
+    const schedules = JSON.parse(content('schedules.json'));
+    expect(schedules).toMatchObject({ timezone: 'Europe/Berlin', workingDays: BERLIN.workingDays });
+    expect(schedules.jobs).toContainEqual({ automation: 'competitive_intelligence', cron: '0 9 * * 1', timezone: 'Europe/Berlin' });
+    expect(schedules.events).toContainEqual({ automation: 'board_meeting_prep', cadence: 'monthly', event: 'board_meeting', name: 'board meeting', offset: { days: -3 } });
+    expect(schedules.unparsed).toEqual([{ automation: 'legacy_sync', schedule: 'Fortnightly-ish', error: expect.stringContaining('unknown word') }]);
+  });
+
+  it('takes the timezone and working days from flags', () => {
+    const wizard = (extra: string[]) => spawnSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github',
+      '--experience', 'advanced', '--yes', '--skip-checks', '--dry-run', ...extra
+    ], { input: '', env: { ...process.env, HOME: dir } });
+
+    const result = wizard(['--timezone', 'America/New_York', '--working-days', 'mon-thu']);
+    expect(result.status).toBe(0);
+    expect(result.stdout.toString()).toContain('+ morning_brief - Daily at 08:00 (America/New_York)');
+    expect(result.stdout.toString()).toContain('+ code_review_assistant - On PR creation');
+    expect(result.stdout.toString()).toContain('+  "workingDays": [');
+
+    const refused = wizard(['--timezone', 'Nowhere/Special']);
+    expect(refused.status).toBe(1);
+    expect(refused.stderr.toString()).toContain('Unknown timezone "Nowhere/Special"');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { applySkills, revertSkills, formatSkillChanges } = require('../lib/openclaw');
+const { renderSkillsConfigSnippet } = require('../lib/setup');
+const { loadTemplate } = require('../lib/templates');
+
+const USER_CONFIG = `// OpenClaw config, edited by hand
+{
+  gateway: { port: 18789 },
+  skills: {
+    entries: {
+      github: { enabled: false, apiKey: 'ghp_kept', },
+      weather: { enabled: true },
+    },
+  },
+}
+`;
+
+const ROLE_SKILLS = { skills: { entries: { github: { enabled: true }, notion: { enabled: true, workspace: 'acme' } } } };
+
+describe('applying skills to the OpenClaw config', () => {
+  let root: string;
+  let home: string;
+  let configPath: string;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-skills-'));
+    home = path.join(root, '.superclaw');
+    configPath = path.join(root, '.openclaw', 'openclaw.json');
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('deep-merges skill entries into a JSON5 config and keeps user keys', async () => {
+    await fs.outputFile(configPath, USER_CONFIG);
+
+    const applied = await applySkills(ROLE_SKILLS, { configPath, home });
+
+    expect(applied.written).toBe(true);
+    expect(await fs.readJson(configPath)).toEqual({
+      gateway: { port: 18789 },
+      skills: {
+        entries: {
+          github: { enabled: true, apiKey: 'ghp_kept' },
+          weather: { enabled: true },
+          notion: { enabled: true, workspace: 'acme' }
+        }
+      }
+    });
+    expect(applied.changes).toEqual([
+      { skill: 'github', change: 'enabled', keys: [{ key: 'enabled', from: false, to: true }] },
+      { skill: 'notion', change: 'added', keys: [{ key: 'enabled', to: true }, { key: 'workspace', to: 'acme' }] }
+    ]);
+    expect(formatSkillChanges(applied.changes)).toEqual(['+ github (enabled)', '    enabled: false -> true', '+ notion (added)']);
+
+    // Applying again changes nothing, so no backup is taken
+    const again = await applySkills(ROLE_SKILLS, { configPath, home });
+    expect(again).toMatchObject({ written: false, backup: null });
+    expect(again.changes.map((entry: any) => entry.change)).toEqual(['unchanged', 'unchanged']);
+  });
+
+  it('leaves the config intact when writing it fails', async () => {
+    await fs.outputFile(configPath, USER_CONFIG);
+    const fsExtra = require('fs-extra');
+    const rename = fsExtra.rename;
+    const spy = jest.spyOn(fsExtra, 'rename').mockImplementation(async (from: any, to: any) => {
+      if (to === configPath) {
+        throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC' });
+      }
+      return rename(from, to);
+    });
+
+    await expect(applySkills(ROLE_SKILLS, { configPath, home })).rejects.toThrow('ENOSPC');
+    spy.mockRestore();
+
+    expect(await fs.readFile(configPath, 'utf8')).toBe(USER_CONFIG);
+    expect(await fs.readdir(path.dirname(configPath))).toEqual(['openclaw.json']);
+    const [backup] = await fs.readdir(path.join(home, 'backups', 'openclaw'));
+    expect((await fs.readJson(path.join(home, 'backups', 'openclaw', backup))).previous).toBe(USER_CONFIG);
+  });
+
+  it('reports configs it cannot parse without touching them', async () => {
+    await fs.outputFile(configPath, '{ skills: [');
+
+    await expect(applySkills(ROLE_SKILLS, { configPath, home })).rejects.toThrow(`Cannot parse ${configPath}`);
+    expect(await fs.readFile(configPath, 'utf8')).toBe('{ skills: [');
+  });
+
+  it('reverts to the backup, refusing to discard later edits without force', async () => {
+    await fs.outputFile(configPath, USER_CONFIG);
+    await applySkills(ROLE_SKILLS, { configPath, home });
+
+    await fs.appendFile(configPath, ' ');
+    await expect(revertSkills({ home })).rejects.toThrow('changed since the skills were applied');
+
+    expect(await revertSkills({ home, force: true })).toMatchObject({ configPath, removed: false });
+    expect(await fs.readFile(configPath, 'utf8')).toBe(USER_CONFIG);
+    await expect(revertSkills({ home })).rejects.toThrow('No OpenClaw config backup to restore');
+  });
+
+  it('writes the skills snippet as valid JSON', async () => {
+    const template = await loadTemplate('engineer');
+    const snippet = JSON.parse(renderSkillsConfigSnippet({ template }));
+
+    expect(snippet.skills.entries.github).toEqual({ enabled: true });
+  });
+
+  it('applies from the wizard and reverts with `superclaw skills revert`', async () => {
+    const env = { ...process.env, HOME: root, SUPERCLAW_HOME: home };
+    const superclaw = (args: string[]) => spawnSync('node', ['bin/superclaw.js', ...args], { input: '', env });
+    const wizard = ['wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github',
+      '--experience', 'advanced', '--yes', '--skip-checks', '--apply'];
+    await fs.outputFile(configPath, USER_CONFIG);
+
+    const preview = superclaw([...wizard, '--dry-run', '--json']);
+    expect(preview.status).toBe(0);
+    expect(JSON.parse(preview.stdout.toString())).toMatchObject({ openclaw: { configPath, written: false } });
+    expect(await fs.readFile(configPath, 'utf8')).toBe(USER_CONFIG);
+
+    const run = superclaw(wizard);
+    expect(run.status).toBe(0);
+    expect(run.stdout.toString()).toContain('+ github (enabled)');
+    expect((await fs.readJson(configPath)).skills.entries.github).toEqual({ enabled: true, apiKey: 'ghp_kept' });
+
+    const reverted = superclaw(['skills', 'revert']);
+    expect(reverted.status).toBe(0);
+    expect(reverted.stdout.toString()).toContain(`Restored ${configPath}`);
+    expect(await fs.readFile(configPath, 'utf8')).toBe(USER_CONFIG);
+
+    const nothingLeft = superclaw(['skills', 'revert']);
+    expect(nothingLeft.status).toBe(1);
+    expect(nothingLeft.stderr.toString()).toContain('No OpenClaw config backup to restore');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,130 @@
+import { execFileSync, spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { composeTemplates, extendTemplate } = require('../lib/compose');
+const { checkTemplateFile, loadRoleTemplates } = require('../lib/templates');
+const { getQuestions } = require('../lib/questions');
+const { resolveAnswers } = require('../lib/answers');
+
+const STAFF_ENGINEER = `extends: engineer
+name: Staff Engineer
+skills:
+  entries:
+    tmux: null
+    linear:
+      enabled: true
+automations:
+  oss_contribution_tracker: null
+  morning_brief:
+    schedule: '7:30 AM daily'
+workflows:
+  - name: Incident Follow-up
+    trigger: incident_closed
+    actions: [collect_timeline]
+`;
+
+describe('template inheritance and composition', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-compose-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('deep-merges a child template onto the role it extends', async () => {
+    await fs.outputFile(path.join(dir, 'staff', 'config.yaml'), STAFF_ENGINEER);
+
+    const { errors, template } = await checkTemplateFile(path.join(dir, 'staff'));
+
+    expect(errors).toEqual([]);
+    expect(template.name).toBe('Staff Engineer');
+    expect(template.description).toBe('Automate code reviews, OSS tracking, and technical learning');
+    expect(Object.keys(template.skills.entries)).toEqual(['github', 'slack', 'notion', 'coding-agent', 'linear']);
+    expect(Object.keys(template.automations)).toEqual(['morning_brief', 'code_review_assistant']);
+    expect(template.automations.morning_brief.schedule).toBe('7:30 AM daily');
+    expect(template.automations.morning_brief.includes).toContain('pr_reviews_pending');
+    expect(template.workflows.map((workflow: any) => workflow.name)).toEqual([
+      'Automated Code Reviews', 'Tech Learning Path', 'Incident Follow-up'
+    ]);
+  });
+
+  it('reports problems in extending templates against the right file', async () => {
+    await fs.outputFile(path.join(dir, 'staff', 'config.yaml'), STAFF_ENGINEER);
+    await fs.writeFile(path.join(dir, 'lead.yaml'), 'extends: ./staff\nautomations:\n  morning_brief:\n    schedule: 5\n');
+    await fs.writeFile(path.join(dir, 'loop.yaml'), 'extends: ./loop.yaml\n');
+
+    const { errors } = await checkTemplateFile(path.join(dir, 'lead.yaml'));
+    expect(errors).toEqual([
+      { path: ['automations', 'morning_brief', 'schedule'], message: 'must be a non-empty string, got number', line: 4, column: 5 }
+    ]);
+    await expect(checkTemplateFile(path.join(dir, 'loop.yaml'))).rejects.toThrow('Template inheritance cycle');
+  });
+
+  it('unions list skills and lets child keys replace lists', () => {
+    const merged = extendTemplate(
+      { name: 'a', skills: ['github', 'slack'], goals: ['x', 'y'] },
+      { skills: ['slack', 'notion'], goals: ['z'] }
+    );
+
+    expect(merged.skills).toEqual(['github', 'slack', 'notion']);
+    expect(merged.goals).toEqual(['z']);
+  });
+
+  it('composes roles with de-duplicated skills and explicit conflict resolution', async () => {
+    const founderEngineer = await loadRoleTemplates(['founder', 'engineer']);
+    expect(founderEngineer.conflicts).toEqual([]);
+    expect(founderEngineer.template.name).toBe('Startup Founder + Software Engineer');
+    expect(Object.keys(founderEngineer.template.skills.entries).filter((skill: string) => skill === 'github')).toHaveLength(1);
+
+    const unresolved = await loadRoleTemplates(['engineer', 'student']);
+    expect(unresolved.conflicts).toEqual([
+      { id: 'automations.morning_brief', roles: ['engineer', 'student'], options: ['engineer', 'student', 'both'] }
+    ]);
+
+    const both = await loadRoleTemplates(['engineer', 'student'], { resolutions: { morning_brief: 'both' } });
+    expect(Object.keys(both.template.automations)).toEqual(expect.arrayContaining(['morning_brief_engineer', 'morning_brief_student']));
+
+    const student = await loadRoleTemplates(['engineer', 'student'], { resolutions: { 'automations.morning_brief': 'student' } });
+    expect(student.conflicts).toEqual([]);
+    expect(student.template.automations.morning_brief.includes).toContain('assignment_deadlines');
+
+    expect(() => composeTemplates([
+      { role: 'a', template: { skills: [], automations: { x: { schedule: '1' } } } },
+      { role: 'b', template: { skills: [], automations: { x: { schedule: '2' } } } }
+    ], { x: 'c' })).toThrow('Invalid resolution "c" for automations.x. Expected one of: a, b, both');
+  });
+
+  it('offers goals from every chosen role', () => {
+    const { answers, missing } = resolveAnswers(getQuestions(), {
+      userType: 'founder',
+      additionalRoles: ['engineer'],
+      goals: 'metrics,code_reviews'
+    });
+
+    expect(answers.goals).toEqual(['metrics', 'code_reviews']);
+    expect(missing.filter((question: any) => !question.followUp).map((question: any) => question.name))
+      .toEqual(['tools', 'experience', 'proceed']);
+    // Which follow-ups apply depends on the tools, so they are left to the prompt
+    expect(missing.filter((question: any) => question.followUp).map((question: any) => question.name))
+      .toContain('integrations.github.repos');
+  });
+
+  it('requires conflicts to be resolved when running non-interactively', () => {
+    const args = ['bin/superclaw.js', 'wizard', '--role', 'engineer,student', '--goals', 'code_reviews',
+      '--tools', 'github', '--experience', 'advanced', '--yes', '--skip-checks', '--dry-run', '--json'];
+    const env = { ...process.env, HOME: dir };
+
+    const failed = spawnSync('node', args, { input: '', env });
+    expect(failed.status).toBe(1);
+    expect(failed.stderr.toString()).toContain('automations.morning_brief (engineer|student|both)');
+
+    const plan = JSON.parse(execFileSync('node', [...args, '--resolve', 'morning_brief=both'], { input: '', env }).toString());
+    const heartbeat = plan.files.find((file: any) => file.path === 'HEARTBEAT.md');
+    expect(heartbeat.diff).toContain('### Morning Brief Student');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { applyGoals } = require('../lib/goals');
+const { getQuestions } = require('../lib/questions');
+const { checkTemplateFile, describeTemplates, initTemplate, loadTemplate } = require('../lib/templates');
+
+describe('goal-driven templates', () => {
+  let root: string;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-goals-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('prunes the items of goals that were not chosen', async () => {
+    const { template, inclusions } = applyGoals(await loadTemplate('engineer'), ['oss_tracking'], 'engineer');
+
+    expect(Object.keys(template.automations)).toEqual(['morning_brief', 'oss_contribution_tracker']);
+    expect(template.workflows.map((workflow: any) => workflow.name)).not.toContain('Automated Code Reviews');
+    expect(Object.keys(template.skills.entries)).not.toContain('tmux');
+    expect(inclusions.find((entry: any) => entry.name === 'code_review_assistant'))
+      .toMatchObject({ kind: 'automation', included: false, goals: ['code_reviews'], chosen: [] });
+    expect(inclusions.find((entry: any) => entry.name === 'morning_brief'))
+      .toMatchObject({ included: true, goals: [] });
+  });
+
+  it('rejects goal maps that name undefined items', async () => {
+    const templateDir = await initTemplate('sre', { dir: root });
+    await fs.appendFile(path.join(templateDir, 'config.yaml'), [
+      '',
+      'goal_map:',
+      '  paging:',
+      '    checked: yes please',
+      '    automations: [pager_digest]',
+      ''
+    ].join('\n'));
+
+    const { errors } = await checkTemplateFile(templateDir);
+    const messages = errors.map((error: any) => `${error.path.join('.')}: ${error.message}`);
+
+    expect(messages).toEqual(expect.arrayContaining([
+      'goal_map.paging.checked: must be true or false',
+      expect.stringContaining('goal_map.paging.automations.0: "pager_digest" is not defined in automations')
+    ]));
+  });
+
+  it('offers the goals a template declares', async () => {
+    const home = path.join(root, '.superclaw');
+    const templateDir = await initTemplate('sre', { home });
+    await fs.appendFile(path.join(templateDir, 'config.yaml'), [
+      '',
+      'goal_map:',
+      '  paging:',
+      '    label: Keep on-call quiet',
+      '    automations: [morning_brief]',
+      '  postmortems:',
+      '    checked: false',
+      ''
+    ].join('\n'));
+
+    const templates = await describeTemplates({ home });
+    const goals = getQuestions('sre', templates).find((question: any) => question.name === 'goals');
+
+    expect(goals.choices({})).toEqual([
+      { name: 'Keep on-call quiet', value: 'paging', checked: false },
+      { name: 'Postmortems', value: 'postmortems', checked: false }
+    ]);
+  });
+
+  it('explains in dry runs why each automation was included and focuses AGENTS.md on the chosen goals', () => {
+    const result = spawnSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'founder', '--goals', 'metrics,investors', '--tools', 'slack',
+      '--experience', 'intermediate', '--yes', '--skip-checks', '--dry-run'
+    ], { input: '', env: { ...process.env, HOME: root } });
+    const output = result.stdout.toString();
+
+    expect(result.status).toBe(0);
+    expect(output).toContain('morning_metrics_brief - for goal metrics');
+    expect(output).toContain('board_meeting_prep - for goal investors');
+    expect(output).toContain('team_pulse_check - skipped: only for goal team');
+    expect(output).toContain('weather - always included (not tied to a goal)');
+    expect(output).toContain('+- **Generate investor updates**: Investor Update Automation, Board Meeting Prep');
+    expect(output).not.toContain('### Team Pulse Check');
+  });
+});
\ No newline at end of file
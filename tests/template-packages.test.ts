@@ -0,0 +1,123 @@
+import { execFileSync, spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { addPackage, updatePackages, removePackage, listInstalled, hashDirectory } = require('../lib/packages');
+const { initTemplate, loadTemplate } = require('../lib/templates');
+
+describe('template packages', () => {
+  let root: string;
+  let home: string;
+  let work: string;
+  let bare: string;
+
+  function git(args: string[], cwd = work) {
+    return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd, stdio: 'pipe' })
+      .toString().trim();
+  }
+
+  async function release(version: string, tag: string) {
+    const config = path.join(work, 'config.yaml');
+    await fs.writeFile(config, (await fs.readFile(config, 'utf8')).replace(/^version: .*$/m, `version: '${version}'`));
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', `Release ${version}`]);
+    git(['tag', tag]);
+    git(['push', '-q', 'origin', 'HEAD', '--tags']);
+  }
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-packages-'));
+    home = path.join(root, 'home', '.superclaw');
+
+    // A template package published to a local bare repository
+    work = await initTemplate('sre', { dir: path.join(root, 'src') });
+    await fs.outputFile(path.join(work, 'files', 'runbook.md'), '# Runbook\n');
+    bare = path.join(root, 'sre.git');
+    git(['init', '-q', '--bare', bare], root);
+    git(['init', '-q']);
+    git(['remote', 'add', 'origin', bare]);
+    await release('1.0.0', 'v1.0.0');
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('installs from a bare git repository and records version and checksum', async () => {
+    const installed = await addPackage(`${bare}#v1.0.0`, { home });
+
+    expect(installed).toMatchObject({
+      role: 'sre',
+      type: 'git',
+      source: `git+file://${bare}#v1.0.0`,
+      version: '1.0.0',
+      commit: git(['rev-parse', 'HEAD'])
+    });
+    expect(installed.checksum).toBe(await hashDirectory(path.join(home, 'templates', 'sre')));
+    expect(await fs.pathExists(path.join(home, 'templates', 'sre', 'files', 'runbook.md'))).toBe(true);
+    expect(await fs.pathExists(path.join(home, 'templates', 'sre', '.git'))).toBe(false);
+    expect((await loadTemplate('sre', { home })).name).toBe('Sre');
+    expect((await listInstalled({ home })).map((entry: any) => entry.role)).toEqual(['sre']);
+  });
+
+  it('installs a tarball under its package name', async () => {
+    const tarball = path.join(root, 'sre-1.0.0.tgz');
+    execFileSync('tar', ['-czf', tarball, '-C', path.dirname(work), '--exclude=.git', 'sre']);
+
+    const installed = await addPackage(tarball, { home });
+
+    expect(installed).toMatchObject({ role: 'sre', type: 'tarball', version: '1.0.0', commit: null });
+    await expect(addPackage(tarball, { home })).rejects.toThrow('already exists');
+    expect((await addPackage(tarball, { home, name: 'oncall' })).role).toBe('oncall');
+  });
+
+  it('refuses packages that fail validation', async () => {
+    const broken = path.join(root, 'broken');
+    await fs.outputFile(path.join(broken, 'config.yaml'), 'name: Broken\n');
+
+    await expect(addPackage(broken, { home })).rejects.toThrow('description: is required');
+    await expect(addPackage(path.join(root, 'missing'), { home })).rejects.toThrow('Template package not found');
+    expect(await fs.pathExists(path.join(home, 'templates', 'broken'))).toBe(false);
+  });
+
+  it('updates from the recorded source and removes installed packages', async () => {
+    await addPackage(bare, { home });
+    await release('1.1.0', 'v1.1.0');
+
+    const [updated] = await updatePackages(undefined, { home });
+    expect(updated).toMatchObject({ role: 'sre', status: 'updated', previousVersion: '1.0.0', version: '1.1.0' });
+    expect((await updatePackages('sre', { home }))[0].status).toBe('unchanged');
+
+    await fs.appendFile(path.join(home, 'templates', 'sre', 'README.md'), 'local notes\n');
+    await expect(updatePackages('sre', { home })).rejects.toThrow('was edited since it was installed');
+
+    await removePackage('sre', { home });
+    expect(await fs.pathExists(path.join(home, 'templates', 'sre'))).toBe(false);
+    expect(await listInstalled({ home })).toEqual([]);
+    await expect(removePackage('engineer', { home })).rejects.toThrow('was not installed');
+  });
+
+  it('pins the template version that produced a workspace', async () => {
+    const env = { ...process.env, HOME: path.join(root, 'home'), SUPERCLAW_HOME: home };
+    const superclaw = (args: string[]) => spawnSync('node', ['bin/superclaw.js', ...args], { input: '', env });
+    const wizard = ['wizard', '--role', 'sre', '--goals', 'automation', '--tools', 'gmail', '--experience', 'advanced', '--yes', '--skip-checks'];
+
+    expect(superclaw(['template', 'add', bare]).status).toBe(0);
+    expect(superclaw(wizard).status).toBe(0);
+
+    const lockfile = path.join(root, 'home', 'clawd', 'superclaw-lock.json');
+    const lock = await fs.readJson(lockfile);
+    expect(lock.templates.sre).toMatchObject({ source: 'user', version: '1.0.0', resolved: `git+file://${bare}` });
+
+    await release('2.0.0', 'v2.0.0');
+    expect(superclaw(['template', 'update', 'sre']).status).toBe(0);
+
+    const refused = superclaw(wizard);
+    expect(refused.status).toBe(1);
+    expect(refused.stderr.toString()).toContain('sre is pinned at v1.0.0');
+
+    expect(superclaw([...wizard, '--update-lock']).status).toBe(0);
+    expect((await fs.readJson(lockfile)).templates.sre.version).toBe('2.0.0');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,104 @@
+import { execFileSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { scanTemplates } = require('../lib/registry');
+const { checkTemplateFile, describeTemplates, initTemplate, loadTemplate } = require('../lib/templates');
+const { getQuestions } = require('../lib/questions');
+
+describe('template registry', () => {
+  let root: string;
+  let home: string;
+  let cwd: string;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-registry-'));
+    home = path.join(root, 'home', '.superclaw');
+    cwd = path.join(root, 'project');
+    await fs.ensureDir(cwd);
+  });
+
+  afterEach(async () => {
+    await fs.remove(root);
+  });
+
+  it('discovers built-in, user, project and path templates with precedence', async () => {
+    await initTemplate('sre', { home });
+    await initTemplate('engineer', { home, extends: 'engineer' });
+    await initTemplate('designer', { dir: path.join(cwd, '.superclaw', 'templates') });
+    await initTemplate('pm', { dir: path.join(root, 'elsewhere') });
+
+    const templates = await scanTemplates({ home, cwd, templatePaths: [path.join(root, 'elsewhere', 'pm')] });
+    const sources = Object.fromEntries(templates.map((entry: any) => [entry.role, entry.source]));
+
+    expect(sources).toEqual({
+      creator: 'builtin',
+      designer: 'project',
+      engineer: 'user',
+      founder: 'builtin',
+      pm: 'path',
+      sre: 'user',
+      student: 'builtin'
+    });
+    expect(templates.find((entry: any) => entry.role === 'engineer').shadows).toEqual(['builtin']);
+  });
+
+  it('lets a user template extend the built-in role it shadows', async () => {
+    const dir = await initTemplate('engineer', { home, extends: 'engineer' });
+
+    const template = await loadTemplate('engineer', { home, cwd });
+
+    expect(template.name).toBe('Engineer');
+    expect(template.automations.code_review_assistant).toBeDefined();
+    expect(dir).toBe(path.join(home, 'templates', 'engineer'));
+  });
+
+  it('describes templates for wizard list', async () => {
+    await initTemplate('sre', { home });
+    await fs.outputFile(path.join(home, 'templates', 'broken', 'config.yaml'), 'name: Broken\n');
+
+    const described = await describeTemplates({ home, cwd });
+    const sre = described.find((entry: any) => entry.role === 'sre');
+    const engineer = described.find((entry: any) => entry.role === 'engineer');
+
+    expect(sre).toMatchObject({ name: 'Sre', source: 'user', version: '0.1.0', skills: ['github', 'notion'], automations: 1, errors: [] });
+    expect(engineer).toMatchObject({ source: 'builtin', version: '1.0.0', automations: 3 });
+    expect(described.find((entry: any) => entry.role === 'broken').errors.length).toBeGreaterThan(0);
+  });
+
+  it('offers registry roles in the role question', async () => {
+    await initTemplate('sre', { home });
+    const templates = (await describeTemplates({ home, cwd })).filter((entry: any) => !entry.errors.length);
+
+    const [roleQuestion] = getQuestions(undefined, templates);
+    const values = roleQuestion.choices.map((choice: any) => choice.value);
+
+    expect(values).toEqual(['creator', 'engineer', 'founder', 'sre', 'student']);
+    expect(roleQuestion.choices.find((choice: any) => choice.value === 'sre').name).toContain('Sre');
+  });
+
+  it('scaffolds valid templates and refuses to overwrite', async () => {
+    const dir = await initTemplate('site-reliability', { home });
+
+    expect((await checkTemplateFile(dir)).errors).toEqual([]);
+    expect(await fs.readFile(path.join(dir, 'README.md'), 'utf8')).toContain('# Site Reliability Template');
+    await expect(initTemplate('site-reliability', { home })).rejects.toThrow('already exists');
+    await expect(initTemplate('Bad Name', { home })).rejects.toThrow('Invalid template name "Bad Name"');
+    await expect(initTemplate('x', { home, extends: 'pirate' })).rejects.toThrow('Cannot extend unknown role "pirate"');
+  });
+
+  it('lists and runs user templates from the CLI', async () => {
+    const env = { ...process.env, HOME: path.join(root, 'home') };
+    execFileSync('node', ['bin/superclaw.js', 'template', 'init', 'sre'], { env });
+
+    const listed = JSON.parse(execFileSync('node', ['bin/superclaw.js', 'wizard', 'list', '--json'], { env }).toString());
+    expect(listed.map((entry: any) => entry.role)).toContain('sre');
+
+    const plan = JSON.parse(execFileSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'sre', '--goals', 'automation', '--tools', 'gmail',
+      '--experience', 'advanced', '--yes', '--skip-checks', '--dry-run', '--json'
+    ], { input: '', env }).toString());
+    expect(plan.files.map((file: any) => file.path)).toContain('templates/sre-automation-template.json');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,160 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { renderTemplate, compileTemplate } = require('../lib/render');
+const { renderSetupFiles } = require('../lib/setup');
+const { checkTemplateFile, initTemplate, loadTemplate, loadTemplateFile } = require('../lib/templates');
+
+function configFor(template: any) {
+  return {
+    user: { type: 'sre', roles: ['sre'], goals: ['automation'], tools: ['gmail', 'github'], experience: 'advanced' },
+    template,
+    integrations: { email: { provider: 'gmail' } },
+    workspace: { name: 'sre-ai-employee', description: 'AI employee setup for sre' },
+    created: '2026-10-20T00:00:00.000Z'
+  };
+}
+
+describe('template rendering', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-render-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('supports conditionals, loops, filters and partials', () => {
+    const source = [
+      '# {{ name | title }}',
+      '{{#each tools as tool}}',
+      '- {{ tool | upper }}{{#if @last}} (last){{/if}}',
+      '{{/each}}',
+      '{{#each integrations as name, integration}}',
+      '{{ name }}: {{ integration.provider | default "custom" }}',
+      '{{else}}',
+      'no integrations',
+      '{{/each}}',
+      '{{#if tools contains "github"}}',
+      '  {{> github}}',
+      '{{/if}}',
+      '{{#if not experience == "beginner"}}',
+      'Skips the basics ({{ goals | join " / " }})',
+      '{{/if}}',
+      ''
+    ].join('\n');
+
+    const output = renderTemplate(source, {
+      name: 'on_call',
+      tools: ['gmail', 'github'],
+      integrations: { email: { provider: 'gmail' }, github: {} },
+      goals: ['automation', 'insights'],
+      experience: 'advanced'
+    }, { partials: { github: 'Watch {{ tools | length }} tools\nand PRs\n' } });
+
+    expect(output).toBe([
+      '# On Call',
+      '- GMAIL',
+      '- GITHUB (last)',
+      'email: gmail',
+      'github: custom',
+      '  Watch 2 tools',
+      '  and PRs',
+      'Skips the basics (automation / insights)',
+      ''
+    ].join('\n'));
+  });
+
+  it('reports undefined values and syntax errors with their line', () => {
+    expect(() => renderTemplate('ok\n{{ automation.owner }}', { automation: {} }, { file: 'AGENTS.md' }))
+      .toThrow('AGENTS.md:2: "automation.owner" is undefined');
+    expect(() => renderTemplate('{{ skills }}', { skills: ['github'] })).toThrow('is a list');
+    expect(() => renderTemplate('{{ toString }}', {})).toThrow('"toString" is undefined');
+    expect(() => compileTemplate('{{#if a}}\n{{#each b as c}}\n{{/if}}', 'T.md')).toThrow('T.md:3: unexpected {{/if}}: expected {{/each}} for line 2');
+    expect(() => compileTemplate('{{ a | shout }}', 'T.md')).toThrow('unknown filter "shout"');
+    expect(() => renderTemplate('{{> missing}}', {}, { file: 'T.md' })).toThrow('unknown partial "missing"');
+  });
+
+  it('renders files a template ships and lets it replace the default layouts', async () => {
+    const templateDir = await initTemplate('sre', { dir });
+    await fs.outputFile(path.join(templateDir, 'files', 'AGENTS.md'), [
+      '# {{ template.name }} on call',
+      '{{#each automations as automation}}',
+      '- {{ automation.title }} ({{ automation.cadence }})',
+      '{{/each}}',
+      '{{> escalation}}',
+      ''
+    ].join('\n'));
+    await fs.outputFile(path.join(templateDir, 'files', 'runbook.md'), 'Page {{ role }} first\n');
+    await fs.appendFile(path.join(templateDir, 'config.yaml'), [
+      '',
+      'files:',
+      '  - path: AGENTS.md',
+      '    source: files/AGENTS.md',
+      '    isTemplate: true',
+      '  - path: docs/runbook.md',
+      '    source: files/runbook.md',
+      '    isTemplate: true',
+      '  - path: docs/raw.md',
+      '    content: "{{ kept as is }}"',
+      'partials:',
+      '  escalation: "Escalate after {{ template.escalation_minutes }} minutes"',
+      'escalation_minutes: 15',
+      ''
+    ].join('\n'));
+
+    const files = renderSetupFiles(configFor(await loadTemplateFile(templateDir)));
+    const byPath = Object.fromEntries(files.map((file: any) => [file.path, file]));
+
+    expect(byPath['AGENTS.md']).toMatchObject({ managed: true });
+    expect(byPath['AGENTS.md'].content).toBe('# Sre on call\n- Morning Brief (daily)\nEscalate after 15 minutes\n');
+    expect(byPath['HEARTBEAT.md'].content).toContain('# HEARTBEAT.md - Sre Automation');
+    expect(byPath[path.join('docs', 'runbook.md')]).toMatchObject({ content: 'Page sre first\n', managed: false });
+    expect(byPath[path.join('docs', 'raw.md')].content).toBe('{{ kept as is }}');
+  });
+
+  it('uses partials from built-in templates and no longer prints undefined', async () => {
+    const files = renderSetupFiles(configFor(await loadTemplate('student')));
+    const [agents, heartbeat] = files;
+
+    expect(agents.content).toContain('- Deadlines within 48 hours with little recorded progress');
+    expect(agents.content).not.toContain('runway');
+    expect(heartbeat.content).toContain('### Deadline Tracker');
+    expect(heartbeat.content).not.toContain('undefined');
+  });
+
+  it('validates template files when the template is checked', async () => {
+    const templateDir = await initTemplate('broken', { dir });
+    await fs.outputFile(path.join(templateDir, 'files', 'AGENTS.md'), '{{#if role}}\nunclosed\n');
+    await fs.appendFile(path.join(templateDir, 'config.yaml'), [
+      '',
+      'files:',
+      '  - path: AGENTS.md',
+      '    source: files/AGENTS.md',
+      '    isTemplate: true',
+      '  - path: ../outside.md',
+      '    content: nope',
+      '  - path: notes.md',
+      '    source: files/missing.md',
+      ''
+    ].join('\n'));
+
+    const { errors } = await checkTemplateFile(templateDir);
+    const messages = errors.map((error: any) => `${error.path.join('.')}: ${error.message}`);
+
+    expect(messages).toEqual(expect.arrayContaining([
+      'files.0.source: line 1: {{#if}} is never closed',
+      'files.2.source: file not found: files/missing.md',
+      'files.1.path: must be a relative path inside the workspace (and outside .superclaw/)'
+    ]));
+    expect(errors.find((error: any) => error.path.join('.') === 'files.2.source').line).toBeGreaterThan(0);
+
+    const result = spawnSync('node', ['bin/superclaw.js', 'template', 'validate', templateDir]);
+    expect(result.status).toBe(1);
+    expect(result.stderr.toString()).toContain('files.0.source: line 1: {{#if}} is never closed');
+  });
+});
\ No newline at end of file
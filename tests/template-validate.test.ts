@@ -0,0 +1,83 @@
+import { spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { checkTemplateFile, getInlineTemplate, loadTemplate, loadTemplateFile, listBuiltinRoles } = require('../lib/templates');
+
+const BROKEN = `name: Broken
+description: A broken template
+skills:
+  entries:
+    github:
+      enabled: yes please
+automations:
+  morning_brief:
+    schedul: '8:00 AM'
+workflows:
+  - name: Reviews
+    trigger: pr_opened
+  - name: Other
+    trigger: daily
+    actions: []
+`;
+
+describe('template validation', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-template-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('accepts every built-in template', async () => {
+    const roles = await listBuiltinRoles();
+
+    expect(roles).toEqual(['creator', 'engineer', 'founder', 'student']);
+    for (const role of roles) {
+      expect((await loadTemplate(role)).name).toBeTruthy();
+    }
+  });
+
+  it('reports schema errors with line and column', async () => {
+    await fs.writeFile(path.join(dir, 'config.yaml'), BROKEN);
+
+    const { file, errors } = await checkTemplateFile(dir);
+
+    expect(file).toBe(path.join(dir, 'config.yaml'));
+    expect(errors).toEqual([
+      { path: ['skills', 'entries', 'github', 'enabled'], message: 'must be true or false', line: 6, column: 7 },
+      { path: ['automations', 'morning_brief', 'schedule'], message: 'is required', line: 8, column: 3 },
+      { path: ['workflows', 0, 'actions'], message: 'is required', line: 11, column: 3 },
+      { path: ['workflows', 1, 'actions'], message: 'must not be empty', line: 15, column: 5 }
+    ]);
+    await expect(loadTemplateFile(dir)).rejects.toThrow(`${path.join(dir, 'config.yaml')}:8:3 automations.morning_brief.schedule: is required`);
+  });
+
+  it('reports YAML syntax errors instead of falling back', async () => {
+    const file = path.join(dir, 'config.yaml');
+    await fs.writeFile(file, 'name: x\n  bad: [\n');
+
+    await expect(loadTemplateFile(file)).rejects.toThrow(`${file}:2:6 bad indentation`);
+  });
+
+  it('fails for unknown roles', async () => {
+    await expect(loadTemplate('pirate')).rejects.toThrow('No template for role "pirate". Available roles: creator, engineer, founder, student');
+    expect(() => getInlineTemplate('pirate')).toThrow('No inline template for role "pirate"');
+  });
+
+  it('validates from the CLI', async () => {
+    await fs.writeFile(path.join(dir, 'config.yaml'), BROKEN);
+
+    const invalid = spawnSync('node', ['bin/superclaw.js', 'template', 'validate', dir]);
+    expect(invalid.status).toBe(1);
+    expect(invalid.stderr.toString()).toContain('config.yaml:6:7 skills.entries.github.enabled: must be true or false');
+
+    const valid = spawnSync('node', ['bin/superclaw.js', 'template', 'validate', 'examples/templates/engineer']);
+    expect(valid.status).toBe(0);
+    expect(valid.stdout.toString()).toContain('is a valid template');
+  });
+});
\ No newline at end of file
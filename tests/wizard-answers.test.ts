@@ -0,0 +1,102 @@
+import { execFileSync, spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { getUserPreferences } = require('../lib/wizard');
+
+const noTTY = { isTTY: false };
+
+describe('non-interactive wizard answers', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-answers-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('answers every question from flags', async () => {
+    const answers = await getUserPreferences('founder', {
+      goals: 'metrics,investors',
+      tools: 'gmail, slack',
+      experience: 'advanced',
+      yes: true,
+      stdin: noTTY
+    });
+
+    expect(answers).toEqual({
+      userType: 'founder',
+      additionalRoles: [],
+      goals: ['metrics', 'investors'],
+      tools: ['gmail', 'slack'],
+      // Unasked tool follow-ups take their defaults
+      integrations: { gmail: { provider: 'gmail' }, slack: { provider: 'slack', channels: [] } },
+      experience: 'advanced',
+      proceed: true,
+      resolve: {},
+      // Not asked: schedules run in this machine's timezone on mon-fri
+      timezone: expect.any(String),
+      workingDays: ['mon', 'tue', 'wed', 'thu', 'fri']
+    });
+  });
+
+  it('reads an answers file and lets flags override it', async () => {
+    const file = path.join(dir, 'answers.yaml');
+    await fs.writeFile(file, 'role: engineer\ngoals: [code_reviews]\ntools: [github]\nexperience: beginner\nproceed: true\n');
+
+    const answers = await getUserPreferences(undefined, { answersFile: file, tools: 'cloud', stdin: noTTY });
+
+    expect(answers).toMatchObject({ userType: 'engineer', goals: ['code_reviews'], tools: ['cloud'] });
+  });
+
+  it('validates answers against the role-specific choices', async () => {
+    await expect(getUserPreferences('engineer', {
+      goals: 'investors', tools: '', experience: 'beginner', yes: true, stdin: noTTY
+    })).rejects.toThrow('Unknown goal "investors" for engineer. Valid choices: code_reviews, oss_tracking');
+
+    await expect(getUserPreferences('pirate', { stdin: noTTY })).rejects.toThrow('Unknown role "pirate"');
+
+    await expect(getUserPreferences('student', {
+      goals: 'deadline_tracking', tools: '', experience: 'expert', yes: true, stdin: noTTY
+    })).rejects.toThrow('Unknown experience level "expert"');
+  });
+
+  it('rejects unknown keys in answers files', async () => {
+    const file = path.join(dir, 'answers.json');
+    await fs.writeFile(file, JSON.stringify({ role: 'founder', colour: 'blue' }));
+
+    await expect(getUserPreferences(undefined, { answersFile: file, stdin: noTTY })).rejects.toThrow('Unknown key "colour"');
+  });
+
+  it('fails instead of prompting when answers are missing and there is no TTY', async () => {
+    await expect(getUserPreferences('creator', { goals: 'analytics', stdin: noTTY }))
+      .rejects.toThrow('Missing answers for: tools, experience, proceed');
+  });
+
+  it('reports a missing role before checking the goals and tools that depend on it', async () => {
+    await expect(getUserPreferences(undefined, { goals: 'x', tools: 'github', experience: 'advanced', yes: true, stdin: noTTY }))
+      .rejects.toThrow(/^Missing answers for: role\./);
+
+    const file = path.join(dir, 'answers.yaml');
+    await fs.writeFile(file, 'goals: [x]\ntools: [github]\n');
+    await expect(getUserPreferences(undefined, { answersFile: file, yes: true, stdin: noTTY }))
+      .rejects.toThrow('Missing answers for: role, experience.');
+  });
+
+  it('runs the CLI end to end without a terminal', () => {
+    const output = execFileSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'student', '--goals', 'deadline_tracking',
+      '--tools', 'research,citations', '--experience', 'beginner', '--yes', '--dry-run', '--skip-checks'
+    ], { input: '', env: { ...process.env, HOME: dir } }).toString();
+
+    expect(output).toContain('create    AGENTS.md');
+    expect(output).toContain('Dry run complete');
+
+    const missing = spawnSync('node', ['bin/superclaw.js', 'wizard', '--role', 'student', '--skip-checks'], { input: '' });
+    expect(missing.status).toBe(1);
+    expect(missing.stderr.toString()).toContain('Missing answers for: goals, tools, experience, proceed');
+  });
+});
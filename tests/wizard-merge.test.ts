@@ -0,0 +1,86 @@
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { diff3Merge, mergeManagedContent, splitManagedRegion, wrapManaged } = require('../lib/merge');
+const { writeWorkspaceFiles } = require('../lib/setup');
+const { createRun } = require('../lib/manifest');
+
+const GENERATED = '# Agents\n\n## Focus\n- reviews\n\n## Rules\n- be brief\n';
+
+describe('merge-safe regeneration', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-merge-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  function write(content: string, created = '2026-10-19T00:00:00.000Z') {
+    const run = createRun({ user: { type: 'engineer' }, template: {}, created }, { workspacePath: dir });
+    return writeWorkspaceFiles(dir, [{ path: 'AGENTS.md', content, managed: true }], { run });
+  }
+
+  function read(file = 'AGENTS.md') {
+    return fs.readFile(path.join(dir, file), 'utf8');
+  }
+
+  it('takes non-overlapping changes from both sides of a three-way merge', () => {
+    expect(diff3Merge('a\nb\nc\nd\n', 'a\nB\nc\nd\n', 'a\nb\nc\nD\n')).toEqual({ text: 'a\nB\nc\nD\n', conflicts: [] });
+
+    const clash = diff3Merge('a\nb\nc\n', 'a\nmine\nc\n', 'a\ntheirs\nc\n');
+    expect(clash.conflicts).toEqual([{ base: ['b'], ours: ['mine'], theirs: ['theirs'] }]);
+    expect(clash.text).toContain('<<<<<<< your edits\nmine\n=======\ntheirs\n>>>>>>> regenerated\n');
+  });
+
+  it('keeps content outside the managed region on re-run', async () => {
+    await write(GENERATED);
+    const edited = `# Team notes\n\n${await read()}\n## Our own section\nkeep me\n`;
+    await fs.writeFile(path.join(dir, 'AGENTS.md'), edited);
+
+    const [result] = await write(GENERATED.replace('be brief', 'be concise'), '2026-10-20T00:00:00.000Z');
+
+    expect(result.status).toBe('updated');
+    const parts = splitManagedRegion(await read());
+    expect(parts.before).toBe('# Team notes\n\n');
+    expect(parts.region).toContain('- be concise');
+    expect(parts.after).toBe('\n## Our own section\nkeep me\n');
+    expect(await fs.readFile(result.backupPath, 'utf8')).toBe(edited);
+    expect(result.backupPath).toBe(path.join(dir, '.superclaw', 'backups', '2026-10-20T00-00-00-000Z', 'AGENTS.md'));
+  });
+
+  it('merges edits inside the managed region with the regenerated content', async () => {
+    await write(GENERATED);
+    await fs.writeFile(path.join(dir, 'AGENTS.md'), (await read()).replace('- reviews', '- reviews\n- on-call'));
+
+    const [result] = await write(GENERATED.replace('be brief', 'be concise'), '2026-10-20T00:00:00.000Z');
+
+    expect(result.status).toBe('merged');
+    expect(await read()).toBe(wrapManaged('# Agents\n\n## Focus\n- reviews\n- on-call\n\n## Rules\n- be concise\n'));
+  });
+
+  it('reports conflicts and leaves the file untouched', async () => {
+    await write(GENERATED);
+    const edited = (await read()).replace('be brief', 'be thorough');
+    await fs.writeFile(path.join(dir, 'AGENTS.md'), edited);
+
+    const [result] = await write(GENERATED.replace('be brief', 'be concise'), '2026-10-20T00:00:00.000Z');
+
+    expect(result.status).toBe('conflict');
+    expect(result.conflicts).toHaveLength(1);
+    expect(await read()).toBe(edited);
+    expect(await fs.readFile(result.conflictPath, 'utf8')).toContain('- be thorough\n=======\n- be concise');
+    expect(await fs.pathExists(path.join(dir, '.superclaw', 'backups', '2026-10-20T00-00-00-000Z'))).toBe(false);
+  });
+
+  it('keeps unmarked hand-written files below the managed block', () => {
+    const result = mergeManagedContent('# Mine\n', GENERATED, null);
+
+    expect(result.status).toBe('updated');
+    expect(result.content).toBe(`${wrapManaged(GENERATED)}\n# Mine\n`);
+    expect(mergeManagedContent(wrapManaged(GENERATED), GENERATED, GENERATED).status).toBe('unchanged');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { execFileSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const { unifiedDiff } = require('../lib/diff');
+const { wrapManaged } = require('../lib/merge');
+const { planWorkspace, renderWorkspaceFiles } = require('../lib/plan');
+const { getInlineTemplate } = require('../lib/templates');
+
+function engineerConfig() {
+  return {
+    user: { type: 'engineer', goals: ['code_reviews'], experience: 'advanced' },
+    template: getInlineTemplate('engineer'),
+    integrations: { github: { features: ['pr_reviews'] } },
+    workspace: { name: 'engineer-ai-employee' },
+    created: '2026-10-19T00:00:00.000Z'
+  };
+}
+
+describe('dry-run plan', () => {
+  let dir: string;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-plan-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(dir);
+  });
+
+  it('produces unified diffs with hunk headers', () => {
+    const diff = unifiedDiff('one\ntwo\nthree\n', 'one\n2\nthree\nfour\n', { oldLabel: 'a/f', newLabel: 'b/f' });
+
+    expect(diff).toBe('--- a/f\n+++ b/f\n@@ -1,3 +1,4 @@\n one\n-two\n+2\n three\n+four\n');
+    expect(unifiedDiff('same\n', 'same\n')).toBe('');
+  });
+
+  it('lists every file a run would write', () => {
+    const paths = renderWorkspaceFiles(engineerConfig()).map((file: { path: string }) => file.path);
+
+    expect(paths).toEqual([
+      'AGENTS.md',
+      'HEARTBEAT.md',
+      // Advanced workspaces also get customization hooks and raw workflows
+      'hooks/README.md',
+      'workflows/automated-code-reviews.yaml',
+      'workflows/tech-learning-path.yaml',
+      'templates/engineer-automation-template.json',
+      'schedules.json',
+      'morning-brief.md',
+      'openclaw-skills-config.json'
+    ]);
+  });
+
+  it('marks files as create, overwrite or unchanged against the workspace', async () => {
+    const config = engineerConfig();
+    const files = renderWorkspaceFiles(config);
+    const heartbeat = files.find((file: { path: string }) => file.path === 'HEARTBEAT.md');
+
+    await fs.writeFile(path.join(dir, 'AGENTS.md'), '# My hand-written agents file\n');
+    await fs.writeFile(path.join(dir, 'HEARTBEAT.md'), wrapManaged(heartbeat.content));
+
+    const plan = await planWorkspace(config, dir);
+    const actions = Object.fromEntries(plan.files.map((file: any) => [file.path, file.action]));
+
+    expect(actions['AGENTS.md']).toBe('overwrite');
+    expect(actions['HEARTBEAT.md']).toBe('unchanged');
+    expect(actions['morning-brief.md']).toBe('create');
+    expect(plan.summary).toEqual({ create: 7, overwrite: 1, merge: 0, conflict: 0, unchanged: 1 });
+
+    const agents = plan.files.find((file: any) => file.path === 'AGENTS.md');
+    expect(agents.diff).not.toContain('-# My hand-written agents file');
+    expect(agents.diff).toContain('+# AGENTS.md - Software Engineer Operating Instructions');
+    expect(plan.files.find((file: any) => file.path === 'morning-brief.md').diff).toMatch(/^--- \/dev\/null/);
+  });
+
+  it('prints the plan as JSON from the CLI', async () => {
+    await fs.outputFile(path.join(dir, 'clawd', 'AGENTS.md'), 'old\n');
+
+    const output = execFileSync('node', [
+      'bin/superclaw.js', 'wizard', '--role', 'engineer', '--goals', 'code_reviews', '--tools', 'github',
+      '--experience', 'advanced', '--yes', '--dry-run', '--json', '--skip-checks'
+    ], { input: '', env: { ...process.env, HOME: dir } }).toString();
+
+    const plan = JSON.parse(output);
+    expect(plan.workspacePath).toBe(path.join(dir, 'clawd'));
+    expect(plan.files[0]).toMatchObject({ path: 'AGENTS.md', action: 'overwrite' });
+    expect(await fs.readFile(path.join(dir, 'clawd', 'AGENTS.md'), 'utf8')).toBe('old\n');
+  });
+});
@@ -0,0 +1,73 @@
+import { execFileSync, spawnSync } from 'child_process';
+import * as fs from 'fs-extra';
+import * as os from 'os';
+import * as path from 'path';
+
+const WIZARD = ['bin/superclaw.js', 'wizard', '--role', 'engineer', '--tools', 'github', '--experience', 'advanced', '--yes', '--skip-checks'];
+
+describe('wizard undo and history', () => {
+  let home: string;
+  let workspace: string;
+
+  function superclaw(args: string[]) {
+    return spawnSync('node', args, { input: '', env: { ...process.env, HOME: home } });
+  }
+
+  function run(goals: string) {
+    execFileSync('node', [...WIZARD, '--goals', goals], { input: '', stdio: 'pipe', env: { ...process.env, HOME: home } });
+  }
+
+  beforeEach(async () => {
+    home = await fs.mkdtemp(path.join(os.tmpdir(), 'superclaw-undo-'));
+    workspace = path.join(home, 'clawd');
+  });
+
+  afterEach(async () => {
+    await fs.remove(home);
+  });
+
+  it('records a manifest for every run', async () => {
+    await fs.outputFile(path.join(workspace, 'morning-brief.md'), 'my brief\n');
+    run('code_reviews');
+
+    const [name] = await fs.readdir(path.join(workspace, '.superclaw', 'runs'));
+    const manifest = await fs.readJson(path.join(workspace, '.superclaw', 'runs', name));
+    const brief = manifest.files.find((file: any) => file.path === 'morning-brief.md');
+
+    expect(manifest.runId).toBe(name.replace(/\.json$/, ''));
+    expect(manifest.template.role).toBe('engineer');
+    expect(manifest.answers).toMatchObject({ role: 'engineer', goals: ['code_reviews'], tools: ['github'] });
+    expect(brief).toMatchObject({ action: 'updated', backup: path.join('.superclaw', 'backups', manifest.runId, 'morning-brief.md') });
+    expect(brief.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(manifest.files.find((file: any) => file.path === 'AGENTS.md').action).toBe('created');
+    expect(manifest.directories).toEqual(expect.arrayContaining(['memory', 'templates']));
+  });
+
+  it('restores the previous run and refuses when files changed since', async () => {
+    run('code_reviews');
+    const firstBrief = await fs.readFile(path.join(workspace, 'morning-brief.md'), 'utf8');
+    run('code_reviews,documentation');
+
+    const history = superclaw(['bin/superclaw.js', 'wizard', 'history']).stdout.toString();
+    expect(history.trim().split('\n')).toHaveLength(2);
+
+    await fs.appendFile(path.join(workspace, 'morning-brief.md'), 'late edit\n');
+    const refused = superclaw(['bin/superclaw.js', 'wizard', 'undo']);
+    expect(refused.status).toBe(1);
+    expect(refused.stderr.toString()).toContain('Files changed since run');
+
+    expect(superclaw(['bin/superclaw.js', 'wizard', 'undo', '--force']).status).toBe(0);
+    expect(await fs.readFile(path.join(workspace, 'morning-brief.md'), 'utf8')).toBe(firstBrief);
+    expect(superclaw(['bin/superclaw.js', 'wizard', 'history']).stdout.toString()).toContain('(undone');
+  });
+
+  it('removes everything a first run created', async () => {
+    run('code_reviews');
+    const result = superclaw(['bin/superclaw.js', 'wizard', 'undo']);
+
+    expect(result.status).toBe(0);
+    expect((await fs.readdir(workspace)).sort()).toEqual(['.superclaw']);
+    expect(await fs.readdir(path.join(workspace, '.superclaw'))).toEqual(['runs']);
+    expect(superclaw(['bin/superclaw.js', 'wizard', 'undo']).stderr.toString()).toContain('already been undone');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+import { WizardService, WizardRunOptions } from '../src/lib/wizard';
+
+describe('WizardService', () => {
+  it('maps CLI options onto the wizard pipeline', async () => {
+    const calls: WizardRunOptions[] = [];
+    const service = new WizardService(async (options) => {
+      calls.push(options);
+      return { config: {}, workspacePath: '/tmp/clawd', filesCreated: ['/tmp/clawd/AGENTS.md'], cancelled: false };
+    });
+
+    const result = await service.run({ role: 'engineer', template: './my-template', skipChecks: true });
+
+    expect(calls[0]).toEqual({ template: 'engineer', templatePath: './my-template', testMode: false, skipChecks: true });
+    expect(result).toEqual({
+      success: true,
+      workspacePath: '/tmp/clawd',
+      filesCreated: ['/tmp/clawd/AGENTS.md'],
+      message: 'Workspace ready at /tmp/clawd'
+    });
+  });
+
+  it('runs --dry-run in test mode without reporting files', async () => {
+    const service = new WizardService(async (options) => {
+      expect(options.testMode).toBe(true);
+      return { config: {}, workspacePath: null, filesCreated: [], cancelled: false };
+    });
+
+    const result = await service.run({ role: 'founder', dryRun: true });
+
+    expect(result.success).toBe(true);
+    expect(result.filesCreated).toEqual([]);
+    expect(result.workspacePath).toBeUndefined();
+  });
+
+  it('reports a cancelled run as unsuccessful', async () => {
+    const service = new WizardService(async () => (
+      { config: null, workspacePath: null, filesCreated: [], cancelled: true }
+    ));
+
+    const result = await service.run({});
+
+    expect(result.success).toBe(false);
+  });
+});